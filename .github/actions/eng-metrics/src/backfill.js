@@ -0,0 +1,131 @@
+/**
+ * Backfill module for engineering metrics collector
+ * Splits a historical date range into chunks and keeps a local checkpoint file
+ * so an interrupted backfill can resume where it stopped.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import logger from './logger.js';
+
+/**
+ * Default number of days in each backfill chunk
+ */
+export const DEFAULT_CHUNK_DAYS = 30;
+
+/**
+ * Default checkpoint file, relative to the current working directory
+ */
+export const DEFAULT_CHECKPOINT_FILEPATH = './backfill-checkpoint.json';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Parses a YYYY-MM-DD date as midnight UTC
+ * @param {string} value - Date string
+ * @param {string} name - Argument name used in error messages
+ * @returns {Date} Parsed date
+ */
+const parseDate = (value, name) => {
+  const date = /^\d{4}-\d{2}-\d{2}$/.test(value || '') ? new Date(`${value}T00:00:00Z`) : null;
+  if (!date || isNaN(date.getTime()) || date.toISOString().slice(0, 10) !== value) {
+    throw new Error(`Invalid ${name} date: ${value}. Expected YYYY-MM-DD`);
+  }
+  return date;
+};
+
+/**
+ * Parses the backfill range. Both dates are inclusive.
+ * @param {string} from - First day of the range (YYYY-MM-DD)
+ * @param {string} to - Last day of the range (YYYY-MM-DD)
+ * @returns {{from: Date, to: Date}} Start of the first day and end of the last day (UTC)
+ */
+export const parseBackfillRange = (from, to) => {
+  const start = parseDate(from, '--from');
+  const end = new Date(parseDate(to, '--to').getTime() + DAY_MS - 1);
+
+  if (start > end) {
+    throw new Error(`Backfill range is empty: --from ${from} is after --to ${to}`);
+  }
+
+  return { from: start, to: end };
+};
+
+/**
+ * Splits a date range into chunks of whole days, newest first.
+ * PRs are listed newest first, so processing chunks in the same order lets
+ * each chunk continue paging where the previous one stopped.
+ * @param {Date} from - Start of the range
+ * @param {Date} to - End of the range
+ * @param {number} [chunkDays=DEFAULT_CHUNK_DAYS] - Days in each chunk
+ * @returns {Array<{from: Date, to: Date}>} Chunks covering the range
+ */
+export const splitDateRange = (from, to, chunkDays = DEFAULT_CHUNK_DAYS) => {
+  const chunks = [];
+  let chunkEnd = to;
+
+  while (chunkEnd >= from) {
+    const chunkStart = new Date(Math.max(chunkEnd.getTime() - chunkDays * DAY_MS + 1, from.getTime()));
+    chunks.push({ from: chunkStart, to: chunkEnd });
+    chunkEnd = new Date(chunkStart.getTime() - 1);
+  }
+
+  return chunks;
+};
+
+/**
+ * Loads the checkpoint for a backfill range. A checkpoint saved for a different
+ * range is ignored, so changing the range always starts from the beginning.
+ * @param {string} filePath - Checkpoint file path
+ * @param {{from: string, to: string, chunkDays: number}} range - Requested range and chunk size
+ * @returns {Object} Checkpoint with a repositories map of { chunk, page, pullRequestsDone, done } progress
+ */
+export const loadCheckpoint = (filePath, range) => {
+  const resolvedPath = path.resolve(process.cwd(), filePath);
+  const empty = { ...range, repositories: {} };
+
+  if (!fs.existsSync(resolvedPath)) {
+    return empty;
+  }
+
+  const checkpoint = JSON.parse(fs.readFileSync(resolvedPath, 'utf8'));
+  if (checkpoint.from !== range.from || checkpoint.to !== range.to || checkpoint.chunkDays !== range.chunkDays) {
+    logger.warn(`Ignoring checkpoint at ${resolvedPath} saved for ${checkpoint.from}..${checkpoint.to} (${checkpoint.chunkDays} day chunks)`);
+    return empty;
+  }
+
+  logger.info(`Resuming backfill from checkpoint at ${resolvedPath}`);
+  return { ...empty, repositories: checkpoint.repositories || {} };
+};
+
+/**
+ * Saves the checkpoint, replacing the file atomically so an interrupted write
+ * never leaves a truncated checkpoint behind
+ * @param {string} filePath - Checkpoint file path
+ * @param {Object} checkpoint - Checkpoint to save
+ */
+export const saveCheckpoint = (filePath, checkpoint) => {
+  const resolvedPath = path.resolve(process.cwd(), filePath);
+  const tempPath = `${resolvedPath}.tmp`;
+
+  fs.writeFileSync(tempPath, JSON.stringify(checkpoint, null, 2));
+  fs.renameSync(tempPath, resolvedPath);
+};
+
+/**
+ * Removes the checkpoint file once a backfill has completed
+ * @param {string} filePath - Checkpoint file path
+ */
+export const clearCheckpoint = (filePath) => {
+  fs.rmSync(path.resolve(process.cwd(), filePath), { force: true });
+};
+
+export default {
+  DEFAULT_CHUNK_DAYS,
+  DEFAULT_CHECKPOINT_FILEPATH,
+  parseBackfillRange,
+  splitDateRange,
+  loadCheckpoint,
+  saveCheckpoint,
+  clearCheckpoint
+};
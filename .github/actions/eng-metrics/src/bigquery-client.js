@@ -1,12 +1,41 @@
 /**
- * BigQuery client module for PR pickup time metrics collector
- * Handles authentication and data upload to BigQuery
+ * BigQuery client module for engineering metrics collector
+ * Handles authentication and data upload to BigQuery.
+ * Table schemas, partitioning and row transforms come from the metric registry.
+ * Columns missing from existing tables are added on upload (additive migration).
+ * Metrics are either inserted (skipping rows that already exist) or upserted with
+ * a staging table and a MERGE statement.
  */
 
 import { BigQuery } from '@google-cloud/bigquery';
 import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { getMetricDefinition, getMetricSchema, toMetricRow } from './metric-registry.js';
 import logger from './logger.js';
 
+/**
+ * Builds the key identifying a metric row: PR and issue numbers are only unique within a repository
+ * @param {string} repository - Repository in owner/repo format
+ * @param {number} number - PR or issue number
+ * @returns {string} Metric key
+ */
+export const getMetricKey = (repository, number) => `${repository}#${number}`;
+
+/**
+ * Staging tables expire after this long in case the cleanup after a MERGE fails
+ */
+const STAGING_TABLE_TTL_MS = 60 * 60 * 1000;
+
+/**
+ * Checks whether a BigQuery error was caused by DML touching rows that are still in
+ * the streaming buffer. Rows written with streaming inserts (insert mode) cannot be
+ * updated until they are flushed, which can take up to about 90 minutes.
+ * @param {Error} err - Error thrown by BigQuery
+ * @returns {boolean} Whether the error is a streaming buffer error
+ */
+const isStreamingBufferError = (err) => /streaming buffer/i.test(err?.message || '');
+
 /**
  * BigQuery client class
  */
@@ -106,6 +135,9 @@ export class BigQueryClient {
 
         await table.create(options);
         logger.info(`Table ${tableId} created`);
+      } else {
+        await this.addMissingColumns(table, schema);
+        await this.updateClustering(table, this.getConfigurationForMetricType(metricType).clustering);
       }
     } catch (err) {
       logger.error(`Error creating table ${datasetId}.${tableId}`, err);
@@ -113,38 +145,77 @@ export class BigQueryClient {
     }
   }
 
+  /**
+   * Adds schema fields that are missing from an existing table.
+   * Only additive changes are made; REQUIRED columns are never added because existing rows have no value for them.
+   * @param {Object} table - BigQuery table reference
+   * @param {Object} schema - Expected BigQuery table schema
+   * @returns {Promise<Array<string>>} Names of the columns that were added
+   */
+  async addMissingColumns(table, schema) {
+    const [metadata] = await table.getMetadata();
+    const existingFields = metadata.schema?.fields || [];
+    const existingNames = new Set(existingFields.map(field => field.name));
+    const missingFields = schema.fields.filter(field => !existingNames.has(field.name));
+
+    // BigQuery only allows adding NULLABLE (or REPEATED) columns to an existing table
+    const requiredFields = missingFields.filter(field => field.mode === 'REQUIRED');
+    if (requiredFields.length > 0) {
+      logger.warn(`Table ${table.id} is missing REQUIRED columns that cannot be added: ${requiredFields.map(field => field.name).join(', ')}`);
+    }
+
+    const addableFields = missingFields.filter(field => field.mode !== 'REQUIRED');
+    if (addableFields.length === 0) {
+      return [];
+    }
+
+    logger.info(`Adding columns to table ${table.id}: ${addableFields.map(field => field.name).join(', ')}`);
+    await table.setMetadata({ schema: { fields: [...existingFields, ...addableFields] } });
+
+    return addableFields.map(field => field.name);
+  }
+
+  /**
+   * Updates the clustering of an existing table when it differs from the metric definition.
+   * BigQuery applies the new clustering to data written afterwards.
+   * @param {Object} table - BigQuery table reference
+   * @param {Object} clustering - Expected clustering configuration
+   * @returns {Promise<boolean>} Whether the clustering was updated
+   */
+  async updateClustering(table, clustering) {
+    const [metadata] = await table.getMetadata();
+    const existingFields = metadata.clustering?.fields || [];
+
+    if (existingFields.join(',') === clustering.fields.join(',')) {
+      return false;
+    }
+
+    logger.info(`Updating clustering of table ${table.id} to ${clustering.fields.join(', ')}`);
+    await table.setMetadata({ clustering });
+
+    return true;
+  }
+
   /**
    * Gets table-specific configuration for partitioning and clustering based on metric type
    * @param {string} metricType - Type of metric (e.g., 'time_to_first_review', 'time_to_merge')
    * @returns {Object} Table configuration
    */
   getConfigurationForMetricType(metricType) {
-    switch (metricType) {
-    case 'time_to_first_review':
-      return {
-        timePartitioning: {
-          type: 'DAY',
-          field: 'first_review_time'
-        },
-        clustering: {
-          fields: ['pr_creator', 'pr_number']
-        }
-      };
-
-    case 'time_to_merge':
-      return {
-        timePartitioning: {
-          type: 'DAY',
-          field: 'merge_time'
-        },
-        clustering: {
-          fields: ['pr_creator', 'pr_number']
-        }
-      };
-
-    default:
+    const definition = getMetricDefinition(metricType);
+    if (!definition) {
       throw new Error(`Unknown metric type for table configuration: ${metricType}`);
     }
+
+    return {
+      timePartitioning: {
+        type: 'DAY',
+        field: definition.partitionField
+      },
+      clustering: {
+        fields: definition.clusterFields
+      }
+    };
   }
 
   /**
@@ -153,131 +224,120 @@ export class BigQueryClient {
    * @returns {Object} BigQuery table schema
    */
   getSchemaForMetricType(metricType) {
-    switch (metricType) {
-    case 'time_to_first_review':
-      return {
-        fields: [
-          { name: 'review_date', type: 'DATE', mode: 'REQUIRED' },
-          { name: 'pr_creator', type: 'STRING', mode: 'REQUIRED' },
-          { name: 'pr_url', type: 'STRING', mode: 'REQUIRED' },
-          { name: 'pickup_time_seconds', type: 'INTEGER', mode: 'REQUIRED' },
-          { name: 'repository', type: 'STRING', mode: 'REQUIRED' },
-          { name: 'pr_number', type: 'INTEGER', mode: 'REQUIRED' },
-          { name: 'target_branch', type: 'STRING', mode: 'REQUIRED' },
-          { name: 'ready_time', type: 'TIMESTAMP', mode: 'REQUIRED' },
-          { name: 'first_review_time', type: 'TIMESTAMP', mode: 'REQUIRED' }
-        ]
-      };
-
-    case 'time_to_merge':
-      return {
-        fields: [
-          { name: 'merge_date', type: 'DATE', mode: 'REQUIRED' },
-          { name: 'pr_creator', type: 'STRING', mode: 'REQUIRED' },
-          { name: 'pr_url', type: 'STRING', mode: 'REQUIRED' },
-          { name: 'merge_time_seconds', type: 'INTEGER', mode: 'REQUIRED' },
-          { name: 'repository', type: 'STRING', mode: 'REQUIRED' },
-          { name: 'pr_number', type: 'INTEGER', mode: 'REQUIRED' },
-          { name: 'target_branch', type: 'STRING', mode: 'REQUIRED' },
-          { name: 'ready_time', type: 'TIMESTAMP', mode: 'REQUIRED' },
-          { name: 'merge_time', type: 'TIMESTAMP', mode: 'REQUIRED' }
-        ]
-      };
-
-    default:
-      throw new Error(`Unknown metric type: ${metricType}`);
-    }
+    return {
+      fields: getMetricSchema(metricType)
+    };
   }
 
   /**
    * Transforms metrics to BigQuery row format based on metric type
    * @param {Object} metrics - Metrics object
+   * @param {Date} [updatedAt=new Date()] - Time the row is written
    * @returns {Object} BigQuery row
    */
-  transformMetricsToRow(metrics) {
-    switch (metrics.metricType) {
-    case 'time_to_first_review':
-      return {
-        review_date: metrics.reviewDate,
-        pr_creator: metrics.prCreator,
-        pr_url: metrics.prUrl,
-        pickup_time_seconds: metrics.pickupTimeSeconds,
-        repository: metrics.repository,
-        pr_number: metrics.prNumber,
-        target_branch: metrics.targetBranch,
-        ready_time: metrics.readyTime.toISOString(),
-        first_review_time: metrics.firstReviewTime.toISOString()
-      };
-
-    case 'time_to_merge':
-      return {
-        merge_date: metrics.mergeDate,
-        pr_creator: metrics.prCreator,
-        pr_url: metrics.prUrl,
-        merge_time_seconds: metrics.mergeTimeSeconds,
-        repository: metrics.repository,
-        pr_number: metrics.prNumber,
-        target_branch: metrics.targetBranch,
-        ready_time: metrics.readyTime.toISOString(),
-        merge_time: metrics.mergeTime.toISOString()
-      };
-
-    default:
-      throw new Error(`Unknown metric type: ${metrics.metricType}`);
+  transformMetricsToRow(metrics, updatedAt = new Date()) {
+    return toMetricRow(metrics, updatedAt);
+  }
+
+  /**
+   * Gets the column and metric property that uniquely identify a row for a metric type
+   * @param {string} metricType - Type of metric
+   * @returns {{column: string, property: string}} Unique key column and metric property
+   */
+  getUniqueKeyForMetricType(metricType) {
+    const definition = getMetricDefinition(metricType);
+    if (!definition) {
+      throw new Error(`Unknown metric type: ${metricType}`);
     }
+
+    return definition.uniqueKey;
   }
 
   /**
-   * Checks if metrics already exist in BigQuery for the given PR numbers
+   * Queries the repository and PR (or issue) numbers already stored for the given numbers
    * @param {string} datasetId - BigQuery dataset ID
    * @param {string} tableId - BigQuery table ID
-   * @param {Array} prNumbers - Array of PR numbers to check
-   * @returns {Object} Object with PR numbers as keys and boolean values indicating if they exist
+   * @param {Array<number>} numbers - PR (or issue) numbers to look up
+   * @param {string} keyColumn - Column holding the numbers (pr_number or issue_number)
+   * @returns {Promise<Array<Object>>} Rows with repository and key column, empty if the table doesn't exist
    */
-  async checkExistingMetrics(datasetId, tableId, prNumbers) {
-    try {
-      // Get a reference to the table
-      const table = this.bigquery.dataset(datasetId).table(tableId);
+  async queryExistingKeys(datasetId, tableId, numbers, keyColumn) {
+    // Get a reference to the table
+    const table = this.bigquery.dataset(datasetId).table(tableId);
+
+    // If the table doesn't exist, no metrics exist
+    const [tableExists] = await table.exists();
+    if (!tableExists || numbers.length === 0) {
+      return [];
+    }
 
-      // Check if the table exists
-      const [tableExists] = await table.exists();
-      if (!tableExists) {
-        // If the table doesn't exist, no metrics exist
-        return prNumbers.reduce((acc, prNumber) => {
-          acc[prNumber] = false;
-          return acc;
-        }, {});
-      }
+    // PR numbers are only unique within a repository, so fetch the repository too
+    const query = `
+      SELECT DISTINCT repository, ${keyColumn}
+      FROM \`${this.projectId}.${datasetId}.${tableId}\`
+      WHERE ${keyColumn} IN (${[...new Set(numbers)].join(',')})
+    `;
 
-      // Create a query to check for existing PR numbers
-      const query = `
-        SELECT pr_number
-        FROM \`${this.projectId}.${datasetId}.${tableId}\`
-        WHERE pr_number IN (${prNumbers.join(',')})
-      `;
-
-      // Run the query
-      const [rows] = await this.bigquery.query({ query });
-
-      // Create a map of existing PR numbers
-      const existingPRs = rows.reduce((acc, row) => {
-        acc[row.pr_number] = true;
-        return acc;
-      }, {});
-
-      // Return a map of all PR numbers with their existence status
-      return prNumbers.reduce((acc, prNumber) => {
-        acc[prNumber] = !!existingPRs[prNumber];
-        return acc;
-      }, {});
+    const [rows] = await this.bigquery.query({ query });
+    return rows;
+  }
+
+  /**
+   * Checks if metrics already exist in BigQuery for the given repository and PR number pairs
+   * @param {string} datasetId - BigQuery dataset ID
+   * @param {string} tableId - BigQuery table ID
+   * @param {Array<{repository: string, number: number}>} keys - Repository and PR (or issue) number pairs to check
+   * @param {string} [keyColumn='pr_number'] - Column holding the numbers (pr_number or issue_number)
+   * @returns {Object} Object with getMetricKey() keys and boolean values indicating if they exist
+   */
+  async checkExistingMetrics(datasetId, tableId, keys, keyColumn = 'pr_number') {
+    let existingKeys = new Set();
+
+    try {
+      const rows = await this.queryExistingKeys(datasetId, tableId, keys.map(key => key.number), keyColumn);
+      existingKeys = new Set(rows.map(row => getMetricKey(row.repository, row[keyColumn])));
     } catch (err) {
       logger.error(`Error checking existing metrics in BigQuery ${datasetId}.${tableId}`, err);
       // If there's an error, assume no metrics exist
-      return prNumbers.reduce((acc, prNumber) => {
-        acc[prNumber] = false;
-        return acc;
-      }, {});
     }
+
+    // Return a map of all keys with their existence status
+    return keys.reduce((acc, { repository, number }) => {
+      const key = getMetricKey(repository, number);
+      acc[key] = existingKeys.has(key);
+      return acc;
+    }, {});
+  }
+
+  /**
+   * Finds metrics that are missing from BigQuery although a row with the same
+   * PR (or issue) number exists for another repository. Earlier versions checked
+   * existence by number alone, so these rows were skipped on upload.
+   * @param {string} datasetId - BigQuery dataset ID
+   * @param {string} tableId - BigQuery table ID
+   * @param {Array} metrics - Array of metrics of one type
+   * @returns {Promise<Array>} Metrics that were wrongly skipped
+   */
+  async findSkippedMetrics(datasetId, tableId, metrics) {
+    if (!metrics || metrics.length === 0) {
+      return [];
+    }
+
+    const uniqueKey = this.getUniqueKeyForMetricType(metrics[0].metricType);
+    const rows = await this.queryExistingKeys(
+      datasetId,
+      tableId,
+      metrics.map(metric => metric[uniqueKey.property]),
+      uniqueKey.column
+    );
+
+    const existingKeys = new Set(rows.map(row => getMetricKey(row.repository, row[uniqueKey.column])));
+    const existingNumbers = new Set(rows.map(row => row[uniqueKey.column]));
+
+    return metrics.filter(metric =>
+      existingNumbers.has(metric[uniqueKey.property]) &&
+      !existingKeys.has(getMetricKey(metric.repository, metric[uniqueKey.property]))
+    );
   }
 
   /**
@@ -305,14 +365,17 @@ export class BigQueryClient {
       const schema = this.getSchemaForMetricType(metricType);
       await this.createTableIfNotExists(datasetId, tableId, schema, metricType);
 
-      // Get all PR numbers from the metrics
-      const prNumbers = metrics.map(metric => metric.prNumber);
+      // Get all repository and PR (or issue) number pairs from the metrics
+      const uniqueKey = this.getUniqueKeyForMetricType(metricType);
+      const keys = metrics.map(metric => ({ repository: metric.repository, number: metric[uniqueKey.property] }));
 
-      // Check which PR numbers already exist in BigQuery
-      const existingMetrics = await this.checkExistingMetrics(datasetId, tableId, prNumbers);
+      // Check which of them already exist in BigQuery
+      const existingMetrics = await this.checkExistingMetrics(datasetId, tableId, keys, uniqueKey.column);
 
       // Filter out metrics that already exist
-      const newMetrics = metrics.filter(metric => !existingMetrics[metric.prNumber]);
+      const newMetrics = metrics.filter(metric =>
+        !existingMetrics[getMetricKey(metric.repository, metric[uniqueKey.property])]
+      );
 
       if (newMetrics.length === 0) {
         logger.info('All metrics already exist in BigQuery, nothing to upload');
@@ -351,6 +414,112 @@ export class BigQueryClient {
       throw err;
     }
   }
+
+  /**
+   * Upserts metrics to BigQuery. Rows are loaded into a temporary staging table with
+   * a load job, then merged into the target table on repository + PR (or issue) number,
+   * so recalculated metrics replace the rows already stored. When the same key occurs
+   * more than once, the last metric wins.
+   * @param {string} datasetId - BigQuery dataset ID
+   * @param {string} tableId - BigQuery table ID
+   * @param {Array} metrics - Array of metrics
+   */
+  async upsertMetrics(datasetId, tableId, metrics) {
+    if (!metrics || metrics.length === 0) {
+      logger.warn('No metrics to upload');
+      return;
+    }
+
+    const metricType = metrics[0]?.metricType;
+    if (!metricType) {
+      throw new Error('Metrics must have a metricType field');
+    }
+
+    const stagingTableId = `${tableId}_staging_${Date.now()}`;
+    const stagingFile = path.join(os.tmpdir(), `${stagingTableId}.ndjson`);
+    const dataset = this.bigquery.dataset(datasetId);
+    const stagingTable = dataset.table(stagingTableId);
+
+    try {
+      logger.info(`Upserting ${metrics.length} metrics to BigQuery table ${tableId}`);
+
+      // Ensure the target table exists with the current schema
+      const schema = this.getSchemaForMetricType(metricType);
+      await this.createTableIfNotExists(datasetId, tableId, schema, metricType);
+
+      // MERGE fails when several source rows match the same target row, so keep the last metric per key
+      const uniqueKey = this.getUniqueKeyForMetricType(metricType);
+      const latestMetrics = new Map();
+      for (const metric of metrics) {
+        latestMetrics.set(getMetricKey(metric.repository, metric[uniqueKey.property]), metric);
+      }
+
+      const updatedAt = new Date();
+      const rows = [...latestMetrics.values()].map(metric => this.transformMetricsToRow(metric, updatedAt));
+      fs.writeFileSync(stagingFile, rows.map(row => JSON.stringify(row)).join('\n'));
+
+      // Load the rows into a short-lived staging table
+      await stagingTable.create({
+        schema,
+        expirationTime: String(Date.now() + STAGING_TABLE_TTL_MS)
+      });
+      await stagingTable.load(stagingFile, {
+        sourceFormat: 'NEWLINE_DELIMITED_JSON',
+        writeDisposition: 'WRITE_TRUNCATE'
+      });
+
+      // Merge the staged rows into the target table
+      const keyColumns = ['repository', uniqueKey.column];
+      const query = this.buildMergeQuery(datasetId, tableId, stagingTableId, schema.fields, keyColumns);
+      await this.bigquery.query({ query });
+
+      logger.info(`Successfully upserted ${rows.length} metrics to BigQuery`, {
+        datasetId,
+        tableId,
+        upsertedRows: rows.length,
+        duplicateRows: metrics.length - rows.length
+      });
+    } catch (err) {
+      if (isStreamingBufferError(err)) {
+        logger.error(`Cannot upsert metrics into BigQuery ${datasetId}.${tableId} while rows written in insert mode are still in the streaming buffer. Run the upsert again once they are flushed (up to about 90 minutes)`, err);
+      } else {
+        logger.error(`Error upserting metrics to BigQuery ${datasetId}.${tableId}`, err);
+      }
+      throw err;
+    } finally {
+      fs.rmSync(stagingFile, { force: true });
+      try {
+        await stagingTable.delete({ ignoreNotFound: true });
+      } catch (err) {
+        logger.warn(`Failed to delete staging table ${datasetId}.${stagingTableId}, it will expire on its own`, { error: err.message });
+      }
+    }
+  }
+
+  /**
+   * Builds the MERGE statement that upserts staged rows into a metrics table
+   * @param {string} datasetId - BigQuery dataset ID
+   * @param {string} tableId - Target table ID
+   * @param {string} stagingTableId - Staging table ID
+   * @param {Array<Object>} fields - Schema fields to write
+   * @param {Array<string>} keyColumns - Columns that identify a row
+   * @returns {string} MERGE query
+   */
+  buildMergeQuery(datasetId, tableId, stagingTableId, fields, keyColumns) {
+    const columns = fields.map(field => field.name);
+    const updateColumns = columns.filter(column => !keyColumns.includes(column));
+
+    return `
+      MERGE \`${this.projectId}.${datasetId}.${tableId}\` AS target
+      USING \`${this.projectId}.${datasetId}.${stagingTableId}\` AS source
+      ON ${keyColumns.map(column => `target.${column} = source.${column}`).join(' AND ')}
+      WHEN MATCHED THEN
+        UPDATE SET ${updateColumns.map(column => `${column} = source.${column}`).join(', ')}
+      WHEN NOT MATCHED THEN
+        INSERT (${columns.join(', ')})
+        VALUES (${columns.map(column => `source.${column}`).join(', ')})
+    `;
+  }
 }
 
 export default BigQueryClient;
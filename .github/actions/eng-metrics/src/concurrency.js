@@ -0,0 +1,47 @@
+/**
+ * Concurrency helpers for engineering metrics collector
+ * Runs async work over a list with a bounded number of workers while keeping
+ * results in input order, so output doesn't depend on which request finished first.
+ */
+
+/**
+ * Default number of repositories collected at the same time
+ */
+export const DEFAULT_REPOSITORY_CONCURRENCY = 1;
+
+/**
+ * Default number of PRs per repository whose events are fetched at the same time.
+ * PRs are processed one after another unless more workers are configured.
+ */
+export const DEFAULT_PULL_REQUEST_CONCURRENCY = 1;
+
+/**
+ * Maps items with an async function, running at most `limit` calls at a time
+ * @param {Array} items - Items to map
+ * @param {number} limit - Maximum number of concurrent calls
+ * @param {Function} fn - Async function called with (item, index)
+ * @returns {Promise<Array>} Results in the same order as the items
+ */
+export const mapWithConcurrency = async (items, limit, fn) => {
+  const results = new Array(items.length);
+  let next = 0;
+
+  // Each worker takes the next unprocessed item until none are left
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+
+  const workerCount = Math.max(1, Math.min(limit, items.length));
+  await Promise.all(Array.from({ length: workerCount }, worker));
+
+  return results;
+};
+
+export default {
+  DEFAULT_REPOSITORY_CONCURRENCY,
+  DEFAULT_PULL_REQUEST_CONCURRENCY,
+  mapWithConcurrency
+};
@@ -7,6 +7,19 @@ import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import dotenv from 'dotenv';
+import { getMetricDefinitions } from './metric-registry.js';
+import { isValidTimezone } from './working-calendar.js';
+import { STATE_STORE_TYPES } from './state-store.js';
+import { ORGANIZATION_KEYS, getOrganizationSettings } from './repository-discovery.js';
+import { SINK_TYPES, FILE_SINK_TYPES, getSinkSettings, usesBigQuerySink } from './sinks.js';
+import {
+  REPOSITORY_OVERRIDE_KEYS,
+  getRepositoryName,
+  isSameRepository,
+  normalizeRepositories,
+  describeRepositoryConfig,
+  isValidTargetBranch
+} from './repository-config.js';
 import logger from './logger.js';
 
 // Load environment variables from .env file
@@ -14,6 +27,39 @@ dotenv.config();
 
 // Get the directory name of the current module
 path.dirname(fileURLToPath(import.meta.url));
+/**
+ * Gets the default config entry of a metric
+ * @param {Object} definition - Metric definition
+ * @returns {{enabled: boolean, tableName: string}} Metric configuration
+ */
+const getDefaultMetricConfig = (definition) => ({
+  enabled: definition.defaultEnabled,
+  tableName: definition.defaultTableName
+});
+
+/**
+ * Gets the config entry of a metric when metrics are selected with ENABLED_METRICS
+ * @param {Object} definition - Metric definition
+ * @param {Array<string>} enabledMetrics - Metric types listed in ENABLED_METRICS
+ * @returns {{enabled: boolean, tableName: string}} Metric configuration
+ */
+const getEnvMetricConfig = (definition, enabledMetrics) => ({
+  enabled: enabledMetrics.includes(definition.metricType),
+  tableName: (definition.tableNameEnvVar && process.env[definition.tableNameEnvVar]) || definition.defaultTableName
+});
+
+/**
+ * Parses the metric types listed in ENABLED_METRICS
+ * @returns {Array<string>|null} Metric types, or null when ENABLED_METRICS is not set
+ */
+const parseEnabledMetrics = () => {
+  if (!process.env.ENABLED_METRICS) {
+    return null;
+  }
+
+  return process.env.ENABLED_METRICS.split(',').map(metric => metric.trim());
+};
+
 /**
  * Default configuration values
  */
@@ -37,19 +83,27 @@ const DEFAULT_CONFIG = {
   // Bot filtering configuration
   excludeBotReviews: true,
 
-  // Multi-table configuration
-  metrics: {
-    timeToFirstReview: {
-      enabled: true,
-      tableName: 'pr_first_review'
-    },
-    timeToMerge: {
-      enabled: true,
-      tableName: 'pr_merge'
-    }
-  }
+  // Fetch PRs with their timeline and review events in batched GraphQL queries
+  githubApi: 'graphql',
+
+  // Multi-table configuration, one entry per registered metric (keyed by configKey)
+  metrics: Object.fromEntries(
+    getMetricDefinitions().map(definition => [definition.configKey, getDefaultMetricConfig(definition)])
+  )
 };
 
+/**
+ * Supported BigQuery upload modes: 'insert' skips rows that already exist,
+ * 'upsert' replaces them with the recalculated values
+ */
+const UPLOAD_MODES = ['insert', 'upsert'];
+
+/**
+ * Supported GitHub APIs for PR collection: 'rest' fetches timeline and review events
+ * per PR, 'graphql' fetches them together with the PRs in batched queries
+ */
+const GITHUB_APIS = ['rest', 'graphql'];
+
 /**
  * Loads configuration from a JSON file
  * @param {string} configPath - Path to the configuration file
@@ -86,47 +140,345 @@ const loadConfigFromEnv = () => {
     config.repositories = process.env.REPOSITORIES.split(',').map(repo => repo.trim());
   }
 
+  // Parse organizations to discover repositories in
+  if (process.env.ORGANIZATIONS) {
+    config.organizations = process.env.ORGANIZATIONS.split(',').map(org => org.trim());
+  }
+
   // Add other environment variables if they are defined
   if (process.env.GITHUB_TOKEN) config.githubToken = process.env.GITHUB_TOKEN;
   if (process.env.BIGQUERY_DATASET_ID) config.bigQueryDatasetId = process.env.BIGQUERY_DATASET_ID;
   if (process.env.SERVICE_ACCOUNT_KEY_PATH) config.serviceAccountKeyPath = process.env.SERVICE_ACCOUNT_KEY_PATH;
-  if (process.env.TARGET_BRANCH) config.targetBranch = process.env.TARGET_BRANCH;
+  if (process.env.TARGET_BRANCH) {
+    // Comma-separated branch names and glob patterns (e.g. "main,rc-minor-*")
+    const branches = process.env.TARGET_BRANCH.split(',').map(branch => branch.trim());
+    config.targetBranch = branches.length === 1 ? branches[0] : branches;
+  }
   if (process.env.PRINT_ONLY) config.printOnly = process.env.PRINT_ONLY === 'true';
   if (process.env.USER_GROUP_ENABLED) config.userGroupEnabled = process.env.USER_GROUP_ENABLED === 'true';
   if (process.env.USER_GROUP_FILEPATH) config.userGroupFilepath = process.env.USER_GROUP_FILEPATH;
+  if (process.env.USER_TIMEZONES_FILEPATH) config.userTimezonesFilepath = process.env.USER_TIMEZONES_FILEPATH;
+  if (process.env.DEFAULT_TIMEZONE) config.defaultTimezone = process.env.DEFAULT_TIMEZONE;
+  if (process.env.UPLOAD_MODE) config.uploadMode = process.env.UPLOAD_MODE;
+  if (process.env.SINKS) config.sinks = process.env.SINKS.split(',').map(sink => sink.trim());
+  if (process.env.SINK_DIRECTORY) config.sinkDirectory = process.env.SINK_DIRECTORY;
+  if (process.env.POSTGRES_URL) config.postgresUrl = process.env.POSTGRES_URL;
+  if (process.env.POSTGRES_SCHEMA) config.postgresSchema = process.env.POSTGRES_SCHEMA;
+  if (process.env.PROMETHEUS_PUSHGATEWAY_URL) config.prometheusPushgatewayUrl = process.env.PROMETHEUS_PUSHGATEWAY_URL;
+  if (process.env.REPORT_FILEPATH) config.reportFilepath = process.env.REPORT_FILEPATH;
+  if (process.env.SUMMARY_PERCENTILES) {
+    config.summaryPercentiles = process.env.SUMMARY_PERCENTILES.split(',').map(percentile => Number(percentile.trim()));
+  }
+  if (process.env.GITHUB_API) config.githubApi = process.env.GITHUB_API;
+  if (process.env.REPOSITORY_CONCURRENCY) config.repositoryConcurrency = Number(process.env.REPOSITORY_CONCURRENCY);
+  if (process.env.PULL_REQUEST_CONCURRENCY) config.pullRequestConcurrency = Number(process.env.PULL_REQUEST_CONCURRENCY);
+  if (process.env.BACKFILL_CHUNK_DAYS) config.backfillChunkDays = Number(process.env.BACKFILL_CHUNK_DAYS);
+  if (process.env.BACKFILL_CHECKPOINT_FILEPATH) config.backfillCheckpointFilepath = process.env.BACKFILL_CHECKPOINT_FILEPATH;
+
+  // Working calendar settings (merged over the workingCalendar section of the config file)
+  const workingCalendar = {};
+  if (process.env.WORKING_CALENDAR_HOLIDAYS_FILEPATH) workingCalendar.holidaysFilepath = process.env.WORKING_CALENDAR_HOLIDAYS_FILEPATH;
+  if (process.env.WORKING_CALENDAR_VERSION) workingCalendar.version = process.env.WORKING_CALENDAR_VERSION;
+  if (process.env.WORKING_CALENDAR_WEEKEND_DAYS) {
+    workingCalendar.weekendDays = process.env.WORKING_CALENDAR_WEEKEND_DAYS.split(',').map(day => Number(day.trim()));
+  }
+  if (process.env.WORKING_CALENDAR_BUSINESS_HOURS) {
+    // Format: HH:MM-HH:MM (e.g. 09:00-17:00)
+    const [start, end] = process.env.WORKING_CALENDAR_BUSINESS_HOURS.split('-').map(time => time.trim());
+    workingCalendar.businessHours = { start, end };
+  }
+  if (Object.keys(workingCalendar).length > 0) {
+    config.workingCalendar = workingCalendar;
+  }
+
+  // State store settings (merged over the stateStore section of the config file)
+  const stateStore = {};
+  if (process.env.STATE_STORE) stateStore.type = process.env.STATE_STORE;
+  if (process.env.STATE_STORE_FILEPATH) stateStore.filepath = process.env.STATE_STORE_FILEPATH;
+  if (process.env.STATE_STORE_TABLE) stateStore.tableName = process.env.STATE_STORE_TABLE;
+  if (Object.keys(stateStore).length > 0) {
+    config.stateStore = stateStore;
+  }
+
+  // GitHub retry settings (merged over the githubRetry section of the config file)
+  const githubRetry = {};
+  if (process.env.GITHUB_MAX_RETRIES) githubRetry.maxRetries = Number(process.env.GITHUB_MAX_RETRIES);
+  if (process.env.GITHUB_MAX_RATE_LIMIT_WAIT_SECONDS) {
+    githubRetry.maxRateLimitWaitSeconds = Number(process.env.GITHUB_MAX_RATE_LIMIT_WAIT_SECONDS);
+  }
+  if (Object.keys(githubRetry).length > 0) {
+    config.githubRetry = githubRetry;
+  }
+
+  // GitHub App installation to authenticate as (merged over the githubApp section of the config file)
+  const githubApp = {};
+  if (process.env.GITHUB_APP_ID) githubApp.appId = Number(process.env.GITHUB_APP_ID);
+  if (process.env.GITHUB_APP_PRIVATE_KEY_PATH) githubApp.privateKeyPath = process.env.GITHUB_APP_PRIVATE_KEY_PATH;
+  if (process.env.GITHUB_APP_INSTALLATION_ID) githubApp.installationId = Number(process.env.GITHUB_APP_INSTALLATION_ID);
+  if (Object.keys(githubApp).length > 0) {
+    config.githubApp = githubApp;
+  }
+
+  if (process.env.GITHUB_API_BASE_URL) config.githubApiBaseUrl = process.env.GITHUB_API_BASE_URL;
+
+  if (process.env.FORCE_REFRESH_REPOSITORIES) {
+    config.forceRefreshRepositories = process.env.FORCE_REFRESH_REPOSITORIES.split(',').map(repo => repo.trim());
+  }
+
+  if (process.env.METRIC_MODULES) {
+    config.metricModules = process.env.METRIC_MODULES.split(',').map(modulePath => modulePath.trim());
+  }
 
   // Handle metrics configuration from environment variables
-  if (process.env.ENABLED_METRICS) {
-    const enabledMetrics = process.env.ENABLED_METRICS.split(',').map(metric => metric.trim());
-    config.metrics = {
-      timeToFirstReview: {
-        enabled: enabledMetrics.includes('time_to_first_review'),
-        tableName: process.env.TIME_TO_FIRST_REVIEW_TABLE || 'pr_first_review'
-      },
-      timeToMerge: {
-        enabled: enabledMetrics.includes('time_to_merge'),
-        tableName: process.env.TIME_TO_MERGE_TABLE || 'pr_merge'
-      }
-    };
+  const enabledMetrics = parseEnabledMetrics();
+  if (enabledMetrics) {
+    config.metrics = Object.fromEntries(
+      getMetricDefinitions().map(definition => [definition.configKey, getEnvMetricConfig(definition, enabledMetrics)])
+    );
   }
 
   return config;
 };
 
+/**
+ * Validates the working calendar configuration
+ * @param {Object} workingCalendar - Working calendar configuration
+ * @returns {boolean} True if the working calendar configuration is valid, false otherwise
+ */
+const validateWorkingCalendar = (workingCalendar) => {
+  if (typeof workingCalendar !== 'object' || workingCalendar === null || Array.isArray(workingCalendar)) {
+    logger.error('workingCalendar must be an object');
+    return false;
+  }
+
+  const { weekendDays, businessHours, holidays, holidaysFilepath } = workingCalendar;
+
+  if (weekendDays !== undefined &&
+      (!Array.isArray(weekendDays) || weekendDays.some(day => !Number.isInteger(day) || day < 0 || day > 6))) {
+    logger.error('workingCalendar.weekendDays must be an array of days of the week (0 = Sunday to 6 = Saturday)');
+    return false;
+  }
+
+  if (businessHours) {
+    const timePattern = /^(([01]\d|2[0-3]):[0-5]\d|24:00)$/;
+    if (!timePattern.test(businessHours.start) || !timePattern.test(businessHours.end) ||
+        businessHours.start >= businessHours.end) {
+      logger.error('workingCalendar.businessHours must have start and end times in HH:MM format, with start before end');
+      return false;
+    }
+  }
+
+  if (holidays !== undefined &&
+      (!Array.isArray(holidays) || holidays.some(date => !/^\d{4}-\d{2}-\d{2}$/.test(date)))) {
+    logger.error('workingCalendar.holidays must be an array of dates in YYYY-MM-DD format');
+    return false;
+  }
+
+  if (holidaysFilepath !== undefined && typeof holidaysFilepath !== 'string') {
+    logger.error('workingCalendar.holidaysFilepath must be a file path');
+    return false;
+  }
+
+  return true;
+};
+
+/**
+ * Validates the overrides of a repository entry
+ * @param {Object} repository - Repository entry with a name and overrides
+ * @param {Object} metrics - Global metrics configuration
+ * @param {boolean} [hasMetricModules=false] - Whether metric modules are configured. Their metrics
+ *   are only known once the modules are loaded, so overrides of unknown metrics are checked then
+ *   (see validateRepositoryMetricOverrides)
+ * @returns {boolean} True if the overrides are valid, false otherwise
+ */
+const validateRepositoryOverrides = (repository, metrics, hasMetricModules = false) => {
+  const { name, targetBranch, lookbackDays, excludeBotReviews } = repository;
+
+  const unknownKeys = Object.keys(repository).filter(key => key !== 'name' && !REPOSITORY_OVERRIDE_KEYS.includes(key));
+  if (unknownKeys.length > 0) {
+    logger.error(`Repository ${name} has unsupported settings: ${unknownKeys.join(', ')}. Supported: ${REPOSITORY_OVERRIDE_KEYS.join(', ')}`);
+    return false;
+  }
+
+  if (targetBranch !== undefined && !isValidTargetBranch(targetBranch)) {
+    logger.error(`Repository ${name} has an invalid targetBranch. Must be a branch name or pattern, or a list of them`);
+    return false;
+  }
+
+  if (lookbackDays !== undefined && (!Number.isInteger(lookbackDays) || lookbackDays < 1)) {
+    logger.error(`Repository ${name} has an invalid lookbackDays: ${lookbackDays}. Must be a positive integer`);
+    return false;
+  }
+
+  if (excludeBotReviews !== undefined && typeof excludeBotReviews !== 'boolean') {
+    logger.error(`Repository ${name} has an invalid excludeBotReviews. Must be true or false`);
+    return false;
+  }
+
+  if (repository.metrics !== undefined) {
+    if (typeof repository.metrics !== 'object' || repository.metrics === null) {
+      logger.error(`Repository ${name} metrics must be an object`);
+      return false;
+    }
+
+    for (const [metricName, metricConfig] of Object.entries(repository.metrics)) {
+      if (!metrics[metricName] && !hasMetricModules) {
+        logger.error(`Repository ${name} overrides unknown metric ${metricName}`);
+        return false;
+      }
+      // Table names are shared by all repositories, so only enabled can be overridden
+      if (typeof metricConfig?.enabled !== 'boolean' || Object.keys(metricConfig).length !== 1) {
+        logger.error(`Repository ${name} metric ${metricName} may only set enabled to true or false`);
+        return false;
+      }
+    }
+
+    const enabled = Object.keys(metrics).some(metricName =>
+      (repository.metrics[metricName] || metrics[metricName]).enabled
+    );
+    if (!enabled) {
+      logger.error(`Repository ${name} must have at least one metric enabled`);
+      return false;
+    }
+  }
+
+  return true;
+};
+
+/**
+ * Validates the organizations to discover repositories in
+ * @param {*} organizations - organizations setting
+ * @returns {boolean} True if the organizations are valid, false otherwise
+ */
+const validateOrganizations = (organizations) => {
+  if (!Array.isArray(organizations) || organizations.length === 0) {
+    logger.error('organizations must be a non-empty array of organization names or objects');
+    return false;
+  }
+
+  const isStringList = value => Array.isArray(value) && value.every(item => typeof item === 'string' && item.trim() !== '');
+
+  for (const organization of organizations) {
+    const settings = getOrganizationSettings(organization);
+    if (!settings || typeof settings !== 'object' || typeof settings.name !== 'string' || settings.name.trim() === '') {
+      logger.error(`Invalid organization: ${JSON.stringify(organization)}. Must be a name or an object with a name`);
+      return false;
+    }
+
+    const { name } = settings;
+    const unknownKeys = Object.keys(settings).filter(key => !ORGANIZATION_KEYS.includes(key));
+    if (unknownKeys.length > 0) {
+      logger.error(`Organization ${name} has unsupported settings: ${unknownKeys.join(', ')}. Supported: ${ORGANIZATION_KEYS.join(', ')}`);
+      return false;
+    }
+
+    for (const key of ['include', 'exclude', 'topics']) {
+      if (settings[key] !== undefined && !isStringList(settings[key])) {
+        logger.error(`Organization ${name} has an invalid ${key}. Must be an array of strings`);
+        return false;
+      }
+    }
+
+    for (const key of ['includeArchived', 'includeForks']) {
+      if (settings[key] !== undefined && typeof settings[key] !== 'boolean') {
+        logger.error(`Organization ${name} has an invalid ${key}. Must be true or false`);
+        return false;
+      }
+    }
+  }
+
+  const names = organizations.map(organization => getOrganizationSettings(organization).name.toLowerCase());
+  const duplicates = names.filter((name, index) => names.indexOf(name) !== index);
+  if (duplicates.length > 0) {
+    logger.error(`Organizations are listed more than once: ${[...new Set(duplicates)].join(', ')}`);
+    return false;
+  }
+
+  return true;
+};
+
+/**
+ * Settings each sink type accepts besides its type
+ */
+const SINK_SETTING_KEYS = {
+  ...Object.fromEntries(FILE_SINK_TYPES.map(type => [type, ['directory']])),
+  postgres: ['connectionString', 'schema'],
+  prometheus: ['directory', 'pushgatewayUrl', 'job', 'buckets']
+};
+
+/**
+ * Validates the output sinks
+ * @param {*} sinks - sinks setting
+ * @returns {boolean} True if the sinks are valid, false otherwise
+ */
+const validateSinks = (sinks) => {
+  if (!Array.isArray(sinks) || sinks.length === 0) {
+    logger.error(`sinks must be a non-empty array of sink types or objects. Supported types: ${SINK_TYPES.join(', ')}`);
+    return false;
+  }
+
+  for (const sink of sinks) {
+    const settings = typeof sink === 'string' ? { type: sink } : sink;
+    if (!settings || typeof settings !== 'object' || !SINK_TYPES.includes(settings.type)) {
+      logger.error(`Invalid sink: ${JSON.stringify(sink)}. Type must be one of: ${SINK_TYPES.join(', ')}`);
+      return false;
+    }
+
+    // File sinks may set the directory they write to, the postgres sink its database
+    // and the prometheus sink its textfile directory or Pushgateway
+    const allowedKeys = ['type', ...(SINK_SETTING_KEYS[settings.type] || [])];
+    const unknownKeys = Object.keys(settings).filter(key => !allowedKeys.includes(key));
+    if (unknownKeys.length > 0) {
+      logger.error(`Sink ${settings.type} has unsupported settings: ${unknownKeys.join(', ')}`);
+      return false;
+    }
+    if (settings.directory !== undefined && (typeof settings.directory !== 'string' || settings.directory.trim() === '')) {
+      logger.error(`Sink ${settings.type} has an invalid directory. Must be a path`);
+      return false;
+    }
+    if (settings.pushgatewayUrl !== undefined && !/^https?:\/\/[^/]+/.test(settings.pushgatewayUrl)) {
+      logger.error(`Sink ${settings.type} has an invalid pushgatewayUrl: ${settings.pushgatewayUrl}. Must be an http(s) URL`);
+      return false;
+    }
+    if (settings.buckets !== undefined && (!Array.isArray(settings.buckets) || settings.buckets.length === 0 ||
+      !settings.buckets.every(bucket => Number.isFinite(bucket) && bucket > 0))) {
+      logger.error(`Sink ${settings.type} has invalid buckets. Must be a non-empty array of positive numbers of seconds`);
+      return false;
+    }
+    for (const key of ['connectionString', 'schema', 'job']) {
+      if (settings[key] !== undefined && (typeof settings[key] !== 'string' || settings[key].trim() === '')) {
+        logger.error(`Sink ${settings.type} has an invalid ${key}. Must be a non-empty string`);
+        return false;
+      }
+    }
+  }
+
+  return true;
+};
+
 /**
  * Validates the configuration
  * @param {Object} config - Configuration object
  * @returns {boolean} True if configuration is valid, false otherwise
  */
 const validateConfig = (config) => {
-  // Always required fields
-  const requiredFields = [
-    'repositories',
-    'githubToken'
-  ];
-
-  // Fields required only when not in print-only mode
-  if (!config.printOnly) {
+  // Always required fields; repositories may be discovered from organizations instead
+  // and a GitHub App may authenticate instead of a token
+  const requiredFields = [];
+  if (config.githubApp === undefined) {
+    requiredFields.push('githubToken');
+  }
+  if (config.organizations === undefined) {
+    requiredFields.unshift('repositories');
+  }
+
+  // Validate output sinks
+  if (config.sinks !== undefined && !validateSinks(config.sinks)) {
+    return false;
+  }
+
+  // Fields required only when metrics or sync state are stored in BigQuery
+  if (usesBigQuerySink(config) || (!config.printOnly && config.stateStore?.type === 'bigquery')) {
     requiredFields.push('serviceAccountKeyPath');
   }
 
@@ -137,22 +489,203 @@ const validateConfig = (config) => {
     return false;
   }
 
+  // Validate organizations
+  if (config.organizations !== undefined && !validateOrganizations(config.organizations)) {
+    return false;
+  }
+
   // Validate repositories array
-  if (!Array.isArray(config.repositories) || config.repositories.length === 0) {
+  if (config.organizations === undefined && (!Array.isArray(config.repositories) || config.repositories.length === 0)) {
     logger.error('Configuration must include at least one repository');
     return false;
   }
+  if (config.repositories !== undefined && !Array.isArray(config.repositories)) {
+    logger.error('repositories must be an array of repositories');
+    return false;
+  }
+  const configuredRepositories = config.repositories || [];
 
   // Validate repository format (owner/repo)
-  const invalidRepos = config.repositories.filter(repo => {
-    return typeof repo !== 'string' || !repo.includes('/');
+  const invalidRepos = configuredRepositories.filter(repo => {
+    const name = getRepositoryName(repo);
+    return typeof name !== 'string' || !name.includes('/');
   });
 
   if (invalidRepos.length > 0) {
-    logger.error(`Invalid repository format: ${invalidRepos.join(', ')}`);
+    logger.error(`Invalid repository format: ${invalidRepos.map(repo => JSON.stringify(repo)).join(', ')}`);
     return false;
   }
 
+  // Validate per-repository overrides
+  const repositoryEntries = configuredRepositories.filter(entry => typeof entry !== 'string');
+  const hasMetricModules = Array.isArray(config.metricModules) && config.metricModules.length > 0;
+  if (repositoryEntries.some(entry => !validateRepositoryOverrides(entry, config.metrics || {}, hasMetricModules))) {
+    return false;
+  }
+
+  const repositoryNames = configuredRepositories.map(getRepositoryName);
+  const duplicateRepos = repositoryNames.filter((name, index) => repositoryNames.indexOf(name) !== index);
+  if (duplicateRepos.length > 0) {
+    logger.error(`Repositories are listed more than once: ${[...new Set(duplicateRepos)].join(', ')}`);
+    return false;
+  }
+
+  // Validate target branches
+  if (config.targetBranch !== undefined && !isValidTargetBranch(config.targetBranch)) {
+    logger.error('targetBranch must be a branch name or pattern, or a list of them');
+    return false;
+  }
+
+  // Validate extra metric modules
+  if (config.metricModules !== undefined &&
+      (!Array.isArray(config.metricModules) || config.metricModules.some(modulePath => typeof modulePath !== 'string'))) {
+    logger.error('metricModules must be an array of file paths');
+    return false;
+  }
+
+  // Validate working calendar
+  if (config.workingCalendar !== undefined && !validateWorkingCalendar(config.workingCalendar)) {
+    return false;
+  }
+
+  // Validate timezone settings
+  if (config.defaultTimezone !== undefined && !isValidTimezone(config.defaultTimezone)) {
+    logger.error(`Invalid defaultTimezone: ${config.defaultTimezone}`);
+    return false;
+  }
+
+  if (config.userTimezonesFilepath !== undefined && typeof config.userTimezonesFilepath !== 'string') {
+    logger.error('userTimezonesFilepath must be a file path');
+    return false;
+  }
+
+  // Validate upload mode
+  if (config.uploadMode !== undefined && !UPLOAD_MODES.includes(config.uploadMode)) {
+    logger.error(`Invalid uploadMode: ${config.uploadMode}. Must be one of: ${UPLOAD_MODES.join(', ')}`);
+    return false;
+  }
+
+  // Validate GitHub API
+  if (config.githubApi !== undefined && !GITHUB_APIS.includes(config.githubApi)) {
+    logger.error(`Invalid githubApi: ${config.githubApi}. Must be one of: ${GITHUB_APIS.join(', ')}`);
+    return false;
+  }
+
+  // Validate concurrency limits
+  const invalidConcurrency = ['repositoryConcurrency', 'pullRequestConcurrency'].find(key =>
+    config[key] !== undefined && (!Number.isInteger(config[key]) || config[key] < 1)
+  );
+  if (invalidConcurrency) {
+    logger.error(`Invalid ${invalidConcurrency}: ${config[invalidConcurrency]}. Must be a positive integer`);
+    return false;
+  }
+
+  // Validate GitHub retry settings
+  if (config.githubRetry !== undefined) {
+    if (typeof config.githubRetry !== 'object' || config.githubRetry === null) {
+      logger.error('githubRetry must be an object');
+      return false;
+    }
+    const invalidSetting = ['maxRetries', 'baseDelayMs', 'maxDelayMs', 'maxRateLimitWaitSeconds'].find(key =>
+      config.githubRetry[key] !== undefined && (!Number.isInteger(config.githubRetry[key]) || config.githubRetry[key] < 0)
+    );
+    if (invalidSetting) {
+      logger.error(`Invalid githubRetry.${invalidSetting}: ${config.githubRetry[invalidSetting]}. Must be a non-negative integer`);
+      return false;
+    }
+  }
+
+  // Validate GitHub App settings
+  if (config.githubApp !== undefined) {
+    if (typeof config.githubApp !== 'object' || config.githubApp === null) {
+      logger.error('githubApp must be an object');
+      return false;
+    }
+    const invalidSetting = ['appId', 'installationId'].find(key =>
+      !Number.isInteger(config.githubApp[key]) || config.githubApp[key] < 1
+    );
+    if (invalidSetting) {
+      logger.error(`Invalid githubApp.${invalidSetting}: ${config.githubApp[invalidSetting]}. Must be a positive integer`);
+      return false;
+    }
+    if (typeof config.githubApp.privateKeyPath !== 'string' || config.githubApp.privateKeyPath.trim() === '') {
+      logger.error('githubApp.privateKeyPath must be the path to the app\'s private key file');
+      return false;
+    }
+  }
+
+  // Validate GitHub API URL
+  if (config.githubApiBaseUrl !== undefined && !/^https?:\/\/[^/]+/.test(config.githubApiBaseUrl)) {
+    logger.error(`Invalid githubApiBaseUrl: ${config.githubApiBaseUrl}. Must be an http(s) URL such as https://github.example.com/api/v3`);
+    return false;
+  }
+
+  if (config.reportFilepath !== undefined && (typeof config.reportFilepath !== 'string' || config.reportFilepath.trim() === '')) {
+    logger.error(`Invalid reportFilepath: ${config.reportFilepath}. Must be a file path`);
+    return false;
+  }
+
+  if (config.summaryPercentiles !== undefined && (
+    !Array.isArray(config.summaryPercentiles) ||
+    config.summaryPercentiles.length === 0 ||
+    config.summaryPercentiles.some(percentile => typeof percentile !== 'number' || !(percentile > 0 && percentile <= 100))
+  )) {
+    logger.error(`Invalid summaryPercentiles: ${config.summaryPercentiles}. Must be a non-empty array of numbers above 0 and up to 100`);
+    return false;
+  }
+
+  if (config.prometheusPushgatewayUrl !== undefined && !/^https?:\/\/[^/]+/.test(config.prometheusPushgatewayUrl)) {
+    logger.error(`Invalid prometheusPushgatewayUrl: ${config.prometheusPushgatewayUrl}. Must be an http(s) URL such as http://pushgateway:9091`);
+    return false;
+  }
+
+  if (config.postgresSchema !== undefined && (typeof config.postgresSchema !== 'string' || config.postgresSchema.trim() === '')) {
+    logger.error(`Invalid postgresSchema: ${config.postgresSchema}. Must be a non-empty string`);
+    return false;
+  }
+
+  // Validate backfill settings
+  if (config.backfillChunkDays !== undefined &&
+      (!Number.isInteger(config.backfillChunkDays) || config.backfillChunkDays < 1)) {
+    logger.error(`Invalid backfillChunkDays: ${config.backfillChunkDays}. Must be a positive integer`);
+    return false;
+  }
+
+  if (config.backfillCheckpointFilepath !== undefined && typeof config.backfillCheckpointFilepath !== 'string') {
+    logger.error('backfillCheckpointFilepath must be a file path');
+    return false;
+  }
+
+  // Validate state store settings
+  if (config.stateStore !== undefined) {
+    if (typeof config.stateStore !== 'object' || config.stateStore === null) {
+      logger.error('stateStore must be an object');
+      return false;
+    }
+    if (config.stateStore.type !== undefined && !STATE_STORE_TYPES.includes(config.stateStore.type)) {
+      logger.error(`Invalid stateStore type: ${config.stateStore.type}. Must be one of: ${STATE_STORE_TYPES.join(', ')}`);
+      return false;
+    }
+  }
+
+  // Force refresh only applies to tracked repositories, so a typo can't silently do nothing.
+  // Repositories of configured organizations are only known after discovery and are accepted.
+  if (config.forceRefreshRepositories !== undefined) {
+    if (!Array.isArray(config.forceRefreshRepositories)) {
+      logger.error('forceRefreshRepositories must be an array of repositories');
+      return false;
+    }
+    const organizationNames = (config.organizations || []).map(org => getOrganizationSettings(org).name.toLowerCase());
+    const untracked = config.forceRefreshRepositories.filter(repo =>
+      !repositoryNames.some(name => isSameRepository(name, repo)) &&
+      !organizationNames.includes(repo.split('/')[0].toLowerCase())
+    );
+    if (untracked.length > 0) {
+      logger.error(`forceRefreshRepositories contains repositories that are not tracked: ${untracked.join(', ')}`);
+      return false;
+    }
+  }
+
   // Validate metrics configuration
   if (!config.metrics || typeof config.metrics !== 'object') {
     logger.error('Configuration must include metrics configuration');
@@ -198,6 +731,26 @@ export const loadConfig = (configPath = 'config.json') => {
     ...envConfig
   };
 
+  // Working calendar settings from the environment override individual file settings
+  if (fileConfig.workingCalendar && envConfig.workingCalendar) {
+    config.workingCalendar = { ...fileConfig.workingCalendar, ...envConfig.workingCalendar };
+  }
+
+  // State store settings from the environment override individual file settings
+  if (fileConfig.stateStore && envConfig.stateStore) {
+    config.stateStore = { ...fileConfig.stateStore, ...envConfig.stateStore };
+  }
+
+  // GitHub retry settings from the environment override individual file settings
+  if (fileConfig.githubRetry && envConfig.githubRetry) {
+    config.githubRetry = { ...fileConfig.githubRetry, ...envConfig.githubRetry };
+  }
+
+  // GitHub App settings from the environment override individual file settings
+  if (fileConfig.githubApp && envConfig.githubApp) {
+    config.githubApp = { ...fileConfig.githubApp, ...envConfig.githubApp };
+  }
+
   // Filter out undefined values
   Object.keys(config).forEach(key => {
     if (config[key] === undefined) {
@@ -212,23 +765,82 @@ export const loadConfig = (configPath = 'config.json') => {
     throw new Error('Invalid configuration');
   }
 
+  // Repository entries may be objects with overrides; keep the names in repositories
+  const { repositories, repositoryOverrides } = normalizeRepositories(config.repositories || []);
+  config.repositories = repositories;
+  if (Object.keys(repositoryOverrides).length > 0) {
+    config.repositoryOverrides = repositoryOverrides;
+  }
+
   logger.info('Configuration loaded successfully', {
     repositories: config.repositories,
+    ...(config.organizations && { organizations: config.organizations }),
+    githubAuth: config.githubApp ? 'app' : 'token',
+    ...(config.githubApiBaseUrl && { githubApiBaseUrl: config.githubApiBaseUrl }),
     targetBranch: config.targetBranch,
     printOnly: config.printOnly,
     metrics: Object.fromEntries(
       Object.entries(config.metrics).map(([key, value]) => [key, { enabled: value.enabled, tableName: value.tableName }])
     ),
-    ...(config.printOnly ? {} : {
+    sinks: getSinkSettings(config).map(sink => sink.type),
+    ...(usesBigQuerySink(config) && {
       bigQueryDatasetId: config.bigQueryDatasetId
     })
   });
 
+  // Log the effective settings of each repository, with its overrides applied
+  for (const repository of config.repositories) {
+    logger.info(`Configuration for ${repository}`, describeRepositoryConfig(config, repository));
+  }
+
   return config;
 };
 
+/**
+ * Adds config entries for metrics registered after the configuration was loaded,
+ * such as those of metric modules. Like built-in metrics, they get their default
+ * entry or the one selected by ENABLED_METRICS; configured entries are kept.
+ * @param {Object} metrics - Metrics configuration keyed by configKey
+ * @param {Array<Object>} definitions - Metric definitions
+ * @returns {Object} Metrics configuration with an entry for every definition
+ */
+export const addMetricDefaults = (metrics, definitions) => {
+  const enabledMetrics = parseEnabledMetrics();
+  const missing = definitions.filter(definition => !metrics[definition.configKey]);
+
+  return {
+    ...metrics,
+    ...Object.fromEntries(missing.map(definition => [
+      definition.configKey,
+      enabledMetrics ? getEnvMetricConfig(definition, enabledMetrics) : getDefaultMetricConfig(definition)
+    ]))
+  };
+};
+
+/**
+ * Checks that the metric overrides of every repository name a configured metric.
+ * Run once metric modules are loaded and their metrics are configured.
+ * @param {Object} config - Configuration object with metrics and repositoryOverrides
+ * @returns {boolean} True if all metric overrides are known, false otherwise
+ */
+export const validateRepositoryMetricOverrides = (config) => {
+  const unknownOverrides = Object.entries(config.repositoryOverrides || {}).flatMap(([name, overrides]) =>
+    Object.keys(overrides.metrics || {})
+      .filter(metricName => !config.metrics[metricName])
+      .map(metricName => `${name} (${metricName})`)
+  );
+
+  if (unknownOverrides.length > 0) {
+    logger.error(`Repositories override unknown metrics: ${unknownOverrides.join(', ')}`);
+    return false;
+  }
+  return true;
+};
+
 export { validateConfig };
 
 export default {
-  loadConfig
+  loadConfig,
+  addMetricDefaults,
+  validateRepositoryMetricOverrides
 };
@@ -0,0 +1,209 @@
+/**
+ * Console summaries for engineering metrics collector
+ * Describes the distribution of a metric type's durations in plain text for
+ * print-only runs: median, percentiles, min/max, mean and standard deviation,
+ * an ASCII histogram of duration buckets, and the same statistics broken down
+ * by repository, creator and user group.
+ */
+
+import { getMetricDefinition, formatDuration, METRIC_SOURCES } from './metric-registry.js';
+import { getGroupsByUsername, getUserGroupsOf } from './user-group-client.js';
+import { DEFAULT_DURATION_BUCKETS, describeDurations, getHistogram } from './statistics.js';
+
+/**
+ * Percentiles shown next to the median, between 0 and 100
+ */
+export const DEFAULT_SUMMARY_PERCENTILES = [75, 90, 95];
+
+/**
+ * Width of the longest histogram bar, in characters
+ */
+export const HISTOGRAM_WIDTH = 40;
+
+/**
+ * Units used for short durations, largest first
+ */
+const DURATION_UNITS = [['d', 86400], ['h', 3600], ['m', 60], ['s', 1]];
+
+/**
+ * Formats a duration with its two largest units, for table cells
+ * @param {number} totalSeconds - Duration in seconds
+ * @returns {string} Formatted duration (e.g. "2d 4h", "3h 5m", "45s")
+ */
+export const formatShortDuration = (totalSeconds) => {
+  const seconds = Math.floor(totalSeconds);
+  const largestUnit = DURATION_UNITS.findIndex(([, unitSeconds]) => seconds >= unitSeconds);
+  const index = largestUnit === -1 ? DURATION_UNITS.length - 1 : largestUnit;
+  const [unit, unitSeconds] = DURATION_UNITS[index];
+  const parts = [`${Math.floor(seconds / unitSeconds)}${unit}`];
+  if (index < DURATION_UNITS.length - 1) {
+    const [nextUnit, nextUnitSeconds] = DURATION_UNITS[index + 1];
+    parts.push(`${Math.floor((seconds % unitSeconds) / nextUnitSeconds)}${nextUnit}`);
+  }
+  return parts.join(' ');
+};
+
+/**
+ * Formats a histogram bucket bound with the largest unit that divides it
+ * @param {number} seconds - Bound in seconds
+ * @returns {string} Formatted bound (e.g. "4h", "14d")
+ */
+const formatBound = (seconds) => {
+  const [unit, unitSeconds] = DURATION_UNITS.find(([, candidate]) => seconds % candidate === 0) || ['s', 1];
+  return `${seconds / unitSeconds}${unit}`;
+};
+
+/**
+ * Formats the range of a histogram bucket
+ * @param {{lower: number, upper: number}} bucket - Histogram bucket
+ * @returns {string} Range (e.g. "<= 1h", "1h - 4h", "> 30d")
+ */
+const formatBucketRange = ({ lower, upper }) => {
+  if (lower === -Infinity) return `<= ${formatBound(upper)}`;
+  if (upper === Infinity) return `> ${formatBound(lower)}`;
+  return `${formatBound(lower)} - ${formatBound(upper)}`;
+};
+
+/**
+ * Formats a plain-text table with padded columns; the first column is
+ * left-aligned and the others right-aligned
+ * @param {Array<string>} headers - Column headers
+ * @param {Array<Array<*>>} rows - Rows of cell values
+ * @returns {Array<string>} Table lines, indented by two spaces
+ */
+const formatTextTable = (headers, rows) => {
+  const cells = [headers, ...rows].map(row => row.map(String));
+  const widths = headers.map((header, index) => Math.max(...cells.map(row => row[index].length)));
+  return cells.map(row => `  ${row.map((cell, index) => (index === 0 ? cell.padEnd(widths[index]) : cell.padStart(widths[index]))).join('  ')}`.trimEnd());
+};
+
+/**
+ * Gets the percentile label of a column
+ * @param {number} percentile - Percentile between 0 and 100
+ * @returns {string} Label (e.g. "p90")
+ */
+const getPercentileLabel = (percentile) => `p${percentile}`;
+
+/**
+ * Formats the ASCII histogram of durations, from the first to the last non-empty bucket
+ * @param {Array<number>} durations - Durations in seconds
+ * @param {Array<number>} buckets - Bucket upper bounds in seconds
+ * @returns {Array<string>} Histogram lines
+ */
+const formatHistogram = (durations, buckets) => {
+  const histogram = getHistogram(durations, buckets);
+  const first = histogram.findIndex(bucket => bucket.count > 0);
+  const last = histogram.findLastIndex(bucket => bucket.count > 0);
+  const shown = histogram.slice(first, last + 1);
+  const maxCount = Math.max(...shown.map(bucket => bucket.count));
+  const rangeWidth = Math.max(...shown.map(bucket => formatBucketRange(bucket).length));
+
+  return shown.map(bucket => {
+    // Non-empty buckets get at least one character, so they can't be mistaken for empty ones
+    const barLength = bucket.count > 0 ? Math.max(Math.round((bucket.count / maxCount) * HISTOGRAM_WIDTH), 1) : 0;
+    const share = Math.round((bucket.count / durations.length) * 100);
+    return `  ${formatBucketRange(bucket).padEnd(rangeWidth)} | ${'#'.repeat(barLength).padEnd(HISTOGRAM_WIDTH)} | ${bucket.count} (${share}%)`;
+  });
+};
+
+/**
+ * Formats a breakdown table of durations by key. A metric can count under several keys.
+ * @param {string} title - Column header of the keys
+ * @param {Map<string, Array<number>>} durationsByKey - Durations in seconds by key
+ * @param {Array<number>} percentiles - Percentiles between 0 and 100
+ * @returns {Array<string>} Table lines
+ */
+const formatBreakdown = (title, durationsByKey, percentiles) => {
+  const rows = [...durationsByKey.keys()].sort().map(key => {
+    const stats = describeDurations(durationsByKey.get(key), percentiles.map(percentile => percentile / 100));
+    return [
+      key,
+      stats.count,
+      formatShortDuration(stats.median),
+      ...stats.quantiles.map(formatShortDuration),
+      formatShortDuration(stats.min),
+      formatShortDuration(stats.max),
+      formatShortDuration(stats.mean),
+      formatShortDuration(stats.standardDeviation)
+    ];
+  });
+
+  return formatTextTable([title, 'Count', 'Median', ...percentiles.map(getPercentileLabel), 'Min', 'Max', 'Mean', 'Std Dev'], rows);
+};
+
+/**
+ * Groups durations by the keys of each metric
+ * @param {Array<{metric: Object, duration: number}>} entries - Metrics with their durations
+ * @param {Function} getKeys - Returns the keys of a metric
+ * @returns {Map<string, Array<number>>} Durations by key
+ */
+const groupDurationsBy = (entries, getKeys) => {
+  const durationsByKey = new Map();
+  for (const { metric, duration } of entries) {
+    for (const key of getKeys(metric)) {
+      durationsByKey.set(key, [...(durationsByKey.get(key) || []), duration]);
+    }
+  }
+  return durationsByKey;
+};
+
+/**
+ * Formats the distribution of the durations of metrics of one type
+ * @param {Array} metrics - Metrics of a single metric type
+ * @param {Object} [options] - Summary options
+ * @param {Array<number>} [options.percentiles=DEFAULT_SUMMARY_PERCENTILES] - Percentiles between 0 and 100 shown next to the median
+ * @param {Array<{group: string, username: string}>} [options.userGroups=[]] - User group mappings; without them, no group breakdown is shown
+ * @param {Array<number>} [options.buckets=DEFAULT_DURATION_BUCKETS] - Histogram bucket bounds in seconds
+ * @returns {Array<string>} Summary lines; none if no metric has a duration
+ */
+export const formatDurationSummary = (metrics, {
+  percentiles = DEFAULT_SUMMARY_PERCENTILES,
+  userGroups = [],
+  buckets = DEFAULT_DURATION_BUCKETS
+} = {}) => {
+  const entries = metrics
+    .map(metric => ({ metric, duration: metric[getMetricDefinition(metric.metricType)?.durationField] }))
+    .filter(({ duration }) => typeof duration === 'number');
+  if (entries.length === 0) {
+    return [];
+  }
+
+  const durations = entries.map(({ duration }) => duration);
+  const stats = describeDurations(durations, percentiles.map(percentile => percentile / 100));
+  const getCreator = (metric) => (getMetricDefinition(metric.metricType)?.source === METRIC_SOURCES.ISSUE ? metric.issueCreator : metric.prCreator);
+
+  const lines = [
+    `Median Time: ${formatDuration(stats.median)} (${Math.floor(stats.median)} seconds)`,
+    `Percentiles: ${percentiles.map((percentile, index) => `${getPercentileLabel(percentile)} ${formatDuration(stats.quantiles[index])}`).join(', ')}`,
+    `Min / Max: ${formatDuration(stats.min)} / ${formatDuration(stats.max)}`,
+    `Standard Deviation: ${formatDuration(stats.standardDeviation)} (${Math.floor(stats.standardDeviation)} seconds)`,
+    '',
+    'Distribution:',
+    ...formatHistogram(durations, buckets),
+    '',
+    'By repository:',
+    ...formatBreakdown('Repository', groupDurationsBy(entries, metric => [metric.repository]), percentiles),
+    '',
+    'By creator:',
+    ...formatBreakdown('Creator', groupDurationsBy(entries, metric => [getCreator(metric)]), percentiles)
+  ];
+
+  // A metric counts once in each of its creator's user groups
+  if (userGroups.length > 0) {
+    const groupsByUsername = getGroupsByUsername(userGroups);
+    lines.push(
+      '',
+      'By user group:',
+      ...formatBreakdown('User Group', groupDurationsBy(entries, metric => getUserGroupsOf(groupsByUsername, getCreator(metric))), percentiles)
+    );
+  }
+
+  return lines;
+};
+
+export default {
+  DEFAULT_SUMMARY_PERCENTILES,
+  HISTOGRAM_WIDTH,
+  formatShortDuration,
+  formatDurationSummary
+};
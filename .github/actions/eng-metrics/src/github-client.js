@@ -3,8 +3,17 @@
  * Handles interactions with the GitHub API using Octokit.js
  */
 
-import { Octokit } from 'octokit';
 import logger from './logger.js';
+import { createOctokit } from './github-request.js';
+import { getApiBranchFilter, matchesTargetBranch } from './repository-config.js';
+import { WorkingCalendar } from './working-calendar.js';
+import {
+  PULL_REQUESTS_PAGE_SIZE,
+  PULL_REQUESTS_QUERY,
+  toRestPullRequest,
+  toRestTimelineEvents,
+  toRestReviewEvents
+} from './github-graphql.js';
 
 /**
  * Identifies if a GitHub user is likely a bot
@@ -58,32 +67,149 @@ function identifyBotUser(user) {
   return botIndicators;
 }
 
+/**
+ * Normalized GitHub Projects status names used by the sprint boards
+ */
+const PROJECT_STATUS = {
+  IN_PROGRESS: 'in progress',
+  AWAITING_QA: 'awaiting qa',
+  READY_FOR_RELEASE: 'ready for release'
+};
+
+/**
+ * Review states that hand a PR back to its author. Pending and dismissed reviews are ignored.
+ */
+const SUBMITTED_REVIEW_STATES = ['APPROVED', 'CHANGES_REQUESTED', 'COMMENTED'];
+
+/**
+ * Timeline events that show the author responding to review feedback.
+ * Review requests only count when the author made them, since reviewers,
+ * CODEOWNERS and bots request reviews too.
+ */
+const AUTHOR_RESPONSE_EVENTS = ['committed', 'head_ref_force_pushed', 'review_requested', 'ready_for_review'];
+
+/**
+ * Checks whether a GitHub Projects status column matches an expected status.
+ * Column names may carry emoji or numbering (e.g. "✔️Awaiting QA"), so only
+ * letters, digits and spaces are compared, case-insensitively.
+ * @param {string} status - Status column name from GitHub Projects
+ * @param {string} expected - Normalized status name (see PROJECT_STATUS)
+ * @returns {boolean} True if the status matches
+ */
+function matchesProjectStatus(status, expected) {
+  if (!status) {
+    return false;
+  }
+  const normalized = status.toLowerCase().replace(/[^a-z0-9 ]/g, '').replace(/\s+/g, ' ').trim();
+  return normalized.includes(expected);
+}
+
+/**
+ * GraphQL selection of a page of GitHub Projects (v2) status changes of an issue
+ */
+const PROJECT_STATUS_CHANGES_FIELDS = `
+            pageInfo {
+              hasNextPage
+              endCursor
+            }
+            nodes {
+              ... on ProjectV2ItemStatusChangedEvent {
+                createdAt
+                previousStatus
+                status
+                project {
+                  number
+                  title
+                }
+              }
+            }`;
+
+/**
+ * GraphQL query for issues updated in a repository, including their
+ * GitHub Projects (v2) status change history
+ */
+const PROJECT_ISSUES_QUERY = `
+  query($searchQuery: String!, $cursor: String) {
+    search(query: $searchQuery, type: ISSUE, first: 50, after: $cursor) {
+      pageInfo {
+        hasNextPage
+        endCursor
+      }
+      nodes {
+        ... on Issue {
+          number
+          url
+          title
+          createdAt
+          author {
+            login
+          }
+          timelineItems(itemTypes: [PROJECT_V2_ITEM_STATUS_CHANGED_EVENT], first: 100) {${PROJECT_STATUS_CHANGES_FIELDS}
+          }
+        }
+      }
+    }
+  }
+`;
+
+/**
+ * GraphQL query for the status changes of an issue after a cursor, for issues
+ * with more status changes than PROJECT_ISSUES_QUERY returns
+ */
+const ISSUE_STATUS_CHANGES_QUERY = `
+  query($owner: String!, $repo: String!, $number: Int!, $cursor: String) {
+    repository(owner: $owner, name: $repo) {
+      issue(number: $number) {
+        timelineItems(itemTypes: [PROJECT_V2_ITEM_STATUS_CHANGED_EVENT], first: 100, after: $cursor) {${PROJECT_STATUS_CHANGES_FIELDS}
+        }
+      }
+    }
+  }
+`;
+
 /**
  * GitHub client class
  */
 export class GitHubClient {
   /**
    * Creates a new GitHub client
-   * @param {string} token - GitHub API token
+   * @param {string} [token] - GitHub API token, not needed when authenticating as a GitHub App
+   * @param {Object} [options] - Client options
+   * @param {Object} [options.app] - GitHub App installation to authenticate as (see getAuthOptions)
+   * @param {string} [options.baseUrl] - REST API URL for GitHub Enterprise Server
+   * @param {WorkingCalendar} [options.workingCalendar] - Calendar used for duration calculations (weekends excluded by default)
+   * @param {Object<string, string>} [options.userTimezones] - Map of lowercased GitHub username to IANA timezone
+   * @param {string} [options.defaultTimezone='UTC'] - Timezone for users without a known timezone
+   * @param {Object} [options.retry] - Retry settings for GitHub requests (see DEFAULT_RETRY_OPTIONS)
    */
-  constructor(token) {
-    if (!token) {
-      throw new Error('GitHub token is required');
+  constructor(token, options = {}) {
+    if (!token && !options.app) {
+      throw new Error('GitHub token is required unless a GitHub App is configured');
     }
     this.octokit = null;
-    this.initialize(token);
+    this.workingCalendar = options.workingCalendar || new WorkingCalendar();
+    this.userTimezones = options.userTimezones || {};
+    this.defaultTimezone = options.defaultTimezone || 'UTC';
+    this.usersWithoutTimezone = new Set();
+    this.retryOptions = options.retry || {};
+    this.initialize(token, options);
   }
 
   /**
    * Initializes the GitHub client
-   * @param {string} token - GitHub API token
+   * @param {string} [token] - GitHub API token
+   * @param {Object} [options] - Client options with app and baseUrl
    */
-  initialize(token) {
+  initialize(token, options = {}) {
     try {
-      this.octokit = new Octokit({
-        auth: token
+      this.octokit = createOctokit({ token, app: options.app }, {
+        baseUrl: options.baseUrl,
+        retry: this.retryOptions
+      });
+      logger.info('GitHub client initialized', {
+        auth: options.app ? `GitHub App ${options.app.appId} (installation ${options.app.installationId})` : 'token',
+        baseUrl: options.baseUrl || 'https://api.github.com'
       });
-      logger.info('GitHub client initialized');
     } catch (err) {
       logger.error('Failed to initialize GitHub client', err);
       throw err;
@@ -91,12 +217,39 @@ export class GitHubClient {
   }
 
   /**
-   * Fetches pull requests for a repository
+   * Fetches all repositories of an organization
+   * @param {string} org - Organization name
+   * @returns {Promise<Array>} Repositories, including archived ones and forks
+   */
+  async fetchOrganizationRepositories(org) {
+    try {
+      logger.info(`Fetching repositories of ${org}`);
+
+      const repositories = await this.octokit.paginate(this.octokit.rest.repos.listForOrg, {
+        org,
+        type: 'all',
+        per_page: 100
+      });
+
+      logger.info(`Fetched ${repositories.length} repositories of ${org}`);
+      return repositories;
+    } catch (err) {
+      logger.error(`Error fetching repositories of ${org}`, err);
+      throw err;
+    }
+  }
+
+  /**
+   * Fetches pull requests for a repository.
+   * A single target branch is filtered by the API; several branches or patterns are
+   * matched after fetching. Either way the time cutoff alone decides when paging stops:
+   * PRs are listed by update time, newest first, and paging stops at the first page
+   * that reaches PRs updated before the date.
    * @param {string} owner - Repository owner
    * @param {string} repo - Repository name
    * @param {string} state - PR state (open, closed, all)
    * @param {Date} since - Fetch PRs updated since this date
-   * @param {string} targetBranch - Target branch to filter PRs by
+   * @param {string|Array<string>} targetBranch - Target branch, glob pattern or a list of them
    * @returns {Array} Array of pull requests
    */
   async fetchPullRequests(owner, repo, state = 'all', since, targetBranch = 'main') {
@@ -105,6 +258,7 @@ export class GitHubClient {
 
       // GitHub API returns paginated results, so we need to fetch all pages
       const pullRequests = [];
+      const base = getApiBranchFilter(targetBranch);
       let page = 1;
       let hasMorePages = true;
 
@@ -113,52 +267,175 @@ export class GitHubClient {
           owner,
           repo,
           state,
+          ...(base && { base }),
           sort: 'updated',
           direction: 'desc',
           per_page: 100,
           page
         });
 
-        // Filter PRs by update date and target branch
-        const filteredPRs = response.data.filter(pr => {
-          const prUpdatedAt = new Date(pr.updated_at);
-          return prUpdatedAt >= since && pr.base.ref === targetBranch;
+        // The time cutoff decides when to stop paging; the branch check only filters
+        const recentPRs = response.data.filter(pr => new Date(pr.updated_at) >= since);
+        pullRequests.push(...recentPRs.filter(pr => matchesTargetBranch(pr.base.ref, targetBranch)));
+
+        // Stop at the last page or once the page reaches PRs updated before the date
+        hasMorePages = response.data.length === 100 && recentPRs.length === response.data.length;
+        page++;
+      }
+
+      logger.info(`Fetched ${pullRequests.length} PRs for ${owner}/${repo}`);
+      return pullRequests;
+    } catch (err) {
+      logger.error(`Error fetching PRs for ${owner}/${repo}`, err);
+
+      throw err;
+    }
+  }
+
+  /**
+   * Fetches pull requests updated since a date together with their timeline and review
+   * events using GraphQL, instead of one timeline and one review request per PR.
+   * PRs with more than 100 ready-for-review events or reviews fall back to REST for those.
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @param {Date} since - Fetch PRs updated since this date
+   * @param {string|Array<string>} targetBranch - Target branch, glob pattern or a list of them
+   * @returns {Promise<Array<{pr: Object, timelineEvents: Array, reviewEvents: Array}>>} PRs and their events in the REST shapes
+   */
+  async fetchPullRequestsWithActivity(owner, repo, since, targetBranch = 'main') {
+    try {
+      logger.info(`Fetching PRs with activity for ${owner}/${repo} since ${since.toISOString()} using GraphQL`);
+
+      const pullRequests = [];
+      let cursor = null;
+      let hasMorePages = true;
+
+      while (hasMorePages) {
+        const response = await this.octokit.graphql(PULL_REQUESTS_QUERY, {
+          owner,
+          repo,
+          baseRefName: getApiBranchFilter(targetBranch),
+          pageSize: PULL_REQUESTS_PAGE_SIZE,
+          cursor
         });
+        const { nodes, pageInfo } = response.repository.pullRequests;
 
-        if (filteredPRs.length > 0) {
-          pullRequests.push(...filteredPRs);
-          page++;
-        } else {
-          hasMorePages = false;
-        }
+        // PRs are ordered by update time, so stop at the first one updated before the date
+        const recentNodes = nodes.filter(node => new Date(node.updatedAt) >= since);
 
-        // If we got fewer results than the page size, there are no more pages
-        if (response.data.length < 100) {
-          hasMorePages = false;
+        for (const node of recentNodes.filter(node => matchesTargetBranch(node.baseRefName, targetBranch))) {
+          const timelineEvents = node.timelineItems.pageInfo.hasNextPage
+            ? await this.fetchPRTimelineEvents(owner, repo, node.number)
+            : toRestTimelineEvents(node);
+          const reviewEvents = node.reviews.pageInfo.hasNextPage
+            ? await this.fetchPRReviewEvents(owner, repo, node.number)
+            : toRestReviewEvents(node);
+
+          pullRequests.push({ pr: toRestPullRequest(node), timelineEvents, reviewEvents });
         }
+
+        hasMorePages = pageInfo.hasNextPage && recentNodes.length === nodes.length;
+        cursor = pageInfo.endCursor;
       }
 
-      logger.info(`Fetched ${pullRequests.length} PRs for ${owner}/${repo}`);
+      logger.info(`Fetched ${pullRequests.length} PRs with activity for ${owner}/${repo}`);
       return pullRequests;
     } catch (err) {
-      logger.error(`Error fetching PRs for ${owner}/${repo}`, err);
+      logger.error(`Error fetching PRs with activity for ${owner}/${repo}`, err);
+      throw err;
+    }
+  }
 
-      // Implement basic retry for rate limiting
-      if (err.status === 403 && err.response?.headers?.['x-ratelimit-remaining'] === '0') {
-        const resetTime = parseInt(err.response.headers['x-ratelimit-reset'], 10) * 1000;
-        const waitTime = resetTime - Date.now();
+  /**
+   * Fetches pull requests created within a date range, one page at a time.
+   * A single target branch is filtered by the API; patterns are matched after fetching.
+   * PRs are listed newest first, so paging stops at the first page that reaches
+   * PRs created before the range. The last page is returned so that the next
+   * (older) range can continue from it instead of paging from the start again.
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @param {Date} from - Start of the range (inclusive)
+   * @param {Date} to - End of the range (inclusive)
+   * @param {string|Array<string>} targetBranch - Target branch, glob pattern or a list of them
+   * @param {Object} [options] - Paging options
+   * @param {number} [options.startPage=1] - Page to start from
+   * @param {Function} [options.onPage] - Called with (pullRequests, page) after each page is fetched
+   * @returns {Promise<{count: number, lastPage: number}>} Number of PRs found and the last page fetched
+   */
+  async fetchPullRequestsInRange(owner, repo, from, to, targetBranch = 'main', options = {}) {
+    const { startPage = 1, onPage = async () => {} } = options;
+
+    try {
+      logger.info(`Fetching PRs for ${owner}/${repo} created between ${from.toISOString()} and ${to.toISOString()} from page ${startPage}`);
 
-        if (waitTime > 0 && waitTime < 3600000) { // Only retry if wait time is less than 1 hour
-          logger.info(`Rate limit exceeded. Retrying in ${Math.ceil(waitTime / 1000)} seconds`);
-          await new Promise(resolve => setTimeout(resolve, waitTime + 1000));
-          return this.fetchPullRequests(owner, repo, state, since, targetBranch);
+      const base = getApiBranchFilter(targetBranch);
+      let count = 0;
+      let page = startPage;
+
+      while (true) {
+        const response = await this.octokit.rest.pulls.list({
+          owner,
+          repo,
+          state: 'all',
+          ...(base && { base }),
+          sort: 'created',
+          direction: 'desc',
+          per_page: 100,
+          page
+        });
+
+        const pullRequests = response.data.filter(pr => {
+          const prCreatedAt = new Date(pr.created_at);
+          return prCreatedAt >= from && prCreatedAt <= to && matchesTargetBranch(pr.base.ref, targetBranch);
+        });
+
+        await onPage(pullRequests, page);
+        count += pullRequests.length;
+
+        // Stop at the last page or once the page reaches PRs created before the range
+        const oldestPR = response.data[response.data.length - 1];
+        if (response.data.length < 100 || new Date(oldestPR.created_at) < from) {
+          break;
         }
+        page++;
       }
 
+      logger.info(`Fetched ${count} PRs for ${owner}/${repo} (pages ${startPage}-${page})`);
+      return { count, lastPage: page };
+    } catch (err) {
+      logger.error(`Error fetching PRs for ${owner}/${repo}`, err);
       throw err;
     }
   }
 
+  /**
+   * Waits for the GitHub core rate limit to reset when fewer than the given number of requests remain.
+   * GitHub Enterprise Server returns 404 when rate limiting is disabled, so there is nothing to wait for.
+   * @param {number} [minRemaining=500] - Requests that must remain before continuing
+   * @returns {Promise<void>}
+   */
+  async waitForRateLimit(minRemaining = 500) {
+    let data;
+    try {
+      ({ data } = await this.octokit.rest.rateLimit.get());
+    } catch (err) {
+      if (err.status === 404) {
+        logger.info('GitHub rate limiting is not enabled, not waiting for it');
+        return;
+      }
+      throw err;
+    }
+    const { remaining, reset } = data.resources.core;
+
+    if (remaining >= minRemaining) {
+      return;
+    }
+
+    const waitTime = Math.max(reset * 1000 - Date.now(), 0) + 1000;
+    logger.info(`${remaining} GitHub API requests remaining, waiting ${Math.ceil(waitTime / 1000)} seconds for the rate limit to reset`);
+    await new Promise(resolve => setTimeout(resolve, waitTime));
+  }
+
   /**
    * Fetches PR review events
    * @param {string} owner - Repository owner
@@ -170,29 +447,19 @@ export class GitHubClient {
     try {
       logger.info(`Fetching review events for ${owner}/${repo}#${prNumber}`);
 
-      const response = await this.octokit.rest.pulls.listReviews({
+      // listReviews returns 30 reviews per page by default, so fetch all pages
+      const reviews = await this.octokit.paginate(this.octokit.rest.pulls.listReviews, {
         owner,
         repo,
-        pull_number: prNumber
+        pull_number: prNumber,
+        per_page: 100
       });
 
-      logger.info(`Fetched ${response.data.length} review events for ${owner}/${repo}#${prNumber}`);
-      return response.data;
+      logger.info(`Fetched ${reviews.length} review events for ${owner}/${repo}#${prNumber}`);
+      return reviews;
     } catch (err) {
       logger.error(`Error fetching review events for ${owner}/${repo}#${prNumber}`, err);
 
-      // Implement basic retry for rate limiting
-      if (err.status === 403 && err.response?.headers?.['x-ratelimit-remaining'] === '0') {
-        const resetTime = parseInt(err.response.headers['x-ratelimit-reset'], 10) * 1000;
-        const waitTime = resetTime - Date.now();
-
-        if (waitTime > 0 && waitTime < 3600000) { // Only retry if wait time is less than 1 hour
-          logger.info(`Rate limit exceeded. Retrying in ${Math.ceil(waitTime / 1000)} seconds`);
-          await new Promise(resolve => setTimeout(resolve, waitTime + 1000));
-          return this.fetchPRReviewEvents(owner, repo, prNumber);
-        }
-      }
-
       throw err;
     }
   }
@@ -271,18 +538,123 @@ export class GitHubClient {
     } catch (err) {
       logger.error(`Error fetching timeline events for ${owner}/${repo}#${prNumber}`, err);
 
-      // Implement basic retry for rate limiting
-      if (err.status === 403 && err.response?.headers?.['x-ratelimit-remaining'] === '0') {
-        const resetTime = parseInt(err.response.headers['x-ratelimit-reset'], 10) * 1000;
-        const waitTime = resetTime - Date.now();
+      throw err;
+    }
+  }
+
+  /**
+   * Fetches issues updated since a date together with their GitHub Projects status changes
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @param {Date} since - Fetch issues updated since this date
+   * @returns {Array} Array of issues with a statusChanges array
+   */
+  async fetchProjectIssues(owner, repo, since) {
+    logger.info(`Fetching project issues for ${owner}/${repo} since ${since.toISOString()}`);
+
+    return this.searchProjectIssues(owner, repo, `updated:>=${since.toISOString().split('T')[0]}`);
+  }
+
+  /**
+   * Fetches issues created within a date range together with their GitHub Projects status changes
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @param {Date} from - Start of the range (inclusive)
+   * @param {Date} to - End of the range (inclusive)
+   * @returns {Array} Array of issues with a statusChanges array
+   */
+  async fetchProjectIssuesInRange(owner, repo, from, to) {
+    const range = `${from.toISOString().split('T')[0]}..${to.toISOString().split('T')[0]}`;
+    logger.info(`Fetching project issues for ${owner}/${repo} created ${range}`);
+
+    return this.searchProjectIssues(owner, repo, `created:${range}`);
+  }
+
+  /**
+   * Searches issues in a repository and returns them with their GitHub Projects status changes
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @param {string} dateQualifier - Search qualifier limiting the issues by date
+   * @returns {Array} Array of issues with a statusChanges array
+   */
+  async searchProjectIssues(owner, repo, dateQualifier) {
+    try {
+      const searchQuery = `repo:${owner}/${repo} is:issue ${dateQualifier}`;
+      const issues = [];
+      let cursor = null;
+      let hasMorePages = true;
+
+      while (hasMorePages) {
+        const response = await this.octokit.graphql(PROJECT_ISSUES_QUERY, {
+          searchQuery,
+          cursor
+        });
 
-        if (waitTime > 0 && waitTime < 3600000) { // Only retry if wait time is less than 1 hour
-          logger.info(`Rate limit exceeded. Retrying in ${Math.ceil(waitTime / 1000)} seconds`);
-          await new Promise(resolve => setTimeout(resolve, waitTime + 1000));
-          return this.fetchPRTimelineEvents(owner, repo, prNumber);
+        for (const issue of response.search.nodes) {
+          // Search results can include empty nodes for items that are not issues
+          if (!issue || !issue.number) continue;
+
+          // Fetch the rest of the status changes of issues with more than one page of them
+          const statusChanges = issue.timelineItems.nodes.filter(Boolean);
+          if (issue.timelineItems.pageInfo.hasNextPage) {
+            statusChanges.push(...await this.fetchIssueStatusChanges(owner, repo, issue.number, issue.timelineItems.pageInfo.endCursor));
+          }
+
+          issues.push({
+            repository: `${owner}/${repo}`,
+            number: issue.number,
+            url: issue.url,
+            title: issue.title,
+            createdAt: issue.createdAt,
+            author: issue.author ? issue.author.login : 'ghost',
+            statusChanges
+          });
         }
+
+        hasMorePages = response.search.pageInfo.hasNextPage;
+        cursor = response.search.pageInfo.endCursor;
       }
 
+      logger.info(`Fetched ${issues.length} project issues for ${owner}/${repo}`);
+      return issues;
+    } catch (err) {
+      logger.error(`Error fetching project issues for ${owner}/${repo}`, err);
+      throw err;
+    }
+  }
+
+  /**
+   * Fetches the GitHub Projects status changes of an issue after a cursor
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @param {number} issueNumber - Issue number
+   * @param {string} cursor - Cursor of the last status change already fetched
+   * @returns {Promise<Array>} Status changes after the cursor
+   */
+  async fetchIssueStatusChanges(owner, repo, issueNumber, cursor) {
+    try {
+      logger.info(`Fetching more status changes for ${owner}/${repo}#${issueNumber}`);
+
+      const statusChanges = [];
+      let hasMorePages = true;
+
+      while (hasMorePages) {
+        const response = await this.octokit.graphql(ISSUE_STATUS_CHANGES_QUERY, {
+          owner,
+          repo,
+          number: issueNumber,
+          cursor
+        });
+
+        const { timelineItems } = response.repository.issue;
+        statusChanges.push(...timelineItems.nodes.filter(Boolean));
+        hasMorePages = timelineItems.pageInfo.hasNextPage;
+        cursor = timelineItems.pageInfo.endCursor;
+      }
+
+      return statusChanges;
+    } catch (err) {
+      logger.error(`Error fetching status changes for ${owner}/${repo}#${issueNumber}`, err);
       throw err;
     }
   }
@@ -300,11 +672,15 @@ export class GitHubClient {
       if (!result || !result.firstReviewTime) {
         return null;
       }
-      const { relevantReadyEvent, firstReviewTime } = result;
+      const { relevantReadyEvent, firstReviewTime, firstReviewer } = result;
       const readyTime = relevantReadyEvent.time;
 
-      // Calculate pickup time excluding weekends
-      const pickupTimeSeconds = this.calculatePickupTimeExcludingWeekends(readyTime, firstReviewTime);
+      // Calculate pickup time in the reviewer's working time
+      const reviewerTimezone = this.getTimezoneForUser(firstReviewer);
+      const reviewerCalendar = this.workingCalendar.forTimezone(reviewerTimezone);
+      const pickupTimeSeconds = this.calculateWorkingTime(readyTime, firstReviewTime, reviewerCalendar);
+      const pickupElapsedSeconds = this.calculateElapsedTime(readyTime, firstReviewTime);
+      const pickupBusinessHoursSeconds = this.calculateWorkingTime(readyTime, firstReviewTime, reviewerCalendar.withBusinessHours());
 
       // If pickup time is negative, something went wrong
       if (pickupTimeSeconds < 0) {
@@ -340,7 +716,11 @@ export class GitHubClient {
         readyTime,
         firstReviewTime,
         reviewDate: firstReviewTime.toISOString().split('T')[0], // YYYY-MM-DD
+        reviewLocalDate: reviewerCalendar.toLocalDate(firstReviewTime), // YYYY-MM-DD in the reviewer's timezone
+        reviewerTimezone,
         pickupTimeSeconds,
+        pickupElapsedSeconds,
+        pickupBusinessHoursSeconds,
         readyEventType
       };
     } catch (err) {
@@ -349,12 +729,83 @@ export class GitHubClient {
     }
   }
 
+  /**
+   * Calculates time to approval for a PR: from the same ready event as Time to
+   * First Review until the first approval, in the approver's working time.
+   * Comment-only and changes-requested reviews don't stop the clock, and
+   * dismissed approvals (state DISMISSED) are ignored.
+   * @param {Object} pr - Pull request object
+   * @param {Array} timelineEvents - PR timeline events
+   * @param {Array} reviewEvents - PR review events, with bot reviews filtered if configured
+   * @returns {Object|null} Time to approval metrics or null if the PR has no approval
+   */
+  calculateTimeToApproval(pr, timelineEvents, reviewEvents) {
+    try {
+      const result = this.getReadyAndFirstReview(pr, timelineEvents, reviewEvents);
+      if (!result || !result.firstReviewTime) {
+        return null;
+      }
+
+      const firstApproval = reviewEvents
+        .filter(review => review.state === 'APPROVED')
+        .sort((a, b) => new Date(a.submitted_at) - new Date(b.submitted_at))[0];
+      if (!firstApproval) {
+        return null;
+      }
+
+      const { relevantReadyEvent } = result;
+      const readyTime = relevantReadyEvent.time;
+      const approvalTime = new Date(firstApproval.submitted_at);
+      const approver = firstApproval.user?.login || null;
+
+      // Calculate approval time in the approver's working time
+      const approverTimezone = this.getTimezoneForUser(approver);
+      const approverCalendar = this.workingCalendar.forTimezone(approverTimezone);
+      const approvalTimeSeconds = this.calculateWorkingTime(readyTime, approvalTime, approverCalendar);
+      const approvalElapsedSeconds = this.calculateElapsedTime(readyTime, approvalTime);
+      const approvalBusinessHoursSeconds = this.calculateWorkingTime(readyTime, approvalTime, approverCalendar.withBusinessHours());
+
+      const readyEventType = relevantReadyEvent.event.event === 'created_not_draft'
+        ? 'PR creation (not draft)'
+        : 'ready_for_review event';
+
+      logger.info(`Calculated approval time for ${pr.html_url}`, {
+        approvalTimeSeconds,
+        readyEventType,
+        readyTime: readyTime.toISOString(),
+        approvalTime: approvalTime.toISOString()
+      });
+
+      return {
+        metricType: 'time_to_approval',
+        repository: `${pr.base.repo.owner.login}/${pr.base.repo.name}`,
+        prNumber: pr.number,
+        prUrl: pr.html_url,
+        prCreator: pr.user.login,
+        targetBranch: pr.base.ref,
+        readyTime,
+        approvalTime,
+        approvalDate: approvalTime.toISOString().split('T')[0], // YYYY-MM-DD
+        approvalLocalDate: approverCalendar.toLocalDate(approvalTime), // YYYY-MM-DD in the approver's timezone
+        approver,
+        approverTimezone,
+        approvalTimeSeconds,
+        approvalElapsedSeconds,
+        approvalBusinessHoursSeconds,
+        readyEventType
+      };
+    } catch (err) {
+      logger.error(`Error calculating approval time for ${pr.html_url}`, err);
+      return null;
+    }
+  }
+
   /**
    * Calculates pickup time for a PR
    * @param {Object} pr - Pull request object
    * @param {Array} timelineEvents - PR timeline events
    * @param {Array} reviewEvents - PR review events
-   * @returns {Object} ready event and first review time
+   * @returns {Object} ready event, first review time and first reviewer
    */
   getReadyAndFirstReview(pr, timelineEvents, reviewEvents) {
     const mergeTime = pr.merged_at ? new Date(pr.merged_at) : null;
@@ -391,7 +842,8 @@ export class GitHubClient {
       const relevantReadyEvent = readyForReviewEvents[readyForReviewEvents.length - 1];
       return {
         relevantReadyEvent,
-        firstReviewTime: null
+        firstReviewTime: null,
+        firstReviewer: null
       };
     }
 
@@ -416,53 +868,49 @@ export class GitHubClient {
 
     return {
       relevantReadyEvent,
-      firstReviewTime
+      firstReviewTime,
+      firstReviewer: firstReview.user?.login || null
     };
   }
 
   /**
-   * Calculates pickup time excluding weekends
-   * @param {Date} readyTimeOrig - Time when PR was marked as ready for review
-   * @param {Date} reviewTimeOrig - Time when the first review occurred
-   * @returns {number} Pickup time in seconds, excluding weekends
+   * Gets the timezone of a GitHub user. Users without a known timezone are
+   * warned about once and get the default timezone.
+   * @param {string|null} username - GitHub username
+   * @returns {string} IANA timezone, or the default timezone if unknown
    */
-  calculatePickupTimeExcludingWeekends(readyTimeOrig, reviewTimeOrig) {
-    const readyTime = new Date(readyTimeOrig);
-    const reviewTime = new Date(reviewTimeOrig);
-
-    // Get day of week (0 = Sunday, 1 = Monday, ..., 6 = Saturday)
-    const readyDay = readyTime.getUTCDay();
-    const reviewDay = reviewTime.getUTCDay();
-
-    // Case: Both ready time and review time are on the same weekend
-    if ((readyDay === 0 || readyDay === 6) && (reviewDay === 0 || reviewDay === 6) &&
-        Math.floor(reviewTime / (24 * 60 * 60 * 1000)) - Math.floor(readyTime / (24 * 60 * 60 * 1000)) <= 2) {
-      // Return 0 seconds pickup time
-      return 0;
-    }
+  getTimezoneForUser(username) {
+    if (!username) return this.defaultTimezone;
 
-    // Set to start of Monday if ready time is on weekend
-    if (readyDay === 0) { // Sunday
-      readyTime.setUTCDate(readyTime.getUTCDate() + 1);
-      readyTime.setUTCHours(0, 0, 0, 0);
-    } else if (readyDay === 6) { // Saturday
-      readyTime.setUTCDate(readyTime.getUTCDate() + 2);
-      readyTime.setUTCHours(0, 0, 0, 0);
-    }
-    // Set to start of Saturday if review time is on Sunday
-    if (reviewDay === 0) { // Sunday
-      reviewTime.setUTCDate(reviewTime.getUTCDate() - 1);
-      reviewTime.setUTCHours(0, 0, 0, 0);
-    } else if (reviewDay === 6) { // Saturday
-      reviewTime.setUTCHours(0, 0, 0, 0);
+    const login = username.toLowerCase();
+    if (this.userTimezones[login]) return this.userTimezones[login];
+
+    if (!this.usersWithoutTimezone.has(login)) {
+      this.usersWithoutTimezone.add(login);
+      logger.warn(`No timezone found for ${username}, using ${this.defaultTimezone}`);
     }
+    return this.defaultTimezone;
+  }
 
-    // Calculate raw time difference in milliseconds
-    const weekendDays = countWeekendDays(readyTime, reviewTime);
-    const diffMs = reviewTime - readyTime - (weekendDays * 24 * 60 * 60 * 1000);
+  /**
+   * Calculates the working time between two timestamps using the working calendar
+   * @param {Date} startTime - Start of the interval
+   * @param {Date} endTime - End of the interval
+   * @param {WorkingCalendar} [calendar] - Calendar to use (defaults to the client's working calendar)
+   * @returns {number} Working time in seconds, excluding weekends, holidays and off-hours
+   */
+  calculateWorkingTime(startTime, endTime, calendar = this.workingCalendar) {
+    return calendar.getWorkingSeconds(startTime, endTime);
+  }
 
-    // Ensure we don't return negative values
-    return Math.max(0, Math.floor(diffMs / 1000));
+  /**
+   * Calculates the wall-clock time between two timestamps, including weekends and off-hours
+   * @param {Date} startTime - Start of the interval
+   * @param {Date} endTime - End of the interval
+   * @returns {number} Elapsed time in seconds
+   */
+  calculateElapsedTime(startTime, endTime) {
+    return Math.max(0, Math.floor((new Date(endTime) - new Date(startTime)) / 1000));
   }
 
   /**
@@ -488,8 +936,12 @@ export class GitHubClient {
       const readyTime = relevantReadyEvent.time;
       const mergeTime = new Date(pr.merged_at);
 
-      // Calculate merge time excluding weekends
-      const mergeTimeSeconds = this.calculatePickupTimeExcludingWeekends(readyTime, mergeTime);
+      // Calculate merge time in the author's working time
+      const authorTimezone = this.getTimezoneForUser(pr.user.login);
+      const authorCalendar = this.workingCalendar.forTimezone(authorTimezone);
+      const mergeTimeSeconds = this.calculateWorkingTime(readyTime, mergeTime, authorCalendar);
+      const mergeElapsedSeconds = this.calculateElapsedTime(readyTime, mergeTime);
+      const mergeBusinessHoursSeconds = this.calculateWorkingTime(readyTime, mergeTime, authorCalendar.withBusinessHours());
 
       // If merge time is negative, something went wrong
       if (mergeTimeSeconds < 0) {
@@ -523,7 +975,11 @@ export class GitHubClient {
         readyTime,
         mergeTime,
         mergeDate: mergeTime.toISOString().split('T')[0], // YYYY-MM-DD
+        mergeLocalDate: authorCalendar.toLocalDate(mergeTime), // YYYY-MM-DD in the author's timezone
+        authorTimezone,
         mergeTimeSeconds,
+        mergeElapsedSeconds,
+        mergeBusinessHoursSeconds,
         readyEventType
       };
     } catch (err) {
@@ -531,42 +987,271 @@ export class GitHubClient {
       return null;
     }
   }
-}
 
-function countWeekendDays(startDate, endDate) {
-  // Make local copies of dates
-  startDate = new Date(startDate);
-  endDate = new Date(endDate);
+  /**
+   * Calculates review cycles for a merged PR: how many review rounds it took
+   * and whether the PR was waiting on the author or on reviewers meanwhile.
+   * The clock starts when the PR is ready for review and stops at the final
+   * approval (or at the merge, for PRs merged without one). It starts waiting
+   * on reviewers; a submitted review hands it to the author, and the author's
+   * next push, force push or review request hands it back. Each hand-over to
+   * the author is a review iteration, and an iteration with changes requested
+   * is a changes-requested round. Reviews by the author (replies to review
+   * comments) don't count. Both waits are in the author's working time.
+   * @param {Object} pr - Pull request object
+   * @param {Array} timelineEvents - PR timeline events
+   * @param {Array} reviewEvents - PR review events
+   * @returns {Object|null} Review cycle metrics or null if the PR wasn't merged or reviewed
+   */
+  calculateReviewCycles(pr, timelineEvents, reviewEvents) {
+    try {
+      // Only process merged PRs
+      if (!pr.merged_at) {
+        return null;
+      }
+
+      const mergeTime = new Date(pr.merged_at);
+      const reviews = reviewEvents
+        .filter(review =>
+          SUBMITTED_REVIEW_STATES.includes(review.state) &&
+          review.user?.login !== pr.user.login &&
+          new Date(review.submitted_at) <= mergeTime
+        )
+        .map(review => ({ time: new Date(review.submitted_at), review }));
+
+      const result = this.getReadyAndFirstReview(pr, timelineEvents, reviews.map(({ review }) => review));
+      if (!result || !result.firstReviewTime) {
+        return null;
+      }
+      const { relevantReadyEvent } = result;
+      const readyTime = relevantReadyEvent.time;
 
-  // Ensure startDate is before endDate
-  if (startDate > endDate) {
-    [startDate, endDate] = [endDate, startDate];
-  }
+      const approvals = reviews.filter(({ review }) => review.state === 'APPROVED');
+      const finalApprovalTime = approvals.length > 0
+        ? new Date(Math.max(...approvals.map(({ time }) => time)))
+        : null;
+      const endTime = finalApprovalTime || mergeTime;
+
+      // Reviews come before author responses made at the same time
+      const authorResponses = timelineEvents
+        .filter(event =>
+          AUTHOR_RESPONSE_EVENTS.includes(event.event) &&
+          (event.event !== 'review_requested' || event.actor?.login === pr.user.login)
+        )
+        .map(event => ({ time: new Date(event.created_at || event.committer?.date) }));
+      const events = [...reviews, ...authorResponses]
+        .filter(({ time }) => time > readyTime && time <= endTime)
+        .sort((a, b) => a.time - b.time || (a.review ? 0 : 1) - (b.review ? 0 : 1));
+
+      const authorTimezone = this.getTimezoneForUser(pr.user.login);
+      const authorCalendar = this.workingCalendar.forTimezone(authorTimezone);
+      const waits = { author: 0, reviewers: 0 };
+      let waitingOn = 'reviewers';
+      let waitingSince = readyTime;
+      let reviewIterations = 0;
+      let changesRequestedRounds = 0;
+      let changesRequestedReviews = 0;
+      let roundRequestedChanges = false;
+
+      for (const { time, review } of events) {
+        if (review) {
+          if (waitingOn === 'reviewers') {
+            waits.reviewers += this.calculateWorkingTime(waitingSince, time, authorCalendar);
+            waitingOn = 'author';
+            waitingSince = time;
+            reviewIterations++;
+            roundRequestedChanges = false;
+          }
+          if (review.state === 'CHANGES_REQUESTED') {
+            changesRequestedReviews++;
+            // Several reviewers requesting changes before the author responds is one round
+            if (!roundRequestedChanges) {
+              changesRequestedRounds++;
+              roundRequestedChanges = true;
+            }
+          }
+        } else if (waitingOn === 'author') {
+          waits.author += this.calculateWorkingTime(waitingSince, time, authorCalendar);
+          waitingOn = 'reviewers';
+          waitingSince = time;
+        }
+      }
+      waits[waitingOn] += this.calculateWorkingTime(waitingSince, endTime, authorCalendar);
+
+      const readyEventType = relevantReadyEvent.event.event === 'created_not_draft'
+        ? 'PR creation (not draft)'
+        : 'ready_for_review event';
 
-  // Make sure start dates and end dates are not on weekends. We just want to count the weekend days between them.
-  if (startDate.getUTCDay() === 0) {
-    startDate.setUTCDate(startDate.getUTCDate() + 1);
-  } else if (startDate.getDay() === 6) {
-    startDate.setUTCDate(startDate.getUTCDate() + 2);
+      logger.info(`Calculated review cycles for ${pr.html_url}`, {
+        reviewIterations,
+        changesRequestedRounds,
+        authorWaitSeconds: waits.author,
+        reviewerWaitSeconds: waits.reviewers
+      });
+
+      return {
+        metricType: 'review_cycles',
+        repository: `${pr.base.repo.owner.login}/${pr.base.repo.name}`,
+        prNumber: pr.number,
+        prUrl: pr.html_url,
+        prCreator: pr.user.login,
+        targetBranch: pr.base.ref,
+        readyTime,
+        finalApprovalTime,
+        mergeTime,
+        mergeDate: mergeTime.toISOString().split('T')[0], // YYYY-MM-DD
+        authorTimezone,
+        reviewTimeSeconds: waits.author + waits.reviewers,
+        authorWaitSeconds: waits.author,
+        reviewerWaitSeconds: waits.reviewers,
+        reviewIterations,
+        changesRequestedRounds,
+        changesRequestedReviews,
+        readyEventType
+      };
+    } catch (err) {
+      logger.error(`Error calculating review cycles for ${pr.html_url}`, err);
+      return null;
+    }
   }
-  if (endDate.getUTCDay() === 0) {
-    endDate.setUTCDate(endDate.getUTCDate() - 2);
-  } else if (endDate.getUTCDay() === 6) {
-    endDate.setUTCDate(endDate.getUTCDate() - 1);
+
+  /**
+   * Gets the status transitions of an issue sorted by time (ascending)
+   * @param {Object} issue - Issue object returned by fetchProjectIssues
+   * @returns {Array<{time: Date, status: string, previousStatus: string}>} Sorted status transitions
+   */
+  getStatusTransitions(issue) {
+    return (issue.statusChanges || []).map(change => ({
+      time: new Date(change.createdAt),
+      status: change.status,
+      previousStatus: change.previousStatus
+    })).sort((a, b) => a.time - b.time);
   }
 
-  let count = 0;
-  const current = new Date(startDate);
+  /**
+   * Calculate time to QA ready metrics
+   * @param {Object} issue - Issue object returned by fetchProjectIssues
+   * @returns {Object|null} Time to QA ready metrics or null if not applicable
+   */
+  calculateTimeToQAReady(issue) {
+    try {
+      const transitions = this.getStatusTransitions(issue);
+
+      // The clock starts the first time the issue is moved to "In progress"
+      const inProgressTransition = transitions.find(transition =>
+        matchesProjectStatus(transition.status, PROJECT_STATUS.IN_PROGRESS)
+      );
+      if (!inProgressTransition) {
+        return null;
+      }
+
+      // The clock stops the first time the issue reaches "Awaiting QA" afterwards.
+      // Issues that skip QA and go straight to "Ready for release" also count.
+      const qaReadyTransition = transitions.find(transition =>
+        transition.time >= inProgressTransition.time &&
+        (matchesProjectStatus(transition.status, PROJECT_STATUS.AWAITING_QA) ||
+          matchesProjectStatus(transition.status, PROJECT_STATUS.READY_FOR_RELEASE))
+      );
+      if (!qaReadyTransition) {
+        return null;
+      }
+
+      const inProgressTime = inProgressTransition.time;
+      const qaReadyTime = qaReadyTransition.time;
+
+      // Calculate QA ready time using the working calendar
+      const qaReadyTimeSeconds = this.calculateWorkingTime(inProgressTime, qaReadyTime);
+
+      logger.info(`Calculated QA ready time for ${issue.url}`, {
+        qaReadyTimeSeconds,
+        inProgressTime: inProgressTime.toISOString(),
+        qaReadyTime: qaReadyTime.toISOString(),
+        qaReadyStatus: qaReadyTransition.status
+      });
 
-  while (current <= endDate) {
-    const day = current.getUTCDay();
-    if (day === 0 || day === 6) { // Sunday (0) or Saturday (6)
-      count++;
+      return {
+        metricType: 'time_to_qa_ready',
+        repository: issue.repository,
+        issueNumber: issue.number,
+        issueUrl: issue.url,
+        issueCreator: issue.author,
+        inProgressTime,
+        qaReadyTime,
+        qaReadyDate: qaReadyTime.toISOString().split('T')[0], // YYYY-MM-DD
+        qaReadyTimeSeconds,
+        qaReadyStatus: qaReadyTransition.status
+      };
+    } catch (err) {
+      logger.error(`Error calculating QA ready time for ${issue.url}`, err);
+      return null;
     }
-    current.setUTCDate(current.getUTCDate() + 1);
   }
 
-  return count;
+  /**
+   * Calculate time to production ready metrics
+   * The clock runs from the first move to "In progress" until the issue reaches
+   * "Ready for release". Time spent reworking an issue that QA sent back to
+   * "In progress" is included, and each such round trip is counted.
+   * @param {Object} issue - Issue object returned by fetchProjectIssues
+   * @returns {Object|null} Time to production ready metrics or null if not applicable
+   */
+  calculateTimeToProductionReady(issue) {
+    try {
+      const transitions = this.getStatusTransitions(issue);
+
+      const inProgressTransition = transitions.find(transition =>
+        matchesProjectStatus(transition.status, PROJECT_STATUS.IN_PROGRESS)
+      );
+      if (!inProgressTransition) {
+        return null;
+      }
+
+      const productionReadyTransition = transitions.find(transition =>
+        transition.time >= inProgressTransition.time &&
+        matchesProjectStatus(transition.status, PROJECT_STATUS.READY_FOR_RELEASE)
+      );
+      if (!productionReadyTransition) {
+        return null;
+      }
+
+      const inProgressTime = inProgressTransition.time;
+      const productionReadyTime = productionReadyTransition.time;
+
+      // Count how many times QA sent the issue back to "In progress"
+      const qaRoundTrips = transitions.filter(transition =>
+        transition.time > inProgressTime &&
+        transition.time < productionReadyTime &&
+        matchesProjectStatus(transition.previousStatus, PROJECT_STATUS.AWAITING_QA) &&
+        matchesProjectStatus(transition.status, PROJECT_STATUS.IN_PROGRESS)
+      ).length;
+
+      // Calculate production ready time using the working calendar
+      const productionReadyTimeSeconds = this.calculateWorkingTime(inProgressTime, productionReadyTime);
+
+      logger.info(`Calculated production ready time for ${issue.url}`, {
+        productionReadyTimeSeconds,
+        qaRoundTrips,
+        inProgressTime: inProgressTime.toISOString(),
+        productionReadyTime: productionReadyTime.toISOString()
+      });
+
+      return {
+        metricType: 'time_to_production_ready',
+        repository: issue.repository,
+        issueNumber: issue.number,
+        issueUrl: issue.url,
+        issueCreator: issue.author,
+        inProgressTime,
+        productionReadyTime,
+        productionReadyDate: productionReadyTime.toISOString().split('T')[0], // YYYY-MM-DD
+        productionReadyTimeSeconds,
+        qaRoundTrips
+      };
+    } catch (err) {
+      logger.error(`Error calculating production ready time for ${issue.url}`, err);
+      return null;
+    }
+  }
 }
 
 export default GitHubClient;
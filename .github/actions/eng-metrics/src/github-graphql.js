@@ -0,0 +1,179 @@
+/**
+ * GitHub GraphQL data access for engineering metrics collector
+ * Fetches pull requests together with their ready-for-review events, pushes,
+ * review requests and reviews in batched, cursor-paginated queries, and
+ * converts them to the REST shapes the metric calculators expect (see
+ * GitHubClient.getReadyAndFirstReview and GitHubClient.calculateReviewCycles).
+ */
+
+/**
+ * Number of PRs fetched per query. Each PR also fetches up to 100 timeline
+ * items and 100 reviews, which keeps the query well below GraphQL node limits.
+ */
+export const PULL_REQUESTS_PAGE_SIZE = 25;
+
+/**
+ * REST timeline event names of the GraphQL timeline item types that are fetched.
+ * Commits are converted separately, as they have no creation time.
+ */
+const TIMELINE_EVENTS = {
+  ReadyForReviewEvent: 'ready_for_review',
+  HeadRefForcePushedEvent: 'head_ref_force_pushed',
+  ReviewRequestedEvent: 'review_requested'
+};
+
+/**
+ * GraphQL query for the most recently updated pull requests targeting a branch,
+ * including their ready-for-review events, pushes, review requests and reviews
+ */
+export const PULL_REQUESTS_QUERY = `
+  query($owner: String!, $repo: String!, $baseRefName: String, $pageSize: Int!, $cursor: String) {
+    repository(owner: $owner, name: $repo) {
+      pullRequests(
+        first: $pageSize,
+        after: $cursor,
+        baseRefName: $baseRefName,
+        orderBy: { field: UPDATED_AT, direction: DESC }
+      ) {
+        pageInfo {
+          hasNextPage
+          endCursor
+        }
+        nodes {
+          number
+          url
+          state
+          isDraft
+          createdAt
+          updatedAt
+          mergedAt
+          baseRefName
+          baseRepository {
+            nameWithOwner
+          }
+          author {
+            __typename
+            login
+          }
+          timelineItems(
+            itemTypes: [READY_FOR_REVIEW_EVENT, PULL_REQUEST_COMMIT, HEAD_REF_FORCE_PUSHED_EVENT, REVIEW_REQUESTED_EVENT],
+            first: 100
+          ) {
+            pageInfo {
+              hasNextPage
+            }
+            nodes {
+              __typename
+              ... on ReadyForReviewEvent {
+                createdAt
+              }
+              ... on PullRequestCommit {
+                commit {
+                  committedDate
+                }
+              }
+              ... on HeadRefForcePushedEvent {
+                createdAt
+              }
+              ... on ReviewRequestedEvent {
+                createdAt
+                actor {
+                  __typename
+                  login
+                }
+              }
+            }
+          }
+          reviews(first: 100) {
+            pageInfo {
+              hasNextPage
+            }
+            nodes {
+              state
+              submittedAt
+              author {
+                __typename
+                login
+              }
+            }
+          }
+        }
+      }
+    }
+  }
+`;
+
+/**
+ * Converts a GraphQL actor to a REST user object. Deleted accounts have no
+ * author and are reported as "ghost", like the REST API does.
+ * @param {Object|null} actor - GraphQL actor with __typename and login
+ * @returns {{login: string, type: string}} REST user object
+ */
+export const toRestUser = (actor) => ({
+  login: actor?.login || 'ghost',
+  type: actor?.__typename === 'Bot' ? 'Bot' : 'User'
+});
+
+/**
+ * Converts a GraphQL pull request node to the REST pull request shape. The base
+ * repository keeps GitHub's spelling of its name, as in the REST API, whatever
+ * casing the repository is configured with.
+ * @param {Object} node - GraphQL pull request node
+ * @returns {Object} Pull request in the REST shape
+ */
+export const toRestPullRequest = (node) => {
+  const [owner, repo] = node.baseRepository.nameWithOwner.split('/');
+  return {
+    number: node.number,
+    html_url: node.url,
+    state: node.state === 'OPEN' ? 'open' : 'closed',
+    draft: node.isDraft,
+    created_at: node.createdAt,
+    updated_at: node.updatedAt,
+    merged_at: node.mergedAt,
+    user: toRestUser(node.author),
+    base: {
+      ref: node.baseRefName,
+      repo: {
+        name: repo,
+        owner: { login: owner }
+      }
+    }
+  };
+};
+
+/**
+ * Converts the timeline items of a GraphQL pull request node to REST timeline events.
+ * Commits become 'committed' events dated by their committer, like in the REST API.
+ * @param {Object} node - GraphQL pull request node
+ * @returns {Array<Object>} Timeline events in the REST shape
+ */
+export const toRestTimelineEvents = (node) =>
+  node.timelineItems.nodes.filter(Boolean).map(item => (item.__typename === 'PullRequestCommit'
+    ? { event: 'committed', committer: { date: item.commit.committedDate } }
+    : {
+      event: TIMELINE_EVENTS[item.__typename],
+      created_at: item.createdAt,
+      ...('actor' in item && { actor: toRestUser(item.actor) })
+    }));
+
+/**
+ * Converts the reviews of a GraphQL pull request node to REST review events
+ * @param {Object} node - GraphQL pull request node
+ * @returns {Array<Object>} Review events in the REST shape
+ */
+export const toRestReviewEvents = (node) =>
+  node.reviews.nodes.filter(Boolean).map(review => ({
+    user: toRestUser(review.author),
+    state: review.state,
+    submitted_at: review.submittedAt
+  }));
+
+export default {
+  PULL_REQUESTS_PAGE_SIZE,
+  PULL_REQUESTS_QUERY,
+  toRestUser,
+  toRestPullRequest,
+  toRestTimelineEvents,
+  toRestReviewEvents
+};
@@ -0,0 +1,235 @@
+/**
+ * GitHub request layer for engineering metrics collector
+ * Every GitHub API call, REST and GraphQL, goes through one Octokit request hook
+ * that retries rate limits, server errors and network failures with exponential
+ * backoff and jitter, and logs the remaining rate limit quota. When a rate limit
+ * is hit, concurrent requests wait for the same reset instead of each hitting it.
+ * Clients authenticate with a token or as a GitHub App installation, against
+ * api.github.com or a GitHub Enterprise Server.
+ */
+
+import fs from 'fs';
+import { Octokit } from 'octokit';
+import { createAppAuth } from '@octokit/auth-app';
+import logger from './logger.js';
+
+/**
+ * Default retry settings
+ * - maxRetries: retries per request before the error is thrown
+ * - baseDelayMs / maxDelayMs: bounds of the exponential backoff
+ * - maxRateLimitWaitSeconds: longest wait for a rate limit reset before giving up
+ */
+export const DEFAULT_RETRY_OPTIONS = {
+  maxRetries: 5,
+  baseDelayMs: 1000,
+  maxDelayMs: 60000,
+  maxRateLimitWaitSeconds: 3600
+};
+
+/**
+ * GitHub asks clients to wait at least a minute after a secondary rate limit without retry-after
+ */
+const SECONDARY_RATE_LIMIT_DELAY_MS = 60000;
+
+/**
+ * Network error codes worth retrying
+ */
+const RETRYABLE_NETWORK_CODES = new Set([
+  'ECONNRESET',
+  'ECONNREFUSED',
+  'ETIMEDOUT',
+  'EPIPE',
+  'EAI_AGAIN',
+  'UND_ERR_SOCKET',
+  'UND_ERR_CONNECT_TIMEOUT'
+]);
+
+/**
+ * Share of the quota below which a warning is logged
+ */
+const LOW_QUOTA_RATIO = 0.1;
+
+/**
+ * Calculates an exponential backoff delay with jitter. Half of the delay is
+ * randomized so that parallel runs don't retry in lockstep.
+ * @param {number} attempt - Zero-based retry attempt
+ * @param {Object} retryOptions - Retry settings
+ * @returns {number} Delay in milliseconds
+ */
+export const getBackoffDelay = (attempt, retryOptions) => {
+  const delay = Math.min(retryOptions.maxDelayMs, retryOptions.baseDelayMs * 2 ** attempt);
+  return Math.round(delay / 2 + Math.random() * delay / 2);
+};
+
+/**
+ * Decides whether a failed request should be retried and how long to wait first
+ * @param {Error} err - Request error
+ * @param {number} attempt - Zero-based retry attempt
+ * @param {Object} retryOptions - Retry settings
+ * @returns {{reason: string, delayMs: number, rateLimited?: boolean}|null} Retry decision or null if the error is not retryable
+ */
+export const getRetryDecision = (err, attempt, retryOptions) => {
+  const status = err.status;
+  const headers = err.response?.headers || {};
+
+  if (status === 403 || status === 429) {
+    // Primary rate limit: wait until the quota resets
+    if (headers['x-ratelimit-remaining'] === '0' && headers['x-ratelimit-reset']) {
+      const delayMs = Math.max(parseInt(headers['x-ratelimit-reset'], 10) * 1000 - Date.now(), 0) + 1000;
+      if (delayMs > retryOptions.maxRateLimitWaitSeconds * 1000) {
+        return null;
+      }
+      return { reason: 'rate limit exceeded', delayMs, rateLimited: true };
+    }
+
+    if (headers['retry-after']) {
+      return { reason: 'secondary rate limit', delayMs: parseInt(headers['retry-after'], 10) * 1000, rateLimited: true };
+    }
+
+    if (status === 429 || /secondary rate limit/i.test(err.message)) {
+      const delayMs = Math.max(SECONDARY_RATE_LIMIT_DELAY_MS, getBackoffDelay(attempt, retryOptions));
+      return { reason: 'secondary rate limit', delayMs, rateLimited: true };
+    }
+
+    // Other 403s are permission errors
+    return null;
+  }
+
+  if (status >= 500) {
+    return { reason: `server error ${status}`, delayMs: getBackoffDelay(attempt, retryOptions) };
+  }
+
+  const code = err.code || err.cause?.code;
+  if (RETRYABLE_NETWORK_CODES.has(code)) {
+    return { reason: `network error ${code}`, delayMs: getBackoffDelay(attempt, retryOptions) };
+  }
+
+  return null;
+};
+
+/**
+ * Creates the Octokit request hook
+ * @param {Object} [retryOptions] - Retry settings, merged over DEFAULT_RETRY_OPTIONS
+ * @param {Object} [dependencies] - Overrides for tests
+ * @param {Function} [dependencies.sleep] - Waits for the given number of milliseconds
+ * @returns {Function} Hook called with (request, options)
+ */
+export const createRequestHook = (retryOptions = {}, dependencies = {}) => {
+  const settings = { ...DEFAULT_RETRY_OPTIONS, ...retryOptions };
+  const sleep = dependencies.sleep || (ms => new Promise(resolve => setTimeout(resolve, ms)));
+  // Reset time of the last low quota warning per rate limit resource
+  const lowQuotaWarnings = new Map();
+  // Resolves when the current rate limit wait is over; shared by all requests of this client
+  let rateLimitPause = null;
+
+  const logQuota = (headers = {}) => {
+    if (headers['x-ratelimit-remaining'] === undefined) {
+      return;
+    }
+
+    const resource = headers['x-ratelimit-resource'] || 'core';
+    const remaining = parseInt(headers['x-ratelimit-remaining'], 10);
+    const limit = parseInt(headers['x-ratelimit-limit'], 10);
+    const reset = headers['x-ratelimit-reset'];
+
+    logger.debug(`GitHub ${resource} quota: ${remaining}/${limit} remaining`);
+
+    if (remaining < limit * LOW_QUOTA_RATIO && lowQuotaWarnings.get(resource) !== reset) {
+      lowQuotaWarnings.set(resource, reset);
+      logger.warn(`GitHub ${resource} quota is low: ${remaining}/${limit} remaining until ${new Date(reset * 1000).toISOString()}`);
+    }
+  };
+
+  return async (request, options) => {
+    for (let attempt = 0; ; attempt++) {
+      if (rateLimitPause) {
+        await rateLimitPause;
+      }
+
+      try {
+        const response = await request(options);
+        logQuota(response.headers);
+
+        // GraphQL reports an exhausted quota in the response body of a 200
+        if (response.data?.errors?.some(error => error.type === 'RATE_LIMITED')) {
+          throw Object.assign(new Error('GraphQL rate limit exceeded'), { status: 403, response });
+        }
+
+        return response;
+      } catch (err) {
+        logQuota(err.response?.headers);
+
+        const decision = attempt < settings.maxRetries ? getRetryDecision(err, attempt, settings) : null;
+        if (!decision) {
+          throw err;
+        }
+
+        logger.warn(`GitHub request ${options.method} ${options.url} failed (${decision.reason}), retrying in ${Math.ceil(decision.delayMs / 1000)} seconds (retry ${attempt + 1}/${settings.maxRetries})`);
+
+        if (!decision.rateLimited) {
+          await sleep(decision.delayMs);
+        } else if (!rateLimitPause) {
+          rateLimitPause = Promise.resolve(sleep(decision.delayMs)).finally(() => {
+            rateLimitPause = null;
+          });
+        }
+      }
+    }
+  };
+};
+
+/**
+ * Gets the Octokit authentication options. A GitHub App takes precedence over a token.
+ * Installation tokens are created on the first request and renewed before they expire.
+ * @param {Object} credentials - GitHub credentials
+ * @param {string} [credentials.token] - GitHub API token
+ * @param {Object} [credentials.app] - GitHub App installation
+ * @param {string|number} credentials.app.appId - App ID
+ * @param {string} credentials.app.privateKeyPath - Path to the app's private key (PEM) file
+ * @param {string|number} credentials.app.installationId - Installation ID of the app in the organization
+ * @returns {Object} Octokit authentication options
+ */
+export const getAuthOptions = ({ token, app }) => {
+  if (!app) {
+    return { auth: token };
+  }
+
+  return {
+    authStrategy: createAppAuth,
+    auth: {
+      appId: app.appId,
+      privateKey: fs.readFileSync(app.privateKeyPath, 'utf8'),
+      installationId: app.installationId
+    }
+  };
+};
+
+/**
+ * Creates an Octokit client whose requests go through the retry layer.
+ * Octokit's own retry and throttling plugins are disabled so that each request
+ * is retried by one layer only.
+ * @param {Object} credentials - GitHub token or App installation (see getAuthOptions)
+ * @param {Object} [options] - Client options
+ * @param {string} [options.baseUrl] - REST API URL, e.g. https://github.example.com/api/v3 for GitHub Enterprise Server
+ * @param {Object} [options.retry] - Retry settings, merged over DEFAULT_RETRY_OPTIONS
+ * @returns {Octokit} Octokit client
+ */
+export const createOctokit = (credentials, options = {}) => {
+  const octokit = new Octokit({
+    ...getAuthOptions(credentials),
+    ...(options.baseUrl && { baseUrl: options.baseUrl.replace(/\/+$/, '') }),
+    retry: { enabled: false },
+    throttle: { enabled: false }
+  });
+  octokit.hook.wrap('request', createRequestHook(options.retry));
+  return octokit;
+};
+
+export default {
+  DEFAULT_RETRY_OPTIONS,
+  getBackoffDelay,
+  getRetryDecision,
+  createRequestHook,
+  getAuthOptions,
+  createOctokit
+};
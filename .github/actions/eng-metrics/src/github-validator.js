@@ -3,12 +3,12 @@
  * Validates that extracted usernames are real GitHub accounts
  */
 
-import { Octokit } from 'octokit';
 import logger from './logger.js';
 
 /**
- * Validates a single GitHub username
- * @param {Octokit} octokit - GitHub API client
+ * Validates a single GitHub username. Rate limits and transient errors are
+ * retried by the request layer, so any other error is thrown.
+ * @param {Octokit} octokit - GitHub API client (see createOctokit)
  * @param {string} username - GitHub username to validate
  * @returns {Promise<boolean>} True if username exists, false otherwise
  */
@@ -22,30 +22,27 @@ const validateUsername = async (octokit, username) => {
       return false;
     }
 
-    // For other errors (rate limiting, network issues), log but assume valid
-    logger.warn(`Error validating username ${username}: ${error.message}`);
-    return true; // Assume valid to avoid false negatives
+    logger.error(`Error validating username ${username}`, error);
+    throw error;
   }
 };
 
 /**
  * Validates multiple GitHub usernames
- * @param {string} githubToken - GitHub API token
+ * @param {Octokit} octokit - GitHub API client (see createOctokit)
  * @param {Array<string>} usernames - Array of usernames to validate
  * @returns {Promise<Array<string>>} Array of valid usernames
  */
-export const validateUsernames = async (githubToken, usernames) => {
-  if (!githubToken) {
-    throw new Error('GitHub token is required for username validation');
+export const validateUsernames = async (octokit, usernames) => {
+  if (!octokit) {
+    throw new Error('GitHub client is required for username validation');
   }
 
-  const octokit = new Octokit({ auth: githubToken });
   const validUsernames = [];
   const invalidUsernames = [];
 
   logger.info(`Validating ${usernames.length} GitHub usernames...`);
 
-  // Process usernames with a small delay to respect rate limits
   for (const username of usernames) {
     const isValid = await validateUsername(octokit, username);
 
@@ -54,9 +51,6 @@ export const validateUsernames = async (githubToken, usernames) => {
     } else {
       invalidUsernames.push(username);
     }
-
-    // Small delay to avoid hitting rate limits too aggressively
-    await new Promise(resolve => setTimeout(resolve, 100));
   }
 
   if (invalidUsernames.length > 0) {
@@ -69,16 +63,16 @@ export const validateUsernames = async (githubToken, usernames) => {
 
 /**
  * Filters user groups to only include valid usernames
- * @param {string} githubToken - GitHub API token
+ * @param {Octokit} octokit - GitHub API client (see createOctokit)
  * @param {Array<{group: string, username: string}>} userGroups - Array of user group mappings
  * @returns {Promise<Array<{group: string, username: string}>>} Array of user group mappings with valid usernames only
  */
-export const filterValidUserGroups = async (githubToken, userGroups) => {
+export const filterValidUserGroups = async (octokit, userGroups) => {
   // Get unique usernames for validation
   const uniqueUsernames = [...new Set(userGroups.map(ug => ug.username))];
 
   // Validate usernames
-  const validUsernames = await validateUsernames(githubToken, uniqueUsernames);
+  const validUsernames = await validateUsernames(octokit, uniqueUsernames);
   const validUsernameSet = new Set(validUsernames);
 
   // Filter user groups to only include valid usernames
@@ -3,17 +3,22 @@
 /**
  * Main entry point for engineering metrics collector
  * Collects comprehensive GitHub engineering metrics including:
- * - Time to First Review (currently implemented)
- * - Time to Merge (planned)
- * - Time to QA Ready (planned)
- * - Time to Production Ready (planned)
+ * - Time to First Review
+ * - Time to Merge
+ * - Time to QA Ready
+ * - Time to Production Ready
+ *
+ * Run `node src/index.js backfill --from YYYY-MM-DD --to YYYY-MM-DD` to collect
+ * metrics for a historical date range instead of the lookback window.
  */
 
 import { loadConfig } from './config.js';
 import { MetricsCollector } from './metrics-collector.js';
+import { getSinkSettings } from './sinks.js';
 import logger from './logger.js';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
+import { parseArgs } from 'util';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -23,32 +28,67 @@ const __dirname = dirname(__filename);
  */
 async function main() {
   try {
-    // Parse command line arguments
-    const args = process.argv.slice(2);
+    // Parse command line arguments:
+    //   [backfill] [config.json] [--print-only] [--repair] [--from YYYY-MM-DD --to YYYY-MM-DD]
+    //   [--force-refresh owner/repo ...]
+    const { values: flags, positionals } = parseArgs({
+      args: process.argv.slice(2),
+      allowPositionals: true,
+      options: {
+        'print-only': { type: 'boolean' },
+        repair: { type: 'boolean' },
+        from: { type: 'string' },
+        to: { type: 'string' },
+        'force-refresh': { type: 'string', multiple: true }
+      }
+    });
 
-    // Check for print-only flag in command line arguments
-    const printOnlyFlag = args.includes('--print-only');
+    const backfillCommand = positionals[0] === 'backfill';
+    if (backfillCommand) {
+      positionals.shift();
+      if (!flags.from || !flags.to) {
+        throw new Error('backfill requires --from and --to dates (YYYY-MM-DD)');
+      }
+    }
 
     // Get the configuration path from command line arguments
-    // Filter out the --print-only flag if present
-    const configPath = args.filter(arg => arg !== '--print-only')[0] || join(__dirname, '..', 'config.json');
+    const configPath = positionals[0] || join(__dirname, '..', 'config.json');
+
+    // Force a full refresh of repositories, ignoring their last sync time
+    if (flags['force-refresh']) {
+      process.env.FORCE_REFRESH_REPOSITORIES = flags['force-refresh'].join(',');
+    }
 
     // Load configuration
     const config = loadConfig(configPath);
 
     // Override printOnly setting if flag is provided
-    if (printOnlyFlag) {
+    if (flags['print-only']) {
       config.printOnly = true;
     }
 
     // Create and run metrics collector
     const metricsCollector = new MetricsCollector(config);
+
+    if (backfillCommand) {
+      const count = await metricsCollector.backfill({ from: flags.from, to: flags.to });
+      logger.info(`Successfully backfilled ${count} engineering metrics from ${flags.from} to ${flags.to}`);
+      process.exit(0);
+    }
+
+    if (flags.repair) {
+      const repaired = await metricsCollector.repair({ from: flags.from, to: flags.to });
+      logger.info(`Successfully repaired ${repaired.length} engineering metrics in BigQuery`);
+      process.exit(0);
+    }
+
     const metrics = await metricsCollector.run();
 
     if (config.printOnly) {
       logger.info(`Successfully collected and printed ${metrics.length} engineering metrics`);
     } else {
-      logger.info(`Successfully collected and uploaded ${metrics.length} engineering metrics to BigQuery`);
+      const sinks = getSinkSettings(config).map(sink => sink.type).join(', ');
+      logger.info(`Successfully collected ${metrics.length} engineering metrics and wrote them to ${sinks}`);
     }
 
     // Exit with success
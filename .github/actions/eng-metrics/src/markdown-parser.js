@@ -113,6 +113,49 @@ const extractUsernamesFromSection = (sectionContent, groupName) => {
   return userGroups;
 };
 
+/**
+ * Parses per-user timezones from the product groups markdown file.
+ * Timezones are listed in an optional table row, e.g.
+ * `| Timezones | @username: America/New_York, @other-user: Europe/Berlin |`
+ * @param {string} filePath - Path to the product-groups.md file
+ * @returns {Object<string, string>} Map of GitHub username to IANA timezone
+ */
+export const parseProductGroupTimezones = (filePath) => {
+  try {
+    const resolvedPath = path.resolve(process.cwd(), filePath);
+
+    if (!fs.existsSync(resolvedPath)) {
+      logger.warn(`Product groups file not found at ${resolvedPath}, no timezones loaded from it`);
+      return {};
+    }
+
+    const content = fs.readFileSync(resolvedPath, 'utf8');
+    return extractTimezonesFromMarkdown(content);
+  } catch (err) {
+    logger.error(`Error parsing timezones from product groups file: ${filePath}`, err);
+    return {};
+  }
+};
+
+/**
+ * Extracts user timezones from markdown content
+ * @param {string} content - Markdown content
+ * @returns {Object<string, string>} Map of GitHub username to IANA timezone
+ */
+const extractTimezonesFromMarkdown = (content) => {
+  const timezones = {};
+  const timezoneRows = content.match(/^\|\s*Timezones?\s*\|.*$/gim) || [];
+
+  for (const row of timezoneRows) {
+    for (const match of row.matchAll(/@([a-zA-Z0-9-]+)\s*:\s*([A-Za-z_]+(?:\/[A-Za-z0-9_+-]+)*)/g)) {
+      timezones[match[1]] = match[2];
+    }
+  }
+
+  logger.info(`Extracted ${Object.keys(timezones).length} user timezones from markdown`);
+  return timezones;
+};
+
 /**
  * Validates the structure of the markdown content
  * @param {string} content - Markdown content to validate
@@ -133,5 +176,6 @@ export const validateMarkdownStructure = (content) => {
 
 export default {
   parseProductGroups,
+  parseProductGroupTimezones,
   validateMarkdownStructure
 };
@@ -0,0 +1,240 @@
+/**
+ * Metric registry for engineering metrics collector
+ * Each metric type declares its calculator, BigQuery schema, partitioning,
+ * row transform, display formatting and config key in one definition.
+ * Built-in metrics are registered on import; extra metric modules can be
+ * loaded from local paths listed in the `metricModules` config option.
+ */
+
+import path from 'path';
+import { pathToFileURL } from 'url';
+import logger from './logger.js';
+import { METRIC_SOURCES, COMMON_SCHEMA_FIELDS, toCommonRow, formatDuration } from './metrics/common.js';
+import timeToFirstReview from './metrics/time-to-first-review.js';
+import timeToApproval from './metrics/time-to-approval.js';
+import timeToMerge from './metrics/time-to-merge.js';
+import timeToQAReady from './metrics/time-to-qa-ready.js';
+import timeToProductionReady from './metrics/time-to-production-ready.js';
+import reviewCycles from './metrics/review-cycles.js';
+
+/**
+ * Fields every metric definition must provide
+ */
+const REQUIRED_FIELDS = [
+  'metricType',
+  'configKey',
+  'displayName',
+  'source',
+  'defaultTableName',
+  'durationField',
+  'calculate',
+  'schema',
+  'partitionField',
+  'clusterFields',
+  'toRow'
+];
+
+/**
+ * Registered metric definitions keyed by metric type
+ */
+const registry = new Map();
+
+/**
+ * Definitions registered from each loaded metric module, keyed by resolved path
+ */
+const loadedModules = new Map();
+
+/**
+ * Registers a metric definition
+ * @param {Object} definition - Metric definition
+ * @param {string} definition.metricType - Metric type stored on each metric (e.g. 'time_to_merge')
+ * @param {string} definition.configKey - Key under config.metrics (e.g. 'timeToMerge')
+ * @param {string} definition.displayName - Human readable name used in print-only output
+ * @param {string} definition.source - One of METRIC_SOURCES
+ * @param {string} definition.defaultTableName - BigQuery table used when none is configured
+ * @param {boolean} [definition.defaultEnabled=false] - Whether the metric is enabled by default
+ * @param {string} [definition.tableNameEnvVar] - Environment variable that overrides the table name
+ * @param {string} definition.durationField - Metric property holding the duration in seconds
+ * @param {string} [definition.elapsedField] - Metric property holding the wall-clock duration in seconds
+ * @param {string} [definition.businessHoursField] - Metric property holding the business-hours duration in seconds
+ * @param {Function} definition.calculate - Calculator returning a metric object or null
+ * @param {Array<Object>} definition.schema - BigQuery schema fields
+ * @param {string} definition.partitionField - BigQuery daily partitioning field
+ * @param {Array<string>} definition.clusterFields - BigQuery clustering fields
+ * @param {Function} definition.toRow - Transforms a metric object into a BigQuery row
+ * @param {{column: string, property: string}} [definition.uniqueKey] - Row identity used to skip or upsert existing rows
+ * @param {Function} [definition.formatDetails] - Returns metric-specific lines for print-only output
+ * @param {string} [definition.algorithmVersion='1'] - Calculator version stored with each row; bump it when a fix should be recomputed
+ * @returns {Object} The registered definition
+ */
+export const registerMetric = (definition) => {
+  const missingFields = REQUIRED_FIELDS.filter(field => definition?.[field] === undefined);
+  if (missingFields.length > 0) {
+    throw new Error(`Metric definition ${definition?.metricType || '(unnamed)'} is missing required fields: ${missingFields.join(', ')}`);
+  }
+
+  if (!Object.values(METRIC_SOURCES).includes(definition.source)) {
+    throw new Error(`Metric ${definition.metricType} has unknown source: ${definition.source}`);
+  }
+
+  if (registry.has(definition.metricType)) {
+    throw new Error(`Metric type already registered: ${definition.metricType}`);
+  }
+
+  const duplicateKey = getMetricDefinitions().find(existing => existing.configKey === definition.configKey);
+  if (duplicateKey) {
+    throw new Error(`Metric config key ${definition.configKey} is already used by ${duplicateKey.metricType}`);
+  }
+
+  const registered = {
+    defaultEnabled: false,
+    uniqueKey: definition.source === METRIC_SOURCES.ISSUE
+      ? { column: 'issue_number', property: 'issueNumber' }
+      : { column: 'pr_number', property: 'prNumber' },
+    formatDetails: () => [],
+    algorithmVersion: '1',
+    ...definition
+  };
+
+  registry.set(registered.metricType, registered);
+  return registered;
+};
+
+/**
+ * Gets the definition for a metric type
+ * @param {string} metricType - Type of metric
+ * @returns {Object|null} Metric definition or null if the type is not registered
+ */
+export const getMetricDefinition = (metricType) => {
+  return registry.get(metricType) || null;
+};
+
+/**
+ * Gets all registered metric definitions in registration order
+ * @returns {Array<Object>} Metric definitions
+ */
+export const getMetricDefinitions = () => {
+  return [...registry.values()];
+};
+
+/**
+ * Gets the metric definitions enabled in the configuration
+ * @param {Object} config - Configuration object
+ * @param {string} [source] - Only return metrics calculated from this source
+ * @returns {Array<Object>} Enabled metric definitions
+ */
+export const getEnabledMetricDefinitions = (config, source) => {
+  return getMetricDefinitions().filter(definition =>
+    config.metrics?.[definition.configKey]?.enabled &&
+    (!source || definition.source === source)
+  );
+};
+
+/**
+ * Gets the table a metric type is written to
+ * @param {Object} config - Configuration object
+ * @param {string} metricType - Type of metric
+ * @returns {string} Configured table name, or the metric's default table name
+ */
+export const getMetricTableName = (config, metricType) => {
+  const definition = getMetricDefinition(metricType);
+  if (!definition) {
+    throw new Error(`Unknown metric type: ${metricType}`);
+  }
+
+  return config.metrics?.[definition.configKey]?.tableName || definition.defaultTableName;
+};
+
+/**
+ * Gets the columns of a metric type's rows: its own schema followed by the common columns
+ * @param {string} metricType - Type of metric
+ * @returns {Array<Object>} Schema fields
+ */
+export const getMetricSchema = (metricType) => {
+  const definition = getMetricDefinition(metricType);
+  if (!definition) {
+    throw new Error(`Unknown metric type: ${metricType}`);
+  }
+
+  return [...definition.schema, ...COMMON_SCHEMA_FIELDS];
+};
+
+/**
+ * Transforms a metric object into a row with the columns of getMetricSchema
+ * @param {Object} metric - Metric object
+ * @param {Date} [updatedAt=new Date()] - Time the row is written
+ * @returns {Object} Row
+ */
+export const toMetricRow = (metric, updatedAt = new Date()) => {
+  const definition = getMetricDefinition(metric.metricType);
+  if (!definition) {
+    throw new Error(`Unknown metric type: ${metric.metricType}`);
+  }
+
+  return {
+    ...definition.toRow(metric),
+    ...toCommonRow(metric, definition, updatedAt)
+  };
+};
+
+/**
+ * Loads extra metric modules from local paths and registers their definitions.
+ * A module's default export may be a single metric definition or an array of them.
+ * Modules that are already loaded are not registered again.
+ * @param {Array<string>} [modulePaths=[]] - Paths relative to the current working directory
+ * @returns {Promise<Array<Object>>} The registered definitions of the modules
+ */
+export const loadMetricModules = async (modulePaths = []) => {
+  const registered = [];
+
+  for (const modulePath of modulePaths) {
+    const resolvedPath = path.resolve(process.cwd(), modulePath);
+    if (loadedModules.has(resolvedPath)) {
+      registered.push(...loadedModules.get(resolvedPath));
+      continue;
+    }
+
+    logger.info(`Loading metric module from ${resolvedPath}`);
+
+    try {
+      const module = await import(pathToFileURL(resolvedPath).href);
+      const definitions = [].concat(module.default || []);
+
+      if (definitions.length === 0) {
+        throw new Error('Metric module must have a default export with one or more metric definitions');
+      }
+
+      const moduleDefinitions = [];
+      for (const definition of definitions) {
+        moduleDefinitions.push(registerMetric(definition));
+        logger.info(`Registered metric ${definition.metricType} from ${modulePath}`);
+      }
+
+      loadedModules.set(resolvedPath, moduleDefinitions);
+      registered.push(...moduleDefinitions);
+    } catch (err) {
+      logger.error(`Error loading metric module: ${modulePath}`, err);
+      throw err;
+    }
+  }
+
+  return registered;
+};
+
+export { METRIC_SOURCES, formatDuration };
+
+// Register built-in metrics
+[timeToFirstReview, timeToApproval, timeToMerge, reviewCycles, timeToQAReady, timeToProductionReady].forEach(registerMetric);
+
+export default {
+  METRIC_SOURCES,
+  formatDuration,
+  registerMetric,
+  getMetricDefinition,
+  getMetricDefinitions,
+  getEnabledMetricDefinitions,
+  getMetricTableName,
+  getMetricSchema,
+  toMetricRow,
+  loadMetricModules
+};
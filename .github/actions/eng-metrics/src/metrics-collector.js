@@ -1,10 +1,11 @@
 /**
  * Engineering metrics collector module
  * Orchestrates the collection and uploading of comprehensive GitHub engineering metrics:
- * - Time to First Review (currently implemented)
- * - Time to Merge (planned)
- * - Time to QA Ready (planned)
- * - Time to Production Ready (planned)
+ * - Time to First Review
+ * - Time to Merge
+ * - Time to QA Ready
+ * - Time to Production Ready
+ * Metric types are defined in the metric registry (see metric-registry.js).
  */
 
 import GitHubClient from './github-client.js';
@@ -12,6 +13,38 @@ import BigQueryClient from './bigquery-client.js';
 import { UserGroupClient } from './user-group-client.js';
 import { parseProductGroups } from './markdown-parser.js';
 import { filterValidUserGroups } from './github-validator.js';
+import { createWorkingCalendar } from './working-calendar.js';
+import { loadUserTimezones } from './user-timezones.js';
+import { createStateStore } from './state-store.js';
+import { createSinks, usesBigQuerySink } from './sinks.js';
+import { buildRunReport, writeRunReport } from './run-report.js';
+import { formatDurationSummary } from './console-summary.js';
+import { getRepositoryConfig, isSameRepository } from './repository-config.js';
+import { discoverRepositories } from './repository-discovery.js';
+import { addMetricDefaults, validateRepositoryMetricOverrides } from './config.js';
+import {
+  DEFAULT_REPOSITORY_CONCURRENCY,
+  DEFAULT_PULL_REQUEST_CONCURRENCY,
+  mapWithConcurrency
+} from './concurrency.js';
+import {
+  DEFAULT_CHUNK_DAYS,
+  DEFAULT_CHECKPOINT_FILEPATH,
+  parseBackfillRange,
+  splitDateRange,
+  loadCheckpoint,
+  saveCheckpoint,
+  clearCheckpoint
+} from './backfill.js';
+import {
+  METRIC_SOURCES,
+  formatDuration,
+  getMetricDefinition,
+  getMetricDefinitions,
+  getEnabledMetricDefinitions,
+  getMetricTableName,
+  loadMetricModules
+} from './metric-registry.js';
 import logger from './logger.js';
 
 /**
@@ -27,6 +60,18 @@ export class MetricsCollector {
     this.githubClient = null;
     this.bigqueryClient = null;
     this.userGroupClient = null;
+    this.workingCalendar = null;
+    this.stateStore = null;
+    // Output sinks, created on first use (see sinks.js)
+    this.sinks = null;
+    // Configured and discovered repositories, resolved on first use
+    this.repositories = null;
+    // Validated user group mappings, set when user groups are processed
+    this.userGroups = [];
+
+    // Sync times of repositories collected without errors, saved to the state store after upload
+    this.syncTimes = new Map();
+    this.failedRepositories = new Set();
   }
 
   /**
@@ -36,34 +81,62 @@ export class MetricsCollector {
     try {
       logger.info('Initializing metrics collector');
 
-      // Initialize GitHub client
-      this.githubClient = new GitHubClient(this.config.githubToken);
+      // Register extra metric modules before any metrics are collected, and
+      // configure their metrics the way built-in metrics are configured
+      const moduleDefinitions = await loadMetricModules(this.config.metricModules);
+      this.config.metrics = addMetricDefaults(this.config.metrics, moduleDefinitions);
+      if (!validateRepositoryMetricOverrides(this.config)) {
+        throw new Error('Invalid configuration');
+      }
 
-      // Initialize BigQuery client only if not in print-only mode
-      if (!this.config.printOnly) {
+      // Warn about configured metrics that no definition handles
+      const registeredKeys = new Set(getMetricDefinitions().map(definition => definition.configKey));
+      const unknownMetrics = Object.keys(this.config.metrics).filter(key => !registeredKeys.has(key));
+      if (unknownMetrics.length > 0) {
+        logger.warn(`No metric definitions registered for configured metrics: ${unknownMetrics.join(', ')}`);
+      }
+
+      // Build the working calendar used for all duration calculations
+      this.workingCalendar = createWorkingCalendar(this.config.workingCalendar);
+
+      // Initialize GitHub client
+      this.githubClient = new GitHubClient(this.config.githubToken, {
+        workingCalendar: this.workingCalendar,
+        userTimezones: loadUserTimezones(this.config),
+        defaultTimezone: this.config.defaultTimezone,
+        retry: this.config.githubRetry,
+        app: this.config.githubApp,
+        baseUrl: this.config.githubApiBaseUrl
+      });
+
+      // Initialize BigQuery client only if metrics or sync state are stored in BigQuery
+      if (this.usesBigQuery()) {
         this.bigqueryClient = new BigQueryClient(this.config.serviceAccountKeyPath);
-      } else {
+      } else if (this.config.printOnly) {
         logger.info('Running in print-only mode, BigQuery client not initialized');
+      } else {
+        logger.info('No BigQuery sink configured, BigQuery client not initialized');
       }
 
-      // Initialize User Group client if user group processing is enabled
+      // Initialize User Group client if user group processing is enabled.
+      // User groups are synced to BigQuery, or printed when BigQuery isn't used.
       if (this.config.userGroupEnabled) {
-        if (!this.config.printOnly) {
+        if (this.bigqueryClient) {
           // Get project ID from BigQuery client
           const projectId = this.bigqueryClient.getProjectId();
           this.userGroupClient = new UserGroupClient(
             projectId,
             this.config.bigQueryDatasetId,
             this.config.serviceAccountKeyPath,
-            this.config.printOnly
+            false
           );
         } else {
-          // For print-only mode, we don't need a real project ID
+          // Without BigQuery, we don't need a real project ID
           this.userGroupClient = new UserGroupClient(
             'print-only-project',
             this.config.bigQueryDatasetId,
             this.config.serviceAccountKeyPath,
-            this.config.printOnly
+            true
           );
         }
         logger.info('User group client initialized');
@@ -91,54 +164,58 @@ export class MetricsCollector {
     logger.info(`Collecting metrics for ${repository}`);
 
     try {
-      // Calculate the date to fetch PRs from (lookbackDays ago)
-      const since = new Date();
-      since.setDate(since.getDate() - this.config.lookbackDays);
-
-      // Fetch PRs updated since the lookback date
-      const pullRequests = await this.githubClient.fetchPullRequests(
-        owner,
-        repo,
-        'all',
-        since,
-        this.config.targetBranch
-      );
+      // Record the start time first so PRs updated during collection are picked up next time
+      const syncTime = new Date();
+      const since = await this.getSinceForRepository(repository);
+      const repositoryConfig = getRepositoryConfig(this.config, repository);
+      const { targetBranch } = repositoryConfig;
 
-      logger.info(`Found ${pullRequests.length} PRs for ${repository}`);
-
-      // Collect metrics for each PR
       const metrics = [];
 
-      for (const pr of pullRequests) {
-        try {
-          // Fetch PR timeline events (shared for all metrics)
-          const timelineEvents = await this.githubClient.fetchPRTimelineEvents(
+      // Collect PR metrics if any are enabled
+      if (getEnabledMetricDefinitions(repositoryConfig, METRIC_SOURCES.PULL_REQUEST).length > 0) {
+        if (this.config.githubApi === 'graphql') {
+          // Fetch PRs with their timeline and review events in batched GraphQL queries
+          const pullRequests = await this.githubClient.fetchPullRequestsWithActivity(
             owner,
             repo,
-            pr.number
+            since,
+            targetBranch
           );
 
-          // Fetch PR review events (needed for Time to First Review)
-          const rawReviewEvents = await this.githubClient.fetchPRReviewEvents(
+          logger.info(`Found ${pullRequests.length} PRs for ${repository}`);
+
+          const prMetrics = await this.collectPullRequestActivityMetrics(owner, repo, pullRequests);
+          metrics.push(...prMetrics);
+        } else {
+          // Fetch PRs updated since the lookback date
+          const pullRequests = await this.githubClient.fetchPullRequests(
             owner,
             repo,
-            pr.number
+            'all',
+            since,
+            targetBranch
           );
 
-          // Filter bot reviews if configured
-          const reviewEvents = this.githubClient.filterBotReviews(
-            rawReviewEvents,
-            this.config.excludeBotReviews
-          );
+          logger.info(`Found ${pullRequests.length} PRs for ${repository}`);
 
-          // Collect enabled metrics for this PR
-          const prMetrics = await this.collectPRMetrics(pr, timelineEvents, reviewEvents);
+          const prMetrics = await this.collectPullRequestsMetrics(owner, repo, pullRequests);
           metrics.push(...prMetrics);
-        } catch (err) {
-          logger.error(`Error collecting metrics for PR ${repository}#${pr.number}`, err);
         }
       }
 
+      // Collect issue metrics from GitHub Projects status history if any are enabled
+      if (getEnabledMetricDefinitions(repositoryConfig, METRIC_SOURCES.ISSUE).length > 0) {
+        const issueMetrics = await this.collectIssueMetrics(owner, repo, since);
+        metrics.push(...issueMetrics);
+      }
+
+      this.stampCalendarVersion(metrics);
+
+      if (!this.failedRepositories.has(repository)) {
+        this.syncTimes.set(repository, syncTime);
+      }
+
       logger.info(`Collected ${metrics.length} metrics for ${repository}`);
       return metrics;
     } catch (err) {
@@ -147,51 +224,216 @@ export class MetricsCollector {
     }
   }
 
+  /**
+   * Gets the date to fetch PRs and issues from: the last successful sync time when
+   * a state store is configured, otherwise (or when a full refresh is forced) lookbackDays ago
+   * @param {string} repository - Repository in the format owner/repo
+   * @returns {Promise<Date>} Fetch PRs and issues updated since this date
+   */
+  async getSinceForRepository(repository) {
+    const since = new Date();
+    since.setDate(since.getDate() - getRepositoryConfig(this.config, repository).lookbackDays);
+
+    if (!this.stateStore) {
+      return since;
+    }
+
+    if (this.config.forceRefreshRepositories?.some(name => isSameRepository(name, repository))) {
+      logger.info(`Forcing a full refresh of ${repository} since ${since.toISOString()}`);
+      return since;
+    }
+
+    const lastSyncTime = await this.stateStore.getLastSyncTime(repository);
+    if (!lastSyncTime) {
+      logger.info(`No previous sync recorded for ${repository}, collecting since ${since.toISOString()}`);
+      return since;
+    }
+
+    logger.info(`Collecting ${repository} incrementally since last sync at ${lastSyncTime.toISOString()}`);
+    return lastSyncTime;
+  }
+
+  /**
+   * Saves the sync time of every repository collected without errors to the state store.
+   * Called only after the metrics were uploaded, so a failed run is collected again.
+   * @returns {Promise<void>}
+   */
+  async saveSyncState() {
+    if (!this.stateStore) {
+      return;
+    }
+
+    for (const [repository, syncTime] of this.syncTimes) {
+      await this.stateStore.setLastSyncTime(repository, syncTime);
+      logger.info(`Recorded sync of ${repository} at ${syncTime.toISOString()}`);
+    }
+
+    if (this.failedRepositories.size > 0) {
+      logger.warn(`Not recording a sync for repositories with errors: ${[...this.failedRepositories].join(', ')}`);
+    }
+  }
+
+  /**
+   * Collects enabled metrics for a list of PRs in a repository
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @param {Array} pullRequests - Pull requests to collect metrics for
+   * @returns {Array} Array of PR metrics
+   */
+  async collectPullRequestsMetrics(owner, repo, pullRequests) {
+    const repositoryConfig = getRepositoryConfig(this.config, `${owner}/${repo}`);
+    const results = await mapWithConcurrency(pullRequests, this.getPullRequestConcurrency(), async (pr) => {
+      try {
+        // Fetch PR timeline events (shared for all metrics)
+        const timelineEvents = await this.githubClient.fetchPRTimelineEvents(
+          owner,
+          repo,
+          pr.number
+        );
+
+        // Fetch PR review events (needed for Time to First Review)
+        const rawReviewEvents = await this.githubClient.fetchPRReviewEvents(
+          owner,
+          repo,
+          pr.number
+        );
+
+        return await this.collectPRActivityMetrics(pr, timelineEvents, rawReviewEvents, repositoryConfig);
+      } catch (err) {
+        logger.error(`Error collecting metrics for PR ${owner}/${repo}#${pr.number}`, err);
+        this.failedRepositories.add(`${owner}/${repo}`);
+        return [];
+      }
+    });
+
+    return results.flat();
+  }
+
+  /**
+   * Collects enabled metrics for PRs fetched together with their timeline and review events
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @param {Array<{pr: Object, timelineEvents: Array, reviewEvents: Array}>} pullRequests - PRs and their events
+   * @returns {Array} Array of PR metrics
+   */
+  async collectPullRequestActivityMetrics(owner, repo, pullRequests) {
+    const repositoryConfig = getRepositoryConfig(this.config, `${owner}/${repo}`);
+    const results = await mapWithConcurrency(pullRequests, this.getPullRequestConcurrency(), async ({ pr, timelineEvents, reviewEvents }) => {
+      try {
+        return await this.collectPRActivityMetrics(pr, timelineEvents, reviewEvents, repositoryConfig);
+      } catch (err) {
+        logger.error(`Error collecting metrics for PR ${owner}/${repo}#${pr.number}`, err);
+        this.failedRepositories.add(`${owner}/${repo}`);
+        return [];
+      }
+    });
+
+    return results.flat();
+  }
+
+  /**
+   * Gets the number of PRs per repository processed at the same time
+   * @returns {number} PR concurrency limit
+   */
+  getPullRequestConcurrency() {
+    return this.config.pullRequestConcurrency || DEFAULT_PULL_REQUEST_CONCURRENCY;
+  }
+
+  /**
+   * Filters bot reviews if configured and collects enabled metrics for a single PR
+   * @param {Object} pr - Pull request object
+   * @param {Array} timelineEvents - PR timeline events
+   * @param {Array} rawReviewEvents - PR review events, including bot reviews
+   * @param {Object} [repositoryConfig=this.config] - Configuration of the PR's repository
+   * @returns {Array} Array of metrics for this PR
+   */
+  async collectPRActivityMetrics(pr, timelineEvents, rawReviewEvents, repositoryConfig = this.config) {
+    // Filter bot reviews if configured
+    const reviewEvents = this.githubClient.filterBotReviews(
+      rawReviewEvents,
+      repositoryConfig.excludeBotReviews
+    );
+
+    // Collect enabled metrics for this PR
+    return this.collectPRMetrics(pr, timelineEvents, reviewEvents, repositoryConfig);
+  }
+
+  /**
+   * Records which working calendar the durations were calculated with
+   * @param {Array} metrics - Array of engineering metrics
+   */
+  stampCalendarVersion(metrics) {
+    if (this.workingCalendar) {
+      metrics.forEach(metric => {
+        metric.calendarVersion = this.workingCalendar.version;
+      });
+    }
+  }
+
   /**
    * Collects enabled metrics for a single PR
    * @param {Object} pr - Pull request object
    * @param {Array} timelineEvents - PR timeline events
    * @param {Array} reviewEvents - PR review events
+   * @param {Object} [repositoryConfig=this.config] - Configuration of the PR's repository
    * @returns {Array} Array of metrics for this PR
    */
-  async collectPRMetrics(pr, timelineEvents, reviewEvents) {
+  async collectPRMetrics(pr, timelineEvents, reviewEvents, repositoryConfig = this.config) {
     const metrics = [];
 
-    // Collect Time to First Review if enabled
-    if (this.config.metrics.timeToFirstReview.enabled) {
+    for (const definition of getEnabledMetricDefinitions(repositoryConfig, METRIC_SOURCES.PULL_REQUEST)) {
       try {
-        const pickupTimeMetrics = this.githubClient.calculatePickupTime(
-          pr,
-          timelineEvents,
-          reviewEvents
-        );
+        const metric = await definition.calculate(this.githubClient, pr, timelineEvents, reviewEvents);
 
-        if (pickupTimeMetrics) {
-          metrics.push(pickupTimeMetrics);
+        if (metric) {
+          metrics.push(metric);
         }
       } catch (err) {
-        logger.error(`Error calculating Time to First Review for PR #${pr.number}`, err);
+        logger.error(`Error calculating ${definition.displayName} for PR #${pr.number}`, err);
       }
     }
 
-    // Collect Time to Merge if enabled
-    if (this.config.metrics.timeToMerge.enabled) {
-      try {
-        const mergeTimeMetrics = this.githubClient.calculateTimeToMerge(
-          pr,
-          timelineEvents,
-          reviewEvents
-        );
+    return metrics;
+  }
+
+  /**
+   * Collects enabled GitHub Projects issue metrics for a single repository
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @param {Date} since - Collect issues updated since this date
+   * @param {Date} [until] - When set, collect issues created between since and until instead
+   * @returns {Array} Array of issue metrics
+   */
+  async collectIssueMetrics(owner, repo, since, until) {
+    try {
+      const issues = until
+        ? await this.githubClient.fetchProjectIssuesInRange(owner, repo, since, until)
+        : await this.githubClient.fetchProjectIssues(owner, repo, since);
+      logger.info(`Found ${issues.length} issues for ${owner}/${repo}`);
+
+      const definitions = getEnabledMetricDefinitions(getRepositoryConfig(this.config, `${owner}/${repo}`), METRIC_SOURCES.ISSUE);
+      const metrics = [];
 
-        if (mergeTimeMetrics) {
-          metrics.push(mergeTimeMetrics);
+      for (const issue of issues) {
+        for (const definition of definitions) {
+          try {
+            const metric = await definition.calculate(this.githubClient, issue);
+
+            if (metric) {
+              metrics.push(metric);
+            }
+          } catch (err) {
+            logger.error(`Error calculating ${definition.displayName} for issue #${issue.number}`, err);
+          }
         }
-      } catch (err) {
-        logger.error(`Error calculating Time to Merge for PR #${pr.number}`, err);
       }
-    }
 
-    return metrics;
+      return metrics;
+    } catch (err) {
+      logger.error(`Error collecting issue metrics for ${owner}/${repo}`, err);
+      this.failedRepositories.add(`${owner}/${repo}`);
+      return [];
+    }
   }
 
   /**
@@ -202,13 +444,13 @@ export class MetricsCollector {
     try {
       logger.info('Collecting metrics for all repositories');
 
-      const allMetrics = [];
-
-      // Collect metrics for each repository
-      for (const repository of this.config.repositories) {
-        const metrics = await this.collectRepositoryMetrics(repository);
-        allMetrics.push(...metrics);
-      }
+      // Collect metrics for each repository, keeping results in repository order
+      const repositoryMetrics = await mapWithConcurrency(
+        await this.getRepositories(),
+        this.config.repositoryConcurrency || DEFAULT_REPOSITORY_CONCURRENCY,
+        repository => this.collectRepositoryMetrics(repository)
+      );
+      const allMetrics = repositoryMetrics.flat();
 
       logger.info(`Collected ${allMetrics.length} metrics in total`);
       return allMetrics;
@@ -219,7 +461,219 @@ export class MetricsCollector {
   }
 
   /**
-   * Processes user groups from the markdown file
+   * Gets the repositories to collect: the configured ones followed by those
+   * discovered in the configured organizations. Names are compared
+   * case-insensitively and the first spelling is kept.
+   * @returns {Promise<Array<string>>} Repositories in owner/repo format
+   */
+  async getRepositories() {
+    if (!this.repositories) {
+      const configured = this.config.repositories || [];
+      const discovered = this.config.organizations
+        ? await discoverRepositories(this.githubClient, this.config.organizations)
+        : [];
+
+      // Repository names are case-insensitive on GitHub
+      const repositories = new Map();
+      for (const repository of [...configured, ...discovered]) {
+        if (!repositories.has(repository.toLowerCase())) {
+          repositories.set(repository.toLowerCase(), repository);
+        }
+      }
+      this.repositories = [...repositories.values()];
+      if (discovered.length > 0) {
+        logger.info(`Collecting ${this.repositories.length} repositories (${configured.length} configured, ${discovered.length} discovered)`);
+      }
+    }
+
+    return this.repositories;
+  }
+
+  /**
+   * Collects metrics for a historical date range instead of the lookback window.
+   * The range is split into chunks, newest first. Metrics are uploaded (or printed)
+   * after each page of PRs and progress is saved to a checkpoint file, so running
+   * the same backfill again resumes where an interrupted run stopped.
+   * @param {Object} options - Backfill options
+   * @param {string} options.from - First day of the range (YYYY-MM-DD)
+   * @param {string} options.to - Last day of the range (YYYY-MM-DD)
+   * @returns {Promise<number>} Number of metrics collected
+   */
+  async backfill({ from, to }) {
+    try {
+      const range = parseBackfillRange(from, to);
+      const chunkDays = this.config.backfillChunkDays || DEFAULT_CHUNK_DAYS;
+      const checkpointPath = this.config.backfillCheckpointFilepath || DEFAULT_CHECKPOINT_FILEPATH;
+      const chunks = splitDateRange(range.from, range.to, chunkDays);
+      const checkpoint = loadCheckpoint(checkpointPath, { from, to, chunkDays });
+      const saveProgress = () => saveCheckpoint(checkpointPath, checkpoint);
+
+      logger.info(`Starting backfill from ${from} to ${to} in ${chunks.length} chunks of ${chunkDays} days`);
+      await this.initialize();
+
+      let total = 0;
+      for (const repository of await this.getRepositories()) {
+        const [owner, repo] = repository.split('/');
+        if (!owner || !repo) {
+          throw new Error(`Invalid repository format: ${repository}`);
+        }
+
+        checkpoint.repositories[repository] ||= { chunk: 0, page: 1, pullRequestsDone: false, done: false };
+        const progress = checkpoint.repositories[repository];
+        if (progress.done) {
+          logger.info(`Skipping ${repository}, already backfilled`);
+          continue;
+        }
+
+        while (progress.chunk < chunks.length) {
+          const chunk = chunks[progress.chunk];
+          logger.info(`Backfilling ${repository} chunk ${progress.chunk + 1}/${chunks.length}: ${chunk.from.toISOString()} - ${chunk.to.toISOString()}`);
+
+          // Pause before each chunk if the rate limit is running low
+          await this.githubClient.waitForRateLimit();
+
+          total += await this.backfillChunk(owner, repo, chunk, progress, saveProgress);
+          progress.chunk++;
+          progress.pullRequestsDone = false;
+          saveProgress();
+        }
+
+        progress.done = true;
+        saveProgress();
+      }
+
+      clearCheckpoint(checkpointPath);
+      logger.info(`Backfill completed, collected ${total} metrics`);
+      return total;
+    } catch (err) {
+      logger.error('Error running backfill', err);
+      throw err;
+    } finally {
+      await this.closeSinks();
+    }
+  }
+
+  /**
+   * Collects and outputs the metrics of one repository for one backfill chunk
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @param {{from: Date, to: Date}} chunk - Date range of the chunk
+   * @param {{page: number, pullRequestsDone: boolean}} progress - Repository progress; page is
+   *   the next page to fetch and is updated as pages are processed
+   * @param {Function} saveProgress - Saves the checkpoint
+   * @param {Function} [output] - Writes each batch of collected metrics (defaults to outputMetrics)
+   * @returns {Promise<number>} Number of metrics collected
+   */
+  async backfillChunk(owner, repo, chunk, progress, saveProgress, output = metrics => this.outputMetrics(metrics)) {
+    const repositoryConfig = getRepositoryConfig(this.config, `${owner}/${repo}`);
+    let count = 0;
+
+    if (getEnabledMetricDefinitions(repositoryConfig, METRIC_SOURCES.PULL_REQUEST).length > 0 && !progress.pullRequestsDone) {
+      const { lastPage } = await this.githubClient.fetchPullRequestsInRange(owner, repo, chunk.from, chunk.to, repositoryConfig.targetBranch, {
+        startPage: progress.page,
+        onPage: async (pullRequests, page) => {
+          const metrics = await this.collectPullRequestsMetrics(owner, repo, pullRequests);
+          await output(metrics);
+          count += metrics.length;
+
+          // Resume after this page, so its metrics aren't written twice
+          progress.page = page + 1;
+          saveProgress();
+        }
+      });
+
+      // The next (older) chunk starts from the last page, which may also hold its PRs.
+      // The chunks' date ranges don't overlap, so reading it again writes no duplicates.
+      progress.page = lastPage;
+      progress.pullRequestsDone = true;
+      saveProgress();
+    }
+
+    if (getEnabledMetricDefinitions(repositoryConfig, METRIC_SOURCES.ISSUE).length > 0) {
+      const metrics = await this.collectIssueMetrics(owner, repo, chunk.from, chunk.to);
+      await output(metrics);
+      count += metrics.length;
+    }
+
+    return count;
+  }
+
+  /**
+   * Checks whether a BigQuery client is needed, for a bigquery sink or the bigquery state store
+   * @returns {boolean} True if BigQuery is used
+   */
+  usesBigQuery() {
+    return usesBigQuerySink(this.config) ||
+      (!this.config.printOnly && this.config.stateStore?.type === 'bigquery');
+  }
+
+  /**
+   * Gets the output sinks, creating them on first use
+   * @returns {Array<Object>} Sinks with a type, write(metrics) and optionally close()
+   */
+  getSinks() {
+    if (!this.sinks) {
+      this.sinks = createSinks(this.config, this);
+      logger.info(`Writing metrics to ${this.sinks.map(sink => sink.type).join(', ')}`);
+    }
+    return this.sinks;
+  }
+
+  /**
+   * Writes metrics to every sink, one sink after the other
+   * @param {Array} metrics - Array of engineering metrics
+   */
+  async writeMetrics(metrics) {
+    for (const sink of this.getSinks()) {
+      await sink.write(metrics);
+    }
+  }
+
+  /**
+   * Closes the sinks that hold open resources
+   */
+  async closeSinks() {
+    for (const sink of this.sinks || []) {
+      await sink.close?.();
+    }
+    this.sinks = null;
+  }
+
+  /**
+   * Writes a non-empty batch of metrics to the sinks
+   * @param {Array} metrics - Array of engineering metrics
+   */
+  async outputMetrics(metrics) {
+    if (metrics.length === 0) {
+      return;
+    }
+
+    this.stampCalendarVersion(metrics);
+    await this.writeMetrics(metrics);
+  }
+
+  /**
+   * Writes the run report (see run-report.js). The metrics are already stored,
+   * so a report that can't be written doesn't fail the run.
+   * @param {Array} metrics - Array of engineering metrics collected in the run
+   */
+  writeReport(metrics) {
+    try {
+      const report = buildRunReport(metrics, {
+        repositories: this.repositories || [],
+        userGroups: this.userGroups,
+        failedRepositories: [...this.failedRepositories],
+        printOnly: this.config.printOnly
+      });
+      writeRunReport(this.config, report);
+    } catch (err) {
+      logger.error('Error writing run report', err);
+    }
+  }
+
+  /**
+   * Processes user groups from the markdown file. Failures are logged and skip
+   * the user group sync for this run without stopping metrics collection.
    * @returns {Promise<void>}
    */
   async processUserGroups() {
@@ -241,7 +695,7 @@ export class MetricsCollector {
 
       // Validate GitHub usernames
       const validUserGroups = await filterValidUserGroups(
-        this.config.githubToken,
+        this.githubClient.octokit,
         userGroups
       );
 
@@ -249,14 +703,21 @@ export class MetricsCollector {
         logger.warn('No valid user groups found after validation');
         return;
       }
+      this.userGroups = validUserGroups;
 
-      // Sync user groups to BigQuery
-      await this.userGroupClient.syncUserGroups(validUserGroups);
+      // Sync user groups to BigQuery and to the sinks that store them.
+      // The print-only client prints them when they are stored nowhere.
+      const userGroupSinks = this.getSinks().filter(sink => sink.syncUserGroups);
+      if (this.bigqueryClient || userGroupSinks.length === 0) {
+        await this.userGroupClient.syncUserGroups(validUserGroups);
+      }
+      for (const sink of userGroupSinks) {
+        await sink.syncUserGroups(validUserGroups);
+      }
 
       logger.info(`Successfully processed ${validUserGroups.length} user group mappings`);
     } catch (err) {
-      logger.error('Error processing user groups', err);
-      throw err;
+      logger.error('Error processing user groups, skipping user group sync for this run', err);
     }
   }
 
@@ -314,25 +775,32 @@ export class MetricsCollector {
    * @param {number} index - Index for display
    */
   printSingleMetric(metric, index) {
-    console.log(`[${index}] PR: ${metric.repository}#${metric.prNumber}`);
-    console.log(`    URL: ${metric.prUrl}`);
-    console.log(`    Creator: ${metric.prCreator}`);
-    console.log(`    Ready Time: ${metric.readyTime.toISOString()}${metric.readyEventType ? ` (${metric.readyEventType})` : ''}`);
-
-    if (metric.metricType === 'time_to_first_review') {
-      const hours = Math.floor(metric.pickupTimeSeconds / 3600);
-      const minutes = Math.floor((metric.pickupTimeSeconds % 3600) / 60);
-      const seconds = metric.pickupTimeSeconds % 60;
+    const definition = getMetricDefinition(metric.metricType);
+
+    if (definition?.source === METRIC_SOURCES.ISSUE) {
+      console.log(`[${index}] Issue: ${metric.repository}#${metric.issueNumber}`);
+      console.log(`    URL: ${metric.issueUrl}`);
+      console.log(`    Creator: ${metric.issueCreator}`);
+      console.log(`    In Progress Time: ${metric.inProgressTime.toISOString()}`);
+    } else {
+      console.log(`[${index}] PR: ${metric.repository}#${metric.prNumber}`);
+      console.log(`    URL: ${metric.prUrl}`);
+      console.log(`    Creator: ${metric.prCreator}`);
+      console.log(`    Ready Time: ${metric.readyTime.toISOString()}${metric.readyEventType ? ` (${metric.readyEventType})` : ''}`);
+    }
 
-      console.log(`    First Review Time: ${metric.firstReviewTime.toISOString()}`);
-      console.log(`    Pickup Time: ${hours}h ${minutes}m ${seconds}s (${metric.pickupTimeSeconds} seconds)`);
-    } else if (metric.metricType === 'time_to_merge') {
-      const hours = Math.floor(metric.mergeTimeSeconds / 3600);
-      const minutes = Math.floor((metric.mergeTimeSeconds % 3600) / 60);
-      const seconds = metric.mergeTimeSeconds % 60;
+    if (definition) {
+      definition.formatDetails(metric).forEach(line => console.log(`    ${line}`));
 
-      console.log(`    Merge Time: ${metric.mergeTime.toISOString()}`);
-      console.log(`    Time to Merge: ${hours}h ${minutes}m ${seconds}s (${metric.mergeTimeSeconds} seconds)`);
+      // Show the wall-clock and business-hours durations next to the working-time duration
+      const elapsedSeconds = metric[definition.elapsedField];
+      if (elapsedSeconds !== undefined) {
+        console.log(`    Elapsed (wall clock): ${formatDuration(elapsedSeconds)} (${elapsedSeconds} seconds)`);
+      }
+      const businessHoursSeconds = metric[definition.businessHoursField];
+      if (businessHoursSeconds !== undefined) {
+        console.log(`    Business Hours: ${formatDuration(businessHoursSeconds)} (${businessHoursSeconds} seconds)`);
+      }
     }
 
     console.log('');
@@ -344,16 +812,34 @@ export class MetricsCollector {
    * @param {Array} metrics - Array of metrics of this type
    */
   printMetricTypeSummary(metricType, metrics) {
-    const timeField = metricType === 'time_to_first_review' ? 'pickupTimeSeconds' : 'mergeTimeSeconds';
-    const totalTime = metrics.reduce((sum, metric) => sum + metric[timeField], 0);
+    const definition = getMetricDefinition(metricType);
+    const totalTime = metrics.reduce((sum, metric) => sum + this.getTimeFieldForMetricType(metricType, metric), 0);
     const avgTime = totalTime / metrics.length;
-    const avgHours = Math.floor(avgTime / 3600);
-    const avgMinutes = Math.floor((avgTime % 3600) / 60);
-    const avgSeconds = Math.floor(avgTime % 60);
+    const isIssueMetric = definition?.source === METRIC_SOURCES.ISSUE;
 
     console.log(`=== ${this.getMetricTypeDisplayName(metricType)} Summary ===`);
-    console.log(`Total PRs: ${metrics.length}`);
-    console.log(`Average Time: ${avgHours}h ${avgMinutes}m ${avgSeconds}s (${Math.floor(avgTime)} seconds)`);
+    console.log(`${isIssueMetric ? 'Total issues' : 'Total PRs'}: ${metrics.length}`);
+    console.log(`Average Time: ${formatDuration(avgTime)} (${Math.floor(avgTime)} seconds)`);
+
+    // Averages of the wall-clock and business-hours durations, for metrics that record them
+    const averageOf = (field) => {
+      const values = metrics.map(metric => metric[field]).filter(value => value !== undefined);
+      return values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null;
+    };
+    const avgElapsed = definition?.elapsedField ? averageOf(definition.elapsedField) : null;
+    if (avgElapsed !== null) {
+      console.log(`Average Elapsed Time (wall clock): ${formatDuration(avgElapsed)} (${Math.floor(avgElapsed)} seconds)`);
+    }
+    const avgBusinessHours = definition?.businessHoursField ? averageOf(definition.businessHoursField) : null;
+    if (avgBusinessHours !== null) {
+      console.log(`Average Business Hours Time: ${formatDuration(avgBusinessHours)} (${Math.floor(avgBusinessHours)} seconds)`);
+    }
+
+    // Median, percentiles, spread and histogram, overall and per repository, creator and user group
+    formatDurationSummary(metrics, {
+      percentiles: this.config.summaryPercentiles,
+      userGroups: this.userGroups
+    }).forEach(line => console.log(line));
   }
 
   /**
@@ -362,14 +848,7 @@ export class MetricsCollector {
    * @returns {string} Display name
    */
   getMetricTypeDisplayName(metricType) {
-    switch (metricType) {
-    case 'time_to_first_review':
-      return 'Time to First Review';
-    case 'time_to_merge':
-      return 'Time to Merge';
-    default:
-      return metricType;
-    }
+    return getMetricDefinition(metricType)?.displayName || metricType;
   }
 
   /**
@@ -379,18 +858,13 @@ export class MetricsCollector {
    * @returns {number} Time value in seconds
    */
   getTimeFieldForMetricType(metricType, metric) {
-    switch (metricType) {
-    case 'time_to_first_review':
-      return metric.pickupTimeSeconds;
-    case 'time_to_merge':
-      return metric.mergeTimeSeconds;
-    default:
-      return 0;
-    }
+    const definition = getMetricDefinition(metricType);
+    return definition ? metric[definition.durationField] : 0;
   }
 
   /**
-   * Uploads metrics to BigQuery, grouped by metric type
+   * Uploads metrics to BigQuery, grouped by metric type.
+   * In 'upsert' upload mode existing rows are replaced; otherwise they are skipped.
    * @param {Array} metrics - Array of engineering metrics
    */
   async uploadMetrics(metrics) {
@@ -400,7 +874,8 @@ export class MetricsCollector {
         return;
       }
 
-      logger.info(`Uploading ${metrics.length} metrics to BigQuery`);
+      const upsert = this.config.uploadMode === 'upsert';
+      logger.info(`Uploading ${metrics.length} metrics to BigQuery (${upsert ? 'upsert' : 'insert'} mode)`);
 
       // Group metrics by type
       const metricsByType = this.groupMetricsByType(metrics);
@@ -412,16 +887,64 @@ export class MetricsCollector {
         const tableName = this.getTableNameForMetricType(metricType);
         logger.info(`Uploading ${typeMetrics.length} ${metricType} metrics to table ${tableName}`);
 
-        await this.bigqueryClient.uploadMetrics(
+        if (upsert) {
+          await this.bigqueryClient.upsertMetrics(
+            this.config.bigQueryDatasetId,
+            tableName,
+            typeMetrics
+          );
+        } else {
+          await this.bigqueryClient.uploadMetrics(
+            this.config.bigQueryDatasetId,
+            tableName,
+            typeMetrics
+          );
+        }
+      }
+
+      logger.info('All metrics uploaded successfully');
+    } catch (err) {
+      logger.error('Error uploading metrics to BigQuery', err);
+      throw err;
+    }
+  }
+
+  /**
+   * Finds and uploads metrics that were wrongly skipped because a row with the same
+   * PR (or issue) number already existed for another repository
+   * @param {Array} metrics - Array of engineering metrics
+   * @returns {Promise<Array>} The metrics that were backfilled
+   */
+  async repairSkippedMetrics(metrics) {
+    try {
+      const repaired = [];
+      const metricsByType = this.groupMetricsByType(metrics);
+
+      for (const [metricType, typeMetrics] of Object.entries(metricsByType)) {
+        const tableName = this.getTableNameForMetricType(metricType);
+        const skipped = await this.bigqueryClient.findSkippedMetrics(
           this.config.bigQueryDatasetId,
           tableName,
           typeMetrics
         );
+
+        if (skipped.length === 0) {
+          logger.info(`No skipped ${metricType} metrics found in table ${tableName}`);
+          continue;
+        }
+
+        const uniqueKey = getMetricDefinition(metricType).uniqueKey;
+        logger.info(`Backfilling ${skipped.length} skipped ${metricType} metrics to table ${tableName}`, {
+          metrics: skipped.map(metric => `${metric.repository}#${metric[uniqueKey.property]}`)
+        });
+
+        await this.bigqueryClient.uploadMetrics(this.config.bigQueryDatasetId, tableName, skipped);
+        repaired.push(...skipped);
       }
 
-      logger.info('All metrics uploaded successfully');
+      return repaired;
     } catch (err) {
-      logger.error('Error uploading metrics to BigQuery', err);
+      logger.error('Error repairing skipped metrics in BigQuery', err);
       throw err;
     }
   }
@@ -448,16 +971,83 @@ export class MetricsCollector {
    * @returns {string} Table name
    */
   getTableNameForMetricType(metricType) {
-    switch (metricType) {
-    case 'time_to_first_review':
-      return this.config.metrics.timeToFirstReview.tableName;
-    case 'time_to_merge':
-      return this.config.metrics.timeToMerge.tableName;
-    default:
-      throw new Error(`Unknown metric type: ${metricType}`);
+    return getMetricTableName(this.config, metricType);
+  }
+
+  /**
+   * Backfills the metrics that were wrongly skipped by earlier versions, which checked
+   * for existing rows by PR number alone. Without a range the lookback window is
+   * checked; a range is collected in backfill chunks, so it can cover all of history.
+   * @param {{from: string, to: string}} [range] - First and last day to repair (YYYY-MM-DD), both inclusive
+   * @returns {Promise<Array>} The metrics that were backfilled
+   */
+  async repair({ from, to } = {}) {
+    try {
+      if (this.config.printOnly) {
+        throw new Error('Repair uploads to BigQuery and cannot run in print-only mode');
+      }
+      if (!usesBigQuerySink(this.config)) {
+        throw new Error('Repair uploads to BigQuery and needs a bigquery sink');
+      }
+
+      let repaired;
+      if (from || to) {
+        repaired = await this.repairRange(parseBackfillRange(from, to));
+      } else {
+        logger.info('Starting repair of skipped engineering metrics');
+        await this.initialize();
+        repaired = await this.repairSkippedMetrics(await this.collectMetrics());
+      }
+
+      logger.info(`Repair completed, backfilled ${repaired.length} metrics`);
+      return repaired;
+    } catch (err) {
+      logger.error('Error repairing engineering metrics', err);
+      throw err;
     }
   }
 
+  /**
+   * Repairs skipped metrics over a date range, collecting each repository chunk by
+   * chunk like backfill. Repair only uploads missing rows, so it keeps no checkpoint
+   * and can simply be run again after an interruption.
+   * @param {{from: Date, to: Date}} range - Parsed date range (see parseBackfillRange)
+   * @returns {Promise<Array>} The metrics that were backfilled
+   */
+  async repairRange(range) {
+    const chunkDays = this.config.backfillChunkDays || DEFAULT_CHUNK_DAYS;
+    const chunks = splitDateRange(range.from, range.to, chunkDays);
+
+    logger.info(`Starting repair of skipped engineering metrics from ${range.from.toISOString()} to ${range.to.toISOString()} in ${chunks.length} chunks of ${chunkDays} days`);
+    await this.initialize();
+
+    const repaired = [];
+    const repairMetrics = async (metrics) => {
+      this.stampCalendarVersion(metrics);
+      repaired.push(...await this.repairSkippedMetrics(metrics));
+    };
+
+    for (const repository of await this.getRepositories()) {
+      const [owner, repo] = repository.split('/');
+      if (!owner || !repo) {
+        throw new Error(`Invalid repository format: ${repository}`);
+      }
+
+      const progress = { page: 1, pullRequestsDone: false };
+      for (const [index, chunk] of chunks.entries()) {
+        logger.info(`Repairing ${repository} chunk ${index + 1}/${chunks.length}: ${chunk.from.toISOString()} - ${chunk.to.toISOString()}`);
+
+        // Pause before each chunk if the rate limit is running low
+        await this.githubClient.waitForRateLimit();
+
+        await this.backfillChunk(owner, repo, chunk, progress, () => {}, repairMetrics);
+        progress.pullRequestsDone = false;
+      }
+    }
+
+    return repaired;
+  }
+
   /**
    * Runs the metrics collection and upload process
    */
@@ -468,20 +1058,38 @@ export class MetricsCollector {
       // Initialize the metrics collector
       await this.initialize();
 
-      // Process user groups if enabled
-      await this.processUserGroups();
-
-      // Collect metrics
-      const metrics = await this.collectMetrics();
-
+      // Collect incrementally from the last sync when a state store is configured.
+      // Print-only runs don't upload, so they neither read nor advance the stored state.
       if (this.config.printOnly) {
-        // Print metrics to console
-        this.printMetrics(metrics);
+        if (this.config.stateStore?.type) {
+          logger.info('Running in print-only mode, state store not used');
+        }
       } else {
-        // Upload metrics to BigQuery
-        await this.uploadMetrics(metrics);
+        this.stateStore = createStateStore(this.config, this.bigqueryClient);
       }
 
+      let metrics;
+      try {
+        // Process user groups if enabled
+        await this.processUserGroups();
+
+        // Collect metrics
+        metrics = await this.collectMetrics();
+
+        // Print or store the metrics in every sink
+        await this.writeMetrics(metrics);
+      } finally {
+        await this.closeSinks();
+      }
+
+      // Advance the high-water mark only once the metrics are stored
+      if (!this.config.printOnly) {
+        await this.saveSyncState();
+      }
+
+      // Summarize the run in the job summary, and in a file in print-only mode
+      this.writeReport(metrics);
+
       logger.info('Engineering metrics collection completed successfully');
       return metrics;
     } catch (err) {
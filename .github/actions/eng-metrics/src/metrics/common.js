@@ -0,0 +1,57 @@
+/**
+ * Shared helpers for metric definitions
+ */
+
+/**
+ * Data sources a metric can be calculated from
+ */
+export const METRIC_SOURCES = {
+  // Called once per PR with (githubClient, pr, timelineEvents, reviewEvents)
+  PULL_REQUEST: 'pull_request',
+  // Called once per issue with (githubClient, issue), using GitHub Projects status history
+  ISSUE: 'issue'
+};
+
+/**
+ * Columns stored with every metric row, in addition to the metric's own schema
+ */
+export const COMMON_SCHEMA_FIELDS = [
+  // Working calendar used to calculate the durations (see working-calendar.js)
+  { name: 'calendar_version', type: 'STRING', mode: 'NULLABLE' },
+  // Version of the metric calculator, bumped when a calculation fix should be recomputed
+  { name: 'algorithm_version', type: 'STRING', mode: 'NULLABLE' },
+  // When the row was last written
+  { name: 'updated_at', type: 'TIMESTAMP', mode: 'NULLABLE' }
+];
+
+/**
+ * Builds the common column values for a metric row
+ * @param {Object} metrics - Metrics object
+ * @param {Object} definition - Metric definition
+ * @param {Date} [updatedAt=new Date()] - Time the row is written
+ * @returns {Object} Common row values
+ */
+export const toCommonRow = (metrics, definition, updatedAt = new Date()) => ({
+  calendar_version: metrics.calendarVersion,
+  algorithm_version: definition.algorithmVersion,
+  updated_at: updatedAt.toISOString()
+});
+
+/**
+ * Formats a duration in seconds as hours, minutes and seconds
+ * @param {number} totalSeconds - Duration in seconds
+ * @returns {string} Formatted duration (e.g. "2h 5m 0s")
+ */
+export const formatDuration = (totalSeconds) => {
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = Math.floor(totalSeconds % 60);
+  return `${hours}h ${minutes}m ${seconds}s`;
+};
+
+export default {
+  METRIC_SOURCES,
+  COMMON_SCHEMA_FIELDS,
+  toCommonRow,
+  formatDuration
+};
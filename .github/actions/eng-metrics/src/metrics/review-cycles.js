@@ -0,0 +1,71 @@
+/**
+ * Review Cycles metric definition
+ * Review rounds of a merged PR from it being ready for review until its final
+ * approval: changes-requested rounds, review iterations, and the working time
+ * spent waiting on the author versus waiting on reviewers
+ */
+
+import { METRIC_SOURCES, formatDuration } from './common.js';
+
+export default {
+  metricType: 'review_cycles',
+  configKey: 'reviewCycles',
+  displayName: 'Review Cycles',
+  source: METRIC_SOURCES.PULL_REQUEST,
+  defaultEnabled: false,
+  defaultTableName: 'pr_review_cycles',
+  tableNameEnvVar: 'REVIEW_CYCLES_TABLE',
+  durationField: 'reviewTimeSeconds',
+
+  calculate: (githubClient, pr, timelineEvents, reviewEvents) =>
+    githubClient.calculateReviewCycles(pr, timelineEvents, reviewEvents),
+
+  schema: [
+    { name: 'merge_date', type: 'DATE', mode: 'REQUIRED' },
+    { name: 'pr_creator', type: 'STRING', mode: 'REQUIRED' },
+    { name: 'pr_url', type: 'STRING', mode: 'REQUIRED' },
+    { name: 'review_time_seconds', type: 'INTEGER', mode: 'REQUIRED' },
+    { name: 'repository', type: 'STRING', mode: 'REQUIRED' },
+    { name: 'pr_number', type: 'INTEGER', mode: 'REQUIRED' },
+    { name: 'target_branch', type: 'STRING', mode: 'REQUIRED' },
+    { name: 'review_iterations', type: 'INTEGER', mode: 'REQUIRED' },
+    { name: 'changes_requested_rounds', type: 'INTEGER', mode: 'REQUIRED' },
+    { name: 'changes_requested_reviews', type: 'INTEGER', mode: 'REQUIRED' },
+    { name: 'author_wait_seconds', type: 'INTEGER', mode: 'REQUIRED' },
+    { name: 'reviewer_wait_seconds', type: 'INTEGER', mode: 'REQUIRED' },
+    { name: 'ready_time', type: 'TIMESTAMP', mode: 'REQUIRED' },
+    { name: 'final_approval_time', type: 'TIMESTAMP', mode: 'NULLABLE' },
+    { name: 'merge_time', type: 'TIMESTAMP', mode: 'REQUIRED' },
+    { name: 'author_timezone', type: 'STRING', mode: 'NULLABLE' }
+  ],
+  partitionField: 'merge_time',
+  clusterFields: ['repository', 'pr_number', 'pr_creator'],
+
+  toRow: (metrics) => ({
+    merge_date: metrics.mergeDate,
+    pr_creator: metrics.prCreator,
+    pr_url: metrics.prUrl,
+    review_time_seconds: metrics.reviewTimeSeconds,
+    repository: metrics.repository,
+    pr_number: metrics.prNumber,
+    target_branch: metrics.targetBranch,
+    review_iterations: metrics.reviewIterations,
+    changes_requested_rounds: metrics.changesRequestedRounds,
+    changes_requested_reviews: metrics.changesRequestedReviews,
+    author_wait_seconds: metrics.authorWaitSeconds,
+    reviewer_wait_seconds: metrics.reviewerWaitSeconds,
+    ready_time: metrics.readyTime.toISOString(),
+    final_approval_time: metrics.finalApprovalTime ? metrics.finalApprovalTime.toISOString() : null,
+    merge_time: metrics.mergeTime.toISOString(),
+    author_timezone: metrics.authorTimezone
+  }),
+
+  formatDetails: (metric) => [
+    `Final Approval Time: ${metric.finalApprovalTime ? metric.finalApprovalTime.toISOString() : 'none (merged without approval)'}`,
+    `Review Iterations: ${metric.reviewIterations}`,
+    `Changes Requested Rounds: ${metric.changesRequestedRounds} (${metric.changesRequestedReviews} reviews)`,
+    `Waiting on Author: ${formatDuration(metric.authorWaitSeconds)} (${metric.authorWaitSeconds} seconds)`,
+    `Waiting on Reviewers: ${formatDuration(metric.reviewerWaitSeconds)} (${metric.reviewerWaitSeconds} seconds)`,
+    `Review Time: ${formatDuration(metric.reviewTimeSeconds)} (${metric.reviewTimeSeconds} seconds)`
+  ]
+};
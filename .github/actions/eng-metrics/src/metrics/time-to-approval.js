@@ -0,0 +1,64 @@
+/**
+ * Time to Approval metric definition
+ * Time from a PR being ready for review to its first approval, in the approver's working time
+ */
+
+import { METRIC_SOURCES, formatDuration } from './common.js';
+
+export default {
+  metricType: 'time_to_approval',
+  configKey: 'timeToApproval',
+  displayName: 'Time to Approval',
+  source: METRIC_SOURCES.PULL_REQUEST,
+  defaultEnabled: false,
+  defaultTableName: 'pr_approval',
+  tableNameEnvVar: 'TIME_TO_APPROVAL_TABLE',
+  durationField: 'approvalTimeSeconds',
+  elapsedField: 'approvalElapsedSeconds',
+  businessHoursField: 'approvalBusinessHoursSeconds',
+
+  calculate: (githubClient, pr, timelineEvents, reviewEvents) =>
+    githubClient.calculateTimeToApproval(pr, timelineEvents, reviewEvents),
+
+  schema: [
+    { name: 'approval_date', type: 'DATE', mode: 'REQUIRED' },
+    { name: 'pr_creator', type: 'STRING', mode: 'REQUIRED' },
+    { name: 'pr_url', type: 'STRING', mode: 'REQUIRED' },
+    { name: 'approval_time_seconds', type: 'INTEGER', mode: 'REQUIRED' },
+    { name: 'repository', type: 'STRING', mode: 'REQUIRED' },
+    { name: 'pr_number', type: 'INTEGER', mode: 'REQUIRED' },
+    { name: 'target_branch', type: 'STRING', mode: 'REQUIRED' },
+    { name: 'ready_time', type: 'TIMESTAMP', mode: 'REQUIRED' },
+    { name: 'approval_time', type: 'TIMESTAMP', mode: 'REQUIRED' },
+    { name: 'approver', type: 'STRING', mode: 'NULLABLE' },
+    { name: 'approval_local_date', type: 'DATE', mode: 'NULLABLE' },
+    { name: 'approver_timezone', type: 'STRING', mode: 'NULLABLE' },
+    { name: 'approval_elapsed_seconds', type: 'INTEGER', mode: 'NULLABLE' },
+    { name: 'approval_business_hours_seconds', type: 'INTEGER', mode: 'NULLABLE' }
+  ],
+  partitionField: 'approval_time',
+  clusterFields: ['repository', 'pr_number', 'pr_creator'],
+
+  toRow: (metrics) => ({
+    approval_date: metrics.approvalDate,
+    pr_creator: metrics.prCreator,
+    pr_url: metrics.prUrl,
+    approval_time_seconds: metrics.approvalTimeSeconds,
+    repository: metrics.repository,
+    pr_number: metrics.prNumber,
+    target_branch: metrics.targetBranch,
+    ready_time: metrics.readyTime.toISOString(),
+    approval_time: metrics.approvalTime.toISOString(),
+    approver: metrics.approver,
+    approval_local_date: metrics.approvalLocalDate,
+    approver_timezone: metrics.approverTimezone,
+    approval_elapsed_seconds: metrics.approvalElapsedSeconds,
+    approval_business_hours_seconds: metrics.approvalBusinessHoursSeconds
+  }),
+
+  formatDetails: (metric) => [
+    `Approval Time: ${metric.approvalTime.toISOString()}${metric.approver ? ` (${metric.approver})` : ''}`,
+    ...(metric.approverTimezone ? [`Approver Local Date: ${metric.approvalLocalDate} (${metric.approverTimezone})`] : []),
+    `Time to Approval: ${formatDuration(metric.approvalTimeSeconds)} (${metric.approvalTimeSeconds} seconds)`
+  ]
+};
@@ -0,0 +1,62 @@
+/**
+ * Time to First Review metric definition
+ * Time from a PR being ready for review to its first review, in the reviewer's working time
+ */
+
+import { METRIC_SOURCES, formatDuration } from './common.js';
+
+export default {
+  metricType: 'time_to_first_review',
+  configKey: 'timeToFirstReview',
+  displayName: 'Time to First Review',
+  source: METRIC_SOURCES.PULL_REQUEST,
+  defaultEnabled: true,
+  defaultTableName: 'pr_first_review',
+  tableNameEnvVar: 'TIME_TO_FIRST_REVIEW_TABLE',
+  durationField: 'pickupTimeSeconds',
+  elapsedField: 'pickupElapsedSeconds',
+  businessHoursField: 'pickupBusinessHoursSeconds',
+
+  calculate: (githubClient, pr, timelineEvents, reviewEvents) =>
+    githubClient.calculatePickupTime(pr, timelineEvents, reviewEvents),
+
+  schema: [
+    { name: 'review_date', type: 'DATE', mode: 'REQUIRED' },
+    { name: 'pr_creator', type: 'STRING', mode: 'REQUIRED' },
+    { name: 'pr_url', type: 'STRING', mode: 'REQUIRED' },
+    { name: 'pickup_time_seconds', type: 'INTEGER', mode: 'REQUIRED' },
+    { name: 'repository', type: 'STRING', mode: 'REQUIRED' },
+    { name: 'pr_number', type: 'INTEGER', mode: 'REQUIRED' },
+    { name: 'target_branch', type: 'STRING', mode: 'REQUIRED' },
+    { name: 'ready_time', type: 'TIMESTAMP', mode: 'REQUIRED' },
+    { name: 'first_review_time', type: 'TIMESTAMP', mode: 'REQUIRED' },
+    { name: 'review_local_date', type: 'DATE', mode: 'NULLABLE' },
+    { name: 'reviewer_timezone', type: 'STRING', mode: 'NULLABLE' },
+    { name: 'pickup_elapsed_seconds', type: 'INTEGER', mode: 'NULLABLE' },
+    { name: 'pickup_business_hours_seconds', type: 'INTEGER', mode: 'NULLABLE' }
+  ],
+  partitionField: 'first_review_time',
+  clusterFields: ['repository', 'pr_number', 'pr_creator'],
+
+  toRow: (metrics) => ({
+    review_date: metrics.reviewDate,
+    pr_creator: metrics.prCreator,
+    pr_url: metrics.prUrl,
+    pickup_time_seconds: metrics.pickupTimeSeconds,
+    repository: metrics.repository,
+    pr_number: metrics.prNumber,
+    target_branch: metrics.targetBranch,
+    ready_time: metrics.readyTime.toISOString(),
+    first_review_time: metrics.firstReviewTime.toISOString(),
+    review_local_date: metrics.reviewLocalDate,
+    reviewer_timezone: metrics.reviewerTimezone,
+    pickup_elapsed_seconds: metrics.pickupElapsedSeconds,
+    pickup_business_hours_seconds: metrics.pickupBusinessHoursSeconds
+  }),
+
+  formatDetails: (metric) => [
+    `First Review Time: ${metric.firstReviewTime.toISOString()}`,
+    ...(metric.reviewerTimezone ? [`Reviewer Local Date: ${metric.reviewLocalDate} (${metric.reviewerTimezone})`] : []),
+    `Pickup Time: ${formatDuration(metric.pickupTimeSeconds)} (${metric.pickupTimeSeconds} seconds)`
+  ]
+};
@@ -0,0 +1,62 @@
+/**
+ * Time to Merge metric definition
+ * Time from a PR being ready for review to being merged, in the author's working time
+ */
+
+import { METRIC_SOURCES, formatDuration } from './common.js';
+
+export default {
+  metricType: 'time_to_merge',
+  configKey: 'timeToMerge',
+  displayName: 'Time to Merge',
+  source: METRIC_SOURCES.PULL_REQUEST,
+  defaultEnabled: true,
+  defaultTableName: 'pr_merge',
+  tableNameEnvVar: 'TIME_TO_MERGE_TABLE',
+  durationField: 'mergeTimeSeconds',
+  elapsedField: 'mergeElapsedSeconds',
+  businessHoursField: 'mergeBusinessHoursSeconds',
+
+  calculate: (githubClient, pr, timelineEvents, reviewEvents) =>
+    githubClient.calculateTimeToMerge(pr, timelineEvents, reviewEvents),
+
+  schema: [
+    { name: 'merge_date', type: 'DATE', mode: 'REQUIRED' },
+    { name: 'pr_creator', type: 'STRING', mode: 'REQUIRED' },
+    { name: 'pr_url', type: 'STRING', mode: 'REQUIRED' },
+    { name: 'merge_time_seconds', type: 'INTEGER', mode: 'REQUIRED' },
+    { name: 'repository', type: 'STRING', mode: 'REQUIRED' },
+    { name: 'pr_number', type: 'INTEGER', mode: 'REQUIRED' },
+    { name: 'target_branch', type: 'STRING', mode: 'REQUIRED' },
+    { name: 'ready_time', type: 'TIMESTAMP', mode: 'REQUIRED' },
+    { name: 'merge_time', type: 'TIMESTAMP', mode: 'REQUIRED' },
+    { name: 'merge_local_date', type: 'DATE', mode: 'NULLABLE' },
+    { name: 'author_timezone', type: 'STRING', mode: 'NULLABLE' },
+    { name: 'merge_elapsed_seconds', type: 'INTEGER', mode: 'NULLABLE' },
+    { name: 'merge_business_hours_seconds', type: 'INTEGER', mode: 'NULLABLE' }
+  ],
+  partitionField: 'merge_time',
+  clusterFields: ['repository', 'pr_number', 'pr_creator'],
+
+  toRow: (metrics) => ({
+    merge_date: metrics.mergeDate,
+    pr_creator: metrics.prCreator,
+    pr_url: metrics.prUrl,
+    merge_time_seconds: metrics.mergeTimeSeconds,
+    repository: metrics.repository,
+    pr_number: metrics.prNumber,
+    target_branch: metrics.targetBranch,
+    ready_time: metrics.readyTime.toISOString(),
+    merge_time: metrics.mergeTime.toISOString(),
+    merge_local_date: metrics.mergeLocalDate,
+    author_timezone: metrics.authorTimezone,
+    merge_elapsed_seconds: metrics.mergeElapsedSeconds,
+    merge_business_hours_seconds: metrics.mergeBusinessHoursSeconds
+  }),
+
+  formatDetails: (metric) => [
+    `Merge Time: ${metric.mergeTime.toISOString()}`,
+    ...(metric.authorTimezone ? [`Author Local Date: ${metric.mergeLocalDate} (${metric.authorTimezone})`] : []),
+    `Time to Merge: ${formatDuration(metric.mergeTimeSeconds)} (${metric.mergeTimeSeconds} seconds)`
+  ]
+};
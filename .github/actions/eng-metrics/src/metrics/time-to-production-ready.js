@@ -0,0 +1,54 @@
+/**
+ * Time to Production Ready metric definition
+ * Time from an issue first moving to "In progress" until it reaches "Ready for release"
+ * in GitHub Projects, in working time. Rework after QA sends the issue back is
+ * included and counted as QA round trips.
+ */
+
+import { METRIC_SOURCES, formatDuration } from './common.js';
+
+export default {
+  metricType: 'time_to_production_ready',
+  configKey: 'timeToProductionReady',
+  displayName: 'Time to Production Ready',
+  source: METRIC_SOURCES.ISSUE,
+  // Requires a token that can read GitHub Projects (read:project scope)
+  defaultEnabled: false,
+  defaultTableName: 'issue_production_ready',
+  tableNameEnvVar: 'TIME_TO_PRODUCTION_READY_TABLE',
+  durationField: 'productionReadyTimeSeconds',
+
+  calculate: (githubClient, issue) => githubClient.calculateTimeToProductionReady(issue),
+
+  schema: [
+    { name: 'production_ready_date', type: 'DATE', mode: 'REQUIRED' },
+    { name: 'issue_creator', type: 'STRING', mode: 'REQUIRED' },
+    { name: 'issue_url', type: 'STRING', mode: 'REQUIRED' },
+    { name: 'production_ready_time_seconds', type: 'INTEGER', mode: 'REQUIRED' },
+    { name: 'repository', type: 'STRING', mode: 'REQUIRED' },
+    { name: 'issue_number', type: 'INTEGER', mode: 'REQUIRED' },
+    { name: 'qa_round_trips', type: 'INTEGER', mode: 'REQUIRED' },
+    { name: 'in_progress_time', type: 'TIMESTAMP', mode: 'REQUIRED' },
+    { name: 'production_ready_time', type: 'TIMESTAMP', mode: 'REQUIRED' }
+  ],
+  partitionField: 'production_ready_time',
+  clusterFields: ['repository', 'issue_number', 'issue_creator'],
+
+  toRow: (metrics) => ({
+    production_ready_date: metrics.productionReadyDate,
+    issue_creator: metrics.issueCreator,
+    issue_url: metrics.issueUrl,
+    production_ready_time_seconds: metrics.productionReadyTimeSeconds,
+    repository: metrics.repository,
+    issue_number: metrics.issueNumber,
+    qa_round_trips: metrics.qaRoundTrips,
+    in_progress_time: metrics.inProgressTime.toISOString(),
+    production_ready_time: metrics.productionReadyTime.toISOString()
+  }),
+
+  formatDetails: (metric) => [
+    `Production Ready Time: ${metric.productionReadyTime.toISOString()}`,
+    `Time to Production Ready: ${formatDuration(metric.productionReadyTimeSeconds)} (${metric.productionReadyTimeSeconds} seconds)`,
+    `QA Round Trips: ${metric.qaRoundTrips}`
+  ]
+};
@@ -0,0 +1,52 @@
+/**
+ * Time to QA Ready metric definition
+ * Time from an issue first moving to "In progress" until it reaches "Awaiting QA"
+ * (or "Ready for release") in GitHub Projects, in working time
+ */
+
+import { METRIC_SOURCES, formatDuration } from './common.js';
+
+export default {
+  metricType: 'time_to_qa_ready',
+  configKey: 'timeToQAReady',
+  displayName: 'Time to QA Ready',
+  source: METRIC_SOURCES.ISSUE,
+  // Requires a token that can read GitHub Projects (read:project scope)
+  defaultEnabled: false,
+  defaultTableName: 'issue_qa_ready',
+  tableNameEnvVar: 'TIME_TO_QA_READY_TABLE',
+  durationField: 'qaReadyTimeSeconds',
+
+  calculate: (githubClient, issue) => githubClient.calculateTimeToQAReady(issue),
+
+  schema: [
+    { name: 'qa_ready_date', type: 'DATE', mode: 'REQUIRED' },
+    { name: 'issue_creator', type: 'STRING', mode: 'REQUIRED' },
+    { name: 'issue_url', type: 'STRING', mode: 'REQUIRED' },
+    { name: 'qa_ready_time_seconds', type: 'INTEGER', mode: 'REQUIRED' },
+    { name: 'repository', type: 'STRING', mode: 'REQUIRED' },
+    { name: 'issue_number', type: 'INTEGER', mode: 'REQUIRED' },
+    { name: 'qa_ready_status', type: 'STRING', mode: 'REQUIRED' },
+    { name: 'in_progress_time', type: 'TIMESTAMP', mode: 'REQUIRED' },
+    { name: 'qa_ready_time', type: 'TIMESTAMP', mode: 'REQUIRED' }
+  ],
+  partitionField: 'qa_ready_time',
+  clusterFields: ['repository', 'issue_number', 'issue_creator'],
+
+  toRow: (metrics) => ({
+    qa_ready_date: metrics.qaReadyDate,
+    issue_creator: metrics.issueCreator,
+    issue_url: metrics.issueUrl,
+    qa_ready_time_seconds: metrics.qaReadyTimeSeconds,
+    repository: metrics.repository,
+    issue_number: metrics.issueNumber,
+    qa_ready_status: metrics.qaReadyStatus,
+    in_progress_time: metrics.inProgressTime.toISOString(),
+    qa_ready_time: metrics.qaReadyTime.toISOString()
+  }),
+
+  formatDetails: (metric) => [
+    `QA Ready Time: ${metric.qaReadyTime.toISOString()} (${metric.qaReadyStatus})`,
+    `Time to QA Ready: ${formatDuration(metric.qaReadyTimeSeconds)} (${metric.qaReadyTimeSeconds} seconds)`
+  ]
+};
@@ -0,0 +1,141 @@
+/**
+ * Prometheus exposition for engineering metrics collector
+ * Turns the durations of collected PR metrics into histograms and summaries
+ * labelled by repository, target branch and the author's user group, in the
+ * OpenMetrics text format. The output also parses as the classic Prometheus
+ * text format, so it can be read by the node-exporter textfile collector or
+ * pushed to a Pushgateway.
+ */
+
+import { getMetricDefinition, METRIC_SOURCES } from './metric-registry.js';
+import { getGroupsByUsername, getUserGroupsOf } from './user-group-client.js';
+import { DEFAULT_DURATION_BUCKETS, getQuantile } from './statistics.js';
+
+/**
+ * Prefix of the exposed metric names
+ */
+export const METRIC_NAME_PREFIX = 'eng_metrics';
+
+/**
+ * Default histogram bucket bounds in seconds, the same buckets as the console summaries
+ */
+export const DEFAULT_BUCKETS = DEFAULT_DURATION_BUCKETS;
+
+/**
+ * Quantiles of the summaries
+ */
+export const SUMMARY_QUANTILES = [0.5, 0.9, 0.99];
+
+/**
+ * Escapes a label value: backslashes, double quotes and line breaks
+ * @param {string} value - Label value
+ * @returns {string} Escaped value
+ */
+export const escapeLabelValue = (value) => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+
+/**
+ * Formats a number; integers get a decimal point, as OpenMetrics expects for le and quantile labels
+ * @param {number} value - Number
+ * @returns {string} Formatted number
+ */
+const formatNumber = (value) => {
+  if (value === Infinity) return '+Inf';
+  return Number.isInteger(value) ? `${value}.0` : String(value);
+};
+
+/**
+ * Formats a label set
+ * @param {Object} labels - Label values by name
+ * @returns {string} Labels in braces
+ */
+const formatLabels = (labels) =>
+  `{${Object.entries(labels).map(([name, value]) => `${name}="${escapeLabelValue(value)}"`).join(',')}}`;
+
+/**
+ * Groups the durations of PR metrics by metric type and label set. A metric
+ * counts once in each of its author's user groups.
+ * @param {Array} metrics - Array of engineering metrics
+ * @param {Map<string, Array<string>>} groupsByUsername - User groups by lowercase username
+ * @returns {Map<string, Map<string, {labels: Object, values: Array<number>}>>} Series by metric type and label key
+ */
+const groupDurations = (metrics, groupsByUsername) => {
+  const seriesByType = new Map();
+
+  for (const metric of metrics) {
+    const definition = getMetricDefinition(metric.metricType);
+    const duration = metric[definition?.durationField];
+    if (definition?.source !== METRIC_SOURCES.PULL_REQUEST || typeof duration !== 'number') {
+      continue;
+    }
+
+    if (!seriesByType.has(metric.metricType)) {
+      seriesByType.set(metric.metricType, new Map());
+    }
+    const series = seriesByType.get(metric.metricType);
+
+    for (const group of getUserGroupsOf(groupsByUsername, metric.prCreator)) {
+      const labels = { repository: metric.repository, target_branch: metric.targetBranch || '', user_group: group };
+      const key = JSON.stringify(labels);
+      if (!series.has(key)) {
+        series.set(key, { labels, values: [] });
+      }
+      series.get(key).values.push(duration);
+    }
+  }
+
+  return seriesByType;
+};
+
+/**
+ * Renders the durations of PR metrics as OpenMetrics histograms and summaries.
+ * Each metric type becomes `eng_metrics_<type>_seconds` (histogram) and
+ * `eng_metrics_<type>_summary_seconds` (summary over the rendered metrics).
+ * @param {Array} metrics - Array of engineering metrics
+ * @param {Object} [options] - Rendering options
+ * @param {Array<{group: string, username: string}>} [options.userGroups] - User group mappings for the user_group label
+ * @param {Array<number>} [options.buckets=DEFAULT_BUCKETS] - Histogram bucket bounds in seconds
+ * @returns {string} OpenMetrics text, ending with # EOF
+ */
+export const renderOpenMetrics = (metrics, { userGroups = [], buckets = DEFAULT_BUCKETS } = {}) => {
+  const lines = [];
+  const bounds = [...buckets].sort((a, b) => a - b);
+  const seriesByType = groupDurations(metrics, getGroupsByUsername(userGroups));
+
+  for (const [metricType, series] of [...seriesByType].sort(([a], [b]) => a.localeCompare(b))) {
+    const { displayName } = getMetricDefinition(metricType);
+    const sortedSeries = [...series.entries()].sort(([a], [b]) => a.localeCompare(b)).map(([, entry]) => entry);
+    const histogram = `${METRIC_NAME_PREFIX}_${metricType}_seconds`;
+    const summary = `${METRIC_NAME_PREFIX}_${metricType}_summary_seconds`;
+
+    lines.push(`# TYPE ${histogram} histogram`, `# UNIT ${histogram} seconds`, `# HELP ${histogram} ${displayName} of collected pull requests.`);
+    for (const { labels, values } of sortedSeries) {
+      for (const bound of [...bounds, Infinity]) {
+        const count = values.filter(value => value <= bound).length;
+        lines.push(`${histogram}_bucket${formatLabels({ ...labels, le: formatNumber(bound) })} ${count}`);
+      }
+      lines.push(`${histogram}_sum${formatLabels(labels)} ${values.reduce((sum, value) => sum + value, 0)}`);
+      lines.push(`${histogram}_count${formatLabels(labels)} ${values.length}`);
+    }
+
+    lines.push(`# TYPE ${summary} summary`, `# UNIT ${summary} seconds`, `# HELP ${summary} ${displayName} quantiles of collected pull requests.`);
+    for (const { labels, values } of sortedSeries) {
+      const sortedValues = [...values].sort((a, b) => a - b);
+      for (const quantile of SUMMARY_QUANTILES) {
+        lines.push(`${summary}${formatLabels({ ...labels, quantile: formatNumber(quantile) })} ${getQuantile(sortedValues, quantile)}`);
+      }
+      lines.push(`${summary}_sum${formatLabels(labels)} ${values.reduce((sum, value) => sum + value, 0)}`);
+      lines.push(`${summary}_count${formatLabels(labels)} ${values.length}`);
+    }
+  }
+
+  lines.push('# EOF');
+  return `${lines.join('\n')}\n`;
+};
+
+export default {
+  METRIC_NAME_PREFIX,
+  DEFAULT_BUCKETS,
+  SUMMARY_QUANTILES,
+  escapeLabelValue,
+  renderOpenMetrics
+};
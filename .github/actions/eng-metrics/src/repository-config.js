@@ -0,0 +1,176 @@
+/**
+ * Repository configuration module for engineering metrics collector
+ * Resolves the settings that apply to a single repository and matches PR
+ * target branches against branch names and glob patterns.
+ */
+
+/**
+ * Settings that a repository entry in config.repositories may override.
+ * Metric overrides can only enable or disable a metric; table names stay global.
+ */
+export const REPOSITORY_OVERRIDE_KEYS = ['targetBranch', 'lookbackDays', 'excludeBotReviews', 'metrics'];
+
+/**
+ * Gets the name of a repository entry, which is either "owner/repo" or
+ * an object with a name and overrides
+ * @param {string|Object} entry - Repository entry from config.repositories
+ * @returns {string} Repository in owner/repo format
+ */
+export const getRepositoryName = (entry) => (typeof entry === 'string' ? entry : entry?.name);
+
+/**
+ * Checks whether two repository names refer to the same repository.
+ * Repository names are case-insensitive on GitHub.
+ * @param {string} repository - Repository in owner/repo format
+ * @param {string} other - Repository in owner/repo format
+ * @returns {boolean} True if both names refer to the same repository
+ */
+export const isSameRepository = (repository, other) => repository.toLowerCase() === other.toLowerCase();
+
+/**
+ * Splits repository entries into repository names and per-repository overrides
+ * @param {Array<string|Object>} entries - Repository entries from config.repositories
+ * @returns {{repositories: Array<string>, repositoryOverrides: Object<string, Object>}} Names and overrides by name
+ */
+export const normalizeRepositories = (entries) => {
+  const repositoryOverrides = {};
+
+  const repositories = entries.map(entry => {
+    if (typeof entry === 'string') {
+      return entry;
+    }
+
+    const { name, ...overrides } = entry;
+    repositoryOverrides[name] = overrides;
+    return name;
+  });
+
+  return { repositories, repositoryOverrides };
+};
+
+/**
+ * Gets the effective configuration for a repository: the global settings with
+ * the repository's overrides applied. Metric overrides are merged per metric.
+ * @param {Object} config - Configuration object
+ * @param {string} repository - Repository in owner/repo format
+ * @returns {Object} Configuration for the repository
+ */
+export const getRepositoryConfig = (config, repository) => {
+  const overridesName = Object.keys(config.repositoryOverrides || {})
+    .find(name => isSameRepository(name, repository));
+  const overrides = overridesName && config.repositoryOverrides[overridesName];
+  if (!overrides) {
+    return config;
+  }
+
+  const repositoryConfig = { ...config, ...overrides };
+  if (overrides.metrics) {
+    repositoryConfig.metrics = Object.fromEntries(
+      Object.entries(config.metrics).map(([key, metricConfig]) => [key, { ...metricConfig, ...overrides.metrics[key] }])
+    );
+  }
+  return repositoryConfig;
+};
+
+/**
+ * Summarizes the effective configuration of a repository for logging
+ * @param {Object} config - Configuration object
+ * @param {string} repository - Repository in owner/repo format
+ * @returns {Object} Settings that may differ between repositories
+ */
+export const describeRepositoryConfig = (config, repository) => {
+  const repositoryConfig = getRepositoryConfig(config, repository);
+  return {
+    targetBranch: repositoryConfig.targetBranch,
+    lookbackDays: repositoryConfig.lookbackDays,
+    excludeBotReviews: repositoryConfig.excludeBotReviews,
+    enabledMetrics: Object.entries(repositoryConfig.metrics)
+      .filter(([, metricConfig]) => metricConfig.enabled)
+      .map(([key]) => key)
+  };
+};
+
+/**
+ * Gets the list of target branches and patterns from a targetBranch setting
+ * @param {string|Array<string>} targetBranch - Branch name, glob pattern or a list of them
+ * @returns {Array<string>} Branch names and patterns
+ */
+export const toBranchList = (targetBranch) => (Array.isArray(targetBranch) ? targetBranch : [targetBranch]);
+
+/**
+ * Checks whether a branch setting is a glob pattern rather than a branch name
+ * @param {string} branch - Branch name or pattern
+ * @returns {boolean} True if the setting contains * or ?
+ */
+export const isBranchPattern = (branch) => /[*?]/.test(branch);
+
+/**
+ * Gets the branch to filter PRs by in the GitHub API, which accepts a single branch name only
+ * @param {string|Array<string>} targetBranch - Branch name, glob pattern or a list of them
+ * @returns {string|null} Branch name, or null if PRs have to be filtered after fetching
+ */
+export const getApiBranchFilter = (targetBranch) => {
+  const branches = toBranchList(targetBranch);
+  return branches.length === 1 && !isBranchPattern(branches[0]) ? branches[0] : null;
+};
+
+/**
+ * Converts a glob pattern to a regular expression. `*` matches any
+ * characters (including `/`) and `?` matches a single character.
+ * @param {string} pattern - Name or glob pattern
+ * @returns {RegExp} Regular expression matching the whole name
+ */
+const globToRegExp = (pattern) => {
+  const source = pattern
+    .split('')
+    .map(char => {
+      if (char === '*') return '.*';
+      if (char === '?') return '.';
+      return char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    })
+    .join('');
+  return new RegExp(`^${source}$`);
+};
+
+/**
+ * Checks whether a name matches a name or glob pattern
+ * @param {string} name - Name to check
+ * @param {string} pattern - Name or glob pattern
+ * @returns {boolean} True if the name matches
+ */
+export const matchesGlob = (name, pattern) =>
+  isBranchPattern(pattern) ? globToRegExp(pattern).test(name) : pattern === name;
+
+/**
+ * Checks whether a branch matches any of the target branches or patterns
+ * @param {string} branch - Branch name
+ * @param {string|Array<string>} targetBranch - Branch name, glob pattern or a list of them
+ * @returns {boolean} True if the branch matches
+ */
+export const matchesTargetBranch = (branch, targetBranch) =>
+  toBranchList(targetBranch).some(pattern => matchesGlob(branch, pattern));
+
+/**
+ * Checks whether a targetBranch setting is a branch name or pattern, or a non-empty list of them
+ * @param {*} targetBranch - targetBranch setting
+ * @returns {boolean} True if the setting is valid
+ */
+export const isValidTargetBranch = (targetBranch) => {
+  const branches = toBranchList(targetBranch);
+  return branches.length > 0 && branches.every(branch => typeof branch === 'string' && branch.trim() !== '');
+};
+
+export default {
+  REPOSITORY_OVERRIDE_KEYS,
+  getRepositoryName,
+  isSameRepository,
+  normalizeRepositories,
+  getRepositoryConfig,
+  describeRepositoryConfig,
+  toBranchList,
+  isBranchPattern,
+  getApiBranchFilter,
+  matchesGlob,
+  matchesTargetBranch,
+  isValidTargetBranch
+};
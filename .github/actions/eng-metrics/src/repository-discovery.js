@@ -0,0 +1,100 @@
+/**
+ * Repository discovery for engineering metrics collector
+ * Lists the repositories of GitHub organizations and picks the ones to collect
+ * by name patterns, topics, archived state and forks.
+ */
+
+import logger from './logger.js';
+import { matchesGlob } from './repository-config.js';
+
+/**
+ * Settings an organization entry in config.organizations may have
+ */
+export const ORGANIZATION_KEYS = ['name', 'include', 'exclude', 'topics', 'includeArchived', 'includeForks'];
+
+/**
+ * Gets the settings of an organization entry, which is either a name or an object
+ * @param {string|Object} organization - Organization entry from config.organizations
+ * @returns {Object} Organization settings with a name
+ */
+export const getOrganizationSettings = (organization) =>
+  (typeof organization === 'string' ? { name: organization } : organization);
+
+/**
+ * Decides whether a repository of an organization is collected
+ * @param {Object} repository - Repository from the GitHub API
+ * @param {Object} settings - Organization settings
+ * @param {Array<string>} [settings.include] - Name patterns; when set, only matching repositories are collected
+ * @param {Array<string>} [settings.exclude] - Name patterns of repositories to skip
+ * @param {Array<string>} [settings.topics] - When set, only repositories with at least one of these topics are collected
+ * @param {boolean} [settings.includeArchived=false] - Whether archived repositories are collected
+ * @param {boolean} [settings.includeForks=false] - Whether forks are collected
+ * @returns {string|null} Reason the repository is dropped, or null if it is picked up
+ */
+export const getDropReason = (repository, settings) => {
+  const { include = [], exclude = [], topics = [], includeArchived = false, includeForks = false } = settings;
+  // Repository names are case-insensitive on GitHub
+  const name = repository.name.toLowerCase();
+  const matches = pattern => matchesGlob(name, pattern.toLowerCase());
+
+  if (repository.archived && !includeArchived) {
+    return 'archived';
+  }
+  if (repository.fork && !includeForks) {
+    return 'fork';
+  }
+  if (include.length > 0 && !include.some(matches)) {
+    return 'not included';
+  }
+  if (exclude.some(matches)) {
+    return 'excluded';
+  }
+  if (topics.length > 0 && !topics.some(topic => repository.topics?.includes(topic))) {
+    return 'no matching topic';
+  }
+  return null;
+};
+
+/**
+ * Discovers the repositories to collect in the configured organizations
+ * @param {GitHubClient} githubClient - GitHub client
+ * @param {Array<string|Object>} organizations - Organization entries from config.organizations
+ * @returns {Promise<Array<string>>} Repositories in owner/repo format, sorted per organization
+ */
+export const discoverRepositories = async (githubClient, organizations) => {
+  const repositories = [];
+
+  for (const organization of organizations) {
+    const settings = getOrganizationSettings(organization);
+    const organizationRepositories = await githubClient.fetchOrganizationRepositories(settings.name);
+
+    const pickedUp = [];
+    const dropped = [];
+    for (const repository of organizationRepositories) {
+      const reason = getDropReason(repository, settings);
+      if (reason) {
+        dropped.push(`${repository.full_name} (${reason})`);
+      } else {
+        pickedUp.push(repository.full_name);
+      }
+    }
+
+    pickedUp.sort();
+    dropped.sort();
+    logger.info(`Picked up ${pickedUp.length} of ${organizationRepositories.length} repositories in ${settings.name}`, {
+      pickedUp,
+      dropped
+    });
+
+    repositories.push(...pickedUp);
+  }
+
+  return repositories;
+};
+
+export default {
+  ORGANIZATION_KEYS,
+  getOrganizationSettings,
+  getDropReason,
+  discoverRepositories
+};
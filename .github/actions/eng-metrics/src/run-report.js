@@ -0,0 +1,204 @@
+/**
+ * Run report for engineering metrics collector
+ * Summarizes a collection run in Markdown: metric counts per repository,
+ * duration percentiles, the slowest PRs and issues, and a breakdown by user
+ * group. The report is appended to the GitHub Actions job summary and, in
+ * print-only mode, written to a file.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { getMetricDefinition, getMetricDefinitions, formatDuration, METRIC_SOURCES } from './metric-registry.js';
+import { getGroupsByUsername, getUserGroupsOf } from './user-group-client.js';
+import { summarizeDurations } from './statistics.js';
+import logger from './logger.js';
+
+/**
+ * Percentiles shown in the report, as quantiles
+ */
+export const REPORT_QUANTILES = [0.5, 0.75, 0.9];
+
+/**
+ * Number of slowest PRs (or issues) listed per metric type
+ */
+export const SLOWEST_COUNT = 10;
+
+/**
+ * Report file written in print-only mode, relative to the current working directory
+ */
+export const DEFAULT_REPORT_FILEPATH = './eng-metrics-report.md';
+
+/**
+ * Escapes text for a Markdown table cell
+ * @param {*} value - Cell value
+ * @returns {string} Escaped text
+ */
+export const escapeCell = (value) => String(value).replace(/\|/g, '\\|').replace(/\r?\n/g, ' ');
+
+/**
+ * Formats a Markdown table
+ * @param {Array<string>} headers - Column headers
+ * @param {Array<Array<*>>} rows - Rows of cell values
+ * @param {Array<string>} [alignments] - 'left' or 'right' per column; columns are left-aligned by default
+ * @returns {Array<string>} Table lines
+ */
+const formatTable = (headers, rows, alignments = []) => [
+  `| ${headers.map(escapeCell).join(' | ')} |`,
+  `|${headers.map((header, index) => (alignments[index] === 'right' ? '---:' : '---')).join('|')}|`,
+  ...rows.map(row => `| ${row.map(escapeCell).join(' | ')} |`)
+];
+
+/**
+ * Gets the PR or issue a metric belongs to
+ * @param {Object} metric - Metric object
+ * @returns {{number: number, url: string, creator: string}} PR or issue details
+ */
+const getSubject = (metric) => (getMetricDefinition(metric.metricType)?.source === METRIC_SOURCES.ISSUE
+  ? { number: metric.issueNumber, url: metric.issueUrl, creator: metric.issueCreator }
+  : { number: metric.prNumber, url: metric.prUrl, creator: metric.prCreator });
+
+/**
+ * Gets the duration of a metric
+ * @param {Object} metric - Metric object
+ * @returns {number|undefined} Duration in seconds
+ */
+const getDuration = (metric) => metric[getMetricDefinition(metric.metricType)?.durationField];
+
+/**
+ * Formats the percentile columns of a list of durations
+ * @param {Array<number>} durations - Durations in seconds
+ * @returns {Array<string>} Count followed by the formatted percentiles
+ */
+const formatPercentiles = (durations) => {
+  const { count, quantiles } = summarizeDurations(durations, REPORT_QUANTILES);
+  return [count, ...quantiles.map(formatDuration)];
+};
+
+/**
+ * Builds the Markdown report of a collection run
+ * @param {Array} metrics - Array of engineering metrics collected in the run
+ * @param {Object} [options] - Report options
+ * @param {Array<string>} [options.repositories=[]] - Collected repositories, listed even without metrics
+ * @param {Array<{group: string, username: string}>} [options.userGroups=[]] - User group mappings; without them, no group breakdown is shown
+ * @param {Array<string>} [options.failedRepositories=[]] - Repositories that had errors
+ * @param {boolean} [options.printOnly=false] - Whether the metrics were only printed
+ * @returns {string} Markdown report
+ */
+export const buildRunReport = (metrics, { repositories = [], userGroups = [], failedRepositories = [], printOnly = false } = {}) => {
+  const percentileHeaders = REPORT_QUANTILES.map(quantile => `p${Math.round(quantile * 100)}`);
+  const percentileAlignments = ['right', ...REPORT_QUANTILES.map(() => 'right')];
+  // Metric types in registration order, with their metrics
+  const metricsByType = getMetricDefinitions()
+    .map(definition => [definition, metrics.filter(metric => metric.metricType === definition.metricType && getDuration(metric) !== undefined)])
+    .filter(([, typeMetrics]) => typeMetrics.length > 0);
+  const allRepositories = [...new Set([...repositories, ...metrics.map(metric => metric.repository)])];
+
+  const lines = ['# Engineering metrics', ''];
+  lines.push(`Collected ${metrics.length} metrics from ${allRepositories.length} repositories${printOnly ? ' (print-only mode, nothing was stored)' : ''}.`, '');
+
+  if (failedRepositories.length > 0) {
+    lines.push(`**Repositories with errors:** ${failedRepositories.map(escapeCell).join(', ')}. Their metrics may be incomplete.`, '');
+  }
+
+  if (metricsByType.length === 0) {
+    lines.push('No metrics were collected.');
+    return `${lines.join('\n')}\n`;
+  }
+
+  // Metric counts per repository
+  lines.push('## Repositories', '');
+  lines.push(...formatTable(
+    ['Repository', ...metricsByType.map(([definition]) => definition.displayName)],
+    allRepositories.sort().map(repository => [
+      repository,
+      ...metricsByType.map(([, typeMetrics]) => typeMetrics.filter(metric => metric.repository === repository).length)
+    ]),
+    ['left', ...metricsByType.map(() => 'right')]
+  ), '');
+
+  // Duration percentiles per metric type
+  lines.push('## Durations', '');
+  lines.push(...formatTable(
+    ['Metric', 'Count', ...percentileHeaders],
+    metricsByType.map(([definition, typeMetrics]) => [definition.displayName, ...formatPercentiles(typeMetrics.map(getDuration))]),
+    ['left', ...percentileAlignments]
+  ), '');
+
+  // Slowest PRs and issues per metric type
+  const hasIssueMetrics = metricsByType.some(([definition]) => definition.source === METRIC_SOURCES.ISSUE);
+  lines.push(hasIssueMetrics ? '## Slowest PRs and issues' : '## Slowest PRs', '');
+  for (const [definition, typeMetrics] of metricsByType) {
+    const slowest = [...typeMetrics].sort((a, b) => getDuration(b) - getDuration(a)).slice(0, SLOWEST_COUNT);
+    const kind = definition.source === METRIC_SOURCES.ISSUE ? 'Issue' : 'PR';
+    lines.push(`### ${definition.displayName}`, '');
+    lines.push(...formatTable(
+      [kind, 'Author', definition.displayName],
+      slowest.map(metric => {
+        const subject = getSubject(metric);
+        return [`[${metric.repository}#${subject.number}](${subject.url})`, `@${subject.creator}`, formatDuration(getDuration(metric))];
+      }),
+      ['left', 'left', 'right']
+    ), '');
+  }
+
+  // Duration percentiles per user group; a metric counts once in each of its author's groups
+  if (userGroups.length > 0) {
+    const groupsByUsername = getGroupsByUsername(userGroups);
+    const rows = [];
+    for (const [definition, typeMetrics] of metricsByType) {
+      const durationsByGroup = new Map();
+      for (const metric of typeMetrics) {
+        for (const group of getUserGroupsOf(groupsByUsername, getSubject(metric).creator)) {
+          durationsByGroup.set(group, [...(durationsByGroup.get(group) || []), getDuration(metric)]);
+        }
+      }
+      for (const group of [...durationsByGroup.keys()].sort()) {
+        rows.push([group, definition.displayName, ...formatPercentiles(durationsByGroup.get(group))]);
+      }
+    }
+
+    lines.push('## User groups', '');
+    lines.push(...formatTable(['Group', 'Metric', 'Count', ...percentileHeaders], rows, ['left', 'left', ...percentileAlignments]), '');
+  }
+
+  return `${lines.join('\n').trimEnd()}\n`;
+};
+
+/**
+ * Writes the run report to the GitHub Actions job summary ($GITHUB_STEP_SUMMARY)
+ * and to the report file, if one is configured or the run is print-only
+ * @param {Object} config - Configuration object
+ * @param {string} report - Markdown report
+ * @returns {Array<string>} Paths the report was written to
+ */
+export const writeRunReport = (config, report) => {
+  const written = [];
+
+  if (process.env.GITHUB_STEP_SUMMARY) {
+    // Other steps of the job append to the same summary
+    fs.appendFileSync(process.env.GITHUB_STEP_SUMMARY, report);
+    written.push(process.env.GITHUB_STEP_SUMMARY);
+  }
+
+  const reportFilepath = config.reportFilepath || (config.printOnly ? DEFAULT_REPORT_FILEPATH : null);
+  if (reportFilepath) {
+    const resolvedPath = path.resolve(process.cwd(), reportFilepath);
+    fs.mkdirSync(path.dirname(resolvedPath), { recursive: true });
+    fs.writeFileSync(resolvedPath, report);
+    written.push(resolvedPath);
+  }
+
+  if (written.length > 0) {
+    logger.info(`Wrote run report to ${written.join(', ')}`);
+  }
+  return written;
+};
+
+export default {
+  REPORT_QUANTILES,
+  SLOWEST_COUNT,
+  DEFAULT_REPORT_FILEPATH,
+  escapeCell,
+  buildRunReport,
+  writeRunReport
+};
@@ -0,0 +1,524 @@
+/**
+ * Output sinks for engineering metrics collector
+ * A sink receives each batch of collected metrics. Several sinks can be active
+ * at once, e.g. BigQuery together with a local SQLite database.
+ * - bigquery: uploads to one BigQuery table per metric type
+ * - console: prints metrics in a readable format (print-only mode)
+ * - ndjson / csv: appends rows to one file per metric type
+ * - sqlite: writes rows to one table per metric type in a local database
+ * - postgres: writes rows and user groups to PostgreSQL tables
+ * - prometheus: exposes PR durations as histograms and summaries in a textfile or a Pushgateway
+ * File and database rows have the same columns as the BigQuery tables.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { getMetricDefinition, getMetricTableName, getMetricSchema, toMetricRow } from './metric-registry.js';
+import { PostgresClient } from './postgres-client.js';
+import { renderOpenMetrics } from './prometheus.js';
+import logger from './logger.js';
+
+/**
+ * Supported sink types
+ */
+export const SINK_TYPES = ['bigquery', 'console', 'ndjson', 'csv', 'sqlite', 'postgres', 'prometheus'];
+
+/**
+ * Sink types that write to local files
+ */
+export const FILE_SINK_TYPES = ['ndjson', 'csv', 'sqlite'];
+
+/**
+ * Default directory of the file sinks, relative to the current working directory
+ */
+export const DEFAULT_SINK_DIRECTORY = './metrics-output';
+
+/**
+ * Name of the database file written by the sqlite sink
+ */
+export const SQLITE_FILENAME = 'metrics.sqlite';
+
+/**
+ * Name of the textfile written by the prometheus sink; the textfile collector reads *.prom files
+ */
+export const PROMETHEUS_FILENAME = 'eng_metrics.prom';
+
+/**
+ * Default Pushgateway job of the prometheus sink
+ */
+export const DEFAULT_PUSHGATEWAY_JOB = 'eng_metrics';
+
+/**
+ * Gets the settings of the active sinks. Print-only mode only prints; without
+ * a sinks setting, metrics are uploaded to BigQuery.
+ * @param {Object} config - Configuration object
+ * @returns {Array<Object>} Sink settings, each with a type
+ */
+export const getSinkSettings = (config) => {
+  if (config.printOnly) {
+    return [{ type: 'console' }];
+  }
+
+  return (config.sinks || ['bigquery']).map(sink => (typeof sink === 'string' ? { type: sink } : sink));
+};
+
+/**
+ * Checks whether metrics are uploaded to BigQuery
+ * @param {Object} config - Configuration object
+ * @returns {boolean} True if a bigquery sink is active
+ */
+export const usesBigQuerySink = (config) => getSinkSettings(config).some(sink => sink.type === 'bigquery');
+
+/**
+ * Groups metrics by the table they are written to
+ * @param {Array} metrics - Array of engineering metrics
+ * @param {Object} config - Configuration object
+ * @returns {Map<string, Array>} Metrics by table name
+ */
+const groupMetricsByTable = (metrics, config) => {
+  const groups = new Map();
+  for (const metric of metrics) {
+    const tableName = getMetricTableName(config, metric.metricType);
+    if (!groups.has(tableName)) {
+      groups.set(tableName, []);
+    }
+    groups.get(tableName).push(metric);
+  }
+  return groups;
+};
+
+/**
+ * Prints metrics to the console. Formatting lives in MetricsCollector.printMetrics.
+ */
+export class ConsoleSink {
+  /**
+   * Creates a new console sink
+   * @param {MetricsCollector} collector - Collector that prints the metrics
+   */
+  constructor(collector) {
+    this.type = 'console';
+    this.collector = collector;
+  }
+
+  /**
+   * Prints a batch of metrics
+   * @param {Array} metrics - Array of engineering metrics
+   */
+  async write(metrics) {
+    this.collector.printMetrics(metrics);
+  }
+}
+
+/**
+ * Uploads metrics to BigQuery in the configured upload mode (see MetricsCollector.uploadMetrics)
+ */
+export class BigQuerySink {
+  /**
+   * Creates a new BigQuery sink
+   * @param {MetricsCollector} collector - Collector with an initialized BigQuery client
+   */
+  constructor(collector) {
+    this.type = 'bigquery';
+    this.collector = collector;
+  }
+
+  /**
+   * Uploads a batch of metrics
+   * @param {Array} metrics - Array of engineering metrics
+   */
+  async write(metrics) {
+    await this.collector.uploadMetrics(metrics);
+  }
+}
+
+/**
+ * Appends metrics as newline-delimited JSON, one `<table>.ndjson` file per metric type
+ */
+export class NdjsonSink {
+  /**
+   * Creates a new NDJSON sink
+   * @param {Object} config - Configuration object, used for table names
+   * @param {string} [directory=DEFAULT_SINK_DIRECTORY] - Output directory
+   */
+  constructor(config, directory = DEFAULT_SINK_DIRECTORY) {
+    this.type = 'ndjson';
+    this.config = config;
+    this.directory = path.resolve(process.cwd(), directory);
+  }
+
+  /**
+   * Appends a batch of metrics
+   * @param {Array} metrics - Array of engineering metrics
+   */
+  async write(metrics) {
+    fs.mkdirSync(this.directory, { recursive: true });
+    const updatedAt = new Date();
+
+    for (const [tableName, tableMetrics] of groupMetricsByTable(metrics, this.config)) {
+      const filePath = path.join(this.directory, `${tableName}.ndjson`);
+      const lines = tableMetrics.map(metric => `${JSON.stringify(toMetricRow(metric, updatedAt))}\n`);
+      fs.appendFileSync(filePath, lines.join(''));
+      logger.info(`Wrote ${tableMetrics.length} metrics to ${filePath}`);
+    }
+  }
+}
+
+/**
+ * Formats a value as a CSV field, quoting it when needed
+ * @param {*} value - Row value
+ * @returns {string} CSV field
+ */
+export const toCsvField = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Appends metrics as CSV, one `<table>.csv` file per metric type with a header row.
+ * Columns follow the metric's BigQuery schema.
+ */
+export class CsvSink {
+  /**
+   * Creates a new CSV sink
+   * @param {Object} config - Configuration object, used for table names
+   * @param {string} [directory=DEFAULT_SINK_DIRECTORY] - Output directory
+   */
+  constructor(config, directory = DEFAULT_SINK_DIRECTORY) {
+    this.type = 'csv';
+    this.config = config;
+    this.directory = path.resolve(process.cwd(), directory);
+  }
+
+  /**
+   * Appends a batch of metrics
+   * @param {Array} metrics - Array of engineering metrics
+   */
+  async write(metrics) {
+    fs.mkdirSync(this.directory, { recursive: true });
+    const updatedAt = new Date();
+
+    for (const [tableName, tableMetrics] of groupMetricsByTable(metrics, this.config)) {
+      const filePath = path.join(this.directory, `${tableName}.csv`);
+      const columns = getMetricSchema(tableMetrics[0].metricType).map(field => field.name);
+      const header = columns.join(',');
+
+      // Appending rows under a different header would misalign the columns
+      if (fs.existsSync(filePath)) {
+        const existingHeader = fs.readFileSync(filePath, 'utf8').split('\n', 1)[0];
+        if (existingHeader !== header) {
+          throw new Error(`CSV file ${filePath} has different columns than ${tableName}; move it away to start a new file`);
+        }
+      } else {
+        fs.writeFileSync(filePath, `${header}\n`);
+      }
+
+      const lines = tableMetrics.map(metric => {
+        const row = toMetricRow(metric, updatedAt);
+        return `${columns.map(column => toCsvField(row[column])).join(',')}\n`;
+      });
+      fs.appendFileSync(filePath, lines.join(''));
+      logger.info(`Wrote ${tableMetrics.length} metrics to ${filePath}`);
+    }
+  }
+}
+
+/**
+ * SQLite column types for BigQuery field types. Dates and timestamps are stored as ISO strings.
+ */
+const SQLITE_TYPES = {
+  INTEGER: 'INTEGER',
+  FLOAT: 'REAL',
+  BOOLEAN: 'INTEGER'
+};
+
+/**
+ * Writes metrics to a local SQLite database with one table per metric type.
+ * Rows are keyed by repository and PR (or issue) number, so reruns don't add
+ * duplicates: 'insert' upload mode keeps existing rows, 'upsert' replaces them.
+ * Columns missing from existing tables are added, like in BigQuery.
+ */
+export class SqliteSink {
+  /**
+   * Creates a new SQLite sink
+   * @param {Object} config - Configuration object, used for table names and the upload mode
+   * @param {string} [directory=DEFAULT_SINK_DIRECTORY] - Directory of the database file
+   */
+  constructor(config, directory = DEFAULT_SINK_DIRECTORY) {
+    this.type = 'sqlite';
+    this.config = config;
+    this.filePath = path.resolve(process.cwd(), directory, SQLITE_FILENAME);
+    this.db = null;
+    this.readyTables = new Set();
+  }
+
+  /**
+   * Opens the database. better-sqlite3 is an optional dependency and only loaded when needed.
+   * @returns {Promise<Object>} Database connection
+   */
+  async open() {
+    if (!this.db) {
+      let Database;
+      try {
+        ({ default: Database } = await import('better-sqlite3'));
+      } catch (err) {
+        throw new Error(`The sqlite sink requires the better-sqlite3 package (npm install better-sqlite3): ${err.message}`);
+      }
+
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      this.db = new Database(this.filePath);
+      logger.info(`Opened SQLite database ${this.filePath}`);
+    }
+    return this.db;
+  }
+
+  /**
+   * Creates a metric table, or adds the columns it is missing
+   * @param {string} tableName - Table name
+   * @param {Object} definition - Metric definition
+   */
+  ensureTable(tableName, definition) {
+    if (this.readyTables.has(tableName)) {
+      return;
+    }
+
+    const schema = getMetricSchema(definition.metricType);
+    const existingColumns = this.db.prepare(`PRAGMA table_info("${tableName}")`).all().map(column => column.name);
+
+    if (existingColumns.length === 0) {
+      const columns = schema.map(field => `"${field.name}" ${SQLITE_TYPES[field.type] || 'TEXT'}`);
+      this.db.exec(`
+        CREATE TABLE "${tableName}" (
+          ${columns.join(',\n          ')},
+          PRIMARY KEY ("repository", "${definition.uniqueKey.column}")
+        )
+      `);
+      logger.info(`Created SQLite table ${tableName}`);
+    } else {
+      for (const field of schema.filter(field => !existingColumns.includes(field.name))) {
+        this.db.exec(`ALTER TABLE "${tableName}" ADD COLUMN "${field.name}" ${SQLITE_TYPES[field.type] || 'TEXT'}`);
+        logger.info(`Added column ${field.name} to SQLite table ${tableName}`);
+      }
+    }
+
+    this.readyTables.add(tableName);
+  }
+
+  /**
+   * Writes a batch of metrics
+   * @param {Array} metrics - Array of engineering metrics
+   */
+  async write(metrics) {
+    const db = await this.open();
+    const conflict = this.config.uploadMode === 'upsert' ? 'REPLACE' : 'IGNORE';
+    const updatedAt = new Date();
+
+    for (const [tableName, tableMetrics] of groupMetricsByTable(metrics, this.config)) {
+      const definition = getMetricDefinition(tableMetrics[0].metricType);
+      this.ensureTable(tableName, definition);
+
+      const columns = getMetricSchema(definition.metricType).map(field => field.name);
+      const insert = db.prepare(`
+        INSERT OR ${conflict} INTO "${tableName}" (${columns.map(column => `"${column}"`).join(', ')})
+        VALUES (${columns.map(() => '?').join(', ')})
+      `);
+
+      // SQLite can't bind booleans or undefined
+      const toValue = value => (typeof value === 'boolean' ? Number(value) : value ?? null);
+      let written = 0;
+      db.transaction(() => {
+        for (const metric of tableMetrics) {
+          const row = toMetricRow(metric, updatedAt);
+          written += insert.run(columns.map(column => toValue(row[column]))).changes;
+        }
+      })();
+
+      logger.info(`Wrote ${written} of ${tableMetrics.length} metrics to SQLite table ${tableName}`);
+    }
+  }
+
+  /**
+   * Closes the database
+   */
+  async close() {
+    if (this.db) {
+      this.db.close();
+      this.db = null;
+    }
+  }
+}
+
+/**
+ * Writes metrics to PostgreSQL with one table per metric type, and syncs user
+ * groups to the user_group table. 'insert' upload mode keeps existing rows,
+ * 'upsert' replaces them (see PostgresClient).
+ */
+export class PostgresSink {
+  /**
+   * Creates a new PostgreSQL sink
+   * @param {Object} config - Configuration object, used for table names and the upload mode
+   * @param {Object} [options] - Connection options (see PostgresClient)
+   */
+  constructor(config, options = {}) {
+    this.type = 'postgres';
+    this.config = config;
+    this.client = new PostgresClient(options);
+  }
+
+  /**
+   * Writes a batch of metrics
+   * @param {Array} metrics - Array of engineering metrics
+   */
+  async write(metrics) {
+    for (const [tableName, tableMetrics] of groupMetricsByTable(metrics, this.config)) {
+      if (this.config.uploadMode === 'upsert') {
+        await this.client.upsertMetrics(tableName, tableMetrics);
+      } else {
+        await this.client.uploadMetrics(tableName, tableMetrics);
+      }
+    }
+  }
+
+  /**
+   * Syncs user groups to the user_group table
+   * @param {Array<{group: string, username: string}>} userGroups - Array of user group mappings
+   */
+  async syncUserGroups(userGroups) {
+    await this.client.syncUserGroups(userGroups);
+  }
+
+  /**
+   * Closes the connection pool
+   */
+  async close() {
+    await this.client.close();
+  }
+}
+
+/**
+ * Exposes PR durations to Prometheus (see prometheus.js). Each write renders
+ * every metric written so far in this run, so the exposition always covers the
+ * whole run: the textfile is replaced atomically, or the Pushgateway group is
+ * replaced with a PUT.
+ */
+export class PrometheusSink {
+  /**
+   * Creates a new Prometheus sink
+   * @param {MetricsCollector} collector - Collector holding the user groups of the run
+   * @param {Object} [options] - Sink settings
+   * @param {string} [options.directory=DEFAULT_SINK_DIRECTORY] - Directory of the textfile
+   * @param {string} [options.pushgatewayUrl] - Pushgateway URL; when set, metrics are pushed instead of written to a file
+   * @param {string} [options.job=DEFAULT_PUSHGATEWAY_JOB] - Pushgateway job
+   * @param {Array<number>} [options.buckets] - Histogram bucket bounds in seconds
+   */
+  constructor(collector, { directory = DEFAULT_SINK_DIRECTORY, pushgatewayUrl, job = DEFAULT_PUSHGATEWAY_JOB, buckets } = {}) {
+    this.type = 'prometheus';
+    this.collector = collector;
+    this.filePath = path.resolve(process.cwd(), directory, PROMETHEUS_FILENAME);
+    this.pushgatewayUrl = pushgatewayUrl?.replace(/\/+$/, '');
+    this.job = job;
+    this.buckets = buckets;
+    this.metrics = [];
+  }
+
+  /**
+   * Adds a batch of metrics and writes or pushes the exposition
+   * @param {Array} metrics - Array of engineering metrics
+   */
+  async write(metrics) {
+    this.metrics.push(...metrics);
+    const text = renderOpenMetrics(this.metrics, { userGroups: this.collector.userGroups, buckets: this.buckets });
+
+    if (this.pushgatewayUrl) {
+      await this.push(text);
+    } else {
+      this.writeFile(text);
+    }
+  }
+
+  /**
+   * Replaces the textfile. The file is renamed into place so that the textfile collector never reads it half-written.
+   * @param {string} text - Exposition text
+   */
+  writeFile(text) {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    const tempPath = `${this.filePath}.${process.pid}.tmp`;
+    fs.writeFileSync(tempPath, text);
+    fs.renameSync(tempPath, this.filePath);
+    logger.info(`Wrote Prometheus metrics of ${this.metrics.length} metrics to ${this.filePath}`);
+  }
+
+  /**
+   * Replaces the metrics of the job on the Pushgateway
+   * @param {string} text - Exposition text
+   */
+  async push(text) {
+    const url = `${this.pushgatewayUrl}/metrics/job/${encodeURIComponent(this.job)}`;
+    const response = await fetch(url, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8' },
+      body: text
+    });
+
+    if (!response.ok) {
+      throw new Error(`Pushgateway ${url} responded with ${response.status}: ${await response.text()}`);
+    }
+    logger.info(`Pushed Prometheus metrics of ${this.metrics.length} metrics to ${url}`);
+  }
+}
+
+/**
+ * Builds a sink of each type from its settings
+ */
+const SINK_FACTORIES = {
+  console: (settings, config, collector) => new ConsoleSink(collector),
+  bigquery: (settings, config, collector) => new BigQuerySink(collector),
+  ndjson: (settings, config) => new NdjsonSink(config, settings.directory || config.sinkDirectory),
+  csv: (settings, config) => new CsvSink(config, settings.directory || config.sinkDirectory),
+  sqlite: (settings, config) => new SqliteSink(config, settings.directory || config.sinkDirectory),
+  postgres: (settings, config) => new PostgresSink(config, {
+    connectionString: settings.connectionString || config.postgresUrl,
+    schema: settings.schema || config.postgresSchema
+  }),
+  prometheus: (settings, config, collector) => new PrometheusSink(collector, {
+    ...settings,
+    directory: settings.directory || config.sinkDirectory,
+    pushgatewayUrl: settings.pushgatewayUrl || config.prometheusPushgatewayUrl
+  })
+};
+
+/**
+ * Creates the active sinks
+ * @param {Object} config - Configuration object
+ * @param {MetricsCollector} collector - Collector used by the console and bigquery sinks
+ * @returns {Array<Object>} Sinks with a type, write(metrics) and optionally close() and syncUserGroups(userGroups)
+ */
+export const createSinks = (config, collector) => getSinkSettings(config).map(settings => {
+  const factory = SINK_FACTORIES[settings.type];
+  if (!factory) {
+    throw new Error(`Unknown sink type: ${settings.type}`);
+  }
+  return factory(settings, config, collector);
+});
+
+export default {
+  SINK_TYPES,
+  FILE_SINK_TYPES,
+  DEFAULT_SINK_DIRECTORY,
+  SQLITE_FILENAME,
+  PROMETHEUS_FILENAME,
+  DEFAULT_PUSHGATEWAY_JOB,
+  getSinkSettings,
+  usesBigQuerySink,
+  toCsvField,
+  ConsoleSink,
+  BigQuerySink,
+  NdjsonSink,
+  CsvSink,
+  SqliteSink,
+  PostgresSink,
+  PrometheusSink,
+  createSinks
+};
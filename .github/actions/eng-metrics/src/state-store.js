@@ -0,0 +1,215 @@
+/**
+ * State store for engineering metrics collector
+ * Records the last successful sync time per repository (the high-water mark),
+ * so later runs only fetch PRs and issues updated since then.
+ * State is kept in a local JSON file or in a BigQuery table.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import logger from './logger.js';
+
+/**
+ * Supported state store types
+ */
+export const STATE_STORE_TYPES = ['json', 'bigquery'];
+
+/**
+ * Default local state file, relative to the current working directory
+ */
+export const DEFAULT_STATE_FILEPATH = './collector-state.json';
+
+/**
+ * Default BigQuery state table
+ */
+export const DEFAULT_STATE_TABLE = 'collector_state';
+
+/**
+ * State store backed by a local JSON file of the form
+ * { "repositories": { "owner/repo": { "lastSyncTime": "2023-06-15T12:00:00.000Z" } } }
+ */
+export class JsonStateStore {
+  /**
+   * Creates a new JSON state store
+   * @param {string} [filePath=DEFAULT_STATE_FILEPATH] - State file path
+   */
+  constructor(filePath = DEFAULT_STATE_FILEPATH) {
+    this.filePath = path.resolve(process.cwd(), filePath);
+  }
+
+  /**
+   * Reads the state file
+   * @returns {Object} State with a repositories map
+   */
+  read() {
+    if (!fs.existsSync(this.filePath)) {
+      return { repositories: {} };
+    }
+
+    const state = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+    return { repositories: {}, ...state };
+  }
+
+  /**
+   * Writes the state file, replacing it atomically
+   * @param {Object} state - State to write
+   */
+  write(state) {
+    const tempPath = `${this.filePath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(state, null, 2));
+    fs.renameSync(tempPath, this.filePath);
+  }
+
+  /**
+   * Gets the last successful sync time of a repository
+   * @param {string} repository - Repository in owner/repo format
+   * @returns {Promise<Date|null>} Last sync time or null if the repository has not been synced
+   */
+  async getLastSyncTime(repository) {
+    const lastSyncTime = this.read().repositories[repository]?.lastSyncTime;
+    return lastSyncTime ? new Date(lastSyncTime) : null;
+  }
+
+  /**
+   * Records the last successful sync time of a repository
+   * @param {string} repository - Repository in owner/repo format
+   * @param {Date} time - Sync time
+   */
+  async setLastSyncTime(repository, time) {
+    const state = this.read();
+    state.repositories[repository] = { lastSyncTime: time.toISOString() };
+    this.write(state);
+  }
+}
+
+/**
+ * State store backed by a BigQuery table with one row per repository.
+ * Rows are written with DML so they can be updated right away, unlike streamed rows.
+ */
+export class BigQueryStateStore {
+  /**
+   * Creates a new BigQuery state store
+   * @param {BigQueryClient} bigqueryClient - Initialized BigQuery client
+   * @param {string} datasetId - BigQuery dataset ID
+   * @param {string} [tableId=DEFAULT_STATE_TABLE] - BigQuery table ID
+   */
+  constructor(bigqueryClient, datasetId, tableId = DEFAULT_STATE_TABLE) {
+    this.bigquery = bigqueryClient.bigquery;
+    this.projectId = bigqueryClient.getProjectId();
+    this.datasetId = datasetId;
+    this.tableId = tableId;
+    this.tableReady = false;
+  }
+
+  /**
+   * Gets the fully qualified table name
+   * @returns {string} Table name for queries
+   */
+  getTableName() {
+    return `\`${this.projectId}.${this.datasetId}.${this.tableId}\``;
+  }
+
+  /**
+   * Creates the state table if it doesn't exist
+   * @returns {Promise<void>}
+   */
+  async ensureTable() {
+    if (this.tableReady) {
+      return;
+    }
+
+    const table = this.bigquery.dataset(this.datasetId).table(this.tableId);
+    const [exists] = await table.exists();
+
+    if (!exists) {
+      logger.info(`State table ${this.tableId} does not exist, creating it`);
+      await table.create({
+        schema: [
+          { name: 'repository', type: 'STRING', mode: 'REQUIRED' },
+          { name: 'last_sync_time', type: 'TIMESTAMP', mode: 'REQUIRED' },
+          { name: 'updated_at', type: 'TIMESTAMP', mode: 'REQUIRED' }
+        ]
+      });
+    }
+
+    this.tableReady = true;
+  }
+
+  /**
+   * Gets the last successful sync time of a repository
+   * @param {string} repository - Repository in owner/repo format
+   * @returns {Promise<Date|null>} Last sync time or null if the repository has not been synced
+   */
+  async getLastSyncTime(repository) {
+    await this.ensureTable();
+
+    const [rows] = await this.bigquery.query({
+      query: `SELECT last_sync_time FROM ${this.getTableName()} WHERE repository = @repository`,
+      params: { repository }
+    });
+
+    // TIMESTAMP columns are returned as BigQueryTimestamp objects with an ISO string value
+    const lastSyncTime = rows[0]?.last_sync_time;
+    return lastSyncTime ? new Date(lastSyncTime.value ?? lastSyncTime) : null;
+  }
+
+  /**
+   * Records the last successful sync time of a repository
+   * @param {string} repository - Repository in owner/repo format
+   * @param {Date} time - Sync time
+   */
+  async setLastSyncTime(repository, time) {
+    await this.ensureTable();
+
+    await this.bigquery.query({
+      query: `
+        MERGE ${this.getTableName()} AS target
+        USING (SELECT @repository AS repository, TIMESTAMP(@lastSyncTime) AS last_sync_time) AS source
+        ON target.repository = source.repository
+        WHEN MATCHED THEN
+          UPDATE SET last_sync_time = source.last_sync_time, updated_at = CURRENT_TIMESTAMP()
+        WHEN NOT MATCHED THEN
+          INSERT (repository, last_sync_time, updated_at)
+          VALUES (source.repository, source.last_sync_time, CURRENT_TIMESTAMP())
+      `,
+      params: { repository, lastSyncTime: time.toISOString() }
+    });
+  }
+}
+
+/**
+ * Creates the state store configured in config.stateStore
+ * @param {Object} config - Configuration object
+ * @param {BigQueryClient|null} bigqueryClient - Initialized BigQuery client, required for the bigquery store
+ * @returns {JsonStateStore|BigQueryStateStore|null} State store or null if incremental collection is disabled
+ */
+export const createStateStore = (config, bigqueryClient) => {
+  const stateStore = config.stateStore;
+  if (!stateStore?.type) {
+    return null;
+  }
+
+  if (stateStore.type === 'json') {
+    logger.info(`Using JSON state store at ${stateStore.filepath || DEFAULT_STATE_FILEPATH}`);
+    return new JsonStateStore(stateStore.filepath);
+  }
+
+  if (stateStore.type === 'bigquery') {
+    if (!bigqueryClient) {
+      throw new Error('The bigquery state store requires a BigQuery client');
+    }
+    logger.info(`Using BigQuery state store in table ${stateStore.tableName || DEFAULT_STATE_TABLE}`);
+    return new BigQueryStateStore(bigqueryClient, config.bigQueryDatasetId, stateStore.tableName);
+  }
+
+  throw new Error(`Unknown state store type: ${stateStore.type}`);
+};
+
+export default {
+  STATE_STORE_TYPES,
+  DEFAULT_STATE_FILEPATH,
+  DEFAULT_STATE_TABLE,
+  JsonStateStore,
+  BigQueryStateStore,
+  createStateStore
+};
@@ -0,0 +1,80 @@
+/**
+ * Statistics helpers for engineering metrics collector
+ * Summarizes metric durations for reports, console summaries and the
+ * Prometheus exposition.
+ */
+
+/**
+ * Default duration bucket bounds in seconds: 1, 4 and 8 hours, 1, 2, 3, 5, 7, 14 and 30 days
+ */
+export const DEFAULT_DURATION_BUCKETS = [3600, 14400, 28800, 86400, 172800, 259200, 432000, 604800, 1209600, 2592000];
+
+/**
+ * Calculates a quantile of sorted values with the nearest-rank method
+ * @param {Array<number>} sortedValues - Values in ascending order
+ * @param {number} quantile - Quantile between 0 and 1
+ * @returns {number} Quantile value
+ */
+export const getQuantile = (sortedValues, quantile) =>
+  sortedValues[Math.max(Math.ceil(quantile * sortedValues.length) - 1, 0)];
+
+/**
+ * Summarizes durations
+ * @param {Array<number>} values - Durations in seconds
+ * @param {Array<number>} quantiles - Quantiles between 0 and 1
+ * @returns {{count: number, quantiles: Array<number>}} Number of values and the value of each quantile
+ */
+export const summarizeDurations = (values, quantiles) => {
+  const sortedValues = [...values].sort((a, b) => a - b);
+  return {
+    count: sortedValues.length,
+    quantiles: quantiles.map(quantile => getQuantile(sortedValues, quantile))
+  };
+};
+
+/**
+ * Describes the distribution of durations
+ * @param {Array<number>} values - Durations in seconds, at least one
+ * @param {Array<number>} [quantiles=[]] - Quantiles between 0 and 1
+ * @returns {{count: number, min: number, max: number, mean: number, median: number, standardDeviation: number, quantiles: Array<number>}}
+ *   Distribution; the standard deviation is the population standard deviation
+ */
+export const describeDurations = (values, quantiles = []) => {
+  const sortedValues = [...values].sort((a, b) => a - b);
+  const mean = sortedValues.reduce((sum, value) => sum + value, 0) / sortedValues.length;
+  const variance = sortedValues.reduce((sum, value) => sum + (value - mean) ** 2, 0) / sortedValues.length;
+
+  return {
+    count: sortedValues.length,
+    min: sortedValues[0],
+    max: sortedValues[sortedValues.length - 1],
+    mean,
+    median: getQuantile(sortedValues, 0.5),
+    standardDeviation: Math.sqrt(variance),
+    quantiles: quantiles.map(quantile => getQuantile(sortedValues, quantile))
+  };
+};
+
+/**
+ * Counts durations per bucket. Each bucket holds the values above the previous
+ * bound and up to its own bound; the last bucket holds the values above the
+ * highest bound.
+ * @param {Array<number>} values - Durations in seconds
+ * @param {Array<number>} [bounds=DEFAULT_DURATION_BUCKETS] - Bucket upper bounds in seconds
+ * @returns {Array<{lower: number, upper: number, count: number}>} Buckets in ascending order; the last upper bound is Infinity
+ */
+export const getHistogram = (values, bounds = DEFAULT_DURATION_BUCKETS) => {
+  const upperBounds = [...[...bounds].sort((a, b) => a - b), Infinity];
+  return upperBounds.map((upper, index) => {
+    const lower = index === 0 ? -Infinity : upperBounds[index - 1];
+    return { lower, upper, count: values.filter(value => value > lower && value <= upper).length };
+  });
+};
+
+export default {
+  DEFAULT_DURATION_BUCKETS,
+  getQuantile,
+  summarizeDurations,
+  describeDurations,
+  getHistogram
+};
@@ -6,6 +6,58 @@
 import { BigQuery } from '@google-cloud/bigquery';
 import logger from './logger.js';
 
+/**
+ * Compares stored user group mappings with new ones
+ * @param {Array<{group: string, username: string}>} existingUserGroups - Stored user group mappings
+ * @param {Array<{group: string, username: string}>} newUserGroups - New user group mappings
+ * @returns {{toInsert: Array, toDelete: Array}} Mappings only in the new list and mappings only in the stored list
+ */
+export const diffUserGroups = (existingUserGroups, newUserGroups) => {
+  // Create sets for comparison
+  const existingSet = new Set(existingUserGroups.map(ug => `${ug.group}:${ug.username}`));
+  const newSet = new Set(newUserGroups.map(ug => `${ug.group}:${ug.username}`));
+
+  return {
+    // Entries in new but not in existing
+    toInsert: newUserGroups.filter(ug => !existingSet.has(`${ug.group}:${ug.username}`)),
+    // Entries in existing but not in new
+    toDelete: existingUserGroups.filter(ug => !newSet.has(`${ug.group}:${ug.username}`))
+  };
+};
+
+/**
+ * Group of users that are in no user group, in reports and Prometheus labels
+ */
+export const NO_USER_GROUP = 'none';
+
+/**
+ * Maps usernames to their user groups
+ * @param {Array<{group: string, username: string}>} [userGroups=[]] - User group mappings
+ * @returns {Map<string, Array<string>>} Groups by lowercase username
+ */
+export const getGroupsByUsername = (userGroups = []) => {
+  const groupsByUsername = new Map();
+  for (const { group, username } of userGroups) {
+    const key = username.toLowerCase();
+    if (!groupsByUsername.has(key)) {
+      groupsByUsername.set(key, []);
+    }
+    if (!groupsByUsername.get(key).includes(group)) {
+      groupsByUsername.get(key).push(group);
+    }
+  }
+  return groupsByUsername;
+};
+
+/**
+ * Gets the user groups of a user; usernames are case-insensitive on GitHub
+ * @param {Map<string, Array<string>>} groupsByUsername - Groups by lowercase username (see getGroupsByUsername)
+ * @param {string} username - GitHub username
+ * @returns {Array<string>} The user's groups, or [NO_USER_GROUP]
+ */
+export const getUserGroupsOf = (groupsByUsername, username) =>
+  groupsByUsername.get(username?.toLowerCase()) || [NO_USER_GROUP];
+
 /**
  * User Group BigQuery Client class
  */
@@ -124,16 +176,7 @@ export class UserGroupClient {
     try {
       // Get existing entries from the table
       const existingUserGroups = await this.getExistingUserGroups();
-      
-      // Create sets for comparison
-      const existingSet = new Set(existingUserGroups.map(ug => `${ug.group}:${ug.username}`));
-      const newSet = new Set(newUserGroups.map(ug => `${ug.group}:${ug.username}`));
-      
-      // Find entries to insert (in new but not in existing)
-      const toInsert = newUserGroups.filter(ug => !existingSet.has(`${ug.group}:${ug.username}`));
-      
-      // Find entries to delete (in existing but not in new)
-      const toDelete = existingUserGroups.filter(ug => !newSet.has(`${ug.group}:${ug.username}`));
+      const { toInsert, toDelete } = diffUserGroups(existingUserGroups, newUserGroups);
       
       logger.info(`Differential sync: ${toInsert.length} to insert, ${toDelete.length} to delete`);
       
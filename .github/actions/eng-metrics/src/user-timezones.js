@@ -0,0 +1,69 @@
+/**
+ * User timezones module for engineering metrics collector
+ * Builds the map of GitHub usernames to IANA timezones used to calculate
+ * durations in each person's local working time.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { parseProductGroupTimezones } from './markdown-parser.js';
+import { isValidTimezone } from './working-calendar.js';
+import logger from './logger.js';
+
+/**
+ * Loads a timezone mapping file
+ * The file is a JSON object mapping GitHub usernames to IANA timezones,
+ * e.g. { "octocat": "America/Los_Angeles" }
+ * @param {string} filePath - Path to the mapping file
+ * @returns {Object<string, string>} Map of GitHub username to timezone
+ */
+export const loadTimezoneMapping = (filePath) => {
+  const resolvedPath = path.resolve(process.cwd(), filePath);
+  logger.info(`Loading user timezones from ${resolvedPath}`);
+
+  if (!fs.existsSync(resolvedPath)) {
+    throw new Error(`User timezones file not found at ${resolvedPath}`);
+  }
+
+  const mapping = JSON.parse(fs.readFileSync(resolvedPath, 'utf8'));
+  if (typeof mapping !== 'object' || mapping === null || Array.isArray(mapping)) {
+    throw new Error('User timezones file must contain an object mapping usernames to timezones');
+  }
+
+  return mapping;
+};
+
+/**
+ * Loads user timezones from the product groups file and the timezone mapping file.
+ * Entries in the mapping file take precedence. Usernames are lowercased because
+ * GitHub logins are case-insensitive; invalid timezones are skipped with a warning.
+ * @param {Object} config - Configuration object
+ * @param {string} [config.userGroupFilepath] - Product groups markdown file
+ * @param {string} [config.userTimezonesFilepath] - JSON timezone mapping file
+ * @returns {Object<string, string>} Map of lowercased GitHub username to timezone
+ */
+export const loadUserTimezones = (config) => {
+  const sources = [
+    config.userGroupFilepath ? parseProductGroupTimezones(config.userGroupFilepath) : {},
+    config.userTimezonesFilepath ? loadTimezoneMapping(config.userTimezonesFilepath) : {}
+  ];
+
+  const userTimezones = {};
+  for (const source of sources) {
+    for (const [username, timeZone] of Object.entries(source)) {
+      if (!isValidTimezone(timeZone)) {
+        logger.warn(`Ignoring invalid timezone for ${username}: ${timeZone}`);
+        continue;
+      }
+      userTimezones[username.toLowerCase()] = timeZone;
+    }
+  }
+
+  logger.info(`Loaded timezones for ${Object.keys(userTimezones).length} users`);
+  return userTimezones;
+};
+
+export default {
+  loadTimezoneMapping,
+  loadUserTimezones
+};
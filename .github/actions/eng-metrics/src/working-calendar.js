@@ -0,0 +1,368 @@
+/**
+ * Working calendar module for engineering metrics collector
+ * Defines which time counts as working time (business hours, weekend days and
+ * holidays) so that every duration metric is calculated against the same calendar.
+ * A calendar can be localized to a person's timezone with forTimezone().
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import logger from './logger.js';
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+const MS_PER_MINUTE = 60 * 1000;
+
+/**
+ * Default calendar: whole days count, Saturdays and Sundays (UTC) are excluded
+ */
+const DEFAULT_CALENDAR = {
+  // Days of the week that are not worked (0 = Sunday, 6 = Saturday)
+  weekendDays: [0, 6],
+
+  // Working hours within a day, e.g. { start: '09:00', end: '17:00' }. null = whole day
+  businessHours: null,
+
+  // Holiday dates (YYYY-MM-DD) that are not worked
+  holidays: []
+};
+
+/**
+ * Business hours used for business-hours durations when the calendar does not configure any
+ */
+const DEFAULT_BUSINESS_HOURS = { start: '09:00', end: '17:00' };
+
+/**
+ * Parses a HH:MM time of day into minutes since midnight
+ * @param {string} time - Time of day in HH:MM format
+ * @returns {number} Minutes since midnight
+ */
+const parseTimeOfDay = (time) => {
+  const match = /^(\d{2}):(\d{2})$/.exec(time || '');
+  const minutes = match ? Number(match[1]) * 60 + Number(match[2]) : NaN;
+  if (!match || Number(match[2]) > 59 || minutes > 24 * 60) {
+    throw new Error(`Invalid time of day: ${time} (expected HH:MM)`);
+  }
+  return minutes;
+};
+
+/**
+ * Formats a date as YYYY-MM-DD in UTC
+ * @param {Date} date - Date to format
+ * @returns {string} Date string
+ */
+const toDateString = (date) => date.toISOString().split('T')[0];
+
+/**
+ * Checks whether a timezone name is a valid IANA timezone
+ * @param {string} timeZone - Timezone name (e.g. 'Europe/Berlin')
+ * @returns {boolean} True if the timezone is supported
+ */
+export const isValidTimezone = (timeZone) => {
+  if (typeof timeZone !== 'string' || timeZone.length === 0) {
+    return false;
+  }
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Working calendar class
+ */
+export class WorkingCalendar {
+  /**
+   * Creates a new working calendar
+   * @param {Object} [options] - Calendar options
+   * @param {Array<number>} [options.weekendDays=[0, 6]] - Days of the week that are not worked (0 = Sunday)
+   * @param {{start: string, end: string}|null} [options.businessHours=null] - Working hours (HH:MM), null for whole days
+   * @param {Array<string>} [options.holidays=[]] - Holiday dates (YYYY-MM-DD)
+   * @param {string} [options.version] - Calendar version recorded with metrics (derived from the settings if omitted)
+   * @param {string} [options.timeZone='UTC'] - IANA timezone that days, business hours and holidays are interpreted in
+   */
+  constructor(options = {}) {
+    const { timeZone = 'UTC', ...settings } = { ...DEFAULT_CALENDAR, ...options };
+
+    if (!isValidTimezone(timeZone)) {
+      throw new Error(`Invalid timezone: ${timeZone}`);
+    }
+
+    this.options = settings;
+    this.timeZone = timeZone;
+    this.dateFormat = new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric'
+    });
+    this.localizedCalendars = new Map();
+    this.businessHoursCalendar = null;
+
+    this.weekendDays = new Set(settings.weekendDays);
+    this.businessHours = settings.businessHours
+      ? {
+        start: parseTimeOfDay(settings.businessHours.start),
+        end: parseTimeOfDay(settings.businessHours.end)
+      }
+      : null;
+
+    if (this.businessHours && this.businessHours.start >= this.businessHours.end) {
+      throw new Error('Business hours must start before they end');
+    }
+
+    this.holidays = new Set(settings.holidays);
+    // The version identifies the calendar rules, not the timezone they are applied in
+    this.version = settings.version || this.computeVersion(settings);
+  }
+
+  /**
+   * Gets the same calendar applied in another timezone
+   * @param {string} timeZone - IANA timezone (e.g. 'America/New_York')
+   * @returns {WorkingCalendar} Calendar localized to the timezone
+   */
+  forTimezone(timeZone) {
+    if (timeZone === this.timeZone) {
+      return this;
+    }
+    if (!this.localizedCalendars.has(timeZone)) {
+      this.localizedCalendars.set(timeZone, new WorkingCalendar({
+        ...this.options,
+        version: this.version,
+        timeZone
+      }));
+    }
+    return this.localizedCalendars.get(timeZone);
+  }
+
+  /**
+   * Gets the same calendar restricted to business hours. Calendars without
+   * configured business hours use the default 09:00-17:00.
+   * @returns {WorkingCalendar} Calendar with business hours
+   */
+  withBusinessHours() {
+    if (this.businessHours) {
+      return this;
+    }
+    if (!this.businessHoursCalendar) {
+      this.businessHoursCalendar = new WorkingCalendar({
+        ...this.options,
+        businessHours: DEFAULT_BUSINESS_HOURS,
+        version: this.version,
+        timeZone: this.timeZone
+      });
+    }
+    return this.businessHoursCalendar;
+  }
+
+  /**
+   * Gets the wall-clock date and time of an instant in the calendar's timezone
+   * @param {number} time - Milliseconds since the epoch
+   * @returns {{year: number, month: number, day: number, offsetMs: number}} Local date and UTC offset
+   */
+  getLocalParts(time) {
+    const parts = Object.fromEntries(
+      this.dateFormat.formatToParts(new Date(time)).map(part => [part.type, Number(part.value)])
+    );
+    const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    return {
+      year: parts.year,
+      month: parts.month - 1,
+      day: parts.day,
+      offsetMs: wallClock - Math.floor(time / 1000) * 1000
+    };
+  }
+
+  /**
+   * Converts a wall-clock time in the calendar's timezone to an instant
+   * @param {number} year - Year
+   * @param {number} month - Month (0-11)
+   * @param {number} day - Day of the month (may overflow into the next month)
+   * @param {number} [minutes=0] - Minutes since local midnight
+   * @returns {number} Milliseconds since the epoch
+   */
+  localTimeToInstant(year, month, day, minutes = 0) {
+    const wallClock = Date.UTC(year, month, day) + minutes * MS_PER_MINUTE;
+    // Apply the offset twice so times next to a DST change resolve to the right side of it
+    const guess = wallClock - this.getLocalParts(wallClock).offsetMs;
+    return wallClock - this.getLocalParts(guess).offsetMs;
+  }
+
+  /**
+   * Formats an instant as a YYYY-MM-DD date in the calendar's timezone
+   * @param {Date} time - Instant to format
+   * @returns {string} Local date string
+   */
+  toLocalDate(time) {
+    const { year, month, day } = this.getLocalParts(new Date(time).getTime());
+    return toDateString(new Date(Date.UTC(year, month, day)));
+  }
+
+  /**
+   * Derives a stable version identifier from the calendar settings, so rows
+   * calculated with different calendars can be told apart
+   * @param {Object} settings - Calendar settings
+   * @returns {string} Version identifier
+   */
+  computeVersion(settings) {
+    const fingerprint = JSON.stringify({
+      weekendDays: [...settings.weekendDays].sort(),
+      businessHours: settings.businessHours || null,
+      holidays: [...settings.holidays].sort()
+    });
+    return crypto.createHash('sha256').update(fingerprint).digest('hex').slice(0, 12);
+  }
+
+  /**
+   * Checks whether a local date is a working day
+   * @param {Date} date - Local date, represented as UTC midnight of that date
+   * @returns {boolean} True if the day is worked
+   */
+  isWorkingDay(date) {
+    return !this.weekendDays.has(date.getUTCDay()) && !this.holidays.has(toDateString(date));
+  }
+
+  /**
+   * Calculates the working time between two timestamps
+   * @param {Date} startTime - Start of the interval
+   * @param {Date} endTime - End of the interval
+   * @returns {number} Working time in seconds (0 if the interval is empty)
+   */
+  getWorkingSeconds(startTime, endTime) {
+    const start = new Date(startTime).getTime();
+    const end = new Date(endTime).getTime();
+
+    if (!(end > start)) {
+      return 0;
+    }
+
+    let workingMs = 0;
+    const { year, month } = this.getLocalParts(start);
+    let { day } = this.getLocalParts(start);
+    let dayStart = this.localTimeToInstant(year, month, day);
+
+    while (dayStart < end) {
+      const dayEnd = this.localTimeToInstant(year, month, day + 1);
+
+      if (this.isWorkingDay(new Date(Date.UTC(year, month, day)))) {
+        const workStart = this.businessHours ? this.localTimeToInstant(year, month, day, this.businessHours.start) : dayStart;
+        const workEnd = this.businessHours ? this.localTimeToInstant(year, month, day, this.businessHours.end) : dayEnd;
+        workingMs += Math.max(0, Math.min(end, workEnd) - Math.max(start, workStart));
+      }
+
+      day += 1;
+      dayStart = dayEnd;
+    }
+
+    return Math.floor(workingMs / 1000);
+  }
+}
+
+/**
+ * Parses holiday dates from iCalendar (ICS) content.
+ * All-day events cover every date from DTSTART up to (not including) DTEND.
+ * @param {string} content - ICS file content
+ * @returns {Array<string>} Holiday dates (YYYY-MM-DD)
+ */
+export const parseIcsHolidays = (content) => {
+  // Unfold continuation lines (RFC 5545 section 3.1)
+  const lines = content.replace(/\r\n/g, '\n').replace(/\n[ \t]/g, '').split('\n');
+  const holidays = [];
+  let event = null;
+
+  const parseDate = (value) => {
+    const match = /^(\d{4})(\d{2})(\d{2})/.exec(value);
+    return match ? new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3]))) : null;
+  };
+
+  for (const line of lines) {
+    if (line === 'BEGIN:VEVENT') {
+      event = {};
+    } else if (line === 'END:VEVENT' && event) {
+      if (event.start) {
+        const end = event.end && event.end > event.start ? event.end : new Date(event.start.getTime() + MS_PER_DAY);
+        for (let day = event.start.getTime(); day < end.getTime(); day += MS_PER_DAY) {
+          holidays.push(toDateString(new Date(day)));
+        }
+      }
+      event = null;
+    } else if (event) {
+      const separator = line.indexOf(':');
+      const name = line.slice(0, separator).split(';')[0];
+      const value = line.slice(separator + 1).trim();
+      if (name === 'DTSTART') event.start = parseDate(value);
+      if (name === 'DTEND') event.end = parseDate(value);
+    }
+  }
+
+  return holidays;
+};
+
+/**
+ * Parses holiday dates from JSON content.
+ * Accepts an array of dates or { date, name } objects, optionally wrapped in { holidays: [...] }.
+ * @param {string} content - JSON file content
+ * @returns {Array<string>} Holiday dates (YYYY-MM-DD)
+ */
+export const parseJsonHolidays = (content) => {
+  const data = JSON.parse(content);
+  const entries = Array.isArray(data) ? data : data.holidays;
+
+  if (!Array.isArray(entries)) {
+    throw new Error('Holiday JSON must be an array or an object with a holidays array');
+  }
+
+  return entries.map(entry => (typeof entry === 'string' ? entry : entry.date)).filter(Boolean);
+};
+
+/**
+ * Loads holiday dates from an ICS or JSON file
+ * @param {string} filePath - Path to the holiday file
+ * @returns {Array<string>} Holiday dates (YYYY-MM-DD)
+ */
+export const loadHolidays = (filePath) => {
+  const resolvedPath = path.resolve(process.cwd(), filePath);
+  logger.info(`Loading holidays from ${resolvedPath}`);
+
+  if (!fs.existsSync(resolvedPath)) {
+    throw new Error(`Holiday file not found at ${resolvedPath}`);
+  }
+
+  const content = fs.readFileSync(resolvedPath, 'utf8');
+  const holidays = resolvedPath.toLowerCase().endsWith('.ics')
+    ? parseIcsHolidays(content)
+    : parseJsonHolidays(content);
+
+  logger.info(`Loaded ${holidays.length} holidays from ${resolvedPath}`);
+  return holidays;
+};
+
+/**
+ * Creates a working calendar from the workingCalendar configuration section
+ * @param {Object} [calendarConfig] - Working calendar configuration
+ * @param {string} [calendarConfig.holidaysFilepath] - ICS or JSON file with holidays
+ * @returns {WorkingCalendar} Working calendar
+ */
+export const createWorkingCalendar = (calendarConfig = {}) => {
+  const { holidaysFilepath, holidays = [], ...options } = calendarConfig;
+  const allHolidays = holidaysFilepath ? [...holidays, ...loadHolidays(holidaysFilepath)] : holidays;
+
+  const calendar = new WorkingCalendar({ ...options, holidays: allHolidays });
+
+  logger.info('Working calendar initialized', {
+    version: calendar.version,
+    weekendDays: [...calendar.weekendDays],
+    businessHours: options.businessHours || null,
+    holidays: calendar.holidays.size
+  });
+
+  return calendar;
+};
+
+export default WorkingCalendar;
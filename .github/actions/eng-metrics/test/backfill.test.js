@@ -0,0 +1,110 @@
+/**
+ * Tests for backfill module
+ */
+
+import { jest } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// Mock the logger
+const mockLogger = {
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+};
+
+jest.unstable_mockModule('../src/logger.js', () => ({
+  default: mockLogger,
+  ...mockLogger
+}));
+
+const {
+  parseBackfillRange,
+  splitDateRange,
+  loadCheckpoint,
+  saveCheckpoint,
+  clearCheckpoint
+} = await import('../src/backfill.js');
+
+describe('backfill', () => {
+  describe('parseBackfillRange', () => {
+    test('should include the whole last day', () => {
+      const range = parseBackfillRange('2023-01-01', '2024-06-30');
+
+      expect(range.from.toISOString()).toBe('2023-01-01T00:00:00.000Z');
+      expect(range.to.toISOString()).toBe('2024-06-30T23:59:59.999Z');
+    });
+
+    test.each([
+      ['2023-1-1', '2023-02-01', 'Invalid --from date: 2023-1-1'],
+      ['2023-01-01', '2023-02-30', 'Invalid --to date: 2023-02-30'],
+      [undefined, '2023-02-01', 'Invalid --from date'],
+      ['2023-03-01', '2023-02-01', 'Backfill range is empty']
+    ])('should reject %s..%s', (from, to, message) => {
+      expect(() => parseBackfillRange(from, to)).toThrow(message);
+    });
+  });
+
+  describe('splitDateRange', () => {
+    test('should split the range into chunks, newest first', () => {
+      const { from, to } = parseBackfillRange('2023-01-01', '2023-01-25');
+
+      const chunks = splitDateRange(from, to, 10).map(chunk => [chunk.from.toISOString(), chunk.to.toISOString()]);
+
+      expect(chunks).toEqual([
+        ['2023-01-16T00:00:00.000Z', '2023-01-25T23:59:59.999Z'],
+        ['2023-01-06T00:00:00.000Z', '2023-01-15T23:59:59.999Z'],
+        ['2023-01-01T00:00:00.000Z', '2023-01-05T23:59:59.999Z']
+      ]);
+    });
+
+    test('should return a single chunk for a short range', () => {
+      const { from, to } = parseBackfillRange('2023-01-01', '2023-01-01');
+
+      expect(splitDateRange(from, to, 30)).toEqual([{ from, to }]);
+    });
+  });
+
+  describe('checkpoint', () => {
+    let checkpointPath;
+    const range = { from: '2023-01-01', to: '2023-06-30', chunkDays: 30 };
+
+    beforeEach(() => {
+      checkpointPath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'backfill-test-')), 'checkpoint.json');
+    });
+
+    afterEach(() => {
+      fs.rmSync(path.dirname(checkpointPath), { recursive: true, force: true });
+    });
+
+    test('should start empty when there is no checkpoint file', () => {
+      expect(loadCheckpoint(checkpointPath, range)).toEqual({ ...range, repositories: {} });
+    });
+
+    test('should round-trip saved progress', () => {
+      const checkpoint = { ...range, repositories: { 'owner/repo': { chunk: 2, page: 5, done: false } } };
+
+      saveCheckpoint(checkpointPath, checkpoint);
+
+      expect(loadCheckpoint(checkpointPath, range)).toEqual(checkpoint);
+      expect(fs.existsSync(`${checkpointPath}.tmp`)).toBe(false);
+    });
+
+    test('should ignore a checkpoint saved for another range', () => {
+      saveCheckpoint(checkpointPath, { ...range, to: '2023-12-31', repositories: { 'owner/repo': { chunk: 2, page: 5 } } });
+
+      expect(loadCheckpoint(checkpointPath, range)).toEqual({ ...range, repositories: {} });
+      expect(mockLogger.warn).toHaveBeenCalledWith(expect.stringContaining('Ignoring checkpoint'));
+    });
+
+    test('should remove the checkpoint file', () => {
+      saveCheckpoint(checkpointPath, { ...range, repositories: {} });
+
+      clearCheckpoint(checkpointPath);
+
+      expect(fs.existsSync(checkpointPath)).toBe(false);
+    });
+  });
+});
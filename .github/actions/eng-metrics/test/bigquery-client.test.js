@@ -3,6 +3,7 @@
  */
 
 import { jest } from '@jest/globals';
+import fs from 'fs';
 import { BigQueryClient } from '../src/bigquery-client.js';
 
 // Mock the logger
@@ -46,7 +47,14 @@ describe('BigQueryClient', () => {
     mockTable = {
       exists: jest.fn(() => [true]),
       create: jest.fn(),
-      insert: jest.fn(() => [{}])
+      insert: jest.fn(() => [{}]),
+      load: jest.fn(() => [{}]),
+      delete: jest.fn(),
+      getMetadata: jest.fn(() => [{
+        schema: { fields: [] },
+        clustering: { fields: ['repository', 'pr_number', 'pr_creator'] }
+      }]),
+      setMetadata: jest.fn()
     };
 
     mockDataset = {
@@ -84,6 +92,18 @@ describe('BigQueryClient', () => {
       expect(schema.fields).toBeTruthy();
     });
 
+    test('should return issue_qa_ready table schema', () => {
+      const schema = bigqueryClient.getSchemaForMetricType('time_to_qa_ready');
+      expect(schema.fields.map(field => field.name)).toContain('qa_ready_time_seconds');
+    });
+
+    test('should include the calendar version column for every metric type', () => {
+      ['time_to_first_review', 'time_to_approval', 'time_to_merge', 'review_cycles', 'time_to_qa_ready', 'time_to_production_ready'].forEach(metricType => {
+        const schema = bigqueryClient.getSchemaForMetricType(metricType);
+        expect(schema.fields).toContainEqual({ name: 'calendar_version', type: 'STRING', mode: 'NULLABLE' });
+      });
+    });
+
     test('should throw error for unknown metric type', () => {
       expect(() => {
         bigqueryClient.getSchemaForMetricType('unknown_metric');
@@ -102,6 +122,17 @@ describe('BigQueryClient', () => {
       expect(config).toBeTruthy();
     });
 
+    test('should return issue_qa_ready table configuration', () => {
+      const config = bigqueryClient.getConfigurationForMetricType('time_to_qa_ready');
+      expect(config.timePartitioning.field).toBe('qa_ready_time');
+      expect(config.clustering.fields).toEqual(['repository', 'issue_number', 'issue_creator']);
+    });
+
+    test('should cluster PR tables by repository and PR number', () => {
+      const config = bigqueryClient.getConfigurationForMetricType('time_to_merge');
+      expect(config.clustering.fields).toEqual(['repository', 'pr_number', 'pr_creator']);
+    });
+
     test('should throw error for unknown metric type configuration', () => {
       expect(() => {
         bigqueryClient.getConfigurationForMetricType('unknown_metric');
@@ -135,7 +166,9 @@ describe('BigQueryClient', () => {
         pr_number: 123,
         target_branch: 'main',
         ready_time: '2023-06-15T10:00:00.000Z',
-        first_review_time: '2023-06-15T12:00:00.000Z'
+        first_review_time: '2023-06-15T12:00:00.000Z',
+        algorithm_version: '1',
+        updated_at: expect.any(String)
       });
     });
 
@@ -164,10 +197,180 @@ describe('BigQueryClient', () => {
         pr_number: 123,
         target_branch: 'main',
         ready_time: '2023-06-15T10:00:00.000Z',
-        merge_time: '2023-06-15T14:30:00.000Z'
+        merge_time: '2023-06-15T14:30:00.000Z',
+        algorithm_version: '1',
+        updated_at: expect.any(String)
       });
     });
 
+    test('should transform time_to_qa_ready metrics', () => {
+      const metrics = {
+        metricType: 'time_to_qa_ready',
+        qaReadyDate: '2023-06-15',
+        issueCreator: 'testuser',
+        issueUrl: 'https://github.com/owner/repo/issues/42',
+        qaReadyTimeSeconds: 18000,
+        repository: 'owner/repo',
+        issueNumber: 42,
+        qaReadyStatus: 'Awaiting QA',
+        inProgressTime: new Date('2023-06-15T10:00:00Z'),
+        qaReadyTime: new Date('2023-06-15T15:00:00Z')
+      };
+
+      const row = bigqueryClient.transformMetricsToRow(metrics);
+
+      expect(row).toEqual({
+        qa_ready_date: '2023-06-15',
+        issue_creator: 'testuser',
+        issue_url: 'https://github.com/owner/repo/issues/42',
+        qa_ready_time_seconds: 18000,
+        repository: 'owner/repo',
+        issue_number: 42,
+        qa_ready_status: 'Awaiting QA',
+        in_progress_time: '2023-06-15T10:00:00.000Z',
+        qa_ready_time: '2023-06-15T15:00:00.000Z',
+        algorithm_version: '1',
+        updated_at: expect.any(String)
+      });
+    });
+
+    test('should transform time_to_production_ready metrics', () => {
+      const metrics = {
+        metricType: 'time_to_production_ready',
+        productionReadyDate: '2023-06-16',
+        issueCreator: 'testuser',
+        issueUrl: 'https://github.com/owner/repo/issues/42',
+        productionReadyTimeSeconds: 36000,
+        repository: 'owner/repo',
+        issueNumber: 42,
+        qaRoundTrips: 1,
+        inProgressTime: new Date('2023-06-15T10:00:00Z'),
+        productionReadyTime: new Date('2023-06-16T10:00:00Z')
+      };
+
+      const row = bigqueryClient.transformMetricsToRow(metrics);
+
+      expect(row).toEqual({
+        production_ready_date: '2023-06-16',
+        issue_creator: 'testuser',
+        issue_url: 'https://github.com/owner/repo/issues/42',
+        production_ready_time_seconds: 36000,
+        repository: 'owner/repo',
+        issue_number: 42,
+        qa_round_trips: 1,
+        in_progress_time: '2023-06-15T10:00:00.000Z',
+        production_ready_time: '2023-06-16T10:00:00.000Z',
+        algorithm_version: '1',
+        updated_at: expect.any(String)
+      });
+    });
+
+    test('should transform time_to_approval metrics', () => {
+      const metrics = {
+        metricType: 'time_to_approval',
+        approvalDate: '2023-06-15',
+        prCreator: 'testuser',
+        prUrl: 'https://github.com/owner/repo/pull/123',
+        approvalTimeSeconds: 14400,
+        repository: 'owner/repo',
+        prNumber: 123,
+        targetBranch: 'main',
+        readyTime: new Date('2023-06-15T10:00:00Z'),
+        approvalTime: new Date('2023-06-15T14:00:00Z'),
+        approver: 'reviewer',
+        approvalLocalDate: '2023-06-15',
+        approverTimezone: 'UTC',
+        approvalElapsedSeconds: 14400,
+        approvalBusinessHoursSeconds: 14400
+      };
+
+      const row = bigqueryClient.transformMetricsToRow(metrics);
+
+      expect(row).toEqual({
+        approval_date: '2023-06-15',
+        pr_creator: 'testuser',
+        pr_url: 'https://github.com/owner/repo/pull/123',
+        approval_time_seconds: 14400,
+        repository: 'owner/repo',
+        pr_number: 123,
+        target_branch: 'main',
+        ready_time: '2023-06-15T10:00:00.000Z',
+        approval_time: '2023-06-15T14:00:00.000Z',
+        approver: 'reviewer',
+        approval_local_date: '2023-06-15',
+        approver_timezone: 'UTC',
+        approval_elapsed_seconds: 14400,
+        approval_business_hours_seconds: 14400,
+        algorithm_version: '1',
+        updated_at: expect.any(String)
+      });
+    });
+
+    test('should transform review_cycles metrics', () => {
+      const metrics = {
+        metricType: 'review_cycles',
+        mergeDate: '2023-06-16',
+        prCreator: 'testuser',
+        prUrl: 'https://github.com/owner/repo/pull/123',
+        reviewTimeSeconds: 18000,
+        repository: 'owner/repo',
+        prNumber: 123,
+        targetBranch: 'main',
+        reviewIterations: 2,
+        changesRequestedRounds: 1,
+        changesRequestedReviews: 2,
+        authorWaitSeconds: 7200,
+        reviewerWaitSeconds: 10800,
+        readyTime: new Date('2023-06-15T10:00:00Z'),
+        finalApprovalTime: null,
+        mergeTime: new Date('2023-06-16T10:00:00Z'),
+        authorTimezone: 'UTC'
+      };
+
+      const row = bigqueryClient.transformMetricsToRow(metrics);
+
+      expect(row).toEqual({
+        merge_date: '2023-06-16',
+        pr_creator: 'testuser',
+        pr_url: 'https://github.com/owner/repo/pull/123',
+        review_time_seconds: 18000,
+        repository: 'owner/repo',
+        pr_number: 123,
+        target_branch: 'main',
+        review_iterations: 2,
+        changes_requested_rounds: 1,
+        changes_requested_reviews: 2,
+        author_wait_seconds: 7200,
+        reviewer_wait_seconds: 10800,
+        ready_time: '2023-06-15T10:00:00.000Z',
+        final_approval_time: null,
+        merge_time: '2023-06-16T10:00:00.000Z',
+        author_timezone: 'UTC',
+        algorithm_version: '1',
+        updated_at: expect.any(String)
+      });
+    });
+
+    test('should include the calendar version in the row', () => {
+      const metrics = {
+        metricType: 'time_to_first_review',
+        reviewDate: '2023-06-15',
+        prCreator: 'testuser',
+        prUrl: 'https://github.com/owner/repo/pull/123',
+        pickupTimeSeconds: 7200,
+        repository: 'owner/repo',
+        prNumber: 123,
+        targetBranch: 'main',
+        readyTime: new Date('2023-06-15T10:00:00Z'),
+        firstReviewTime: new Date('2023-06-15T12:00:00Z'),
+        calendarVersion: 'eu-2023'
+      };
+
+      const row = bigqueryClient.transformMetricsToRow(metrics);
+
+      expect(row.calendar_version).toBe('eu-2023');
+    });
+
     test('should throw error for unknown metric type', () => {
       const metrics = {
         metricType: 'unknown_type'
@@ -206,6 +409,59 @@ describe('BigQueryClient', () => {
 
       expect(mockTable.create).not.toHaveBeenCalled();
     });
+
+    test('should add missing nullable columns to an existing table', async () => {
+      mockTable.exists.mockResolvedValue([true]);
+      mockTable.getMetadata.mockResolvedValue([{
+        schema: { fields: [{ name: 'pr_number', type: 'INTEGER', mode: 'REQUIRED' }] }
+      }]);
+      const schema = {
+        fields: [
+          { name: 'pr_number', type: 'INTEGER', mode: 'REQUIRED' },
+          { name: 'calendar_version', type: 'STRING', mode: 'NULLABLE' }
+        ]
+      };
+
+      await bigqueryClient.createTableIfNotExists('test_dataset', 'pr_merge', schema, 'time_to_merge');
+
+      expect(mockTable.setMetadata).toHaveBeenCalledWith({
+        schema: {
+          fields: [
+            { name: 'pr_number', type: 'INTEGER', mode: 'REQUIRED' },
+            { name: 'calendar_version', type: 'STRING', mode: 'NULLABLE' }
+          ]
+        }
+      });
+    });
+
+    test('should not update the schema when no columns are missing', async () => {
+      const schema = { fields: [{ name: 'pr_number', type: 'INTEGER', mode: 'REQUIRED' }] };
+      mockTable.getMetadata.mockResolvedValue([{ schema, clustering: { fields: ['repository', 'pr_number', 'pr_creator'] } }]);
+
+      await bigqueryClient.createTableIfNotExists('test_dataset', 'pr_merge', schema, 'time_to_merge');
+
+      expect(mockTable.setMetadata).not.toHaveBeenCalled();
+    });
+
+    test('should update the clustering of an existing table', async () => {
+      const schema = { fields: [{ name: 'pr_number', type: 'INTEGER', mode: 'REQUIRED' }] };
+      mockTable.getMetadata.mockResolvedValue([{ schema, clustering: { fields: ['pr_creator', 'pr_number'] } }]);
+
+      await bigqueryClient.createTableIfNotExists('test_dataset', 'pr_merge', schema, 'time_to_merge');
+
+      expect(mockTable.setMetadata).toHaveBeenCalledTimes(1);
+      expect(mockTable.setMetadata).toHaveBeenCalledWith({
+        clustering: { fields: ['repository', 'pr_number', 'pr_creator'] }
+      });
+    });
+
+    test('should not add required columns to an existing table', async () => {
+      const schema = { fields: [{ name: 'pr_number', type: 'INTEGER', mode: 'REQUIRED' }] };
+
+      await bigqueryClient.createTableIfNotExists('test_dataset', 'pr_merge', schema, 'time_to_merge');
+
+      expect(mockTable.setMetadata).not.toHaveBeenCalled();
+    });
   });
 
   describe('uploadMetrics', () => {
@@ -237,7 +493,9 @@ describe('BigQueryClient', () => {
           pr_number: 123,
           target_branch: 'main',
           ready_time: '2023-06-15T10:00:00.000Z',
-          first_review_time: '2023-06-15T12:00:00.000Z'
+          first_review_time: '2023-06-15T12:00:00.000Z',
+          algorithm_version: '1',
+          updated_at: expect.any(String)
         }
       ]);
     });
@@ -265,11 +523,205 @@ describe('BigQueryClient', () => {
       ];
 
       // Mock existing metrics check to return that PR 123 already exists
-      mockBigQuery.query.mockResolvedValue([[{ pr_number: 123 }]]);
+      mockBigQuery.query.mockResolvedValue([[{ repository: 'owner/repo', pr_number: 123 }]]);
 
       await bigqueryClient.uploadMetrics('test_dataset', 'pr_first_review', metrics);
 
       expect(mockTable.insert).not.toHaveBeenCalled();
     });
+
+    test('should not skip a PR whose number exists for another repository', async () => {
+      const metrics = [
+        {
+          metricType: 'time_to_merge',
+          prNumber: 1234,
+          mergeDate: '2023-06-15',
+          prCreator: 'testuser',
+          prUrl: 'https://github.com/owner/repo2/pull/1234',
+          mergeTimeSeconds: 3600,
+          repository: 'owner/repo2',
+          targetBranch: 'main',
+          readyTime: new Date('2023-06-15T10:00:00Z'),
+          mergeTime: new Date('2023-06-15T11:00:00Z')
+        }
+      ];
+
+      mockBigQuery.query.mockResolvedValue([[{ repository: 'owner/repo1', pr_number: 1234 }]]);
+
+      await bigqueryClient.uploadMetrics('test_dataset', 'pr_merge', metrics);
+
+      expect(mockBigQuery.query.mock.calls[0][0].query).toContain('SELECT DISTINCT repository, pr_number');
+      expect(mockTable.insert).toHaveBeenCalledWith([
+        expect.objectContaining({ repository: 'owner/repo2', pr_number: 1234 })
+      ]);
+    });
+
+    test('should check existing issue metrics by issue number', async () => {
+      const metrics = [
+        {
+          metricType: 'time_to_qa_ready',
+          qaReadyDate: '2023-06-15',
+          issueCreator: 'testuser',
+          issueUrl: 'https://github.com/owner/repo/issues/42',
+          qaReadyTimeSeconds: 18000,
+          repository: 'owner/repo',
+          issueNumber: 42,
+          qaReadyStatus: 'Awaiting QA',
+          inProgressTime: new Date('2023-06-15T10:00:00Z'),
+          qaReadyTime: new Date('2023-06-15T15:00:00Z')
+        }
+      ];
+
+      mockBigQuery.query.mockResolvedValue([[{ repository: 'owner/repo', issue_number: 42 }]]);
+
+      await bigqueryClient.uploadMetrics('test_dataset', 'issue_qa_ready', metrics);
+
+      expect(mockBigQuery.query.mock.calls[0][0].query).toContain('WHERE issue_number IN (42)');
+      expect(mockTable.insert).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('findSkippedMetrics', () => {
+    const metric = (repository, prNumber) => ({
+      metricType: 'time_to_merge',
+      repository,
+      prNumber,
+      mergeTimeSeconds: 3600
+    });
+
+    test('should find metrics whose PR number only exists for another repository', async () => {
+      mockBigQuery.query.mockResolvedValue([[
+        { repository: 'owner/repo1', pr_number: 1234 },
+        { repository: 'owner/repo1', pr_number: 10 },
+        { repository: 'owner/repo2', pr_number: 10 }
+      ]]);
+
+      const skipped = await bigqueryClient.findSkippedMetrics('test_dataset', 'pr_merge', [
+        metric('owner/repo1', 1234),
+        metric('owner/repo2', 1234),
+        metric('owner/repo2', 10),
+        metric('owner/repo2', 99)
+      ]);
+
+      expect(skipped).toEqual([metric('owner/repo2', 1234)]);
+    });
+
+    test('should return nothing when the table does not exist', async () => {
+      mockTable.exists.mockResolvedValue([false]);
+
+      const skipped = await bigqueryClient.findSkippedMetrics('test_dataset', 'pr_merge', [metric('owner/repo', 1)]);
+
+      expect(skipped).toEqual([]);
+      expect(mockBigQuery.query).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('upsertMetrics', () => {
+    const metrics = [
+      {
+        metricType: 'time_to_first_review',
+        prNumber: 123,
+        reviewDate: '2023-06-15',
+        prCreator: 'testuser',
+        prUrl: 'https://github.com/owner/repo/pull/123',
+        pickupTimeSeconds: 7200,
+        repository: 'owner/repo',
+        targetBranch: 'main',
+        readyTime: new Date('2023-06-15T10:00:00Z'),
+        firstReviewTime: new Date('2023-06-15T12:00:00Z')
+      }
+    ];
+
+    test('should load rows into a staging table and merge them into the target table', async () => {
+      await bigqueryClient.upsertMetrics('test_dataset', 'pr_first_review', metrics);
+
+      expect(mockDataset.table).toHaveBeenCalledWith(expect.stringMatching(/^pr_first_review_staging_\d+$/));
+      expect(mockTable.create).toHaveBeenCalledWith(expect.objectContaining({
+        schema: bigqueryClient.getSchemaForMetricType('time_to_first_review'),
+        expirationTime: expect.any(String)
+      }));
+      expect(mockTable.load).toHaveBeenCalledWith(expect.stringMatching(/\.ndjson$/), {
+        sourceFormat: 'NEWLINE_DELIMITED_JSON',
+        writeDisposition: 'WRITE_TRUNCATE'
+      });
+
+      const query = mockBigQuery.query.mock.calls[0][0].query;
+      expect(query).toContain('MERGE `test-project-id.test_dataset.pr_first_review` AS target');
+      expect(query).toContain('ON target.repository = source.repository AND target.pr_number = source.pr_number');
+      expect(query).toContain('algorithm_version = source.algorithm_version');
+      expect(query).toContain('updated_at = source.updated_at');
+      expect(query).not.toContain('pr_number = source.pr_number,');
+      expect(mockTable.insert).not.toHaveBeenCalled();
+      expect(mockTable.delete).toHaveBeenCalledWith({ ignoreNotFound: true });
+    });
+
+    test('should key issue metrics on issue number', async () => {
+      await bigqueryClient.upsertMetrics('test_dataset', 'issue_qa_ready', [
+        {
+          metricType: 'time_to_qa_ready',
+          qaReadyDate: '2023-06-15',
+          issueCreator: 'testuser',
+          issueUrl: 'https://github.com/owner/repo/issues/42',
+          qaReadyTimeSeconds: 18000,
+          repository: 'owner/repo',
+          issueNumber: 42,
+          qaReadyStatus: 'Awaiting QA',
+          inProgressTime: new Date('2023-06-15T10:00:00Z'),
+          qaReadyTime: new Date('2023-06-15T15:00:00Z')
+        }
+      ]);
+
+      expect(mockBigQuery.query.mock.calls[0][0].query)
+        .toContain('ON target.repository = source.repository AND target.issue_number = source.issue_number');
+    });
+
+    test('should stage only the last metric of each PR', async () => {
+      let stagedRows;
+      mockTable.load.mockImplementation(file => {
+        stagedRows = fs.readFileSync(file, 'utf8').split('\n').map(line => JSON.parse(line));
+        return [{}];
+      });
+
+      await bigqueryClient.upsertMetrics('test_dataset', 'pr_first_review', [
+        metrics[0],
+        { ...metrics[0], repository: 'owner/other', pickupTimeSeconds: 60 },
+        { ...metrics[0], pickupTimeSeconds: 3600 }
+      ]);
+
+      expect(stagedRows).toHaveLength(2);
+      expect(stagedRows.map(row => [row.repository, row.pickup_time_seconds])).toEqual([
+        ['owner/repo', 3600],
+        ['owner/other', 60]
+      ]);
+      expect(mockBigQuery.query.mock.calls[0][0].query)
+        .toContain('USING `test-project-id.test_dataset.pr_first_review_staging_');
+    });
+
+    test('should rethrow streaming buffer errors and delete the staging table', async () => {
+      mockBigQuery.query.mockRejectedValue(new Error(
+        'UPDATE or DELETE statement over table test_dataset.pr_first_review would affect rows in the streaming buffer, which is not supported'
+      ));
+
+      await expect(bigqueryClient.upsertMetrics('test_dataset', 'pr_first_review', metrics))
+        .rejects.toThrow('streaming buffer');
+
+      expect(mockTable.delete).toHaveBeenCalledWith({ ignoreNotFound: true });
+    });
+
+    test('should delete the staging table when the merge fails', async () => {
+      mockBigQuery.query.mockRejectedValue(new Error('MERGE failed'));
+
+      await expect(bigqueryClient.upsertMetrics('test_dataset', 'pr_first_review', metrics))
+        .rejects.toThrow('MERGE failed');
+
+      expect(mockTable.delete).toHaveBeenCalledWith({ ignoreNotFound: true });
+    });
+
+    test('should handle empty metrics array', async () => {
+      await bigqueryClient.upsertMetrics('test_dataset', 'pr_first_review', []);
+
+      expect(mockTable.load).not.toHaveBeenCalled();
+      expect(mockBigQuery.query).not.toHaveBeenCalled();
+    });
   });
 });
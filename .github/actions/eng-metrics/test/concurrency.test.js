@@ -0,0 +1,38 @@
+/**
+ * Tests for concurrency helpers
+ */
+
+import { mapWithConcurrency } from '../src/concurrency.js';
+
+describe('concurrency', () => {
+  describe('mapWithConcurrency', () => {
+    test('should keep results in input order when calls finish out of order', async () => {
+      const delays = [30, 5, 20, 0, 10];
+
+      const results = await mapWithConcurrency(delays, 3, async (delay, index) => {
+        await new Promise(resolve => setTimeout(resolve, delay));
+        return index;
+      });
+
+      expect(results).toEqual([0, 1, 2, 3, 4]);
+    });
+
+    test('should run at most the given number of calls at a time', async () => {
+      let running = 0;
+      let maxRunning = 0;
+
+      await mapWithConcurrency(Array.from({ length: 10 }, (_, i) => i), 3, async () => {
+        running++;
+        maxRunning = Math.max(maxRunning, running);
+        await new Promise(resolve => setTimeout(resolve, 1));
+        running--;
+      });
+
+      expect(maxRunning).toBe(3);
+    });
+
+    test('should handle an empty list', async () => {
+      expect(await mapWithConcurrency([], 4, async () => 1)).toEqual([]);
+    });
+  });
+});
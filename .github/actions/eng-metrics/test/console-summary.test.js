@@ -0,0 +1,84 @@
+/**
+ * Tests for console summary module
+ */
+
+import { formatDurationSummary, formatShortDuration, HISTOGRAM_WIDTH } from '../src/console-summary.js';
+
+const mergeMetric = (mergeTimeSeconds, overrides = {}) => ({
+  metricType: 'time_to_merge',
+  repository: 'owner/repo',
+  prCreator: 'alice',
+  mergeTimeSeconds,
+  ...overrides
+});
+
+describe('console summary', () => {
+  const metrics = [
+    mergeMetric(1800),
+    mergeMetric(7200, { prCreator: 'bob' }),
+    mergeMetric(90000, { repository: 'owner/other' }),
+    mergeMetric(5400)
+  ];
+
+  test('should show the median, percentiles, extremes and standard deviation', () => {
+    const lines = formatDurationSummary(metrics, { percentiles: [75, 90] });
+
+    expect(lines.slice(0, 4)).toEqual([
+      'Median Time: 1h 30m 0s (5400 seconds)',
+      'Percentiles: p75 2h 0m 0s, p90 25h 0m 0s',
+      'Min / Max: 0h 30m 0s / 25h 0m 0s',
+      'Standard Deviation: 10h 15m 43s (36943 seconds)'
+    ]);
+  });
+
+  test('should draw a histogram from the first to the last non-empty bucket', () => {
+    const lines = formatDurationSummary(metrics, { buckets: [3600, 14400, 86400, 172800] });
+    const bar = (length) => '#'.repeat(length).padEnd(HISTOGRAM_WIDTH);
+
+    const start = lines.indexOf('Distribution:');
+    expect(lines.slice(start + 1, lines.indexOf('', start))).toEqual([
+      `  <= 1h   | ${bar(20)} | 1 (25%)`,
+      `  1h - 4h | ${bar(40)} | 2 (50%)`,
+      `  4h - 1d | ${bar(0)} | 0 (0%)`,
+      `  1d - 2d | ${bar(20)} | 1 (25%)`
+    ]);
+  });
+
+  test('should break the durations down by repository, creator and user group', () => {
+    const lines = formatDurationSummary(metrics, {
+      percentiles: [90],
+      userGroups: [{ group: 'mdm', username: 'Alice' }, { group: 'engineering', username: 'alice' }]
+    });
+
+    expect(lines).toEqual(expect.arrayContaining([
+      '  Repository   Count  Median    p90     Min    Max    Mean  Std Dev',
+      '  owner/other      1   1d 1h  1d 1h   1d 1h  1d 1h   1d 1h       0s',
+      '  owner/repo       3  1h 30m  2h 0m  30m 0s  2h 0m  1h 20m  37m 24s',
+      '  Creator  Count  Median    p90     Min    Max   Mean  Std Dev',
+      '  alice        3  1h 30m  1d 1h  30m 0s  1d 1h  9h 0m  11h 19m',
+      '  bob          1   2h 0m  2h 0m   2h 0m  2h 0m  2h 0m       0s'
+    ]));
+    const groups = lines.slice(lines.indexOf('By user group:') + 2).map(line => line.trim().split(/\s+/)[0]);
+    expect(groups).toEqual(['engineering', 'mdm', 'none']);
+    expect(formatDurationSummary(metrics)).not.toContain('By user group:');
+  });
+
+  test('should use the issue creator for issue metrics', () => {
+    const lines = formatDurationSummary([
+      { metricType: 'time_to_qa_ready', repository: 'owner/repo', issueCreator: 'carol', qaReadyTimeSeconds: 60 }
+    ]);
+
+    expect(lines.some(line => line.startsWith('  carol '))).toBe(true);
+  });
+
+  test('should return no lines without durations', () => {
+    expect(formatDurationSummary([mergeMetric(undefined)])).toEqual([]);
+  });
+
+  test('should format short durations with their two largest units', () => {
+    expect(formatShortDuration(0)).toBe('0s');
+    expect(formatShortDuration(45.7)).toBe('45s');
+    expect(formatShortDuration(3725)).toBe('1h 2m');
+    expect(formatShortDuration(190800)).toBe('2d 5h');
+  });
+});
@@ -41,6 +41,8 @@ describe('End-to-End Time to Merge Workflow', () => {
     process.env.BIGQUERY_DATASET_ID = 'test_dataset';
     process.env.REPOSITORIES = 'owner/repo';
     process.env.PRINT_ONLY = 'true';
+    // The mocked GitHub client lists PRs and their events over REST
+    process.env.GITHUB_API = 'rest';
   });
 
   test('should collect both Time to First Review and Time to Merge metrics', async () => {
@@ -0,0 +1,27 @@
+/**
+ * Example external metric module used by the metric registry tests
+ */
+
+export default {
+  metricType: 'time_to_first_commit',
+  configKey: 'timeToFirstCommit',
+  displayName: 'Time to First Commit',
+  source: 'pull_request',
+  defaultTableName: 'pr_first_commit',
+  durationField: 'firstCommitSeconds',
+  calculate: (_githubClient, pr) => ({
+    metricType: 'time_to_first_commit',
+    prNumber: pr.number,
+    firstCommitSeconds: 60
+  }),
+  schema: [
+    { name: 'pr_number', type: 'INTEGER', mode: 'REQUIRED' },
+    { name: 'first_commit_seconds', type: 'INTEGER', mode: 'REQUIRED' }
+  ],
+  partitionField: 'first_commit_time',
+  clusterFields: ['pr_number'],
+  toRow: (metric) => ({
+    pr_number: metric.prNumber,
+    first_commit_seconds: metric.firstCommitSeconds
+  })
+};
@@ -0,0 +1,123 @@
+import { jest } from '@jest/globals';
+import GitHubClient from '../src/github-client.js';
+
+// Mock the logger to avoid console output during tests
+jest.mock('../src/logger.js', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+  default: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn(),
+  }
+}));
+
+describe('GitHubClient - Time to Approval', () => {
+  let githubClient;
+
+  const pr = {
+    number: 123,
+    html_url: 'https://github.com/owner/repo/pull/123',
+    draft: true,
+    created_at: '2023-05-10T08:00:00Z',
+    merged_at: null,
+    state: 'open',
+    user: { login: 'author' },
+    base: {
+      ref: 'main',
+      repo: {
+        name: 'repo',
+        owner: { login: 'owner' }
+      }
+    }
+  };
+  const timelineEvents = [{ event: 'ready_for_review', created_at: '2023-05-10T10:00:00Z' }];
+
+  const review = (login, state, submittedAt, type = 'User') => ({ user: { login, type }, state, submitted_at: submittedAt });
+
+  beforeEach(() => {
+    githubClient = new GitHubClient('fake-token');
+  });
+
+  describe('calculateTimeToApproval', () => {
+    test('should measure from the ready event to the first approval, not the first review', () => {
+      const reviewEvents = [
+        review('reviewer2', 'APPROVED', '2023-05-10T16:00:00Z'),
+        review('reviewer1', 'COMMENTED', '2023-05-10T11:00:00Z'),
+        review('reviewer1', 'CHANGES_REQUESTED', '2023-05-10T12:00:00Z'),
+        review('reviewer1', 'APPROVED', '2023-05-10T14:00:00Z')
+      ];
+
+      const result = githubClient.calculateTimeToApproval(pr, timelineEvents, reviewEvents);
+
+      expect(result).toEqual({
+        metricType: 'time_to_approval',
+        repository: 'owner/repo',
+        prNumber: 123,
+        prUrl: 'https://github.com/owner/repo/pull/123',
+        prCreator: 'author',
+        targetBranch: 'main',
+        readyTime: new Date('2023-05-10T10:00:00Z'),
+        approvalTime: new Date('2023-05-10T14:00:00Z'),
+        approvalDate: '2023-05-10',
+        approvalLocalDate: '2023-05-10',
+        approver: 'reviewer1',
+        approverTimezone: 'UTC',
+        approvalTimeSeconds: 14400,
+        approvalElapsedSeconds: 14400,
+        approvalBusinessHoursSeconds: 14400,
+        readyEventType: 'ready_for_review event'
+      });
+      expect(githubClient.calculatePickupTime(pr, timelineEvents, reviewEvents).pickupTimeSeconds).toBe(3600);
+    });
+
+    test('should ignore dismissed approvals', () => {
+      const reviewEvents = [
+        review('reviewer1', 'DISMISSED', '2023-05-10T11:00:00Z'),
+        review('reviewer2', 'APPROVED', '2023-05-10T13:00:00Z')
+      ];
+
+      const result = githubClient.calculateTimeToApproval(pr, timelineEvents, reviewEvents);
+
+      expect(result.approver).toBe('reviewer2');
+      expect(result.approvalTimeSeconds).toBe(10800);
+    });
+
+    test('should ignore bot approvals when bot reviews are filtered', () => {
+      const reviewEvents = githubClient.filterBotReviews([
+        review('dependabot[bot]', 'APPROVED', '2023-05-10T10:30:00Z', 'Bot'),
+        review('reviewer1', 'APPROVED', '2023-05-10T12:00:00Z')
+      ], true);
+
+      const result = githubClient.calculateTimeToApproval(pr, timelineEvents, reviewEvents);
+
+      expect(result.approver).toBe('reviewer1');
+      expect(result.approvalTimeSeconds).toBe(7200);
+    });
+
+    test('should use the approver\'s timezone', () => {
+      githubClient.userTimezones = { reviewer1: 'America/Los_Angeles' };
+
+      const result = githubClient.calculateTimeToApproval(pr, timelineEvents, [
+        review('Reviewer1', 'APPROVED', '2023-05-11T02:00:00Z')
+      ]);
+
+      expect(result.approverTimezone).toBe('America/Los_Angeles');
+      expect(result.approvalDate).toBe('2023-05-11');
+      expect(result.approvalLocalDate).toBe('2023-05-10');
+    });
+
+    test('should return null without an approval or a ready event before the first review', () => {
+      expect(githubClient.calculateTimeToApproval(pr, timelineEvents, [])).toBeNull();
+      expect(githubClient.calculateTimeToApproval(pr, timelineEvents, [
+        review('reviewer1', 'COMMENTED', '2023-05-10T11:00:00Z')
+      ])).toBeNull();
+      expect(githubClient.calculateTimeToApproval(pr, timelineEvents, [
+        review('reviewer1', 'APPROVED', '2023-05-10T09:00:00Z')
+      ])).toBeNull();
+    });
+  });
+});
@@ -69,7 +69,11 @@ describe('GitHubClient - Time to first review (pickup time)', () => {
           readyTime: new Date('2023-05-10T10:00:00Z'),
           firstReviewTime: new Date('2023-05-10T11:30:00Z'),
           reviewDate: '2023-05-10',
+          reviewLocalDate: '2023-05-10',
+          reviewerTimezone: 'UTC',
           pickupTimeSeconds: 5400, // 1.5 hours = 5400 seconds
+          pickupElapsedSeconds: 5400,
+          pickupBusinessHoursSeconds: 5400,
           readyEventType: 'PR creation (not draft)'
         }
       },
@@ -108,7 +112,11 @@ describe('GitHubClient - Time to first review (pickup time)', () => {
           readyTime: new Date('2023-05-11T10:00:00Z'),
           firstReviewTime: new Date('2023-05-11T11:00:00Z'),
           reviewDate: '2023-05-11',
+          reviewLocalDate: '2023-05-11',
+          reviewerTimezone: 'UTC',
           pickupTimeSeconds: 3600, // 1 hour = 3600 seconds
+          pickupElapsedSeconds: 3600,
+          pickupBusinessHoursSeconds: 3600,
           readyEventType: 'ready_for_review event'
         }
       },
@@ -155,7 +163,11 @@ describe('GitHubClient - Time to first review (pickup time)', () => {
           readyTime: new Date('2023-05-12T12:00:00Z'),
           firstReviewTime: new Date('2023-05-12T13:00:00Z'),
           reviewDate: '2023-05-12',
+          reviewLocalDate: '2023-05-12',
+          reviewerTimezone: 'UTC',
           pickupTimeSeconds: 3600, // 1 hour = 3600 seconds
+          pickupElapsedSeconds: 3600,
+          pickupBusinessHoursSeconds: 3600,
           readyEventType: 'ready_for_review event'
         }
       },
@@ -198,7 +210,11 @@ describe('GitHubClient - Time to first review (pickup time)', () => {
           readyTime: new Date('2023-05-16T09:00:00Z'),
           firstReviewTime: new Date('2023-05-16T11:00:00Z'),
           reviewDate: '2023-05-16',
+          reviewLocalDate: '2023-05-16',
+          reviewerTimezone: 'UTC',
           pickupTimeSeconds: 7200, // 2 hours = 7200 seconds
+          pickupElapsedSeconds: 7200,
+          pickupBusinessHoursSeconds: 7200,
           readyEventType: 'PR creation (not draft)'
         }
       },
@@ -276,7 +292,11 @@ describe('GitHubClient - Time to first review (pickup time)', () => {
           readyTime: new Date('2023-05-16T09:00:00Z'),
           firstReviewTime: new Date('2023-05-16T10:00:00Z'),
           reviewDate: '2023-05-16',
+          reviewLocalDate: '2023-05-16',
+          reviewerTimezone: 'UTC',
           pickupTimeSeconds: 3600, // 1 hour = 3600 seconds
+          pickupElapsedSeconds: 3600,
+          pickupBusinessHoursSeconds: 3600,
           readyEventType: 'PR creation (not draft)'
         }
       },
@@ -310,7 +330,11 @@ describe('GitHubClient - Time to first review (pickup time)', () => {
           readyTime: new Date('2023-05-20T14:00:00Z'),
           firstReviewTime: new Date('2023-06-11T14:00:00Z'),
           reviewDate: '2023-06-11',
+          reviewLocalDate: '2023-06-11',
+          reviewerTimezone: 'UTC',
           pickupTimeSeconds: 1296000, // 15 days = 1296000 seconds (3 weeks of 5 working days)
+          pickupElapsedSeconds: 1900800,
+          pickupBusinessHoursSeconds: 432000,
           readyEventType: 'PR creation (not draft)'
         }
       },
@@ -344,7 +368,11 @@ describe('GitHubClient - Time to first review (pickup time)', () => {
           readyTime: new Date('2023-05-21T14:00:00Z'),
           firstReviewTime: new Date('2023-05-22T10:00:00Z'),
           reviewDate: '2023-05-22',
+          reviewLocalDate: '2023-05-22',
+          reviewerTimezone: 'UTC',
           pickupTimeSeconds: 36000, // 10 hours = 36000 seconds (from end of Sunday to Monday 10am)
+          pickupElapsedSeconds: 72000,
+          pickupBusinessHoursSeconds: 3600,
           readyEventType: 'PR creation (not draft)'
         }
       },
@@ -378,7 +406,11 @@ describe('GitHubClient - Time to first review (pickup time)', () => {
           readyTime: new Date('2023-05-21T14:00:00Z'),
           firstReviewTime: new Date('2023-05-27T14:00:00Z'),
           reviewDate: '2023-05-27',
+          reviewLocalDate: '2023-05-27',
+          reviewerTimezone: 'UTC',
           pickupTimeSeconds: 432000, // 5 days = 432000 seconds (6 days - 1 weekend day)
+          pickupElapsedSeconds: 518400,
+          pickupBusinessHoursSeconds: 144000,
           readyEventType: 'PR creation (not draft)'
         }
       },
@@ -412,7 +444,11 @@ describe('GitHubClient - Time to first review (pickup time)', () => {
           readyTime: new Date('2023-05-19T14:00:00Z'),
           firstReviewTime: new Date('2023-05-22T10:00:00Z'),
           reviewDate: '2023-05-22',
+          reviewLocalDate: '2023-05-22',
+          reviewerTimezone: 'UTC',
           pickupTimeSeconds: 72000, // 20 hours = 72000 seconds (3 days - 2 weekend days)
+          pickupElapsedSeconds: 244800,
+          pickupBusinessHoursSeconds: 14400,
           readyEventType: 'PR creation (not draft)'
         }
       },
@@ -446,7 +482,11 @@ describe('GitHubClient - Time to first review (pickup time)', () => {
           readyTime: new Date('2023-05-20T14:00:00Z'),
           firstReviewTime: new Date('2023-05-22T10:00:00Z'),
           reviewDate: '2023-05-22',
+          reviewLocalDate: '2023-05-22',
+          reviewerTimezone: 'UTC',
           pickupTimeSeconds: 36000, // 10 hours = 36000 seconds (from end of Sunday to Monday 10am)
+          pickupElapsedSeconds: 158400,
+          pickupBusinessHoursSeconds: 3600,
           readyEventType: 'PR creation (not draft)'
         }
       },
@@ -480,7 +520,11 @@ describe('GitHubClient - Time to first review (pickup time)', () => {
           readyTime: new Date('2023-05-20T14:00:00Z'),
           firstReviewTime: new Date('2023-05-21T14:00:00Z'),
           reviewDate: '2023-05-21',
+          reviewLocalDate: '2023-05-21',
+          reviewerTimezone: 'UTC',
           pickupTimeSeconds: 0, // 0 seconds (both on weekend)
+          pickupElapsedSeconds: 86400,
+          pickupBusinessHoursSeconds: 0,
           readyEventType: 'PR creation (not draft)'
         }
       },
@@ -514,7 +558,11 @@ describe('GitHubClient - Time to first review (pickup time)', () => {
           readyTime: new Date('2023-05-17T14:00:00Z'),
           firstReviewTime: new Date('2023-05-29T14:00:00Z'),
           reviewDate: '2023-05-29',
+          reviewLocalDate: '2023-05-29',
+          reviewerTimezone: 'UTC',
           pickupTimeSeconds: 691200, // 8 days = 691200 seconds (12 days - 4 weekend days)
+          pickupElapsedSeconds: 1036800,
+          pickupBusinessHoursSeconds: 230400,
           readyEventType: 'PR creation (not draft)'
         }
       }
@@ -544,4 +592,47 @@ describe('GitHubClient - Time to first review (pickup time)', () => {
       }
     });
   });
+
+  describe('calculatePickupTime in the reviewer\'s timezone', () => {
+    test('should use the reviewer\'s working time and local review date', () => {
+      githubClient = new GitHubClient('fake-token', { userTimezones: { reviewer: 'America/Los_Angeles' } });
+      const pr = {
+        number: 500,
+        html_url: 'https://github.com/owner/repo/pull/500',
+        draft: false,
+        created_at: '2023-05-19T20:00:00Z', // Friday 13:00 in Los Angeles
+        user: { login: 'author' },
+        base: { ref: 'main', repo: { name: 'repo', owner: { login: 'owner' } } }
+      };
+      const reviewEvents = [
+        { submitted_at: '2023-05-20T03:00:00Z', user: { login: 'reviewer' } } // Friday 20:00 in Los Angeles
+      ];
+
+      const result = githubClient.calculatePickupTime(pr, [], reviewEvents);
+
+      expect(result.reviewDate).toBe('2023-05-20');
+      expect(result.reviewLocalDate).toBe('2023-05-19');
+      expect(result.reviewerTimezone).toBe('America/Los_Angeles');
+      expect(result.pickupTimeSeconds).toBe(25200); // 7 hours, all on Friday in Los Angeles
+    });
+
+    test('should fall back to the default timezone for unknown reviewers', () => {
+      githubClient = new GitHubClient('fake-token', { defaultTimezone: 'Europe/Berlin' });
+      const pr = {
+        number: 501,
+        html_url: 'https://github.com/owner/repo/pull/501',
+        draft: false,
+        created_at: '2023-05-15T10:00:00Z',
+        user: { login: 'author' },
+        base: { ref: 'main', repo: { name: 'repo', owner: { login: 'owner' } } }
+      };
+
+      const result = githubClient.calculatePickupTime(pr, [], [
+        { submitted_at: '2023-05-15T23:00:00Z', user: { login: 'someone' } }
+      ]);
+
+      expect(result.reviewerTimezone).toBe('Europe/Berlin');
+      expect(result.reviewLocalDate).toBe('2023-05-16');
+    });
+  });
 });
@@ -4,6 +4,7 @@
 
 import { jest } from '@jest/globals';
 import GitHubClient from '../src/github-client.js';
+import logger from '../src/logger.js';
 
 // Mock the logger
 jest.mock('../src/logger.js', () => ({
@@ -25,12 +26,21 @@ describe('GitHubClient - General Functionality', () => {
           list: jest.fn(),
           listReviews: jest.fn()
         },
+        rateLimit: {
+          get: jest.fn()
+        },
+        repos: {
+          listForOrg: jest.fn()
+        },
         issues: {
           listEventsForTimeline: jest.fn()
         }
       }
     };
 
+    mockOctokit.graphql = jest.fn();
+    mockOctokit.paginate = jest.fn();
+
     githubClient = new GitHubClient('fake-token');
     githubClient.octokit = mockOctokit;
   });
@@ -46,6 +56,52 @@ describe('GitHubClient - General Functionality', () => {
     });
   });
 
+  describe('getTimezoneForUser', () => {
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    test('should look up users case-insensitively', () => {
+      githubClient.userTimezones = { testdev1: 'Asia/Tokyo' };
+
+      expect(githubClient.getTimezoneForUser('TestDev1')).toBe('Asia/Tokyo');
+    });
+
+    test('should warn once about a user without a timezone and use the default timezone', () => {
+      const warn = jest.spyOn(logger, 'warn').mockImplementation(() => {});
+      githubClient.userTimezones = { testdev1: 'Asia/Tokyo' };
+
+      expect(githubClient.getTimezoneForUser('TestDev2')).toBe('UTC');
+      expect(githubClient.getTimezoneForUser('testdev2')).toBe('UTC');
+      expect(githubClient.getTimezoneForUser(null)).toBe('UTC');
+
+      expect(warn).toHaveBeenCalledTimes(1);
+      expect(warn).toHaveBeenCalledWith('No timezone found for TestDev2, using UTC');
+    });
+  });
+
+  describe('fetchOrganizationRepositories', () => {
+    test('should list all repositories of the organization', async () => {
+      const repositories = [{ full_name: 'acme/api' }, { full_name: 'acme/web' }];
+      mockOctokit.paginate.mockResolvedValue(repositories);
+
+      const result = await githubClient.fetchOrganizationRepositories('acme');
+
+      expect(result).toEqual(repositories);
+      expect(mockOctokit.paginate).toHaveBeenCalledWith(mockOctokit.rest.repos.listForOrg, {
+        org: 'acme',
+        type: 'all',
+        per_page: 100
+      });
+    });
+
+    test('should throw API errors', async () => {
+      mockOctokit.paginate.mockRejectedValue(Object.assign(new Error('Not Found'), { status: 404 }));
+
+      await expect(githubClient.fetchOrganizationRepositories('missing')).rejects.toThrow('Not Found');
+    });
+  });
+
   describe('fetchPullRequests', () => {
     test('should fetch pull requests successfully', async () => {
       const mockResponse = {
@@ -68,6 +124,77 @@ describe('GitHubClient - General Functionality', () => {
       expect(result[0].number).toBe(1);
     });
 
+    describe('pagination', () => {
+      const pr = (number, updatedAt, ref = 'main') => ({ number, updated_at: updatedAt, base: { ref } });
+      const since = new Date('2023-06-08T00:00:00Z');
+
+      test('should filter the target branch in the API request', async () => {
+        mockOctokit.rest.pulls.list.mockResolvedValue({ data: [] });
+
+        await githubClient.fetchPullRequests('owner', 'repo', 'all', since, 'develop');
+
+        expect(mockOctokit.rest.pulls.list).toHaveBeenCalledWith(expect.objectContaining({
+          base: 'develop',
+          sort: 'updated',
+          direction: 'desc'
+        }));
+      });
+
+      test('should match several branches and patterns after fetching', async () => {
+        mockOctokit.rest.pulls.list.mockResolvedValueOnce({
+          data: [
+            pr(4, '2023-06-14T00:00:00Z', 'rc-minor-fleetd-v1.40.0'),
+            pr(3, '2023-06-13T00:00:00Z', 'feature-x'),
+            pr(2, '2023-06-12T00:00:00Z', 'main'),
+            pr(1, '2023-06-11T00:00:00Z', 'rc-patch-fleet-v4.67.1')
+          ]
+        });
+
+        const result = await githubClient.fetchPullRequests('owner', 'repo', 'all', since, ['main', 'rc-minor-*', 'rc-patch-*']);
+
+        expect(result.map(pullRequest => pullRequest.number)).toEqual([4, 2, 1]);
+        expect(mockOctokit.rest.pulls.list.mock.calls[0][0]).not.toHaveProperty('base');
+      });
+
+      test('should keep paging past a full page of PRs to other branches', async () => {
+        const releasePage = Array.from({ length: 100 }, (_, i) => pr(1000 - i, '2023-06-14T00:00:00Z', 'release-1.0'));
+        mockOctokit.rest.pulls.list
+          .mockResolvedValueOnce({ data: releasePage })
+          .mockResolvedValueOnce({ data: [pr(5, '2023-06-12T00:00:00Z'), pr(4, '2023-06-10T00:00:00Z', 'release-1.0')] });
+
+        const result = await githubClient.fetchPullRequests('owner', 'repo', 'all', since, 'main');
+
+        expect(result.map(pullRequest => pullRequest.number)).toEqual([5]);
+        expect(mockOctokit.rest.pulls.list).toHaveBeenCalledTimes(2);
+      });
+
+      test('should stop at the first page that reaches PRs updated before the date', async () => {
+        const mixedPage = Array.from({ length: 100 }, (_, i) =>
+          pr(1000 - i, i < 60 ? '2023-06-14T00:00:00Z' : '2023-06-01T00:00:00Z', i % 2 === 0 ? 'main' : 'release-1.0'));
+        mockOctokit.rest.pulls.list.mockResolvedValueOnce({ data: mixedPage });
+
+        const result = await githubClient.fetchPullRequests('owner', 'repo', 'all', since, 'main');
+
+        expect(result).toHaveLength(30);
+        expect(result.every(pullRequest => pullRequest.base.ref === 'main')).toBe(true);
+        expect(mockOctokit.rest.pulls.list).toHaveBeenCalledTimes(1);
+      });
+
+      test('should fetch every page while all PRs are recent', async () => {
+        const recentPage = (offset) => Array.from({ length: 100 }, (_, i) => pr(offset - i, '2023-06-14T00:00:00Z'));
+        mockOctokit.rest.pulls.list
+          .mockResolvedValueOnce({ data: recentPage(1000) })
+          .mockResolvedValueOnce({ data: recentPage(900) })
+          .mockResolvedValueOnce({ data: [] });
+
+        const result = await githubClient.fetchPullRequests('owner', 'repo', 'all', since, 'main');
+
+        expect(result).toHaveLength(200);
+        expect(mockOctokit.rest.pulls.list).toHaveBeenCalledTimes(3);
+        expect(mockOctokit.rest.pulls.list).toHaveBeenLastCalledWith(expect.objectContaining({ page: 3 }));
+      });
+    });
+
     test('should handle API errors gracefully', async () => {
       const mockError = new Error('API Error');
       mockOctokit.rest.pulls.list.mockRejectedValue(mockError);
@@ -77,6 +204,178 @@ describe('GitHubClient - General Functionality', () => {
     });
   });
 
+  describe('fetchPullRequestsWithActivity', () => {
+    const node = (number, updatedAt, overrides = {}) => ({
+      number,
+      url: `https://github.com/owner/repo/pull/${number}`,
+      state: 'OPEN',
+      isDraft: false,
+      createdAt: '2023-06-01T09:00:00Z',
+      updatedAt,
+      mergedAt: null,
+      baseRefName: 'main',
+      baseRepository: { nameWithOwner: 'owner/repo' },
+      author: { __typename: 'User', login: 'author' },
+      timelineItems: { pageInfo: { hasNextPage: false }, nodes: [{ __typename: 'ReadyForReviewEvent', createdAt: '2023-06-12T10:00:00Z' }] },
+      reviews: {
+        pageInfo: { hasNextPage: false },
+        nodes: [{ state: 'APPROVED', submittedAt: '2023-06-12T12:00:00Z', author: { __typename: 'User', login: 'reviewer' } }]
+      },
+      ...overrides
+    });
+    const page = (nodes, hasNextPage, endCursor = null) => ({
+      repository: { pullRequests: { pageInfo: { hasNextPage, endCursor }, nodes } }
+    });
+    const since = new Date('2023-06-08T00:00:00Z');
+
+    test('should page with the cursor and stop at PRs updated before the date', async () => {
+      mockOctokit.graphql
+        .mockResolvedValueOnce(page([node(3, '2023-06-14T00:00:00Z')], true, 'cursor-1'))
+        .mockResolvedValueOnce(page([node(2, '2023-06-10T00:00:00Z'), node(1, '2023-06-01T00:00:00Z')], true, 'cursor-2'));
+
+      const result = await githubClient.fetchPullRequestsWithActivity('owner', 'repo', since, 'main');
+
+      expect(result.map(item => item.pr.number)).toEqual([3, 2]);
+      expect(mockOctokit.graphql).toHaveBeenCalledTimes(2);
+      expect(mockOctokit.graphql).toHaveBeenNthCalledWith(1, expect.any(String), expect.objectContaining({ baseRefName: 'main', cursor: null }));
+      expect(mockOctokit.graphql).toHaveBeenNthCalledWith(2, expect.any(String), expect.objectContaining({ cursor: 'cursor-1' }));
+      expect(mockOctokit.rest.issues.listEventsForTimeline).not.toHaveBeenCalled();
+      expect(mockOctokit.rest.pulls.listReviews).not.toHaveBeenCalled();
+    });
+
+    test('should return events the pickup time calculation accepts', async () => {
+      mockOctokit.graphql.mockResolvedValueOnce(page([node(3, '2023-06-14T00:00:00Z')], false));
+
+      const [{ pr, timelineEvents, reviewEvents }] = await githubClient.fetchPullRequestsWithActivity('owner', 'repo', since);
+      const metric = githubClient.calculatePickupTime(pr, timelineEvents, reviewEvents);
+
+      expect(metric).toEqual(expect.objectContaining({
+        repository: 'owner/repo',
+        prNumber: 3,
+        readyEventType: 'ready_for_review event',
+        pickupTimeSeconds: 7200
+      }));
+    });
+
+    test('should match branch patterns after fetching', async () => {
+      mockOctokit.graphql.mockResolvedValueOnce(page([
+        node(3, '2023-06-14T00:00:00Z', { baseRefName: 'rc-minor-fleetd-v1.40.0' }),
+        node(2, '2023-06-13T00:00:00Z', { baseRefName: 'feature-x' })
+      ], false));
+
+      const result = await githubClient.fetchPullRequestsWithActivity('owner', 'repo', since, ['main', 'rc-minor-*']);
+
+      expect(result.map(item => item.pr.number)).toEqual([3]);
+      expect(result[0].pr.base.ref).toBe('rc-minor-fleetd-v1.40.0');
+      expect(mockOctokit.graphql).toHaveBeenCalledWith(expect.any(String), expect.objectContaining({ baseRefName: null }));
+    });
+
+    test('should fall back to REST when a PR has more reviews than one query returns', async () => {
+      const reviews = { pageInfo: { hasNextPage: true }, nodes: [] };
+      mockOctokit.graphql.mockResolvedValueOnce(page([node(3, '2023-06-14T00:00:00Z', { reviews })], false));
+      mockOctokit.paginate.mockResolvedValue([
+        { user: { login: 'reviewer', type: 'User' }, state: 'APPROVED', submitted_at: '2023-06-12T12:00:00Z' }
+      ]);
+
+      const [{ reviewEvents }] = await githubClient.fetchPullRequestsWithActivity('owner', 'repo', since);
+
+      expect(mockOctokit.paginate).toHaveBeenCalledWith(mockOctokit.rest.pulls.listReviews, expect.objectContaining({ pull_number: 3 }));
+      expect(reviewEvents).toHaveLength(1);
+    });
+  });
+
+  describe('fetchPullRequestsInRange', () => {
+    const pr = (number, createdAt, ref = 'main') => ({ number, created_at: createdAt, base: { ref } });
+    const fullPage = (createdAt) => Array.from({ length: 100 }, (_, i) => pr(1000 - i, createdAt));
+    const from = new Date('2023-01-01T00:00:00Z');
+    const to = new Date('2023-01-31T23:59:59.999Z');
+
+    test('should page past newer PRs and stop at the first page before the range', async () => {
+      mockOctokit.rest.pulls.list
+        .mockResolvedValueOnce({ data: fullPage('2023-03-01T00:00:00Z') })
+        .mockResolvedValueOnce({ data: [...fullPage('2023-01-15T00:00:00Z').slice(0, 98), pr(5, '2023-01-10T00:00:00Z', 'develop'), pr(4, '2022-12-31T00:00:00Z')] });
+      const onPage = jest.fn();
+
+      const result = await githubClient.fetchPullRequestsInRange('owner', 'repo', from, to, 'main', { onPage });
+
+      expect(result).toEqual({ count: 98, lastPage: 2 });
+      expect(mockOctokit.rest.pulls.list).toHaveBeenCalledTimes(2);
+      expect(mockOctokit.rest.pulls.list).toHaveBeenCalledWith(expect.objectContaining({ sort: 'created', direction: 'desc', page: 1 }));
+      expect(onPage).toHaveBeenNthCalledWith(1, [], 1);
+      expect(onPage.mock.calls[1][0]).toHaveLength(98);
+      expect(onPage.mock.calls[1][1]).toBe(2);
+    });
+
+    test('should start from the given page', async () => {
+      mockOctokit.rest.pulls.list.mockResolvedValue({ data: [pr(1, '2023-01-02T00:00:00Z')] });
+
+      const result = await githubClient.fetchPullRequestsInRange('owner', 'repo', from, to, 'main', { startPage: 7 });
+
+      expect(result).toEqual({ count: 1, lastPage: 7 });
+      expect(mockOctokit.rest.pulls.list).toHaveBeenCalledWith(expect.objectContaining({ page: 7 }));
+    });
+
+    test('should filter a single target branch in the API and match patterns after fetching', async () => {
+      mockOctokit.rest.pulls.list.mockResolvedValue({
+        data: [pr(3, '2023-01-03T00:00:00Z', 'rc-minor-fleetd-v1.40.0'), pr(2, '2023-01-02T00:00:00Z', 'feature-x')]
+      });
+
+      await githubClient.fetchPullRequestsInRange('owner', 'repo', from, to, 'main');
+      expect(mockOctokit.rest.pulls.list).toHaveBeenLastCalledWith(expect.objectContaining({ base: 'main' }));
+
+      const onPage = jest.fn();
+      const result = await githubClient.fetchPullRequestsInRange('owner', 'repo', from, to, ['main', 'rc-minor-*'], { onPage });
+      expect(mockOctokit.rest.pulls.list.mock.lastCall[0]).not.toHaveProperty('base');
+      expect(result.count).toBe(1);
+      expect(onPage.mock.calls[0][0].map(item => item.number)).toEqual([3]);
+    });
+  });
+
+  describe('waitForRateLimit', () => {
+    beforeEach(() => {
+      jest.useFakeTimers({ doNotFake: ['Date'] });
+    });
+
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    test('should continue immediately when enough requests remain', async () => {
+      mockOctokit.rest.rateLimit.get.mockResolvedValue({ data: { resources: { core: { remaining: 4000, reset: 0 } } } });
+
+      await githubClient.waitForRateLimit();
+
+      expect(jest.getTimerCount()).toBe(0);
+    });
+
+    test('should wait for the reset when the rate limit is low', async () => {
+      const reset = Math.floor(Date.now() / 1000) + 60;
+      mockOctokit.rest.rateLimit.get.mockResolvedValue({ data: { resources: { core: { remaining: 10, reset } } } });
+
+      let resolved = false;
+      const waiting = githubClient.waitForRateLimit().then(() => {
+        resolved = true;
+      });
+
+      await jest.advanceTimersByTimeAsync(30000);
+      expect(resolved).toBe(false);
+
+      await jest.advanceTimersByTimeAsync(31000);
+      await waiting;
+      expect(resolved).toBe(true);
+    });
+
+    test('should continue when rate limiting is disabled on GitHub Enterprise Server', async () => {
+      mockOctokit.rest.rateLimit.get.mockRejectedValue(Object.assign(new Error('Rate limiting is not enabled.'), { status: 404 }));
+
+      await expect(githubClient.waitForRateLimit()).resolves.toBeUndefined();
+      expect(jest.getTimerCount()).toBe(0);
+
+      mockOctokit.rest.rateLimit.get.mockRejectedValue(Object.assign(new Error('Server Error'), { status: 500 }));
+      await expect(githubClient.waitForRateLimit()).rejects.toThrow('Server Error');
+    });
+  });
+
   describe('fetchPRTimelineEvents', () => {
     test('should fetch timeline events successfully', async () => {
       const mockResponse = {
@@ -106,27 +405,45 @@ describe('GitHubClient - General Functionality', () => {
 
   describe('fetchPRReviewEvents', () => {
     test('should fetch reviews successfully', async () => {
-      const mockResponse = {
-        data: [
-          {
-            id: 1,
-            state: 'APPROVED',
-            submitted_at: '2023-06-15T12:00:00Z',
-            user: { login: 'reviewer1' }
-          }
-        ]
-      };
+      const mockReviews = [
+        {
+          id: 1,
+          state: 'APPROVED',
+          submitted_at: '2023-06-15T12:00:00Z',
+          user: { login: 'reviewer1' }
+        }
+      ];
 
-      mockOctokit.rest.pulls.listReviews.mockResolvedValue(mockResponse);
+      mockOctokit.paginate.mockResolvedValue(mockReviews);
 
       const result = await githubClient.fetchPRReviewEvents('owner', 'repo', 123);
       expect(result).toHaveLength(1);
       expect(result[0].state).toBe('APPROVED');
     });
 
+    test('should fetch every page of reviews', async () => {
+      const mockReviews = Array.from({ length: 45 }, (_, i) => ({
+        id: i + 1,
+        state: 'COMMENTED',
+        submitted_at: '2023-06-15T12:00:00Z',
+        user: { login: `reviewer${i}` }
+      }));
+
+      mockOctokit.paginate.mockResolvedValue(mockReviews);
+
+      const result = await githubClient.fetchPRReviewEvents('owner', 'repo', 123);
+      expect(result).toHaveLength(45);
+      expect(mockOctokit.paginate).toHaveBeenCalledWith(mockOctokit.rest.pulls.listReviews, {
+        owner: 'owner',
+        repo: 'repo',
+        pull_number: 123,
+        per_page: 100
+      });
+    });
+
     test('should handle API errors gracefully', async () => {
       const mockError = new Error('Reviews API Error');
-      mockOctokit.rest.pulls.listReviews.mockRejectedValue(mockError);
+      mockOctokit.paginate.mockRejectedValue(mockError);
 
       await expect(githubClient.fetchPRReviewEvents('owner', 'repo', 123))
         .rejects.toThrow('Reviews API Error');
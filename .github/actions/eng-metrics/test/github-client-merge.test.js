@@ -71,7 +71,11 @@ describe('GitHubClient - Time to Merge', () => {
           readyTime: new Date('2023-05-10T10:00:00Z'),
           mergeTime: new Date('2023-05-10T11:30:00Z'),
           mergeDate: '2023-05-10',
+          mergeLocalDate: '2023-05-10',
+          authorTimezone: 'UTC',
           mergeTimeSeconds: 5400, // 1.5 hours = 5400 seconds
+          mergeElapsedSeconds: 5400,
+          mergeBusinessHoursSeconds: 5400,
           readyEventType: 'PR creation (not draft)'
         }
       },
@@ -112,7 +116,11 @@ describe('GitHubClient - Time to Merge', () => {
           readyTime: new Date('2023-05-11T10:00:00Z'),
           mergeTime: new Date('2023-05-11T11:00:00Z'),
           mergeDate: '2023-05-11',
+          mergeLocalDate: '2023-05-11',
+          authorTimezone: 'UTC',
           mergeTimeSeconds: 3600, // 1 hour = 3600 seconds
+          mergeElapsedSeconds: 3600,
+          mergeBusinessHoursSeconds: 3600,
           readyEventType: 'ready_for_review event'
         }
       },
@@ -161,7 +169,11 @@ describe('GitHubClient - Time to Merge', () => {
           readyTime: new Date('2023-05-12T12:00:00Z'),
           mergeTime: new Date('2023-05-12T13:00:00Z'),
           mergeDate: '2023-05-12',
+          mergeLocalDate: '2023-05-12',
+          authorTimezone: 'UTC',
           mergeTimeSeconds: 3600, // 1 hour = 3600 seconds
+          mergeElapsedSeconds: 3600,
+          mergeBusinessHoursSeconds: 3600,
           readyEventType: 'ready_for_review event'
         }
       },
@@ -206,7 +218,11 @@ describe('GitHubClient - Time to Merge', () => {
           readyTime: new Date('2023-05-16T09:00:00Z'),
           mergeTime: new Date('2023-05-16T11:00:00Z'),
           mergeDate: '2023-05-16',
+          mergeLocalDate: '2023-05-16',
+          authorTimezone: 'UTC',
           mergeTimeSeconds: 7200, // 2 hours = 7200 seconds
+          mergeElapsedSeconds: 7200,
+          mergeBusinessHoursSeconds: 7200,
           readyEventType: 'PR creation (not draft)'
         }
       },
@@ -310,7 +326,11 @@ describe('GitHubClient - Time to Merge', () => {
           readyTime: new Date('2023-05-20T14:00:00Z'),
           mergeTime: new Date('2023-06-11T14:00:00Z'),
           mergeDate: '2023-06-11',
+          mergeLocalDate: '2023-06-11',
+          authorTimezone: 'UTC',
           mergeTimeSeconds: 1296000, // 15 days = 1296000 seconds (3 weeks of 5 working days)
+          mergeElapsedSeconds: 1900800,
+          mergeBusinessHoursSeconds: 432000,
           readyEventType: 'PR creation (not draft)'
         }
       },
@@ -344,7 +364,11 @@ describe('GitHubClient - Time to Merge', () => {
           readyTime: new Date('2023-05-21T14:00:00Z'),
           mergeTime: new Date('2023-05-22T10:00:00Z'),
           mergeDate: '2023-05-22',
+          mergeLocalDate: '2023-05-22',
+          authorTimezone: 'UTC',
           mergeTimeSeconds: 36000, // 10 hours = 36000 seconds (from end of Sunday to Monday 10am)
+          mergeElapsedSeconds: 72000,
+          mergeBusinessHoursSeconds: 3600,
           readyEventType: 'PR creation (not draft)'
         }
       },
@@ -378,7 +402,11 @@ describe('GitHubClient - Time to Merge', () => {
           readyTime: new Date('2023-05-21T14:00:00Z'),
           mergeTime: new Date('2023-05-27T14:00:00Z'),
           mergeDate: '2023-05-27',
+          mergeLocalDate: '2023-05-27',
+          authorTimezone: 'UTC',
           mergeTimeSeconds: 432000, // 5 days = 432000 seconds (6 days - 1 weekend day)
+          mergeElapsedSeconds: 518400,
+          mergeBusinessHoursSeconds: 144000,
           readyEventType: 'PR creation (not draft)'
         }
       },
@@ -412,7 +440,11 @@ describe('GitHubClient - Time to Merge', () => {
           readyTime: new Date('2023-05-19T14:00:00Z'),
           mergeTime: new Date('2023-05-22T10:00:00Z'),
           mergeDate: '2023-05-22',
+          mergeLocalDate: '2023-05-22',
+          authorTimezone: 'UTC',
           mergeTimeSeconds: 72000, // 20 hours = 72000 seconds (3 days - 2 weekend days)
+          mergeElapsedSeconds: 244800,
+          mergeBusinessHoursSeconds: 14400,
           readyEventType: 'PR creation (not draft)'
         }
       },
@@ -446,7 +478,11 @@ describe('GitHubClient - Time to Merge', () => {
           readyTime: new Date('2023-05-20T14:00:00Z'),
           mergeTime: new Date('2023-05-22T10:00:00Z'),
           mergeDate: '2023-05-22',
+          mergeLocalDate: '2023-05-22',
+          authorTimezone: 'UTC',
           mergeTimeSeconds: 36000, // 10 hours = 36000 seconds (from end of Sunday to Monday 10am)
+          mergeElapsedSeconds: 158400,
+          mergeBusinessHoursSeconds: 3600,
           readyEventType: 'PR creation (not draft)'
         }
       },
@@ -480,7 +516,11 @@ describe('GitHubClient - Time to Merge', () => {
           readyTime: new Date('2023-05-20T14:00:00Z'),
           mergeTime: new Date('2023-05-21T14:00:00Z'),
           mergeDate: '2023-05-21',
+          mergeLocalDate: '2023-05-21',
+          authorTimezone: 'UTC',
           mergeTimeSeconds: 0, // 0 seconds (both on weekend)
+          mergeElapsedSeconds: 86400,
+          mergeBusinessHoursSeconds: 0,
           readyEventType: 'PR creation (not draft)'
         }
       },
@@ -514,7 +554,11 @@ describe('GitHubClient - Time to Merge', () => {
           readyTime: new Date('2023-05-17T14:00:00Z'),
           mergeTime: new Date('2023-05-29T14:00:00Z'),
           mergeDate: '2023-05-29',
+          mergeLocalDate: '2023-05-29',
+          authorTimezone: 'UTC',
           mergeTimeSeconds: 691200, // 8 days = 691200 seconds (12 days - 4 weekend days)
+          mergeElapsedSeconds: 1036800,
+          mergeBusinessHoursSeconds: 230400,
           readyEventType: 'PR creation (not draft)'
         }
       }
@@ -544,4 +588,26 @@ describe('GitHubClient - Time to Merge', () => {
       }
     });
   });
+
+  describe('calculateTimeToMerge in the author\'s timezone', () => {
+    test('should use the author\'s working time and local merge date', () => {
+      githubClient = new GitHubClient('fake-token', { userTimezones: { author: 'Asia/Tokyo' } });
+      const pr = {
+        number: 500,
+        html_url: 'https://github.com/owner/repo/pull/500',
+        draft: false,
+        created_at: '2023-05-19T10:00:00Z', // Friday 19:00 in Tokyo
+        merged_at: '2023-05-19T16:00:00Z', // Saturday 01:00 in Tokyo
+        user: { login: 'Author' },
+        base: { ref: 'main', repo: { name: 'repo', owner: { login: 'owner' } } }
+      };
+
+      const result = githubClient.calculateTimeToMerge(pr, [], []);
+
+      expect(result.mergeDate).toBe('2023-05-19');
+      expect(result.mergeLocalDate).toBe('2023-05-20');
+      expect(result.authorTimezone).toBe('Asia/Tokyo');
+      expect(result.mergeTimeSeconds).toBe(18000); // 5 hours, Saturday in Tokyo is not counted
+    });
+  });
 });
@@ -0,0 +1,149 @@
+import { jest } from '@jest/globals';
+import GitHubClient from '../src/github-client.js';
+
+// Mock the logger to avoid console output during tests
+jest.mock('../src/logger.js', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+  default: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn(),
+  }
+}));
+
+describe('GitHubClient - Time to Production Ready', () => {
+  let githubClient;
+
+  beforeEach(() => {
+    // Create a new instance of GitHubClient for each test
+    githubClient = new GitHubClient('fake-token');
+  });
+
+  const makeIssue = (number, statusChanges) => ({
+    repository: 'owner/repo',
+    number,
+    url: `https://github.com/owner/repo/issues/${number}`,
+    title: 'Test issue',
+    createdAt: '2023-05-01T09:00:00Z',
+    author: 'author',
+    statusChanges
+  });
+
+  describe('calculateTimeToProductionReady', () => {
+    // Table-driven test cases for calculateTimeToProductionReady
+    const testCases = [
+      {
+        name: 'Issue passing QA on the first try',
+        issue: makeIssue(300, [
+          { createdAt: '2023-05-10T09:00:00Z', previousStatus: 'Ready', status: 'In progress' },
+          { createdAt: '2023-05-10T12:00:00Z', previousStatus: 'In progress', status: 'Awaiting QA' },
+          { createdAt: '2023-05-10T15:00:00Z', previousStatus: 'Awaiting QA', status: 'Ready for release' }
+        ]),
+        expected: {
+          metricType: 'time_to_production_ready',
+          repository: 'owner/repo',
+          issueNumber: 300,
+          issueUrl: 'https://github.com/owner/repo/issues/300',
+          issueCreator: 'author',
+          inProgressTime: new Date('2023-05-10T09:00:00Z'),
+          productionReadyTime: new Date('2023-05-10T15:00:00Z'),
+          productionReadyDate: '2023-05-10',
+          productionReadyTimeSeconds: 21600, // 6 hours
+          qaRoundTrips: 0
+        }
+      },
+      {
+        name: 'Issue sent back by QA twice (rework time is counted)',
+        issue: makeIssue(301, [
+          { createdAt: '2023-05-15T09:00:00Z', previousStatus: 'Ready', status: 'In progress' },
+          { createdAt: '2023-05-15T11:00:00Z', previousStatus: 'In progress', status: 'Awaiting QA' },
+          { createdAt: '2023-05-15T12:00:00Z', previousStatus: 'Awaiting QA', status: 'In progress' },
+          { createdAt: '2023-05-15T14:00:00Z', previousStatus: 'In progress', status: 'Awaiting QA' },
+          { createdAt: '2023-05-15T15:00:00Z', previousStatus: 'Awaiting QA', status: 'In progress' },
+          { createdAt: '2023-05-15T16:00:00Z', previousStatus: 'In progress', status: 'Awaiting QA' },
+          { createdAt: '2023-05-15T17:00:00Z', previousStatus: 'Awaiting QA', status: 'Ready for release' }
+        ]),
+        expected: {
+          metricType: 'time_to_production_ready',
+          repository: 'owner/repo',
+          issueNumber: 301,
+          issueUrl: 'https://github.com/owner/repo/issues/301',
+          issueCreator: 'author',
+          inProgressTime: new Date('2023-05-15T09:00:00Z'),
+          productionReadyTime: new Date('2023-05-15T17:00:00Z'),
+          productionReadyDate: '2023-05-15',
+          productionReadyTimeSeconds: 28800, // 8 hours
+          qaRoundTrips: 2
+        }
+      },
+      {
+        name: 'Moving back to In progress from another column is not a QA round trip',
+        issue: makeIssue(302, [
+          { createdAt: '2023-05-16T09:00:00Z', previousStatus: 'Ready', status: 'In progress' },
+          { createdAt: '2023-05-16T10:00:00Z', previousStatus: 'In progress', status: 'Ready' },
+          { createdAt: '2023-05-16T11:00:00Z', previousStatus: 'Ready', status: 'In progress' },
+          { createdAt: '2023-05-16T13:00:00Z', previousStatus: 'In progress', status: '✅ Ready for release' }
+        ]),
+        expected: {
+          metricType: 'time_to_production_ready',
+          repository: 'owner/repo',
+          issueNumber: 302,
+          issueUrl: 'https://github.com/owner/repo/issues/302',
+          issueCreator: 'author',
+          inProgressTime: new Date('2023-05-16T09:00:00Z'),
+          productionReadyTime: new Date('2023-05-16T13:00:00Z'),
+          productionReadyDate: '2023-05-16',
+          productionReadyTimeSeconds: 14400, // 4 hours
+          qaRoundTrips: 0
+        }
+      },
+      {
+        name: 'Issue in progress on Friday, ready for release on Monday (should exclude weekend)',
+        issue: makeIssue(303, [
+          { createdAt: '2023-05-19T14:00:00Z', previousStatus: 'Ready', status: 'In progress' }, // Friday
+          { createdAt: '2023-05-22T10:00:00Z', previousStatus: 'Awaiting QA', status: 'Ready for release' } // Monday
+        ]),
+        expected: {
+          metricType: 'time_to_production_ready',
+          repository: 'owner/repo',
+          issueNumber: 303,
+          issueUrl: 'https://github.com/owner/repo/issues/303',
+          issueCreator: 'author',
+          inProgressTime: new Date('2023-05-19T14:00:00Z'),
+          productionReadyTime: new Date('2023-05-22T10:00:00Z'),
+          productionReadyDate: '2023-05-22',
+          productionReadyTimeSeconds: 72000, // 20 hours
+          qaRoundTrips: 0
+        }
+      },
+      {
+        name: 'Issue still awaiting QA',
+        issue: makeIssue(304, [
+          { createdAt: '2023-05-10T09:00:00Z', previousStatus: 'Ready', status: 'In progress' },
+          { createdAt: '2023-05-10T12:00:00Z', previousStatus: 'In progress', status: 'Awaiting QA' }
+        ]),
+        expected: null
+      },
+      {
+        name: 'Issue with no status changes',
+        issue: makeIssue(305, []),
+        expected: null
+      }
+    ];
+
+    // Run each test case
+    test.each(testCases)('$name', ({ issue, expected }) => {
+      const result = githubClient.calculateTimeToProductionReady(issue);
+
+      if (expected === null) {
+        expect(result).toBeNull();
+      } else {
+        expect(result).toEqual(expected);
+      }
+    });
+  });
+});
@@ -0,0 +1,306 @@
+import { jest } from '@jest/globals';
+import GitHubClient from '../src/github-client.js';
+
+// Mock the logger to avoid console output during tests
+jest.mock('../src/logger.js', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+  default: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn(),
+  }
+}));
+
+describe('GitHubClient - Time to QA Ready', () => {
+  let githubClient;
+
+  beforeEach(() => {
+    // Create a new instance of GitHubClient for each test
+    githubClient = new GitHubClient('fake-token');
+
+    // Mock the Octokit instance
+    githubClient.octokit = {
+      graphql: jest.fn()
+    };
+  });
+
+  const makeIssue = (number, statusChanges) => ({
+    repository: 'owner/repo',
+    number,
+    url: `https://github.com/owner/repo/issues/${number}`,
+    title: 'Test issue',
+    createdAt: '2023-05-01T09:00:00Z',
+    author: 'author',
+    statusChanges
+  });
+
+  describe('calculateTimeToQAReady', () => {
+    // Table-driven test cases for calculateTimeToQAReady
+    const testCases = [
+      {
+        name: 'Issue moved from In progress to Awaiting QA on the same day',
+        issue: makeIssue(200, [
+          { createdAt: '2023-05-10T10:00:00Z', previousStatus: 'Ready', status: 'In progress' },
+          { createdAt: '2023-05-10T15:00:00Z', previousStatus: 'In progress', status: 'Awaiting QA' }
+        ]),
+        expected: {
+          metricType: 'time_to_qa_ready',
+          repository: 'owner/repo',
+          issueNumber: 200,
+          issueUrl: 'https://github.com/owner/repo/issues/200',
+          issueCreator: 'author',
+          inProgressTime: new Date('2023-05-10T10:00:00Z'),
+          qaReadyTime: new Date('2023-05-10T15:00:00Z'),
+          qaReadyDate: '2023-05-10',
+          qaReadyTimeSeconds: 18000, // 5 hours
+          qaReadyStatus: 'Awaiting QA'
+        }
+      },
+      {
+        name: 'Status names with emoji and different casing',
+        issue: makeIssue(201, [
+          { createdAt: '2023-05-11T10:00:00Z', previousStatus: null, status: '🏃‍♀️ In Progress' },
+          { createdAt: '2023-05-11T11:00:00Z', previousStatus: '🏃‍♀️ In Progress', status: '✔️Awaiting QA' }
+        ]),
+        expected: {
+          metricType: 'time_to_qa_ready',
+          repository: 'owner/repo',
+          issueNumber: 201,
+          issueUrl: 'https://github.com/owner/repo/issues/201',
+          issueCreator: 'author',
+          inProgressTime: new Date('2023-05-11T10:00:00Z'),
+          qaReadyTime: new Date('2023-05-11T11:00:00Z'),
+          qaReadyDate: '2023-05-11',
+          qaReadyTimeSeconds: 3600,
+          qaReadyStatus: '✔️Awaiting QA'
+        }
+      },
+      {
+        name: 'Issue going straight to Ready for release (events out of order)',
+        issue: makeIssue(202, [
+          { createdAt: '2023-05-12T12:00:00Z', previousStatus: 'In progress', status: 'Ready for release' },
+          { createdAt: '2023-05-12T10:00:00Z', previousStatus: 'Ready', status: 'In progress' }
+        ]),
+        expected: {
+          metricType: 'time_to_qa_ready',
+          repository: 'owner/repo',
+          issueNumber: 202,
+          issueUrl: 'https://github.com/owner/repo/issues/202',
+          issueCreator: 'author',
+          inProgressTime: new Date('2023-05-12T10:00:00Z'),
+          qaReadyTime: new Date('2023-05-12T12:00:00Z'),
+          qaReadyDate: '2023-05-12',
+          qaReadyTimeSeconds: 7200,
+          qaReadyStatus: 'Ready for release'
+        }
+      },
+      {
+        name: 'Issue sent back from QA uses the first QA ready transition',
+        issue: makeIssue(203, [
+          { createdAt: '2023-05-15T09:00:00Z', previousStatus: 'Ready', status: 'In progress' },
+          { createdAt: '2023-05-15T12:00:00Z', previousStatus: 'In progress', status: 'Awaiting QA' },
+          { createdAt: '2023-05-16T09:00:00Z', previousStatus: 'Awaiting QA', status: 'In progress' },
+          { createdAt: '2023-05-16T12:00:00Z', previousStatus: 'In progress', status: 'Awaiting QA' }
+        ]),
+        expected: {
+          metricType: 'time_to_qa_ready',
+          repository: 'owner/repo',
+          issueNumber: 203,
+          issueUrl: 'https://github.com/owner/repo/issues/203',
+          issueCreator: 'author',
+          inProgressTime: new Date('2023-05-15T09:00:00Z'),
+          qaReadyTime: new Date('2023-05-15T12:00:00Z'),
+          qaReadyDate: '2023-05-15',
+          qaReadyTimeSeconds: 10800,
+          qaReadyStatus: 'Awaiting QA'
+        }
+      },
+      {
+        name: 'Issue in progress on Friday, awaiting QA on Monday (should exclude weekend)',
+        issue: makeIssue(204, [
+          { createdAt: '2023-05-19T14:00:00Z', previousStatus: 'Ready', status: 'In progress' }, // Friday
+          { createdAt: '2023-05-22T10:00:00Z', previousStatus: 'In progress', status: 'Awaiting QA' } // Monday
+        ]),
+        expected: {
+          metricType: 'time_to_qa_ready',
+          repository: 'owner/repo',
+          issueNumber: 204,
+          issueUrl: 'https://github.com/owner/repo/issues/204',
+          issueCreator: 'author',
+          inProgressTime: new Date('2023-05-19T14:00:00Z'),
+          qaReadyTime: new Date('2023-05-22T10:00:00Z'),
+          qaReadyDate: '2023-05-22',
+          qaReadyTimeSeconds: 72000, // 20 hours (Friday 14:00 to Monday 10:00 minus the weekend)
+          qaReadyStatus: 'Awaiting QA'
+        }
+      },
+      {
+        name: 'Issue still in progress',
+        issue: makeIssue(205, [
+          { createdAt: '2023-05-10T10:00:00Z', previousStatus: 'Ready', status: 'In progress' }
+        ]),
+        expected: null // Should return null because the issue never reached QA
+      },
+      {
+        name: 'Issue moved to Awaiting QA without ever being in progress',
+        issue: makeIssue(206, [
+          { createdAt: '2023-05-10T10:00:00Z', previousStatus: 'Ready', status: 'Awaiting QA' }
+        ]),
+        expected: null // Should return null because there is no start time
+      },
+      {
+        name: 'Issue with no status changes',
+        issue: makeIssue(207, []),
+        expected: null
+      }
+    ];
+
+    // Run each test case
+    test.each(testCases)('$name', ({ issue, expected }) => {
+      const result = githubClient.calculateTimeToQAReady(issue);
+
+      if (expected === null) {
+        expect(result).toBeNull();
+      } else {
+        expect(result).toEqual(expected);
+      }
+    });
+  });
+
+  describe('fetchProjectIssues', () => {
+    test('should page through search results and normalize issues', async () => {
+      githubClient.octokit.graphql
+        .mockResolvedValueOnce({
+          search: {
+            pageInfo: { hasNextPage: true, endCursor: 'cursor-1' },
+            nodes: [
+              {
+                number: 1,
+                url: 'https://github.com/owner/repo/issues/1',
+                title: 'First',
+                createdAt: '2023-06-01T00:00:00Z',
+                author: { login: 'alice' },
+                timelineItems: {
+                  pageInfo: { hasNextPage: false, endCursor: null },
+                  nodes: [
+                    { createdAt: '2023-06-10T10:00:00Z', previousStatus: 'Ready', status: 'In progress' }
+                  ]
+                }
+              },
+              {}
+            ]
+          }
+        })
+        .mockResolvedValueOnce({
+          search: {
+            pageInfo: { hasNextPage: false, endCursor: null },
+            nodes: [
+              {
+                number: 2,
+                url: 'https://github.com/owner/repo/issues/2',
+                title: 'Second',
+                createdAt: '2023-06-02T00:00:00Z',
+                author: null,
+                timelineItems: { pageInfo: { hasNextPage: false, endCursor: null }, nodes: [] }
+              }
+            ]
+          }
+        });
+
+      const result = await githubClient.fetchProjectIssues('owner', 'repo', new Date('2023-06-10T12:00:00Z'));
+
+      expect(result).toHaveLength(2);
+      expect(result[0]).toEqual({
+        repository: 'owner/repo',
+        number: 1,
+        url: 'https://github.com/owner/repo/issues/1',
+        title: 'First',
+        createdAt: '2023-06-01T00:00:00Z',
+        author: 'alice',
+        statusChanges: [
+          { createdAt: '2023-06-10T10:00:00Z', previousStatus: 'Ready', status: 'In progress' }
+        ]
+      });
+      expect(result[1].author).toBe('ghost');
+
+      expect(githubClient.octokit.graphql).toHaveBeenCalledTimes(2);
+      expect(githubClient.octokit.graphql.mock.calls[0][1]).toEqual({
+        searchQuery: 'repo:owner/repo is:issue updated:>=2023-06-10',
+        cursor: null
+      });
+      expect(githubClient.octokit.graphql.mock.calls[1][1].cursor).toBe('cursor-1');
+    });
+
+    test('should fetch the rest of the status changes of issues with more than one page of them', async () => {
+      const statusChange = (createdAt) => ({ createdAt, previousStatus: 'Ready', status: 'In progress' });
+      const statusChangesPage = (hasNextPage, endCursor, nodes) => ({
+        repository: { issue: { timelineItems: { pageInfo: { hasNextPage, endCursor }, nodes } } }
+      });
+      githubClient.octokit.graphql
+        .mockResolvedValueOnce({
+          search: {
+            pageInfo: { hasNextPage: false, endCursor: null },
+            nodes: [
+              {
+                number: 1,
+                url: 'https://github.com/owner/repo/issues/1',
+                title: 'First',
+                createdAt: '2023-06-01T00:00:00Z',
+                author: { login: 'alice' },
+                timelineItems: {
+                  pageInfo: { hasNextPage: true, endCursor: 'status-cursor-1' },
+                  nodes: [statusChange('2023-06-10T10:00:00Z')]
+                }
+              }
+            ]
+          }
+        })
+        .mockResolvedValueOnce(statusChangesPage(true, 'status-cursor-2', [statusChange('2023-06-11T10:00:00Z')]))
+        .mockResolvedValueOnce(statusChangesPage(false, null, [statusChange('2023-06-12T10:00:00Z')]));
+
+      const [issue] = await githubClient.fetchProjectIssues('owner', 'repo', new Date('2023-06-10T12:00:00Z'));
+
+      expect(issue.statusChanges.map(change => change.createdAt)).toEqual([
+        '2023-06-10T10:00:00Z',
+        '2023-06-11T10:00:00Z',
+        '2023-06-12T10:00:00Z'
+      ]);
+      expect(githubClient.octokit.graphql.mock.calls[1][1]).toEqual({
+        owner: 'owner',
+        repo: 'repo',
+        number: 1,
+        cursor: 'status-cursor-1'
+      });
+      expect(githubClient.octokit.graphql.mock.calls[2][1].cursor).toBe('status-cursor-2');
+    });
+
+    test('should handle API errors gracefully', async () => {
+      githubClient.octokit.graphql.mockRejectedValue(new Error('GraphQL Error'));
+
+      await expect(githubClient.fetchProjectIssues('owner', 'repo', new Date('2023-06-10')))
+        .rejects.toThrow('GraphQL Error');
+    });
+  });
+
+  describe('fetchProjectIssuesInRange', () => {
+    test('should search issues created within the range', async () => {
+      githubClient.octokit.graphql.mockResolvedValue({
+        search: { pageInfo: { hasNextPage: false, endCursor: null }, nodes: [] }
+      });
+
+      await githubClient.fetchProjectIssuesInRange(
+        'owner',
+        'repo',
+        new Date('2023-01-01T00:00:00Z'),
+        new Date('2023-01-31T23:59:59.999Z')
+      );
+
+      expect(githubClient.octokit.graphql.mock.calls[0][1].searchQuery)
+        .toBe('repo:owner/repo is:issue created:2023-01-01..2023-01-31');
+    });
+  });
+});
@@ -0,0 +1,174 @@
+import { jest } from '@jest/globals';
+import GitHubClient from '../src/github-client.js';
+
+// Mock the logger to avoid console output during tests
+jest.mock('../src/logger.js', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+  default: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn(),
+  }
+}));
+
+describe('GitHubClient - Review Cycles', () => {
+  let githubClient;
+
+  const pr = {
+    number: 123,
+    html_url: 'https://github.com/owner/repo/pull/123',
+    draft: false,
+    created_at: '2023-05-10T10:00:00Z',
+    merged_at: '2023-05-10T16:00:00Z',
+    state: 'closed',
+    user: { login: 'author' },
+    base: {
+      ref: 'main',
+      repo: {
+        name: 'repo',
+        owner: { login: 'owner' }
+      }
+    }
+  };
+
+  const review = (login, state, submittedAt) => ({ user: { login }, state, submitted_at: submittedAt });
+
+  beforeEach(() => {
+    githubClient = new GitHubClient('fake-token');
+  });
+
+  describe('calculateReviewCycles', () => {
+    test('should split the review time between the author and reviewers until the final approval', () => {
+      const timelineEvents = [
+        { event: 'committed', committer: { date: '2023-05-10T13:00:00Z' } },
+        { event: 'review_requested', created_at: '2023-05-10T13:05:00Z', actor: { login: 'author' } }
+      ];
+      const reviewEvents = [
+        review('reviewer1', 'CHANGES_REQUESTED', '2023-05-10T11:00:00Z'),
+        review('reviewer2', 'CHANGES_REQUESTED', '2023-05-10T11:30:00Z'),
+        // The author replying to review comments doesn't count
+        review('author', 'COMMENTED', '2023-05-10T12:00:00Z'),
+        review('reviewer1', 'APPROVED', '2023-05-10T15:00:00Z')
+      ];
+
+      const result = githubClient.calculateReviewCycles(pr, timelineEvents, reviewEvents);
+
+      expect(result).toEqual({
+        metricType: 'review_cycles',
+        repository: 'owner/repo',
+        prNumber: 123,
+        prUrl: 'https://github.com/owner/repo/pull/123',
+        prCreator: 'author',
+        targetBranch: 'main',
+        readyTime: new Date('2023-05-10T10:00:00Z'),
+        finalApprovalTime: new Date('2023-05-10T15:00:00Z'),
+        mergeTime: new Date('2023-05-10T16:00:00Z'),
+        mergeDate: '2023-05-10',
+        authorTimezone: 'UTC',
+        reviewTimeSeconds: 18000,
+        authorWaitSeconds: 7200, // changes requested at 11:00 until the push at 13:00
+        reviewerWaitSeconds: 10800, // 10:00 to 11:00 and 13:00 to 15:00
+        reviewIterations: 2,
+        changesRequestedRounds: 1,
+        changesRequestedReviews: 2,
+        readyEventType: 'PR creation (not draft)'
+      });
+    });
+
+    test('should stop at the last approval when changes are requested after an earlier one', () => {
+      const timelineEvents = [
+        { event: 'committed', committer: { date: '2023-05-10T12:00:00Z' } },
+        { event: 'head_ref_force_pushed', created_at: '2023-05-10T14:00:00Z' }
+      ];
+      const reviewEvents = [
+        review('reviewer1', 'APPROVED', '2023-05-10T11:00:00Z'),
+        review('reviewer2', 'CHANGES_REQUESTED', '2023-05-10T13:00:00Z'),
+        review('reviewer2', 'APPROVED', '2023-05-10T15:00:00Z'),
+        // Dismissed and pending reviews are ignored
+        review('reviewer3', 'DISMISSED', '2023-05-10T15:30:00Z')
+      ];
+
+      const result = githubClient.calculateReviewCycles(pr, timelineEvents, reviewEvents);
+
+      expect(result).toEqual(expect.objectContaining({
+        finalApprovalTime: new Date('2023-05-10T15:00:00Z'),
+        reviewIterations: 3,
+        changesRequestedRounds: 1,
+        changesRequestedReviews: 1,
+        authorWaitSeconds: 7200,
+        reviewerWaitSeconds: 10800
+      }));
+    });
+
+    test('should only count review requests made by the author as author responses', () => {
+      const timelineEvents = [
+        // A teammate re-requesting review doesn't end the wait on the author
+        { event: 'review_requested', created_at: '2023-05-10T12:00:00Z', actor: { login: 'teammate' } },
+        { event: 'committed', committer: { date: '2023-05-10T13:00:00Z' } }
+      ];
+      const reviewEvents = [
+        review('reviewer1', 'CHANGES_REQUESTED', '2023-05-10T11:00:00Z'),
+        review('reviewer1', 'APPROVED', '2023-05-10T15:00:00Z')
+      ];
+
+      const result = githubClient.calculateReviewCycles(pr, timelineEvents, reviewEvents);
+
+      expect(result).toEqual(expect.objectContaining({
+        authorWaitSeconds: 7200,
+        reviewerWaitSeconds: 10800
+      }));
+
+      // The author re-requesting review does
+      timelineEvents[0].actor = { login: 'author' };
+      expect(githubClient.calculateReviewCycles(pr, timelineEvents, reviewEvents)).toEqual(expect.objectContaining({
+        authorWaitSeconds: 3600,
+        reviewerWaitSeconds: 14400
+      }));
+    });
+
+    test('should run until the merge for PRs merged without approval', () => {
+      const timelineEvents = [
+        { event: 'head_ref_force_pushed', created_at: '2023-05-10T12:00:00Z' }
+      ];
+      const reviewEvents = [review('reviewer1', 'COMMENTED', '2023-05-10T11:00:00Z')];
+
+      const result = githubClient.calculateReviewCycles(pr, timelineEvents, reviewEvents);
+
+      expect(result).toEqual(expect.objectContaining({
+        finalApprovalTime: null,
+        reviewTimeSeconds: 21600,
+        authorWaitSeconds: 3600,
+        reviewerWaitSeconds: 18000,
+        reviewIterations: 1,
+        changesRequestedRounds: 0
+      }));
+    });
+
+    test('should count waits in the author\'s working time', () => {
+      // Changes requested on Friday, pushed on Monday
+      const weekendPr = { ...pr, created_at: '2023-05-12T10:00:00Z', merged_at: '2023-05-15T12:00:00Z' };
+      const timelineEvents = [{ event: 'committed', committer: { date: '2023-05-15T10:00:00Z' } }];
+      const reviewEvents = [
+        review('reviewer1', 'CHANGES_REQUESTED', '2023-05-12T11:00:00Z'),
+        review('reviewer1', 'APPROVED', '2023-05-15T11:00:00Z')
+      ];
+
+      const result = githubClient.calculateReviewCycles(weekendPr, timelineEvents, reviewEvents);
+
+      expect(result.authorWaitSeconds).toBe(13 * 3600 + 10 * 3600);
+      expect(result.reviewerWaitSeconds).toBe(7200);
+    });
+
+    test('should return null for PRs that were not merged or not reviewed', () => {
+      const reviewEvents = [review('reviewer1', 'APPROVED', '2023-05-10T11:00:00Z')];
+
+      expect(githubClient.calculateReviewCycles({ ...pr, merged_at: null }, [], reviewEvents)).toBeNull();
+      expect(githubClient.calculateReviewCycles(pr, [], [])).toBeNull();
+      expect(githubClient.calculateReviewCycles(pr, [], [review('author', 'COMMENTED', '2023-05-10T11:00:00Z')])).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,95 @@
+/**
+ * Tests for GitHub GraphQL module
+ */
+
+import {
+  toRestUser,
+  toRestPullRequest,
+  toRestTimelineEvents,
+  toRestReviewEvents
+} from '../src/github-graphql.js';
+
+describe('github-graphql', () => {
+  const node = {
+    number: 42,
+    url: 'https://github.com/owner/repo/pull/42',
+    state: 'MERGED',
+    isDraft: false,
+    createdAt: '2023-06-12T09:00:00Z',
+    updatedAt: '2023-06-14T16:00:00Z',
+    mergedAt: '2023-06-14T16:00:00Z',
+    baseRefName: 'main',
+    baseRepository: { nameWithOwner: 'owner/repo' },
+    author: { __typename: 'User', login: 'author' },
+    timelineItems: {
+      pageInfo: { hasNextPage: false },
+      nodes: [
+        { __typename: 'ReadyForReviewEvent', createdAt: '2023-06-13T10:00:00Z' },
+        { __typename: 'ReviewRequestedEvent', createdAt: '2023-06-13T10:00:00Z', actor: { __typename: 'User', login: 'author' } },
+        { __typename: 'PullRequestCommit', commit: { committedDate: '2023-06-13T14:00:00Z' } },
+        { __typename: 'HeadRefForcePushedEvent', createdAt: '2023-06-13T15:00:00Z' }
+      ]
+    },
+    reviews: {
+      pageInfo: { hasNextPage: false },
+      nodes: [
+        { state: 'COMMENTED', submittedAt: '2023-06-13T11:00:00Z', author: { __typename: 'Bot', login: 'ci-bot' } },
+        { state: 'APPROVED', submittedAt: '2023-06-13T12:00:00Z', author: null }
+      ]
+    }
+  };
+
+  describe('toRestUser', () => {
+    test('should map bots and deleted accounts', () => {
+      expect(toRestUser({ __typename: 'User', login: 'octocat' })).toEqual({ login: 'octocat', type: 'User' });
+      expect(toRestUser({ __typename: 'Bot', login: 'ci-bot' })).toEqual({ login: 'ci-bot', type: 'Bot' });
+      expect(toRestUser(null)).toEqual({ login: 'ghost', type: 'User' });
+    });
+  });
+
+  describe('toRestPullRequest', () => {
+    test('should convert a pull request node to the REST shape', () => {
+      expect(toRestPullRequest(node)).toEqual({
+        number: 42,
+        html_url: 'https://github.com/owner/repo/pull/42',
+        state: 'closed',
+        draft: false,
+        created_at: '2023-06-12T09:00:00Z',
+        updated_at: '2023-06-14T16:00:00Z',
+        merged_at: '2023-06-14T16:00:00Z',
+        user: { login: 'author', type: 'User' },
+        base: { ref: 'main', repo: { name: 'repo', owner: { login: 'owner' } } }
+      });
+    });
+
+    test('should use GitHub\'s spelling of the repository name', () => {
+      const pr = toRestPullRequest({ ...node, baseRepository: { nameWithOwner: 'fleetdm/fleet' } });
+
+      expect(pr.base.repo).toEqual({ name: 'fleet', owner: { login: 'fleetdm' } });
+    });
+
+    test('should report open pull requests as open', () => {
+      expect(toRestPullRequest({ ...node, state: 'OPEN', mergedAt: null }).state).toBe('open');
+    });
+  });
+
+  describe('toRestTimelineEvents', () => {
+    test('should convert ready-for-review events, review requests, commits and force pushes', () => {
+      expect(toRestTimelineEvents(node)).toEqual([
+        { event: 'ready_for_review', created_at: '2023-06-13T10:00:00Z' },
+        { event: 'review_requested', created_at: '2023-06-13T10:00:00Z', actor: { login: 'author', type: 'User' } },
+        { event: 'committed', committer: { date: '2023-06-13T14:00:00Z' } },
+        { event: 'head_ref_force_pushed', created_at: '2023-06-13T15:00:00Z' }
+      ]);
+    });
+  });
+
+  describe('toRestReviewEvents', () => {
+    test('should convert reviews', () => {
+      expect(toRestReviewEvents(node)).toEqual([
+        { user: { login: 'ci-bot', type: 'Bot' }, state: 'COMMENTED', submitted_at: '2023-06-13T11:00:00Z' },
+        { user: { login: 'ghost', type: 'User' }, state: 'APPROVED', submitted_at: '2023-06-13T12:00:00Z' }
+      ]);
+    });
+  });
+});
@@ -0,0 +1,293 @@
+/**
+ * Tests for GitHub request layer
+ */
+
+import { jest } from '@jest/globals';
+import crypto from 'crypto';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// Mock the logger
+const mockLogger = {
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+};
+
+jest.unstable_mockModule('../src/logger.js', () => ({
+  default: mockLogger,
+  ...mockLogger
+}));
+
+const {
+  DEFAULT_RETRY_OPTIONS,
+  getBackoffDelay,
+  getRetryDecision,
+  createRequestHook,
+  getAuthOptions,
+  createOctokit
+} = await import('../src/github-request.js');
+
+const requestError = (status, headers = {}, message = 'Request failed') =>
+  Object.assign(new Error(message), { status, response: { headers } });
+
+describe('github-request', () => {
+  const options = { method: 'GET', url: '/repos/{owner}/{repo}/pulls' };
+  let sleep;
+  let tempDir;
+  let privateKeyPath;
+
+  beforeAll(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'github-request-'));
+    privateKeyPath = path.join(tempDir, 'app.pem');
+    const { privateKey } = crypto.generateKeyPairSync('rsa', {
+      modulusLength: 2048,
+      privateKeyEncoding: { type: 'pkcs1', format: 'pem' },
+      publicKeyEncoding: { type: 'spki', format: 'pem' }
+    });
+    fs.writeFileSync(privateKeyPath, privateKey);
+  });
+
+  afterAll(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    sleep = jest.fn();
+  });
+
+  describe('getBackoffDelay', () => {
+    test('should grow exponentially with jitter up to the maximum delay', () => {
+      jest.spyOn(Math, 'random').mockReturnValue(1);
+
+      expect(getBackoffDelay(0, DEFAULT_RETRY_OPTIONS)).toBe(1000);
+      expect(getBackoffDelay(3, DEFAULT_RETRY_OPTIONS)).toBe(8000);
+      expect(getBackoffDelay(10, DEFAULT_RETRY_OPTIONS)).toBe(60000);
+
+      Math.random.mockReturnValue(0);
+      expect(getBackoffDelay(3, DEFAULT_RETRY_OPTIONS)).toBe(4000);
+
+      Math.random.mockRestore();
+    });
+  });
+
+  describe('getRetryDecision', () => {
+    // Date.now is mocked to 2023-06-15T12:00:00Z in test/setup.js
+    const now = Date.parse('2023-06-15T12:00:00Z') / 1000;
+
+    test('should wait for the primary rate limit to reset', () => {
+      const err = requestError(403, { 'x-ratelimit-remaining': '0', 'x-ratelimit-reset': String(now + 120) });
+
+      expect(getRetryDecision(err, 0, DEFAULT_RETRY_OPTIONS)).toEqual({ reason: 'rate limit exceeded', delayMs: 121000, rateLimited: true });
+    });
+
+    test('should give up when the rate limit resets after the maximum wait', () => {
+      const err = requestError(403, { 'x-ratelimit-remaining': '0', 'x-ratelimit-reset': String(now + 7200) });
+
+      expect(getRetryDecision(err, 0, DEFAULT_RETRY_OPTIONS)).toBeNull();
+    });
+
+    test('should honour retry-after on secondary rate limits', () => {
+      expect(getRetryDecision(requestError(429, { 'retry-after': '30' }), 0, DEFAULT_RETRY_OPTIONS))
+        .toEqual({ reason: 'secondary rate limit', delayMs: 30000, rateLimited: true });
+    });
+
+    test('should wait at least a minute for secondary rate limits without retry-after', () => {
+      const err = requestError(403, {}, 'You have exceeded a secondary rate limit');
+
+      expect(getRetryDecision(err, 0, DEFAULT_RETRY_OPTIONS).delayMs).toBeGreaterThanOrEqual(60000);
+    });
+
+    test('should retry server and network errors', () => {
+      expect(getRetryDecision(requestError(502), 0, DEFAULT_RETRY_OPTIONS).reason).toBe('server error 502');
+      expect(getRetryDecision(Object.assign(new Error('fetch failed'), { cause: { code: 'ECONNRESET' } }), 0, DEFAULT_RETRY_OPTIONS).reason)
+        .toBe('network error ECONNRESET');
+    });
+
+    test('should not retry client errors', () => {
+      expect(getRetryDecision(requestError(403, { 'x-ratelimit-remaining': '4000' }, 'Resource not accessible'), 0, DEFAULT_RETRY_OPTIONS)).toBeNull();
+      expect(getRetryDecision(requestError(404), 0, DEFAULT_RETRY_OPTIONS)).toBeNull();
+      expect(getRetryDecision(requestError(422), 0, DEFAULT_RETRY_OPTIONS)).toBeNull();
+    });
+  });
+
+  describe('createRequestHook', () => {
+    test('should retry until the request succeeds', async () => {
+      const response = { status: 200, headers: {}, data: [] };
+      const request = jest.fn()
+        .mockRejectedValueOnce(requestError(503))
+        .mockRejectedValueOnce(requestError(429, { 'retry-after': '5' }))
+        .mockResolvedValueOnce(response);
+      const hook = createRequestHook({}, { sleep });
+
+      await expect(hook(request, options)).resolves.toBe(response);
+
+      expect(request).toHaveBeenCalledTimes(3);
+      expect(sleep).toHaveBeenCalledTimes(2);
+      expect(sleep).toHaveBeenLastCalledWith(5000);
+      expect(mockLogger.warn).toHaveBeenCalledWith(expect.stringContaining('failed (server error 503), retrying'));
+    });
+
+    test('should throw once the retry budget is spent', async () => {
+      const err = requestError(500);
+      const request = jest.fn().mockRejectedValue(err);
+      const hook = createRequestHook({ maxRetries: 2 }, { sleep });
+
+      await expect(hook(request, options)).rejects.toBe(err);
+
+      expect(request).toHaveBeenCalledTimes(3);
+      expect(sleep).toHaveBeenCalledTimes(2);
+    });
+
+    test('should not retry errors that are not retryable', async () => {
+      const err = requestError(404);
+      const request = jest.fn().mockRejectedValue(err);
+      const hook = createRequestHook({}, { sleep });
+
+      await expect(hook(request, options)).rejects.toBe(err);
+
+      expect(request).toHaveBeenCalledTimes(1);
+      expect(sleep).not.toHaveBeenCalled();
+    });
+
+    test('should retry GraphQL responses that report a rate limit', async () => {
+      const rateLimited = {
+        status: 200,
+        headers: { 'x-ratelimit-remaining': '0', 'x-ratelimit-limit': '5000', 'x-ratelimit-reset': String(Date.parse('2023-06-15T12:01:00Z') / 1000) },
+        data: { errors: [{ type: 'RATE_LIMITED', message: 'API rate limit exceeded' }] }
+      };
+      const response = { status: 200, headers: {}, data: { data: {} } };
+      const request = jest.fn().mockResolvedValueOnce(rateLimited).mockResolvedValueOnce(response);
+      const hook = createRequestHook({}, { sleep });
+
+      await expect(hook(request, { method: 'POST', url: '/graphql' })).resolves.toBe(response);
+
+      expect(sleep).toHaveBeenCalledWith(61000);
+    });
+
+    test('should hold concurrent requests while waiting for a rate limit', async () => {
+      let endPause;
+      sleep.mockReturnValue(new Promise(resolve => {
+        endPause = resolve;
+      }));
+      const response = { status: 200, headers: {}, data: [] };
+      const first = jest.fn()
+        .mockRejectedValueOnce(requestError(429, { 'retry-after': '30' }))
+        .mockResolvedValueOnce(response);
+      const second = jest.fn().mockResolvedValue(response);
+      const hook = createRequestHook({}, { sleep });
+
+      const firstResult = hook(first, options);
+      await new Promise(resolve => setImmediate(resolve));
+      const secondResult = hook(second, options);
+      await new Promise(resolve => setImmediate(resolve));
+
+      expect(second).not.toHaveBeenCalled();
+
+      endPause();
+      await expect(Promise.all([firstResult, secondResult])).resolves.toEqual([response, response]);
+      expect(sleep).toHaveBeenCalledTimes(1);
+      expect(second).toHaveBeenCalledTimes(1);
+    });
+
+    test('should warn once per reset window when the quota is low', async () => {
+      const headers = { 'x-ratelimit-remaining': '120', 'x-ratelimit-limit': '5000', 'x-ratelimit-reset': '1686834000', 'x-ratelimit-resource': 'core' };
+      const request = jest.fn().mockResolvedValue({ status: 200, headers, data: [] });
+      const hook = createRequestHook({}, { sleep });
+
+      await hook(request, options);
+      await hook(request, options);
+
+      expect(mockLogger.debug).toHaveBeenCalledWith('GitHub core quota: 120/5000 remaining');
+      expect(mockLogger.warn).toHaveBeenCalledTimes(1);
+      expect(mockLogger.warn).toHaveBeenCalledWith(expect.stringContaining('GitHub core quota is low: 120/5000 remaining'));
+    });
+  });
+
+  describe('createOctokit', () => {
+    const jsonResponse = (status, body) => new Response(JSON.stringify(body), {
+      status,
+      headers: { 'content-type': 'application/json' }
+    });
+    let fetchSpy;
+
+    beforeEach(() => {
+      fetchSpy = jest.spyOn(globalThis, 'fetch');
+    });
+
+    afterEach(() => {
+      fetchSpy.mockRestore();
+    });
+
+    test('should retry REST requests', async () => {
+      fetchSpy
+        .mockResolvedValueOnce(jsonResponse(502, { message: 'Bad Gateway' }))
+        .mockResolvedValueOnce(jsonResponse(200, { login: 'octocat' }));
+      const octokit = createOctokit({ token: 'fake-token' }, { retry: { baseDelayMs: 1, maxDelayMs: 1 } });
+
+      const { data } = await octokit.rest.users.getByUsername({ username: 'octocat' });
+
+      expect(data.login).toBe('octocat');
+      expect(fetchSpy).toHaveBeenCalledTimes(2);
+    });
+
+    test('should retry GraphQL requests', async () => {
+      fetchSpy
+        .mockResolvedValueOnce(jsonResponse(503, { message: 'Service Unavailable' }))
+        .mockResolvedValueOnce(jsonResponse(200, { data: { viewer: { login: 'octocat' } } }));
+      const octokit = createOctokit({ token: 'fake-token' }, { retry: { baseDelayMs: 1, maxDelayMs: 1 } });
+
+      const result = await octokit.graphql('query { viewer { login } }');
+
+      expect(result.viewer.login).toBe('octocat');
+      expect(fetchSpy).toHaveBeenCalledTimes(2);
+    });
+
+    test('should send requests to a GitHub Enterprise Server', async () => {
+      fetchSpy
+        .mockResolvedValueOnce(jsonResponse(200, { login: 'octocat' }))
+        .mockResolvedValueOnce(jsonResponse(200, { data: { viewer: { login: 'octocat' } } }));
+      const octokit = createOctokit({ token: 'fake-token' }, { baseUrl: 'https://github.example.com/api/v3/' });
+
+      await octokit.rest.users.getByUsername({ username: 'octocat' });
+      await octokit.graphql('query { viewer { login } }');
+
+      expect(fetchSpy.mock.calls[0][0]).toBe('https://github.example.com/api/v3/users/octocat');
+      expect(fetchSpy.mock.calls[1][0]).toBe('https://github.example.com/api/graphql');
+    });
+
+    test('should authenticate as a GitHub App installation', async () => {
+      fetchSpy
+        .mockResolvedValueOnce(jsonResponse(201, {
+          token: 'installation-token',
+          expires_at: '2099-01-01T00:00:00Z',
+          permissions: { pull_requests: 'read' },
+          repository_selection: 'all'
+        }))
+        .mockResolvedValueOnce(jsonResponse(200, { login: 'octocat' }));
+      const octokit = createOctokit({ app: { appId: 1, privateKeyPath, installationId: 42 } });
+
+      await octokit.rest.users.getByUsername({ username: 'octocat' });
+
+      expect(fetchSpy.mock.calls[0][0]).toBe('https://api.github.com/app/installations/42/access_tokens');
+      expect(fetchSpy.mock.calls[0][1].headers.authorization).toMatch(/^bearer /);
+      expect(fetchSpy.mock.calls[1][1].headers.authorization).toBe('token installation-token');
+    });
+  });
+
+  describe('getAuthOptions', () => {
+    test('should use the token when no GitHub App is configured', () => {
+      expect(getAuthOptions({ token: 'fake-token' })).toEqual({ auth: 'fake-token' });
+    });
+
+    test('should read the private key of a GitHub App', () => {
+      const options = getAuthOptions({ token: 'ignored', app: { appId: 1, privateKeyPath, installationId: 42 } });
+
+      expect(options.auth).toEqual({ appId: 1, privateKey: fs.readFileSync(privateKeyPath, 'utf8'), installationId: 42 });
+      expect(typeof options.authStrategy).toBe('function');
+    });
+  });
+});
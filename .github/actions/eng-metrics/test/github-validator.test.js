@@ -0,0 +1,66 @@
+/**
+ * Tests for GitHub username validator
+ */
+
+import { jest } from '@jest/globals';
+
+// Mock the logger
+const mockLogger = {
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+};
+
+jest.unstable_mockModule('../src/logger.js', () => ({
+  default: mockLogger,
+  ...mockLogger
+}));
+
+const { validateUsernames, filterValidUserGroups } = await import('../src/github-validator.js');
+
+describe('github-validator', () => {
+  let mockOctokit;
+
+  beforeEach(() => {
+    mockOctokit = {
+      rest: {
+        users: {
+          getByUsername: jest.fn(async ({ username }) => {
+            if (username === 'missing') {
+              throw Object.assign(new Error('Not Found'), { status: 404 });
+            }
+            return { data: { login: username } };
+          })
+        }
+      }
+    };
+  });
+
+  test('should drop usernames that do not exist', async () => {
+    const result = await validateUsernames(mockOctokit, ['alice', 'missing', 'bob']);
+
+    expect(result).toEqual(['alice', 'bob']);
+  });
+
+  test('should throw errors instead of treating the username as valid', async () => {
+    mockOctokit.rest.users.getByUsername.mockRejectedValueOnce(Object.assign(new Error('Server Error'), { status: 500 }));
+
+    await expect(validateUsernames(mockOctokit, ['alice'])).rejects.toThrow('Server Error');
+  });
+
+  test('should require a GitHub client', async () => {
+    await expect(validateUsernames(null, ['alice'])).rejects.toThrow('GitHub client is required');
+  });
+
+  test('should validate each username once when filtering user groups', async () => {
+    const result = await filterValidUserGroups(mockOctokit, [
+      { group: 'g1', username: 'alice' },
+      { group: 'g2', username: 'alice' },
+      { group: 'g1', username: 'missing' }
+    ]);
+
+    expect(result).toEqual([{ group: 'g1', username: 'alice' }, { group: 'g2', username: 'alice' }]);
+    expect(mockOctokit.rest.users.getByUsername).toHaveBeenCalledTimes(2);
+  });
+});
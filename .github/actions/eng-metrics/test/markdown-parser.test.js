@@ -40,7 +40,7 @@ jest.unstable_mockModule('path', () => ({
 }));
 
 // Import the module after mocking
-const { parseProductGroups, validateMarkdownStructure } = await import('../src/markdown-parser.js');
+const { parseProductGroups, parseProductGroupTimezones, validateMarkdownStructure } = await import('../src/markdown-parser.js');
 
 describe('MarkdownParser', () => {
   beforeEach(() => {
@@ -286,6 +286,49 @@ _([@testuser3](https://github.com/testuser3))_ |
     });
   });
 
+  describe('parseProductGroupTimezones', () => {
+    it('should extract timezones from Timezones rows', () => {
+      const mockMarkdown = `
+### MDM group
+
+| Role | Contributor |
+|------|-------------|
+| Developer | _([@testdev1](https://github.com/testdev1))_, _([@testdev2](https://github.com/testdev2))_ |
+| Timezones | @testdev1: America/New_York, @testdev2: Europe/Berlin |
+
+### Software group
+
+| Role | Contributor |
+|------|-------------|
+| Developer | _([@softdev-1](https://github.com/softdev-1))_ |
+| Timezone | @softdev-1: America/Argentina/Buenos_Aires |
+`;
+
+      mockFs.existsSync.mockReturnValue(true);
+      mockFs.readFileSync.mockReturnValue(mockMarkdown);
+
+      expect(parseProductGroupTimezones('test-file.md')).toEqual({
+        testdev1: 'America/New_York',
+        testdev2: 'Europe/Berlin',
+        'softdev-1': 'America/Argentina/Buenos_Aires'
+      });
+    });
+
+    it('should return an empty map when no timezones are listed', () => {
+      mockFs.existsSync.mockReturnValue(true);
+      mockFs.readFileSync.mockReturnValue('### MDM group\n\n| Developer | _([@testdev1](https://github.com/testdev1))_ |\n');
+
+      expect(parseProductGroupTimezones('test-file.md')).toEqual({});
+    });
+
+    it('should handle file not found', () => {
+      mockFs.existsSync.mockReturnValue(false);
+
+      expect(parseProductGroupTimezones('nonexistent.md')).toEqual({});
+      expect(mockLogger.warn).toHaveBeenCalledWith(expect.stringContaining('Product groups file not found'));
+    });
+  });
+
   describe('validateMarkdownStructure', () => {
     it('should return true for valid markdown with all required sections', () => {
       const validMarkdown = `
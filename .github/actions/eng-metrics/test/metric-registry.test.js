@@ -0,0 +1,158 @@
+/**
+ * Tests for metric registry module
+ */
+
+import { jest } from '@jest/globals';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+// Mock the logger
+const mockLogger = {
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+};
+
+jest.unstable_mockModule('../src/logger.js', () => ({
+  default: mockLogger,
+  ...mockLogger
+}));
+
+const {
+  METRIC_SOURCES,
+  formatDuration,
+  registerMetric,
+  getMetricDefinition,
+  getMetricDefinitions,
+  getEnabledMetricDefinitions,
+  loadMetricModules
+} = await import('../src/metric-registry.js');
+
+const fixturePath = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures', 'custom-metric.js');
+
+const makeDefinition = (overrides = {}) => ({
+  metricType: 'test_metric',
+  configKey: 'testMetric',
+  displayName: 'Test Metric',
+  source: METRIC_SOURCES.PULL_REQUEST,
+  defaultTableName: 'test_metric',
+  durationField: 'testSeconds',
+  calculate: jest.fn(),
+  schema: [],
+  partitionField: 'test_time',
+  clusterFields: ['pr_number'],
+  toRow: jest.fn(),
+  ...overrides
+});
+
+describe('Metric Registry', () => {
+  describe('built-in metrics', () => {
+    test('should register all built-in metrics', () => {
+      const metricTypes = getMetricDefinitions().map(definition => definition.metricType);
+      expect(metricTypes).toEqual(expect.arrayContaining([
+        'time_to_first_review',
+        'time_to_approval',
+        'time_to_merge',
+        'review_cycles',
+        'time_to_qa_ready',
+        'time_to_production_ready'
+      ]));
+    });
+
+    test('should look up definitions by metric type', () => {
+      const definition = getMetricDefinition('time_to_merge');
+      expect(definition.configKey).toBe('timeToMerge');
+      expect(definition.defaultTableName).toBe('pr_merge');
+      expect(definition.uniqueKey).toEqual({ column: 'pr_number', property: 'prNumber' });
+    });
+
+    test('should default issue metrics to the issue number as unique key', () => {
+      expect(getMetricDefinition('time_to_qa_ready').uniqueKey).toEqual({ column: 'issue_number', property: 'issueNumber' });
+    });
+
+    test('should return null for unknown metric types', () => {
+      expect(getMetricDefinition('unknown_type')).toBeNull();
+    });
+  });
+
+  describe('getEnabledMetricDefinitions', () => {
+    const config = {
+      metrics: {
+        timeToFirstReview: { enabled: true, tableName: 'pr_first_review' },
+        timeToMerge: { enabled: false, tableName: 'pr_merge' },
+        timeToQAReady: { enabled: true, tableName: 'issue_qa_ready' }
+      }
+    };
+
+    test('should return enabled metrics', () => {
+      const metricTypes = getEnabledMetricDefinitions(config).map(definition => definition.metricType);
+      expect(metricTypes).toEqual(['time_to_first_review', 'time_to_qa_ready']);
+    });
+
+    test('should filter by source', () => {
+      const metricTypes = getEnabledMetricDefinitions(config, METRIC_SOURCES.ISSUE).map(definition => definition.metricType);
+      expect(metricTypes).toEqual(['time_to_qa_ready']);
+    });
+  });
+
+  describe('registerMetric', () => {
+    test('should reject definitions with missing fields', () => {
+      expect(() => registerMetric({ metricType: 'incomplete_metric' }))
+        .toThrow('Metric definition incomplete_metric is missing required fields');
+    });
+
+    test('should reject unknown sources', () => {
+      expect(() => registerMetric(makeDefinition({ metricType: 'bad_source', configKey: 'badSource', source: 'commit' })))
+        .toThrow('Metric bad_source has unknown source: commit');
+    });
+
+    test('should reject duplicate metric types', () => {
+      expect(() => registerMetric(makeDefinition({ metricType: 'time_to_merge', configKey: 'otherKey' })))
+        .toThrow('Metric type already registered: time_to_merge');
+    });
+
+    test('should reject duplicate config keys', () => {
+      expect(() => registerMetric(makeDefinition({ metricType: 'other_metric', configKey: 'timeToMerge' })))
+        .toThrow('Metric config key timeToMerge is already used by time_to_merge');
+    });
+
+    test('should apply defaults to new definitions', () => {
+      const registered = registerMetric(makeDefinition());
+      expect(registered.defaultEnabled).toBe(false);
+      expect(registered.formatDetails({})).toEqual([]);
+      expect(getMetricDefinition('test_metric')).toBe(registered);
+    });
+  });
+
+  describe('loadMetricModules', () => {
+    test('should register definitions from a local module', async () => {
+      const registered = await loadMetricModules([fixturePath]);
+
+      expect(registered).toHaveLength(1);
+      expect(getMetricDefinition('time_to_first_commit').displayName).toBe('Time to First Commit');
+    });
+
+    test('should not register an already loaded module again', async () => {
+      const [definition] = await loadMetricModules([fixturePath]);
+
+      await expect(loadMetricModules([fixturePath])).resolves.toEqual([definition]);
+      expect(getMetricDefinitions().filter(existing => existing.metricType === 'time_to_first_commit')).toHaveLength(1);
+    });
+
+    test('should fail for missing modules', async () => {
+      await expect(loadMetricModules(['./does-not-exist.js'])).rejects.toThrow();
+    });
+
+    test('should do nothing without module paths', async () => {
+      await expect(loadMetricModules()).resolves.toEqual([]);
+    });
+  });
+
+  describe('formatDuration', () => {
+    test('should format seconds as hours, minutes and seconds', () => {
+      expect(formatDuration(7384)).toBe('2h 3m 4s');
+      expect(formatDuration(59.9)).toBe('0h 0m 59s');
+    });
+  });
+});
@@ -3,7 +3,13 @@
  */
 
 import { jest } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
 import { MetricsCollector } from '../src/metrics-collector.js';
+import { registerMetric } from '../src/metric-registry.js';
+import { WorkingCalendar } from '../src/working-calendar.js';
 
 // Mock the logger
 jest.mock('../src/logger.js', () => ({
@@ -70,13 +76,38 @@ describe('MetricsCollector', () => {
     };
 
     mockBigQueryClient = {
-      uploadMetrics: jest.fn()
+      uploadMetrics: jest.fn(),
+      upsertMetrics: jest.fn(),
+      findSkippedMetrics: jest.fn(() => [])
     };
 
     metricsCollector.githubClient = mockGitHubClient;
     metricsCollector.bigqueryClient = mockBigQueryClient;
   });
 
+  describe('initialize', () => {
+    test('should configure metrics from metric modules and load each module once', async () => {
+      const fixturePath = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures', 'custom-metric.js');
+      mockConfig.printOnly = true;
+      mockConfig.userGroupEnabled = false;
+      mockConfig.metricModules = [fixturePath];
+
+      await metricsCollector.initialize();
+      await metricsCollector.initialize();
+
+      expect(metricsCollector.config.metrics.timeToFirstCommit).toEqual({ enabled: false, tableName: 'pr_first_commit' });
+      expect(metricsCollector.config.metrics.timeToMerge).toEqual({ enabled: true, tableName: 'pr_merge' });
+    });
+
+    test('should reject repository overrides of metrics that no module defines', async () => {
+      mockConfig.printOnly = true;
+      mockConfig.userGroupEnabled = false;
+      mockConfig.repositoryOverrides = { 'owner/repo': { metrics: { timeToDeploy: { enabled: true } } } };
+
+      await expect(metricsCollector.initialize()).rejects.toThrow('Invalid configuration');
+    });
+  });
+
   describe('collectPRMetrics', () => {
     const mockPR = {
       number: 123,
@@ -179,6 +210,483 @@ describe('MetricsCollector', () => {
 
       expect(result).toEqual([mergeMetric]);
     });
+
+    test('should collect metrics from registered metric definitions', async () => {
+      const customMetric = { metricType: 'time_to_label', prNumber: 123, labelSeconds: 60 };
+      registerMetric({
+        metricType: 'time_to_label',
+        configKey: 'timeToLabel',
+        displayName: 'Time to Label',
+        source: 'pull_request',
+        defaultTableName: 'pr_label',
+        durationField: 'labelSeconds',
+        calculate: jest.fn().mockReturnValue(customMetric),
+        schema: [],
+        partitionField: 'label_time',
+        clusterFields: ['pr_number'],
+        toRow: jest.fn()
+      });
+      metricsCollector.config.metrics.timeToFirstReview.enabled = false;
+      metricsCollector.config.metrics.timeToMerge.enabled = false;
+      metricsCollector.config.metrics.timeToLabel = { enabled: true, tableName: 'custom_label' };
+
+      const result = await metricsCollector.collectPRMetrics(mockPR, mockTimelineEvents, mockReviewEvents);
+
+      expect(result).toEqual([customMetric]);
+      expect(metricsCollector.getTableNameForMetricType('time_to_label')).toBe('custom_label');
+      expect(metricsCollector.getTimeFieldForMetricType('time_to_label', customMetric)).toBe(60);
+    });
+  });
+
+  describe('collectIssueMetrics', () => {
+    beforeEach(() => {
+      metricsCollector.config.metrics.timeToQAReady = { enabled: true, tableName: 'issue_qa_ready' };
+      metricsCollector.config.metrics.timeToProductionReady = { enabled: false, tableName: 'issue_production_ready' };
+    });
+
+    test('should collect QA ready metrics for issues that reached QA', async () => {
+      const qaReadyMetric = { metricType: 'time_to_qa_ready', issueNumber: 1, qaReadyTimeSeconds: 3600 };
+      mockGitHubClient.fetchProjectIssues = jest.fn().mockResolvedValue([{ number: 1 }, { number: 2 }]);
+      mockGitHubClient.calculateTimeToQAReady = jest.fn()
+        .mockReturnValueOnce(qaReadyMetric)
+        .mockReturnValueOnce(null);
+
+      const since = new Date('2023-06-08T12:00:00Z');
+      const result = await metricsCollector.collectIssueMetrics('owner', 'repo', since);
+
+      expect(result).toEqual([qaReadyMetric]);
+      expect(mockGitHubClient.fetchProjectIssues).toHaveBeenCalledWith('owner', 'repo', since);
+    });
+
+    test('should only collect production ready metrics when QA ready is disabled', async () => {
+      metricsCollector.config.metrics.timeToQAReady.enabled = false;
+      metricsCollector.config.metrics.timeToProductionReady.enabled = true;
+
+      const productionReadyMetric = { metricType: 'time_to_production_ready', issueNumber: 1, qaRoundTrips: 1 };
+      mockGitHubClient.fetchProjectIssues = jest.fn().mockResolvedValue([{ number: 1 }]);
+      mockGitHubClient.calculateTimeToQAReady = jest.fn();
+      mockGitHubClient.calculateTimeToProductionReady = jest.fn().mockReturnValue(productionReadyMetric);
+
+      const result = await metricsCollector.collectIssueMetrics('owner', 'repo', new Date());
+
+      expect(result).toEqual([productionReadyMetric]);
+      expect(mockGitHubClient.calculateTimeToQAReady).not.toHaveBeenCalled();
+    });
+
+    test('should return no metrics when fetching issues fails', async () => {
+      mockGitHubClient.fetchProjectIssues = jest.fn().mockRejectedValue(new Error('GraphQL Error'));
+
+      const result = await metricsCollector.collectIssueMetrics('owner', 'repo', new Date());
+
+      expect(result).toEqual([]);
+    });
+  });
+
+  describe('collectRepositoryMetrics', () => {
+    test('should record the working calendar version on each metric', async () => {
+      const firstReviewMetric = { metricType: 'time_to_first_review', prNumber: 123, pickupTimeSeconds: 7200 };
+      mockGitHubClient.fetchPullRequests.mockResolvedValue([{ number: 123 }]);
+      mockGitHubClient.fetchPRTimelineEvents.mockResolvedValue([]);
+      mockGitHubClient.fetchPRReviewEvents.mockResolvedValue([]);
+      mockGitHubClient.filterBotReviews = jest.fn(reviews => reviews);
+      mockGitHubClient.calculatePickupTime.mockReturnValue(firstReviewMetric);
+      mockGitHubClient.calculateTimeToMerge.mockReturnValue(null);
+      metricsCollector.workingCalendar = new WorkingCalendar({ version: 'eu-2023' });
+
+      const result = await metricsCollector.collectRepositoryMetrics('owner/repo');
+
+      expect(result).toEqual([{ ...firstReviewMetric, calendarVersion: 'eu-2023' }]);
+    });
+
+    test('should fetch PRs for the target branches of the repository', async () => {
+      mockGitHubClient.fetchPullRequests.mockResolvedValue([]);
+      metricsCollector.config.repositoryOverrides = { 'owner/repo': { targetBranch: ['main', 'rc-minor-*'] } };
+
+      await metricsCollector.collectRepositoryMetrics('owner/repo');
+
+      expect(mockGitHubClient.fetchPullRequests)
+        .toHaveBeenCalledWith('owner', 'repo', 'all', expect.any(Date), ['main', 'rc-minor-*']);
+    });
+
+    test('should apply the repository overrides to metrics, bot rules and lookback', async () => {
+      const mergeMetric = { metricType: 'time_to_merge', prNumber: 123, mergeTimeSeconds: 3600 };
+      mockGitHubClient.fetchPullRequests.mockResolvedValue([{ number: 123 }]);
+      mockGitHubClient.fetchPRTimelineEvents.mockResolvedValue([]);
+      mockGitHubClient.fetchPRReviewEvents.mockResolvedValue([]);
+      mockGitHubClient.filterBotReviews = jest.fn(reviews => reviews);
+      mockGitHubClient.calculateTimeToMerge.mockReturnValue(mergeMetric);
+      metricsCollector.config.repositoryOverrides = {
+        'owner/docs': {
+          lookbackDays: 30,
+          excludeBotReviews: false,
+          metrics: { timeToFirstReview: { enabled: false } }
+        }
+      };
+
+      jest.useFakeTimers({ now: new Date('2023-06-15T12:00:00Z') });
+
+      try {
+        const result = await metricsCollector.collectRepositoryMetrics('owner/docs');
+
+        expect(result).toEqual([mergeMetric]);
+        expect(mockGitHubClient.calculatePickupTime).not.toHaveBeenCalled();
+        expect(mockGitHubClient.filterBotReviews).toHaveBeenCalledWith([], false);
+        expect(mockGitHubClient.fetchPullRequests.mock.calls[0][3]).toEqual(new Date('2023-05-16T12:00:00Z'));
+      } finally {
+        jest.useRealTimers();
+      }
+    });
+
+    test('should fetch PRs with their events through GraphQL when configured', async () => {
+      const firstReviewMetric = { metricType: 'time_to_first_review', prNumber: 123, pickupTimeSeconds: 7200 };
+      const timelineEvents = [{ event: 'ready_for_review', created_at: '2023-06-14T10:00:00Z' }];
+      const reviewEvents = [{ user: { login: 'reviewer1', type: 'User' }, state: 'APPROVED', submitted_at: '2023-06-14T12:00:00Z' }];
+      mockGitHubClient.fetchPullRequestsWithActivity = jest.fn().mockResolvedValue([
+        { pr: { number: 123 }, timelineEvents, reviewEvents }
+      ]);
+      mockGitHubClient.filterBotReviews = jest.fn(reviews => reviews);
+      mockGitHubClient.calculatePickupTime.mockReturnValue(firstReviewMetric);
+      mockGitHubClient.calculateTimeToMerge.mockReturnValue(null);
+      metricsCollector.config.githubApi = 'graphql';
+
+      const result = await metricsCollector.collectRepositoryMetrics('owner/repo');
+
+      expect(result).toEqual([firstReviewMetric]);
+      expect(mockGitHubClient.fetchPullRequestsWithActivity).toHaveBeenCalledWith('owner', 'repo', expect.any(Date), 'main');
+      expect(mockGitHubClient.calculatePickupTime).toHaveBeenCalledWith({ number: 123 }, timelineEvents, reviewEvents);
+      expect(mockGitHubClient.fetchPullRequests).not.toHaveBeenCalled();
+      expect(mockGitHubClient.fetchPRTimelineEvents).not.toHaveBeenCalled();
+      expect(mockGitHubClient.fetchPRReviewEvents).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('concurrency', () => {
+    const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+    test('should keep PR metrics in PR order when events arrive out of order', async () => {
+      const pullRequests = [1, 2, 3, 4, 5].map(number => ({ number }));
+      let running = 0;
+      let maxRunning = 0;
+      mockGitHubClient.fetchPRTimelineEvents.mockImplementation(async (owner, repo, number) => {
+        running++;
+        maxRunning = Math.max(maxRunning, running);
+        await delay((6 - number) * 5);
+        running--;
+        return [];
+      });
+      mockGitHubClient.fetchPRReviewEvents.mockResolvedValue([]);
+      mockGitHubClient.filterBotReviews = jest.fn(reviews => reviews);
+      mockGitHubClient.calculatePickupTime.mockImplementation(pr => ({ metricType: 'time_to_first_review', prNumber: pr.number }));
+      mockGitHubClient.calculateTimeToMerge.mockReturnValue(null);
+      metricsCollector.config.pullRequestConcurrency = 3;
+
+      const result = await metricsCollector.collectPullRequestsMetrics('owner', 'repo', pullRequests);
+
+      expect(result.map(metric => metric.prNumber)).toEqual([1, 2, 3, 4, 5]);
+      expect(maxRunning).toBe(3);
+    });
+
+    test('should process PRs one at a time by default', () => {
+      expect(metricsCollector.getPullRequestConcurrency()).toBe(1);
+
+      metricsCollector.config.pullRequestConcurrency = 4;
+      expect(metricsCollector.getPullRequestConcurrency()).toBe(4);
+    });
+
+    test('should keep metrics in repository order when repositories are collected concurrently', async () => {
+      metricsCollector.config.repositories = ['owner/slow', 'owner/fast'];
+      metricsCollector.config.repositoryConcurrency = 2;
+      jest.spyOn(metricsCollector, 'collectRepositoryMetrics').mockImplementation(async (repository) => {
+        await delay(repository === 'owner/slow' ? 20 : 0);
+        return [{ repository }];
+      });
+
+      const result = await metricsCollector.collectMetrics();
+
+      expect(result).toEqual([{ repository: 'owner/slow' }, { repository: 'owner/fast' }]);
+    });
+  });
+
+  describe('sinks', () => {
+    test('should write metrics to every configured sink', async () => {
+      const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'collector-sinks-test-'));
+      const metric = {
+        metricType: 'time_to_merge',
+        repository: 'owner/repo',
+        prNumber: 1,
+        prUrl: 'https://github.com/owner/repo/pull/1',
+        prCreator: 'octocat',
+        targetBranch: 'main',
+        readyTime: new Date('2023-06-12T09:00:00Z'),
+        mergeTime: new Date('2023-06-13T09:00:00Z'),
+        mergeDate: '2023-06-13',
+        mergeTimeSeconds: 86400
+      };
+      metricsCollector.initialize = jest.fn();
+      metricsCollector.config.sinks = ['bigquery', { type: 'ndjson', directory }];
+      metricsCollector.collectMetrics = jest.fn().mockResolvedValue([metric]);
+
+      await metricsCollector.run();
+
+      expect(mockBigQueryClient.uploadMetrics).toHaveBeenCalledWith('test_dataset', 'pr_merge', [metric]);
+      const rows = fs.readFileSync(path.join(directory, 'pr_merge.ndjson'), 'utf8').trim().split('\n');
+      expect(rows.map(row => JSON.parse(row).pr_number)).toEqual([1]);
+      fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    test('should only need BigQuery for a bigquery sink or state store', () => {
+      expect(metricsCollector.usesBigQuery()).toBe(true);
+
+      metricsCollector.config.sinks = ['csv'];
+      expect(metricsCollector.usesBigQuery()).toBe(false);
+
+      metricsCollector.config.stateStore = { type: 'bigquery' };
+      expect(metricsCollector.usesBigQuery()).toBe(true);
+    });
+
+    test('should sync user groups to the sinks that store them', async () => {
+      const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'collector-user-groups-test-'));
+      const filePath = path.join(directory, 'product-groups.md');
+      fs.writeFileSync(filePath, '### MDM group\n\n| Role | Members |\n| Developer | Alice _([@alice](https://github.com/alice))_ |\n');
+      const postgresSink = { type: 'postgres', write: jest.fn(), syncUserGroups: jest.fn() };
+      metricsCollector.config.userGroupEnabled = true;
+      metricsCollector.config.userGroupFilepath = filePath;
+      metricsCollector.githubClient.octokit = { rest: { users: { getByUsername: jest.fn().mockResolvedValue({}) } } };
+      metricsCollector.userGroupClient = { syncUserGroups: jest.fn() };
+      metricsCollector.sinks = [postgresSink];
+      const userGroups = [{ group: 'mdm', username: 'alice' }, { group: 'engineering', username: 'alice' }];
+
+      // Without BigQuery, the sink stores the user groups and nothing is printed
+      metricsCollector.bigqueryClient = null;
+      await metricsCollector.processUserGroups();
+
+      expect(postgresSink.syncUserGroups).toHaveBeenCalledWith(userGroups);
+      expect(metricsCollector.userGroupClient.syncUserGroups).not.toHaveBeenCalled();
+      expect(metricsCollector.userGroups).toEqual(userGroups);
+
+      // With BigQuery, both store them
+      metricsCollector.bigqueryClient = mockBigQueryClient;
+      await metricsCollector.processUserGroups();
+
+      expect(metricsCollector.userGroupClient.syncUserGroups).toHaveBeenCalledWith(userGroups);
+      expect(postgresSink.syncUserGroups).toHaveBeenCalledTimes(2);
+      fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    test('should skip the user group sync and keep collecting when a username lookup fails', async () => {
+      const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'collector-user-groups-test-'));
+      const filePath = path.join(directory, 'product-groups.md');
+      fs.writeFileSync(filePath, '### MDM group\n\n| Role | Members |\n| Developer | Alice _([@alice](https://github.com/alice))_ |\n');
+      metricsCollector.config.userGroupEnabled = true;
+      metricsCollector.config.userGroupFilepath = filePath;
+      metricsCollector.githubClient.octokit = {
+        rest: { users: { getByUsername: jest.fn().mockRejectedValue(Object.assign(new Error('Server Error'), { status: 502 })) } }
+      };
+      metricsCollector.userGroupClient = { syncUserGroups: jest.fn() };
+      metricsCollector.initialize = jest.fn();
+      metricsCollector.collectMetrics = jest.fn().mockResolvedValue([]);
+
+      await metricsCollector.run();
+
+      expect(metricsCollector.userGroupClient.syncUserGroups).not.toHaveBeenCalled();
+      expect(metricsCollector.userGroups).toEqual([]);
+      expect(metricsCollector.collectMetrics).toHaveBeenCalled();
+      fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    test('should close the sinks when collection fails', async () => {
+      const sink = { type: 'postgres', write: jest.fn(), close: jest.fn() };
+      metricsCollector.initialize = jest.fn();
+      metricsCollector.sinks = [sink];
+      metricsCollector.collectMetrics = jest.fn().mockRejectedValue(new Error('GitHub is down'));
+
+      await expect(metricsCollector.run()).rejects.toThrow('GitHub is down');
+
+      expect(sink.close).toHaveBeenCalled();
+      expect(metricsCollector.sinks).toBeNull();
+    });
+
+    test('should refuse to repair without a bigquery sink', async () => {
+      metricsCollector.config.sinks = ['sqlite'];
+
+      await expect(metricsCollector.repair()).rejects.toThrow('needs a bigquery sink');
+    });
+  });
+
+  describe('run report', () => {
+    test('should write the run report to the job summary', async () => {
+      const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'collector-report-test-'));
+      process.env.GITHUB_STEP_SUMMARY = path.join(directory, 'summary.md');
+      metricsCollector.initialize = jest.fn();
+      metricsCollector.repositories = ['owner/repo'];
+      metricsCollector.collectMetrics = jest.fn().mockResolvedValue([
+        { metricType: 'time_to_merge', repository: 'owner/repo', prNumber: 1, prUrl: 'https://github.com/owner/repo/pull/1', prCreator: 'octocat', mergeTimeSeconds: 3600 }
+      ]);
+      metricsCollector.writeMetrics = jest.fn();
+
+      await metricsCollector.run();
+
+      const report = fs.readFileSync(process.env.GITHUB_STEP_SUMMARY, 'utf8');
+      expect(report).toContain('Collected 1 metrics from 1 repositories.');
+      expect(report).toContain('| [owner/repo#1](https://github.com/owner/repo/pull/1) | @octocat | 1h 0m 0s |');
+      delete process.env.GITHUB_STEP_SUMMARY;
+      fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    test('should not fail the run when the report cannot be written', async () => {
+      process.env.GITHUB_STEP_SUMMARY = path.join(os.tmpdir(), 'missing-directory', 'summary.md');
+      metricsCollector.initialize = jest.fn();
+      metricsCollector.collectMetrics = jest.fn().mockResolvedValue([]);
+
+      await expect(metricsCollector.run()).resolves.toEqual([]);
+      delete process.env.GITHUB_STEP_SUMMARY;
+    });
+  });
+
+  describe('organization discovery', () => {
+    test('should collect configured repositories followed by discovered ones', async () => {
+      metricsCollector.config.repositories = ['acme/api', 'other/tool'];
+      metricsCollector.config.organizations = [{ name: 'acme', exclude: ['*-old'] }];
+      mockGitHubClient.fetchOrganizationRepositories = jest.fn().mockResolvedValue([
+        { name: 'web', full_name: 'acme/web' },
+        { name: 'api', full_name: 'acme/api' },
+        { name: 'site-old', full_name: 'acme/site-old' }
+      ]);
+      const collectRepositoryMetrics = jest.spyOn(metricsCollector, 'collectRepositoryMetrics')
+        .mockImplementation(async repository => [{ repository }]);
+
+      const result = await metricsCollector.collectMetrics();
+
+      expect(result.map(metric => metric.repository)).toEqual(['acme/api', 'other/tool', 'acme/web']);
+      expect(collectRepositoryMetrics).toHaveBeenCalledTimes(3);
+      expect(mockGitHubClient.fetchOrganizationRepositories).toHaveBeenCalledWith('acme');
+    });
+
+    test('should not collect a discovered repository twice when configured with other casing', async () => {
+      metricsCollector.config.repositories = ['Acme/API'];
+      metricsCollector.config.organizations = ['acme'];
+      mockGitHubClient.fetchOrganizationRepositories = jest.fn().mockResolvedValue([
+        { name: 'api', full_name: 'acme/api' },
+        { name: 'web', full_name: 'acme/web' }
+      ]);
+
+      expect(await metricsCollector.getRepositories()).toEqual(['Acme/API', 'acme/web']);
+    });
+
+    test('should discover repositories once per run', async () => {
+      metricsCollector.config.repositories = [];
+      metricsCollector.config.organizations = ['acme'];
+      mockGitHubClient.fetchOrganizationRepositories = jest.fn().mockResolvedValue([{ name: 'api', full_name: 'acme/api' }]);
+
+      expect(await metricsCollector.getRepositories()).toEqual(['acme/api']);
+      expect(await metricsCollector.getRepositories()).toEqual(['acme/api']);
+      expect(mockGitHubClient.fetchOrganizationRepositories).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('incremental collection', () => {
+    let mockStateStore;
+
+    beforeEach(() => {
+      jest.useFakeTimers({ now: new Date('2023-06-15T12:00:00Z') });
+      mockStateStore = {
+        getLastSyncTime: jest.fn(() => new Date('2023-06-14T06:00:00Z')),
+        setLastSyncTime: jest.fn()
+      };
+      metricsCollector.stateStore = mockStateStore;
+      mockGitHubClient.fetchPullRequests.mockResolvedValue([]);
+    });
+
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    test('should fetch PRs updated since the last sync', async () => {
+      await metricsCollector.collectRepositoryMetrics('owner/repo');
+
+      expect(mockStateStore.getLastSyncTime).toHaveBeenCalledWith('owner/repo');
+      expect(mockGitHubClient.fetchPullRequests).toHaveBeenCalledWith(
+        'owner', 'repo', 'all', new Date('2023-06-14T06:00:00Z'), 'main'
+      );
+    });
+
+    test('should use the lookback window for a repository without a recorded sync', async () => {
+      mockStateStore.getLastSyncTime.mockResolvedValue(null);
+
+      await metricsCollector.collectRepositoryMetrics('owner/repo');
+
+      expect(mockGitHubClient.fetchPullRequests.mock.calls[0][3]).toEqual(new Date('2023-06-08T12:00:00Z'));
+    });
+
+    test('should ignore the last sync when a full refresh is forced', async () => {
+      metricsCollector.config.forceRefreshRepositories = ['owner/repo'];
+
+      await metricsCollector.collectRepositoryMetrics('owner/repo');
+
+      expect(mockStateStore.getLastSyncTime).not.toHaveBeenCalled();
+      expect(mockGitHubClient.fetchPullRequests.mock.calls[0][3]).toEqual(new Date('2023-06-08T12:00:00Z'));
+    });
+
+    test('should match force refresh repositories case-insensitively', async () => {
+      metricsCollector.config.forceRefreshRepositories = ['Owner/Repo'];
+
+      await metricsCollector.collectRepositoryMetrics('owner/repo');
+
+      expect(mockStateStore.getLastSyncTime).not.toHaveBeenCalled();
+    });
+
+    test('should record the sync time once metrics are saved', async () => {
+      await metricsCollector.collectRepositoryMetrics('owner/repo');
+      expect(mockStateStore.setLastSyncTime).not.toHaveBeenCalled();
+
+      await metricsCollector.saveSyncState();
+
+      expect(mockStateStore.setLastSyncTime).toHaveBeenCalledWith('owner/repo', new Date('2023-06-15T12:00:00Z'));
+    });
+
+    test('should not record a sync for a repository with PR errors', async () => {
+      mockGitHubClient.fetchPullRequests.mockResolvedValue([{ number: 123 }]);
+      mockGitHubClient.fetchPRTimelineEvents.mockRejectedValue(new Error('Timeline error'));
+
+      await metricsCollector.collectRepositoryMetrics('owner/repo');
+      await metricsCollector.saveSyncState();
+
+      expect(mockStateStore.setLastSyncTime).not.toHaveBeenCalled();
+    });
+
+    test('should not record a sync when the upload fails', async () => {
+      const statePath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'state-test-')), 'state.json');
+      metricsCollector.initialize = jest.fn();
+      metricsCollector.config.stateStore = { type: 'json', filepath: statePath };
+      metricsCollector.collectMetrics = jest.fn(async () => {
+        await metricsCollector.collectRepositoryMetrics('owner/repo');
+        return [{ metricType: 'time_to_merge', prNumber: 1 }];
+      });
+      mockBigQueryClient.uploadMetrics.mockRejectedValue(new Error('Upload failed'));
+
+      await expect(metricsCollector.run()).rejects.toThrow('Upload failed');
+
+      expect(metricsCollector.syncTimes.has('owner/repo')).toBe(true);
+      expect(fs.existsSync(statePath)).toBe(false);
+      fs.rmSync(path.dirname(statePath), { recursive: true, force: true });
+    });
+
+    test('should record the sync in the state store after uploading', async () => {
+      const statePath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'state-test-')), 'state.json');
+      metricsCollector.initialize = jest.fn();
+      metricsCollector.config.stateStore = { type: 'json', filepath: statePath };
+      metricsCollector.collectMetrics = jest.fn(async () => {
+        await metricsCollector.collectRepositoryMetrics('owner/repo');
+        return [{ metricType: 'time_to_merge', prNumber: 1 }];
+      });
+
+      await metricsCollector.run();
+
+      expect(JSON.parse(fs.readFileSync(statePath, 'utf8')).repositories).toEqual({
+        'owner/repo': { lastSyncTime: '2023-06-15T12:00:00.000Z' }
+      });
+      fs.rmSync(path.dirname(statePath), { recursive: true, force: true });
+    });
   });
 
   describe('groupMetricsByType', () => {
@@ -221,6 +729,12 @@ describe('MetricsCollector', () => {
       expect(tableName).toBe('pr_merge');
     });
 
+    test('should return correct table name for time_to_qa_ready', () => {
+      metricsCollector.config.metrics.timeToQAReady = { enabled: true, tableName: 'issue_qa_ready' };
+      const tableName = metricsCollector.getTableNameForMetricType('time_to_qa_ready');
+      expect(tableName).toBe('issue_qa_ready');
+    });
+
     test('should throw error for unknown metric type', () => {
       expect(() => {
         metricsCollector.getTableNameForMetricType('unknown_type');
@@ -280,6 +794,26 @@ describe('MetricsCollector', () => {
       expect(mockBigQueryClient.uploadMetrics).not.toHaveBeenCalled();
     });
 
+    test('should upsert metrics in upsert upload mode', async () => {
+      metricsCollector.config.uploadMode = 'upsert';
+      const metrics = [
+        {
+          metricType: 'time_to_merge',
+          prNumber: 123,
+          mergeTimeSeconds: 16200
+        }
+      ];
+
+      await metricsCollector.uploadMetrics(metrics);
+
+      expect(mockBigQueryClient.upsertMetrics).toHaveBeenCalledWith(
+        'test_dataset',
+        'pr_merge',
+        [{ metricType: 'time_to_merge', prNumber: 123, mergeTimeSeconds: 16200 }]
+      );
+      expect(mockBigQueryClient.uploadMetrics).not.toHaveBeenCalled();
+    });
+
     test('should skip empty metric groups', async () => {
       const metrics = [
         {
@@ -300,10 +834,179 @@ describe('MetricsCollector', () => {
     });
   });
 
+  describe('repairSkippedMetrics', () => {
+    test('should upload only the metrics that were skipped', async () => {
+      const skipped = { metricType: 'time_to_merge', repository: 'owner/repo2', prNumber: 1234, mergeTimeSeconds: 3600 };
+      const metrics = [
+        { metricType: 'time_to_first_review', repository: 'owner/repo1', prNumber: 1234, pickupTimeSeconds: 7200 },
+        { metricType: 'time_to_merge', repository: 'owner/repo1', prNumber: 1234, mergeTimeSeconds: 16200 },
+        skipped
+      ];
+      mockBigQueryClient.findSkippedMetrics.mockImplementation((datasetId, tableId) =>
+        tableId === 'pr_merge' ? [skipped] : []
+      );
+
+      const repaired = await metricsCollector.repairSkippedMetrics(metrics);
+
+      expect(mockBigQueryClient.findSkippedMetrics).toHaveBeenCalledTimes(2);
+      expect(mockBigQueryClient.uploadMetrics).toHaveBeenCalledTimes(1);
+      expect(mockBigQueryClient.uploadMetrics).toHaveBeenCalledWith('test_dataset', 'pr_merge', [skipped]);
+      expect(repaired).toEqual([skipped]);
+    });
+
+    test('should refuse to repair in print-only mode', async () => {
+      metricsCollector.config.printOnly = true;
+
+      await expect(metricsCollector.repair()).rejects.toThrow('cannot run in print-only mode');
+    });
+  });
+
+  describe('backfill', () => {
+    let checkpointPath;
+
+    beforeEach(() => {
+      checkpointPath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'backfill-test-')), 'checkpoint.json');
+      metricsCollector.config.backfillCheckpointFilepath = checkpointPath;
+      metricsCollector.config.backfillChunkDays = 10;
+      metricsCollector.initialize = jest.fn();
+      metricsCollector.collectPullRequestsMetrics = jest.fn(async (owner, repo, pullRequests) =>
+        pullRequests.map(pr => ({ metricType: 'time_to_merge', repository: `${owner}/${repo}`, prNumber: pr.number }))
+      );
+      mockGitHubClient.waitForRateLimit = jest.fn();
+      mockGitHubClient.fetchPullRequestsInRange = jest.fn(async (owner, repo, from, to, targetBranch, { startPage, onPage }) => {
+        await onPage([{ number: startPage * 10 }], startPage);
+        await onPage([], startPage + 1);
+        return { count: 1, lastPage: startPage + 1 };
+      });
+    });
+
+    afterEach(() => {
+      fs.rmSync(path.dirname(checkpointPath), { recursive: true, force: true });
+    });
+
+    test('should collect each chunk, continuing from the last page of the previous chunk', async () => {
+      const count = await metricsCollector.backfill({ from: '2023-01-01', to: '2023-01-15' });
+
+      expect(count).toBe(2);
+      expect(mockGitHubClient.waitForRateLimit).toHaveBeenCalledTimes(2);
+      expect(mockGitHubClient.fetchPullRequestsInRange.mock.calls.map(([, , from, to, , options]) =>
+        [from.toISOString(), to.toISOString(), options.startPage]
+      )).toEqual([
+        ['2023-01-06T00:00:00.000Z', '2023-01-15T23:59:59.999Z', 1],
+        ['2023-01-01T00:00:00.000Z', '2023-01-05T23:59:59.999Z', 2]
+      ]);
+      expect(mockBigQueryClient.uploadMetrics).toHaveBeenCalledWith('test_dataset', 'pr_merge', [
+        { metricType: 'time_to_merge', repository: 'owner/repo', prNumber: 10 }
+      ]);
+      expect(mockBigQueryClient.uploadMetrics).toHaveBeenCalledWith('test_dataset', 'pr_merge', [
+        { metricType: 'time_to_merge', repository: 'owner/repo', prNumber: 20 }
+      ]);
+      expect(fs.existsSync(checkpointPath)).toBe(false);
+    });
+
+    test('should save progress and resume after an interruption', async () => {
+      mockGitHubClient.fetchPullRequestsInRange.mockImplementationOnce(async (owner, repo, from, to, targetBranch, { onPage }) => {
+        await onPage([{ number: 10 }], 1);
+        await onPage([{ number: 11 }], 2);
+        throw new Error('Network error');
+      });
+
+      await expect(metricsCollector.backfill({ from: '2023-01-01', to: '2023-01-15' })).rejects.toThrow('Network error');
+
+      expect(JSON.parse(fs.readFileSync(checkpointPath, 'utf8')).repositories).toEqual({
+        'owner/repo': { chunk: 0, page: 3, pullRequestsDone: false, done: false }
+      });
+
+      mockGitHubClient.fetchPullRequestsInRange.mockClear();
+      mockBigQueryClient.uploadMetrics.mockClear();
+      await metricsCollector.backfill({ from: '2023-01-01', to: '2023-01-15' });
+
+      // The pages written before the interruption are not written again
+      expect(mockGitHubClient.fetchPullRequestsInRange.mock.calls[0][5].startPage).toBe(3);
+      expect(mockGitHubClient.fetchPullRequestsInRange).toHaveBeenCalledTimes(2);
+      const uploaded = mockBigQueryClient.uploadMetrics.mock.calls.flatMap(([, , metrics]) => metrics.map(metric => metric.prNumber));
+      expect(uploaded).not.toContain(10);
+      expect(uploaded).not.toContain(11);
+    });
+
+    test('should not fetch the PRs of a chunk again when it was interrupted while collecting issues', async () => {
+      metricsCollector.config.metrics.timeToQAReady = { enabled: true, tableName: 'issue_qa_ready' };
+      metricsCollector.collectIssueMetrics = jest.fn()
+        .mockRejectedValueOnce(new Error('Network error'))
+        .mockResolvedValue([]);
+
+      await expect(metricsCollector.backfill({ from: '2023-01-01', to: '2023-01-05' })).rejects.toThrow('Network error');
+
+      expect(JSON.parse(fs.readFileSync(checkpointPath, 'utf8')).repositories).toEqual({
+        'owner/repo': { chunk: 0, page: 2, pullRequestsDone: true, done: false }
+      });
+
+      mockGitHubClient.fetchPullRequestsInRange.mockClear();
+      await metricsCollector.backfill({ from: '2023-01-01', to: '2023-01-05' });
+
+      expect(mockGitHubClient.fetchPullRequestsInRange).not.toHaveBeenCalled();
+      expect(metricsCollector.collectIssueMetrics).toHaveBeenCalledTimes(2);
+    });
+
+    test('should skip repositories that were already backfilled', async () => {
+      fs.writeFileSync(checkpointPath, JSON.stringify({
+        from: '2023-01-01',
+        to: '2023-01-15',
+        chunkDays: 10,
+        repositories: { 'owner/repo': { chunk: 2, page: 4, done: true } }
+      }));
+
+      const count = await metricsCollector.backfill({ from: '2023-01-01', to: '2023-01-15' });
+
+      expect(count).toBe(0);
+      expect(mockGitHubClient.fetchPullRequestsInRange).not.toHaveBeenCalled();
+    });
+
+    test('should print metrics in print-only mode', async () => {
+      metricsCollector.config.printOnly = true;
+      metricsCollector.printMetrics = jest.fn();
+
+      await metricsCollector.backfill({ from: '2023-01-01', to: '2023-01-05' });
+
+      expect(metricsCollector.printMetrics).toHaveBeenCalledTimes(1);
+      expect(mockBigQueryClient.uploadMetrics).not.toHaveBeenCalled();
+    });
+
+    test('should repair skipped metrics over a date range in backfill chunks', async () => {
+      mockBigQueryClient.findSkippedMetrics.mockImplementation((datasetId, tableId, metrics) =>
+        metrics.filter(metric => metric.prNumber === 20)
+      );
+
+      const repaired = await metricsCollector.repair({ from: '2023-01-01', to: '2023-01-15' });
+
+      expect(mockGitHubClient.waitForRateLimit).toHaveBeenCalledTimes(2);
+      expect(mockGitHubClient.fetchPullRequestsInRange.mock.calls.map(([, , from, to, , options]) =>
+        [from.toISOString(), to.toISOString(), options.startPage]
+      )).toEqual([
+        ['2023-01-06T00:00:00.000Z', '2023-01-15T23:59:59.999Z', 1],
+        ['2023-01-01T00:00:00.000Z', '2023-01-05T23:59:59.999Z', 2]
+      ]);
+      expect(mockBigQueryClient.uploadMetrics).toHaveBeenCalledTimes(1);
+      expect(mockBigQueryClient.uploadMetrics).toHaveBeenCalledWith('test_dataset', 'pr_merge', [
+        { metricType: 'time_to_merge', repository: 'owner/repo', prNumber: 20 }
+      ]);
+      expect(repaired).toEqual([{ metricType: 'time_to_merge', repository: 'owner/repo', prNumber: 20 }]);
+      expect(fs.existsSync(checkpointPath)).toBe(false);
+    });
+
+    test('should reject an incomplete repair range', async () => {
+      await expect(metricsCollector.repair({ from: '2023-01-01' })).rejects.toThrow('Invalid --to date');
+
+      expect(metricsCollector.initialize).not.toHaveBeenCalled();
+    });
+  });
+
   describe('getMetricTypeDisplayName', () => {
     test('should return correct display names', () => {
       expect(metricsCollector.getMetricTypeDisplayName('time_to_first_review')).toBe('Time to First Review');
       expect(metricsCollector.getMetricTypeDisplayName('time_to_merge')).toBe('Time to Merge');
+      expect(metricsCollector.getMetricTypeDisplayName('time_to_qa_ready')).toBe('Time to QA Ready');
+      expect(metricsCollector.getMetricTypeDisplayName('time_to_production_ready')).toBe('Time to Production Ready');
       expect(metricsCollector.getMetricTypeDisplayName('unknown_type')).toBe('unknown_type');
     });
   });
@@ -318,4 +1021,72 @@ describe('MetricsCollector', () => {
       expect(metricsCollector.getTimeFieldForMetricType('unknown_type', {})).toBe(0);
     });
   });
+
+  describe('printing', () => {
+    let logSpy;
+
+    beforeEach(() => {
+      logSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    const mergeMetric = {
+      metricType: 'time_to_merge',
+      repository: 'owner/repo',
+      prNumber: 123,
+      prUrl: 'https://github.com/owner/repo/pull/123',
+      prCreator: 'testuser',
+      readyTime: new Date('2023-05-19T14:00:00Z'),
+      mergeTime: new Date('2023-05-22T10:00:00Z'),
+      mergeTimeSeconds: 72000,
+      mergeElapsedSeconds: 244800,
+      mergeBusinessHoursSeconds: 14400
+    };
+
+    test('printSingleMetric should show wall-clock and business-hours durations', () => {
+      metricsCollector.printSingleMetric(mergeMetric, 1);
+
+      const output = logSpy.mock.calls.map(call => call[0]);
+      expect(output).toContain('    Time to Merge: 20h 0m 0s (72000 seconds)');
+      expect(output).toContain('    Elapsed (wall clock): 68h 0m 0s (244800 seconds)');
+      expect(output).toContain('    Business Hours: 4h 0m 0s (14400 seconds)');
+    });
+
+    test('printMetricTypeSummary should show average wall-clock and business-hours durations', () => {
+      metricsCollector.printMetricTypeSummary('time_to_merge', [
+        mergeMetric,
+        { ...mergeMetric, mergeTimeSeconds: 0, mergeElapsedSeconds: 0, mergeBusinessHoursSeconds: 0 }
+      ]);
+
+      const output = logSpy.mock.calls.map(call => call[0]);
+      expect(output).toContain('Average Time: 10h 0m 0s (36000 seconds)');
+      expect(output).toContain('Average Elapsed Time (wall clock): 34h 0m 0s (122400 seconds)');
+      expect(output).toContain('Average Business Hours Time: 2h 0m 0s (7200 seconds)');
+    });
+
+    test('printMetricTypeSummary should omit durations the metrics do not record', () => {
+      metricsCollector.printMetricTypeSummary('time_to_qa_ready', [{ metricType: 'time_to_qa_ready', qaReadyTimeSeconds: 3600 }]);
+
+      const output = logSpy.mock.calls.map(call => call[0]);
+      expect(output).toContain('Total issues: 1');
+      expect(output.some(line => line.startsWith('Average Elapsed Time'))).toBe(false);
+    });
+
+    test('printMetricTypeSummary should show the distribution with the configured percentiles and user groups', () => {
+      metricsCollector.config.summaryPercentiles = [90];
+      metricsCollector.userGroups = [{ group: 'mdm', username: 'testuser' }];
+
+      metricsCollector.printMetricTypeSummary('time_to_merge', [
+        mergeMetric,
+        { ...mergeMetric, prCreator: 'other', mergeTimeSeconds: 1800 }
+      ]);
+
+      const output = logSpy.mock.calls.map(call => call[0]);
+      expect(output).toContain('Median Time: 0h 30m 0s (1800 seconds)');
+      expect(output).toContain('Percentiles: p90 20h 0m 0s');
+      expect(output).toContain('By repository:');
+      expect(output).toContain('By creator:');
+      expect(output).toContain('  User Group  Count  Median     p90     Min     Max    Mean  Std Dev');
+      expect(output).toContain('  mdm             1  20h 0m  20h 0m  20h 0m  20h 0m  20h 0m       0s');
+    });
+  });
 });
@@ -0,0 +1,200 @@
+/**
+ * Tests for PostgreSQL client module
+ * Runs against a mocked pg pool; see postgres-integration.test.js for a real database.
+ */
+
+import { jest } from '@jest/globals';
+
+// Mock the logger
+const mockLogger = {
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+};
+
+jest.unstable_mockModule('../src/logger.js', () => ({
+  default: mockLogger,
+  ...mockLogger
+}));
+
+// Mock the pg pool; existing columns and user groups are returned by the catalog and user_group queries
+let mockExistingColumns = [];
+let mockExistingUserGroups = [];
+const mockQuery = jest.fn();
+const mockConnection = { query: mockQuery, release: jest.fn() };
+const mockPool = {
+  query: mockQuery,
+  connect: jest.fn().mockResolvedValue(mockConnection),
+  end: jest.fn()
+};
+const mockPoolConstructor = jest.fn(() => mockPool);
+
+jest.unstable_mockModule('pg', () => ({
+  default: { Pool: mockPoolConstructor }
+}));
+
+const { PostgresClient, toColumnDefinition, quoteIdentifier } = await import('../src/postgres-client.js');
+
+const mergeMetric = (prNumber, overrides = {}) => ({
+  metricType: 'time_to_merge',
+  repository: 'owner/repo',
+  prNumber,
+  prUrl: `https://github.com/owner/repo/pull/${prNumber}`,
+  prCreator: 'octocat',
+  targetBranch: 'main',
+  readyTime: new Date('2023-06-12T09:00:00Z'),
+  mergeTime: new Date('2023-06-13T09:00:00Z'),
+  mergeDate: '2023-06-13',
+  mergeTimeSeconds: 86400,
+  ...overrides
+});
+
+const getStatements = () => mockQuery.mock.calls.map(([text]) => text.replace(/\s+/g, ' ').trim());
+
+const findCall = (pattern) => mockQuery.mock.calls.find(([text]) => pattern.test(text));
+
+describe('PostgresClient', () => {
+  let client;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockExistingColumns = [];
+    mockExistingUserGroups = [];
+    mockQuery.mockImplementation(async (text, values) => {
+      if (text.includes('information_schema.columns')) {
+        return { rows: mockExistingColumns.map(column_name => ({ column_name })), rowCount: mockExistingColumns.length };
+      }
+      if (text.startsWith('SELECT "group"')) {
+        return { rows: mockExistingUserGroups, rowCount: mockExistingUserGroups.length };
+      }
+      if (text.includes('INSERT INTO')) {
+        return { rows: [], rowCount: 1 };
+      }
+      return { rows: [], rowCount: 0, values };
+    });
+    client = new PostgresClient({ connectionString: 'postgres://localhost/metrics', schema: 'eng' });
+  });
+
+  test('should map BigQuery fields to PostgreSQL columns', () => {
+    expect(toColumnDefinition({ name: 'pr_number', type: 'INTEGER', mode: 'REQUIRED' })).toBe('"pr_number" BIGINT NOT NULL');
+    expect(toColumnDefinition({ name: 'merge_time', type: 'TIMESTAMP', mode: 'NULLABLE' })).toBe('"merge_time" TIMESTAMPTZ');
+    expect(toColumnDefinition({ name: 'merge_date', type: 'DATE' })).toBe('"merge_date" DATE');
+    expect(() => toColumnDefinition({ name: 'labels', type: 'RECORD' })).toThrow('Unsupported field type RECORD');
+    expect(quoteIdentifier('my"table')).toBe('"my""table"');
+  });
+
+  test('should create the schema, the table and an index on the partition field', async () => {
+    await client.uploadMetrics('pr_merge', [mergeMetric(1)]);
+
+    expect(mockPoolConstructor).toHaveBeenCalledWith({ connectionString: 'postgres://localhost/metrics' });
+    const statements = getStatements();
+    expect(statements[0]).toBe('CREATE SCHEMA IF NOT EXISTS "eng"');
+    const createTable = statements.find(statement => statement.startsWith('CREATE TABLE'));
+    expect(createTable).toContain('CREATE TABLE IF NOT EXISTS "eng"."pr_merge"');
+    expect(createTable).toContain('"merge_time_seconds" BIGINT NOT NULL');
+    expect(createTable).toContain('"merge_date" DATE NOT NULL');
+    expect(createTable).toContain('"updated_at" TIMESTAMPTZ');
+    expect(createTable).toContain('PRIMARY KEY ("repository", "pr_number")');
+    expect(statements).toContain('CREATE INDEX IF NOT EXISTS "pr_merge_merge_time_idx" ON "eng"."pr_merge" ("merge_time")');
+  });
+
+  test('should add missing columns to an existing table as nullable', async () => {
+    mockExistingColumns = ['repository', 'pr_number', 'pr_creator', 'pr_url', 'merge_time', 'merge_date', 'ready_time',
+      'merge_time_seconds', 'target_branch'];
+
+    await client.uploadMetrics('pr_merge', [mergeMetric(1)]);
+
+    const statements = getStatements();
+    expect(statements.some(statement => statement.startsWith('CREATE TABLE'))).toBe(false);
+    const alterTable = statements.find(statement => statement.startsWith('ALTER TABLE'));
+    expect(alterTable).toContain('ADD COLUMN IF NOT EXISTS "updated_at" TIMESTAMPTZ');
+    expect(alterTable).not.toContain('NOT NULL');
+    expect(alterTable).not.toContain('"pr_creator"');
+  });
+
+  test('should prepare each table once per connection', async () => {
+    await client.uploadMetrics('pr_merge', [mergeMetric(1)]);
+    await client.uploadMetrics('pr_merge', [mergeMetric(2)]);
+
+    expect(getStatements().filter(statement => statement.startsWith('CREATE TABLE'))).toHaveLength(1);
+    expect(mockPoolConstructor).toHaveBeenCalledTimes(1);
+  });
+
+  test('should skip existing rows in insert mode', async () => {
+    await client.uploadMetrics('pr_merge', [mergeMetric(1), mergeMetric(2)]);
+
+    const [insert, values] = findCall(/INSERT INTO/);
+    expect(insert).toContain('INSERT INTO "eng"."pr_merge"');
+    expect(insert).toContain('ON CONFLICT DO NOTHING');
+    expect(values).toEqual(expect.arrayContaining([1, 2, 'owner/repo', 86400, '2023-06-13']));
+    expect(getStatements()).toEqual(expect.arrayContaining(['BEGIN', 'COMMIT']));
+    expect(mockConnection.release).toHaveBeenCalled();
+    expect(mockLogger.info).toHaveBeenCalledWith('Successfully uploaded 1 metrics to PostgreSQL', expect.objectContaining({
+      insertedRows: 1,
+      skippedRows: 1
+    }));
+  });
+
+  test('should replace existing rows in upsert mode, once per key', async () => {
+    await client.upsertMetrics('pr_merge', [mergeMetric(1), mergeMetric(1, { mergeTimeSeconds: 60 })]);
+
+    const [upsert, values] = findCall(/INSERT INTO/);
+    expect(upsert).toContain('ON CONFLICT ("repository", "pr_number") DO UPDATE SET');
+    expect(upsert).toContain('"merge_time_seconds" = EXCLUDED."merge_time_seconds"');
+    expect(upsert).not.toContain('"repository" = EXCLUDED');
+    expect(values).toContain(60);
+    expect(values).not.toContain(86400);
+  });
+
+  test('should roll back and release the connection when a write fails', async () => {
+    const error = new Error('connection lost');
+    mockQuery.mockImplementation(async (text) => {
+      if (text.includes('INSERT INTO')) {
+        throw error;
+      }
+      return { rows: [], rowCount: 0 };
+    });
+
+    await expect(client.uploadMetrics('pr_merge', [mergeMetric(1)])).rejects.toThrow('connection lost');
+
+    expect(getStatements()).toContain('ROLLBACK');
+    expect(getStatements()).not.toContain('COMMIT');
+    expect(mockConnection.release).toHaveBeenCalled();
+    expect(mockLogger.error).toHaveBeenCalledWith('Error uploading metrics to PostgreSQL eng.pr_merge', error);
+  });
+
+  test('should sync user groups differentially', async () => {
+    mockExistingUserGroups = [
+      { group: 'backend', username: 'alice' },
+      { group: 'frontend', username: 'bob' }
+    ];
+
+    await client.syncUserGroups([
+      { group: 'backend', username: 'alice' },
+      { group: 'frontend', username: 'carol' }
+    ]);
+
+    expect(getStatements()).toContain(
+      'CREATE TABLE IF NOT EXISTS "eng"."user_group" ( "group" TEXT NOT NULL, "username" TEXT NOT NULL, PRIMARY KEY ("group", "username") )'
+    );
+    expect(findCall(/^DELETE FROM "eng"."user_group"/)[1]).toEqual([['frontend'], ['bob']]);
+    expect(findCall(/^INSERT INTO "eng"."user_group"/)[1]).toEqual([['frontend'], ['carol']]);
+    expect(mockLogger.info).toHaveBeenCalledWith('Differential sync: 1 to insert, 1 to delete');
+  });
+
+  test('should leave user groups alone when none are given', async () => {
+    await client.syncUserGroups([]);
+
+    expect(mockQuery).not.toHaveBeenCalled();
+    expect(mockLogger.warn).toHaveBeenCalledWith('No user groups to sync');
+  });
+
+  test('should close the pool', async () => {
+    await client.uploadMetrics('pr_merge', [mergeMetric(1)]);
+    await client.close();
+    await client.close();
+
+    expect(mockPool.end).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,79 @@
+/**
+ * Tests for Prometheus exposition module
+ */
+
+import { escapeLabelValue, renderOpenMetrics } from '../src/prometheus.js';
+
+const mergeMetric = (prNumber, mergeTimeSeconds, overrides = {}) => ({
+  metricType: 'time_to_merge',
+  repository: 'owner/repo',
+  prNumber,
+  prCreator: 'alice',
+  targetBranch: 'main',
+  mergeTimeSeconds,
+  ...overrides
+});
+
+describe('prometheus', () => {
+  describe('renderOpenMetrics', () => {
+    test('should render a histogram and a summary per metric type and label set', () => {
+      const text = renderOpenMetrics([mergeMetric(1, 1800), mergeMetric(2, 7200), mergeMetric(3, 90000)], { buckets: [3600, 86400] });
+
+      expect(text.split('\n')).toEqual([
+        '# TYPE eng_metrics_time_to_merge_seconds histogram',
+        '# UNIT eng_metrics_time_to_merge_seconds seconds',
+        '# HELP eng_metrics_time_to_merge_seconds Time to Merge of collected pull requests.',
+        'eng_metrics_time_to_merge_seconds_bucket{repository="owner/repo",target_branch="main",user_group="none",le="3600.0"} 1',
+        'eng_metrics_time_to_merge_seconds_bucket{repository="owner/repo",target_branch="main",user_group="none",le="86400.0"} 2',
+        'eng_metrics_time_to_merge_seconds_bucket{repository="owner/repo",target_branch="main",user_group="none",le="+Inf"} 3',
+        'eng_metrics_time_to_merge_seconds_sum{repository="owner/repo",target_branch="main",user_group="none"} 99000',
+        'eng_metrics_time_to_merge_seconds_count{repository="owner/repo",target_branch="main",user_group="none"} 3',
+        '# TYPE eng_metrics_time_to_merge_summary_seconds summary',
+        '# UNIT eng_metrics_time_to_merge_summary_seconds seconds',
+        '# HELP eng_metrics_time_to_merge_summary_seconds Time to Merge quantiles of collected pull requests.',
+        'eng_metrics_time_to_merge_summary_seconds{repository="owner/repo",target_branch="main",user_group="none",quantile="0.5"} 7200',
+        'eng_metrics_time_to_merge_summary_seconds{repository="owner/repo",target_branch="main",user_group="none",quantile="0.9"} 90000',
+        'eng_metrics_time_to_merge_summary_seconds{repository="owner/repo",target_branch="main",user_group="none",quantile="0.99"} 90000',
+        'eng_metrics_time_to_merge_summary_seconds_sum{repository="owner/repo",target_branch="main",user_group="none"} 99000',
+        'eng_metrics_time_to_merge_summary_seconds_count{repository="owner/repo",target_branch="main",user_group="none"} 3',
+        '# EOF',
+        ''
+      ]);
+    });
+
+    test('should count a metric once in each of its author\'s user groups', () => {
+      const userGroups = [
+        { group: 'mdm', username: 'Alice' },
+        { group: 'engineering', username: 'alice' },
+        { group: 'engineering', username: 'bob' }
+      ];
+      const text = renderOpenMetrics([
+        mergeMetric(1, 3600),
+        mergeMetric(2, 7200, { prCreator: 'bob', targetBranch: 'release-1' }),
+        { ...mergeMetric(3, 60, { prCreator: 'carol' }), metricType: 'time_to_first_review', pickupTimeSeconds: 60 }
+      ], { userGroups });
+
+      const counts = text.split('\n').filter(line => line.startsWith('eng_metrics_time_to_merge_seconds_count'));
+      expect(counts).toEqual([
+        'eng_metrics_time_to_merge_seconds_count{repository="owner/repo",target_branch="main",user_group="engineering"} 1',
+        'eng_metrics_time_to_merge_seconds_count{repository="owner/repo",target_branch="main",user_group="mdm"} 1',
+        'eng_metrics_time_to_merge_seconds_count{repository="owner/repo",target_branch="release-1",user_group="engineering"} 1'
+      ]);
+      expect(text).toContain('eng_metrics_time_to_first_review_seconds_count{repository="owner/repo",target_branch="main",user_group="none"} 1');
+      expect(text.indexOf('time_to_first_review')).toBeLessThan(text.indexOf('time_to_merge'));
+    });
+
+    test('should skip issue metrics and metrics without a duration', () => {
+      const text = renderOpenMetrics([
+        { metricType: 'time_to_qa_ready', repository: 'owner/repo', issueNumber: 1, qaReadyTimeSeconds: 60 },
+        mergeMetric(2, undefined)
+      ]);
+
+      expect(text).toBe('# EOF\n');
+    });
+  });
+
+  test('should escape label values', () => {
+    expect(escapeLabelValue('a"b\\c\nd')).toBe('a\\"b\\\\c\\nd');
+  });
+});
@@ -0,0 +1,122 @@
+/**
+ * Tests for repository configuration module
+ */
+
+import {
+  getRepositoryName,
+  normalizeRepositories,
+  getRepositoryConfig,
+  describeRepositoryConfig,
+  getApiBranchFilter,
+  matchesTargetBranch,
+  isValidTargetBranch
+} from '../src/repository-config.js';
+
+describe('repository-config', () => {
+  describe('normalizeRepositories', () => {
+    test('should split repository entries into names and overrides', () => {
+      const result = normalizeRepositories([
+        'owner/repo1',
+        { name: 'owner/repo2', targetBranch: ['main', 'rc-minor-*'] }
+      ]);
+
+      expect(result).toEqual({
+        repositories: ['owner/repo1', 'owner/repo2'],
+        repositoryOverrides: { 'owner/repo2': { targetBranch: ['main', 'rc-minor-*'] } }
+      });
+    });
+
+    test('should get the name of string and object entries', () => {
+      expect(getRepositoryName('owner/repo')).toBe('owner/repo');
+      expect(getRepositoryName({ name: 'owner/repo' })).toBe('owner/repo');
+    });
+  });
+
+  describe('getRepositoryConfig', () => {
+    test('should apply the repository overrides over the global settings', () => {
+      const config = {
+        targetBranch: 'main',
+        lookbackDays: 5,
+        repositoryOverrides: { 'owner/repo2': { targetBranch: 'master' } }
+      };
+
+      expect(getRepositoryConfig(config, 'owner/repo1').targetBranch).toBe('main');
+      expect(getRepositoryConfig(config, 'owner/repo2')).toEqual(expect.objectContaining({ targetBranch: 'master', lookbackDays: 5 }));
+    });
+
+    test('should match repository overrides case-insensitively', () => {
+      const config = {
+        targetBranch: 'main',
+        repositoryOverrides: { 'Owner/Repo2': { targetBranch: 'master' } }
+      };
+
+      expect(getRepositoryConfig(config, 'owner/repo2').targetBranch).toBe('master');
+    });
+  });
+
+  describe('per-repository metrics', () => {
+    const config = {
+      targetBranch: 'main',
+      lookbackDays: 5,
+      excludeBotReviews: true,
+      metrics: {
+        timeToFirstReview: { enabled: true, tableName: 'pr_first_review' },
+        timeToMerge: { enabled: true, tableName: 'pr_merge' }
+      },
+      repositoryOverrides: {
+        'owner/docs': { targetBranch: 'master', metrics: { timeToFirstReview: { enabled: false } } }
+      }
+    };
+
+    test('should merge metric overrides per metric and keep table names', () => {
+      expect(getRepositoryConfig(config, 'owner/docs').metrics).toEqual({
+        timeToFirstReview: { enabled: false, tableName: 'pr_first_review' },
+        timeToMerge: { enabled: true, tableName: 'pr_merge' }
+      });
+      expect(config.metrics.timeToFirstReview.enabled).toBe(true);
+    });
+
+    test('should describe the effective repository configuration', () => {
+      expect(describeRepositoryConfig(config, 'owner/docs')).toEqual({
+        targetBranch: 'master',
+        lookbackDays: 5,
+        excludeBotReviews: true,
+        enabledMetrics: ['timeToMerge']
+      });
+    });
+  });
+
+  describe('matchesTargetBranch', () => {
+    test.each([
+      ['main', 'main', true],
+      ['main', 'master', false],
+      ['rc-minor-fleetd-v1.40.0', ['main', 'rc-minor-*', 'rc-patch-*'], true],
+      ['rc-patch-fleet-v4.67.1', ['main', 'rc-minor-*', 'rc-patch-*'], true],
+      ['feature/rc-minor-x', ['main', 'rc-minor-*'], false],
+      ['release/1.0', 'release/*', true],
+      ['v1.2', 'v?.?', true],
+      ['v1x2', 'v1.2', false]
+    ])('should match %s against %j: %s', (branch, targetBranch, expected) => {
+      expect(matchesTargetBranch(branch, targetBranch)).toBe(expected);
+    });
+  });
+
+  describe('getApiBranchFilter', () => {
+    test('should only filter in the API for a single branch name', () => {
+      expect(getApiBranchFilter('main')).toBe('main');
+      expect(getApiBranchFilter(['main'])).toBe('main');
+      expect(getApiBranchFilter('rc-minor-*')).toBeNull();
+      expect(getApiBranchFilter(['main', 'develop'])).toBeNull();
+    });
+  });
+
+  describe('isValidTargetBranch', () => {
+    test('should accept branch names, patterns and lists of them', () => {
+      expect(isValidTargetBranch('main')).toBe(true);
+      expect(isValidTargetBranch(['main', 'rc-*'])).toBe(true);
+      expect(isValidTargetBranch([])).toBe(false);
+      expect(isValidTargetBranch(['main', ''])).toBe(false);
+      expect(isValidTargetBranch(42)).toBe(false);
+    });
+  });
+});
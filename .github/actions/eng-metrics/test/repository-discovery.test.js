@@ -0,0 +1,70 @@
+/**
+ * Tests for repository discovery module
+ */
+
+import { jest } from '@jest/globals';
+import {
+  getOrganizationSettings,
+  getDropReason,
+  discoverRepositories
+} from '../src/repository-discovery.js';
+
+describe('repository-discovery', () => {
+  const repository = (name, overrides = {}) => ({
+    name,
+    full_name: `acme/${name}`,
+    archived: false,
+    fork: false,
+    topics: [],
+    ...overrides
+  });
+
+  describe('getOrganizationSettings', () => {
+    test('should accept organization names and objects', () => {
+      expect(getOrganizationSettings('acme')).toEqual({ name: 'acme' });
+      expect(getOrganizationSettings({ name: 'acme', include: ['api-*'] })).toEqual({ name: 'acme', include: ['api-*'] });
+    });
+  });
+
+  describe('getDropReason', () => {
+    test('should skip archived repositories and forks unless included', () => {
+      expect(getDropReason(repository('old', { archived: true }), {})).toBe('archived');
+      expect(getDropReason(repository('old', { archived: true }), { includeArchived: true })).toBeNull();
+      expect(getDropReason(repository('copy', { fork: true }), {})).toBe('fork');
+      expect(getDropReason(repository('copy', { fork: true }), { includeForks: true })).toBeNull();
+    });
+
+    test('should match include and exclude patterns case-insensitively', () => {
+      const settings = { include: ['api-*', 'Web'], exclude: ['*-legacy'] };
+
+      expect(getDropReason(repository('API-gateway'), settings)).toBeNull();
+      expect(getDropReason(repository('web'), settings)).toBeNull();
+      expect(getDropReason(repository('docs'), settings)).toBe('not included');
+      expect(getDropReason(repository('api-legacy'), settings)).toBe('excluded');
+    });
+
+    test('should require at least one of the topics', () => {
+      const settings = { topics: ['metrics', 'backend'] };
+
+      expect(getDropReason(repository('api', { topics: ['backend', 'go'] }), settings)).toBeNull();
+      expect(getDropReason(repository('web', { topics: ['frontend'] }), settings)).toBe('no matching topic');
+      expect(getDropReason(repository('docs', { topics: undefined }), settings)).toBe('no matching topic');
+    });
+  });
+
+  describe('discoverRepositories', () => {
+    test('should return the picked up repositories of each organization', async () => {
+      const githubClient = {
+        fetchOrganizationRepositories: jest.fn(async org => (org === 'acme'
+          ? [repository('web'), repository('api'), repository('old', { archived: true })]
+          : [{ name: 'tool', full_name: 'other/tool', archived: false, fork: false }]))
+      };
+
+      const result = await discoverRepositories(githubClient, ['acme', { name: 'other' }]);
+
+      expect(result).toEqual(['acme/api', 'acme/web', 'other/tool']);
+      expect(githubClient.fetchOrganizationRepositories).toHaveBeenCalledWith('acme');
+      expect(githubClient.fetchOrganizationRepositories).toHaveBeenCalledWith('other');
+    });
+  });
+});
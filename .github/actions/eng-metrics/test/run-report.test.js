@@ -0,0 +1,157 @@
+/**
+ * Tests for run report module
+ */
+
+import { jest } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// Mock the logger
+const mockLogger = {
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+};
+
+jest.unstable_mockModule('../src/logger.js', () => ({
+  default: mockLogger,
+  ...mockLogger
+}));
+
+const { buildRunReport, writeRunReport, escapeCell, DEFAULT_REPORT_FILEPATH } = await import('../src/run-report.js');
+
+const pullRequestMetric = (metricType, prNumber, seconds, overrides = {}) => ({
+  metricType,
+  repository: 'owner/repo',
+  prNumber,
+  prUrl: `https://github.com/owner/repo/pull/${prNumber}`,
+  prCreator: 'alice',
+  targetBranch: 'main',
+  [metricType === 'time_to_merge' ? 'mergeTimeSeconds' : 'pickupTimeSeconds']: seconds,
+  ...overrides
+});
+
+describe('run report', () => {
+  const metrics = [
+    pullRequestMetric('time_to_first_review', 1, 3600),
+    pullRequestMetric('time_to_first_review', 2, 7200, { prCreator: 'bob' }),
+    pullRequestMetric('time_to_merge', 1, 86400),
+    pullRequestMetric('time_to_merge', 3, 1800, { repository: 'owner/other', prUrl: 'https://github.com/owner/other/pull/3' })
+  ];
+
+  describe('buildRunReport', () => {
+    test('should count metrics per repository, including repositories without metrics', () => {
+      const report = buildRunReport(metrics, { repositories: ['owner/repo', 'owner/other', 'owner/quiet'] });
+
+      expect(report).toContain('Collected 4 metrics from 3 repositories.');
+      expect(report).toContain([
+        '| Repository | Time to First Review | Time to Merge |',
+        '|---|---:|---:|',
+        '| owner/other | 0 | 1 |',
+        '| owner/quiet | 0 | 0 |',
+        '| owner/repo | 2 | 1 |'
+      ].join('\n'));
+    });
+
+    test('should show p50, p75 and p90 durations per metric type', () => {
+      const report = buildRunReport(metrics);
+
+      expect(report).toContain([
+        '| Metric | Count | p50 | p75 | p90 |',
+        '|---|---:|---:|---:|---:|',
+        '| Time to First Review | 2 | 1h 0m 0s | 2h 0m 0s | 2h 0m 0s |',
+        '| Time to Merge | 2 | 0h 30m 0s | 24h 0m 0s | 24h 0m 0s |'
+      ].join('\n'));
+    });
+
+    test('should list the slowest PRs with links, slowest first', () => {
+      const report = buildRunReport(metrics);
+
+      expect(report).toContain('## Slowest PRs');
+      expect(report).toContain([
+        '### Time to Merge',
+        '',
+        '| PR | Author | Time to Merge |',
+        '|---|---|---:|',
+        '| [owner/repo#1](https://github.com/owner/repo/pull/1) | @alice | 24h 0m 0s |',
+        '| [owner/other#3](https://github.com/owner/other/pull/3) | @alice | 0h 30m 0s |'
+      ].join('\n'));
+    });
+
+    test('should break durations down by user group', () => {
+      const report = buildRunReport(metrics, {
+        userGroups: [{ group: 'mdm', username: 'Alice' }, { group: 'engineering', username: 'alice' }]
+      });
+
+      expect(report).toContain([
+        '## User groups',
+        '',
+        '| Group | Metric | Count | p50 | p75 | p90 |',
+        '|---|---|---:|---:|---:|---:|',
+        '| engineering | Time to First Review | 1 | 1h 0m 0s | 1h 0m 0s | 1h 0m 0s |',
+        '| mdm | Time to First Review | 1 | 1h 0m 0s | 1h 0m 0s | 1h 0m 0s |',
+        '| none | Time to First Review | 1 | 2h 0m 0s | 2h 0m 0s | 2h 0m 0s |',
+        '| engineering | Time to Merge | 2 | 0h 30m 0s | 24h 0m 0s | 24h 0m 0s |',
+        '| mdm | Time to Merge | 2 | 0h 30m 0s | 24h 0m 0s | 24h 0m 0s |'
+      ].join('\n'));
+      expect(buildRunReport(metrics)).not.toContain('## User groups');
+    });
+
+    test('should mention print-only mode, failed repositories and empty runs', () => {
+      const report = buildRunReport([], { repositories: ['owner/repo'], failedRepositories: ['owner/repo'], printOnly: true });
+
+      expect(report).toBe([
+        '# Engineering metrics',
+        '',
+        'Collected 0 metrics from 1 repositories (print-only mode, nothing was stored).',
+        '',
+        '**Repositories with errors:** owner/repo. Their metrics may be incomplete.',
+        '',
+        'No metrics were collected.',
+        ''
+      ].join('\n'));
+    });
+
+    test('should escape table cells', () => {
+      expect(escapeCell('a|b\nc')).toBe('a\\|b c');
+    });
+  });
+
+  describe('writeRunReport', () => {
+    let directory;
+    const originalCwd = process.cwd();
+
+    beforeEach(() => {
+      directory = fs.mkdtempSync(path.join(os.tmpdir(), 'run-report-test-'));
+      process.chdir(directory);
+    });
+
+    afterEach(() => {
+      process.chdir(originalCwd);
+      delete process.env.GITHUB_STEP_SUMMARY;
+      fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    test('should append to the GitHub Actions job summary', () => {
+      process.env.GITHUB_STEP_SUMMARY = path.join(directory, 'summary.md');
+      fs.writeFileSync(process.env.GITHUB_STEP_SUMMARY, 'Earlier step\n');
+
+      const written = writeRunReport({}, '# Report\n');
+
+      expect(written).toEqual([process.env.GITHUB_STEP_SUMMARY]);
+      expect(fs.readFileSync(process.env.GITHUB_STEP_SUMMARY, 'utf8')).toBe('Earlier step\n# Report\n');
+    });
+
+    test('should write a file in print-only mode or when a report file is configured', () => {
+      expect(writeRunReport({}, '# Report\n')).toEqual([]);
+
+      writeRunReport({ printOnly: true }, '# Report\n');
+      writeRunReport({ reportFilepath: 'reports/run.md' }, '# Other\n');
+
+      expect(fs.readFileSync(path.join(directory, DEFAULT_REPORT_FILEPATH), 'utf8')).toBe('# Report\n');
+      expect(fs.readFileSync(path.join(directory, 'reports/run.md'), 'utf8')).toBe('# Other\n');
+    });
+  });
+});
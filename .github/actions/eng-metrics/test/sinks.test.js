@@ -0,0 +1,284 @@
+/**
+ * Tests for output sinks module
+ */
+
+import { jest } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import Database from 'better-sqlite3';
+
+// Mock the logger
+const mockLogger = {
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+};
+
+jest.unstable_mockModule('../src/logger.js', () => ({
+  default: mockLogger,
+  ...mockLogger
+}));
+
+const {
+  getSinkSettings,
+  usesBigQuerySink,
+  toCsvField,
+  ConsoleSink,
+  BigQuerySink,
+  NdjsonSink,
+  CsvSink,
+  SqliteSink,
+  PostgresSink,
+  PrometheusSink,
+  createSinks
+} = await import('../src/sinks.js');
+
+const mergeMetric = (prNumber, overrides = {}) => ({
+  metricType: 'time_to_merge',
+  repository: 'owner/repo',
+  prNumber,
+  prUrl: `https://github.com/owner/repo/pull/${prNumber}`,
+  prCreator: 'octocat',
+  targetBranch: 'main',
+  readyTime: new Date('2023-06-12T09:00:00Z'),
+  mergeTime: new Date('2023-06-13T09:00:00Z'),
+  mergeDate: '2023-06-13',
+  mergeTimeSeconds: 86400,
+  ...overrides
+});
+
+describe('sinks', () => {
+  const config = {
+    metrics: {
+      timeToMerge: { enabled: true, tableName: 'pr_merge' }
+    }
+  };
+  let directory;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'sinks-test-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  describe('getSinkSettings', () => {
+    test('should upload to BigQuery by default', () => {
+      expect(getSinkSettings({})).toEqual([{ type: 'bigquery' }]);
+      expect(usesBigQuerySink({})).toBe(true);
+    });
+
+    test('should only print in print-only mode', () => {
+      expect(getSinkSettings({ printOnly: true, sinks: ['bigquery', 'csv'] })).toEqual([{ type: 'console' }]);
+      expect(usesBigQuerySink({ printOnly: true })).toBe(false);
+    });
+
+    test('should accept sink types and objects', () => {
+      const sinks = ['ndjson', { type: 'sqlite', directory: './data' }];
+
+      expect(getSinkSettings({ sinks })).toEqual([{ type: 'ndjson' }, { type: 'sqlite', directory: './data' }]);
+      expect(usesBigQuerySink({ sinks })).toBe(false);
+    });
+  });
+
+  describe('createSinks', () => {
+    test('should create a sink per setting, with the default directory from sinkDirectory', () => {
+      const collector = {};
+      const sinks = createSinks({ ...config, sinkDirectory: directory, sinks: ['bigquery', 'console', 'csv', { type: 'ndjson', directory: './out' }] }, collector);
+
+      expect(sinks[0]).toBeInstanceOf(BigQuerySink);
+      expect(sinks[1]).toBeInstanceOf(ConsoleSink);
+      expect(sinks[2]).toBeInstanceOf(CsvSink);
+      expect(sinks[2].directory).toBe(directory);
+      expect(sinks[3]).toBeInstanceOf(NdjsonSink);
+      expect(sinks[3].directory).toBe(path.resolve(process.cwd(), './out'));
+    });
+
+    test('should delegate console and BigQuery output to the collector', async () => {
+      const collector = { printMetrics: jest.fn(), uploadMetrics: jest.fn() };
+      const [bigquerySink, consoleSink] = createSinks({ sinks: ['bigquery', 'console'] }, collector);
+      const metrics = [mergeMetric(1)];
+
+      await bigquerySink.write(metrics);
+      await consoleSink.write(metrics);
+
+      expect(collector.uploadMetrics).toHaveBeenCalledWith(metrics);
+      expect(collector.printMetrics).toHaveBeenCalledWith(metrics);
+    });
+
+    test('should pass the connection settings to the postgres sink', () => {
+      const [fromEnv, fromSettings] = createSinks({
+        postgresUrl: 'postgres://localhost/metrics',
+        postgresSchema: 'eng',
+        sinks: ['postgres', { type: 'postgres', connectionString: 'postgres://db/other', schema: 'team' }]
+      }, {});
+
+      expect(fromEnv).toBeInstanceOf(PostgresSink);
+      expect(fromEnv.client).toEqual(expect.objectContaining({ connectionString: 'postgres://localhost/metrics', schema: 'eng' }));
+      expect(fromSettings.client).toEqual(expect.objectContaining({ connectionString: 'postgres://db/other', schema: 'team' }));
+      expect(createSinks({ sinks: ['postgres'] }, {})[0].client.schema).toBe('public');
+    });
+
+    test('should reject unknown sink types', () => {
+      expect(() => createSinks({ sinks: ['parquet'] }, {})).toThrow('Unknown sink type: parquet');
+    });
+  });
+
+  describe('NdjsonSink', () => {
+    test('should append one JSON row per line to a file per table', async () => {
+      const sink = new NdjsonSink(config, directory);
+
+      await sink.write([mergeMetric(1)]);
+      await sink.write([mergeMetric(2)]);
+
+      const rows = fs.readFileSync(path.join(directory, 'pr_merge.ndjson'), 'utf8').trim().split('\n').map(line => JSON.parse(line));
+      expect(rows.map(row => row.pr_number)).toEqual([1, 2]);
+      expect(rows[0]).toEqual(expect.objectContaining({
+        repository: 'owner/repo',
+        merge_time_seconds: 86400,
+        ready_time: '2023-06-12T09:00:00.000Z',
+        algorithm_version: '1'
+      }));
+    });
+  });
+
+  describe('CsvSink', () => {
+    test('should write a header once and append rows in schema order', async () => {
+      const sink = new CsvSink(config, directory);
+
+      await sink.write([mergeMetric(1, { prCreator: 'a,b' })]);
+      await sink.write([mergeMetric(2)]);
+
+      const lines = fs.readFileSync(path.join(directory, 'pr_merge.csv'), 'utf8').trim().split('\n');
+      expect(lines).toHaveLength(3);
+      expect(lines[0]).toMatch(/^merge_date,pr_creator,pr_url,merge_time_seconds,repository,pr_number,/);
+      expect(lines[0]).toMatch(/,calendar_version,algorithm_version,updated_at$/);
+      expect(lines[1]).toMatch(/^2023-06-13,"a,b",https:\/\/github.com\/owner\/repo\/pull\/1,86400,owner\/repo,1,main,/);
+    });
+
+    test('should refuse to append to a file with different columns', async () => {
+      fs.writeFileSync(path.join(directory, 'pr_merge.csv'), 'pr_number,repository\n');
+      const sink = new CsvSink(config, directory);
+
+      await expect(sink.write([mergeMetric(1)])).rejects.toThrow('has different columns');
+    });
+
+    test('should quote fields with separators, quotes and line breaks', () => {
+      expect(toCsvField('plain')).toBe('plain');
+      expect(toCsvField('say "hi"')).toBe('"say ""hi"""');
+      expect(toCsvField('a\nb')).toBe('"a\nb"');
+      expect(toCsvField(null)).toBe('');
+      expect(toCsvField(undefined)).toBe('');
+      expect(toCsvField(42)).toBe('42');
+    });
+  });
+
+  describe('PostgresSink', () => {
+    test('should write each table in the configured upload mode', async () => {
+      const sink = new PostgresSink({ ...config, uploadMode: 'upsert' });
+      sink.client = { uploadMetrics: jest.fn(), upsertMetrics: jest.fn(), syncUserGroups: jest.fn(), close: jest.fn() };
+      const metrics = [mergeMetric(1), mergeMetric(2)];
+      const userGroups = [{ group: 'backend', username: 'alice' }];
+
+      await sink.write(metrics);
+      await sink.syncUserGroups(userGroups);
+      await sink.close();
+
+      expect(sink.client.upsertMetrics).toHaveBeenCalledWith('pr_merge', metrics);
+      expect(sink.client.uploadMetrics).not.toHaveBeenCalled();
+      expect(sink.client.syncUserGroups).toHaveBeenCalledWith(userGroups);
+      expect(sink.client.close).toHaveBeenCalled();
+    });
+  });
+
+  describe('PrometheusSink', () => {
+    const collector = { userGroups: [{ group: 'mdm', username: 'octocat' }] };
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    test('should replace the textfile with every metric written in the run', async () => {
+      const sink = new PrometheusSink(collector, { directory });
+
+      await sink.write([mergeMetric(1)]);
+      await sink.write([mergeMetric(2)]);
+
+      const text = fs.readFileSync(path.join(directory, 'eng_metrics.prom'), 'utf8');
+      expect(text).toContain('eng_metrics_time_to_merge_seconds_count{repository="owner/repo",target_branch="main",user_group="mdm"} 2');
+      expect(text.endsWith('# EOF\n')).toBe(true);
+      expect(fs.readdirSync(directory)).toEqual(['eng_metrics.prom']);
+    });
+
+    test('should push to the Pushgateway job instead of writing a file', async () => {
+      const fetchMock = jest.spyOn(global, 'fetch').mockResolvedValue({ ok: true });
+      const [sink] = createSinks({
+        sinkDirectory: directory,
+        prometheusPushgatewayUrl: 'http://pushgateway:9091/',
+        sinks: [{ type: 'prometheus', job: 'eng metrics' }]
+      }, collector);
+
+      await sink.write([mergeMetric(1)]);
+
+      expect(fetchMock).toHaveBeenCalledWith('http://pushgateway:9091/metrics/job/eng%20metrics', expect.objectContaining({
+        method: 'PUT',
+        body: expect.stringContaining('eng_metrics_time_to_merge_summary_seconds_count')
+      }));
+      expect(fs.readdirSync(directory)).toEqual([]);
+    });
+
+    test('should fail when the Pushgateway rejects the metrics', async () => {
+      jest.spyOn(global, 'fetch').mockResolvedValue({ ok: false, status: 400, text: async () => 'text format parsing error' });
+      const sink = new PrometheusSink(collector, { pushgatewayUrl: 'http://pushgateway:9091' });
+
+      await expect(sink.write([mergeMetric(1)])).rejects.toThrow('responded with 400: text format parsing error');
+    });
+  });
+
+  describe('SqliteSink', () => {
+    const readRows = () => {
+      const db = new Database(path.join(directory, 'metrics.sqlite'), { readonly: true });
+      const rows = db.prepare('SELECT pr_number, pr_creator, merge_time_seconds FROM pr_merge ORDER BY pr_number').all();
+      db.close();
+      return rows;
+    };
+
+    test('should keep existing rows in insert mode', async () => {
+      const sink = new SqliteSink(config, directory);
+
+      await sink.write([mergeMetric(1), mergeMetric(2)]);
+      await sink.write([mergeMetric(1, { mergeTimeSeconds: 60 })]);
+      await sink.close();
+
+      expect(readRows()).toEqual([
+        { pr_number: 1, pr_creator: 'octocat', merge_time_seconds: 86400 },
+        { pr_number: 2, pr_creator: 'octocat', merge_time_seconds: 86400 }
+      ]);
+    });
+
+    test('should replace existing rows in upsert mode', async () => {
+      const sink = new SqliteSink({ ...config, uploadMode: 'upsert' }, directory);
+
+      await sink.write([mergeMetric(1)]);
+      await sink.write([mergeMetric(1, { mergeTimeSeconds: 60 })]);
+      await sink.close();
+
+      expect(readRows()).toEqual([{ pr_number: 1, pr_creator: 'octocat', merge_time_seconds: 60 }]);
+    });
+
+    test('should add columns missing from an existing table', async () => {
+      const db = new Database(path.join(directory, 'metrics.sqlite'));
+      db.exec('CREATE TABLE pr_merge (repository TEXT, pr_number INTEGER, pr_creator TEXT, merge_time_seconds INTEGER, PRIMARY KEY (repository, pr_number))');
+      db.close();
+      const sink = new SqliteSink(config, directory);
+
+      await sink.write([mergeMetric(1)]);
+      await sink.close();
+
+      expect(readRows()).toEqual([{ pr_number: 1, pr_creator: 'octocat', merge_time_seconds: 86400 }]);
+    });
+  });
+});
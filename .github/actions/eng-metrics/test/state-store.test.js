@@ -0,0 +1,143 @@
+/**
+ * Tests for state store module
+ */
+
+import { jest } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// Mock the logger
+const mockLogger = {
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+};
+
+jest.unstable_mockModule('../src/logger.js', () => ({
+  default: mockLogger,
+  ...mockLogger
+}));
+
+const {
+  JsonStateStore,
+  BigQueryStateStore,
+  createStateStore
+} = await import('../src/state-store.js');
+
+describe('JsonStateStore', () => {
+  let statePath;
+
+  beforeEach(() => {
+    statePath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'state-store-test-')), 'state.json');
+  });
+
+  afterEach(() => {
+    fs.rmSync(path.dirname(statePath), { recursive: true, force: true });
+  });
+
+  test('should return null for a repository that has not been synced', async () => {
+    const store = new JsonStateStore(statePath);
+
+    expect(await store.getLastSyncTime('owner/repo')).toBeNull();
+  });
+
+  test('should record sync times per repository', async () => {
+    const store = new JsonStateStore(statePath);
+
+    await store.setLastSyncTime('owner/repo1', new Date('2023-06-14T12:00:00Z'));
+    await store.setLastSyncTime('owner/repo2', new Date('2023-06-15T12:00:00Z'));
+
+    expect(await store.getLastSyncTime('owner/repo1')).toEqual(new Date('2023-06-14T12:00:00Z'));
+    expect(JSON.parse(fs.readFileSync(statePath, 'utf8'))).toEqual({
+      repositories: {
+        'owner/repo1': { lastSyncTime: '2023-06-14T12:00:00.000Z' },
+        'owner/repo2': { lastSyncTime: '2023-06-15T12:00:00.000Z' }
+      }
+    });
+  });
+});
+
+describe('BigQueryStateStore', () => {
+  let mockTable;
+  let mockBigQuery;
+  let store;
+
+  beforeEach(() => {
+    mockTable = {
+      exists: jest.fn(() => [true]),
+      create: jest.fn()
+    };
+    mockBigQuery = {
+      dataset: jest.fn(() => ({ table: jest.fn(() => mockTable) })),
+      query: jest.fn(() => [[]])
+    };
+    store = new BigQueryStateStore({ bigquery: mockBigQuery, getProjectId: () => 'test-project' }, 'test_dataset');
+  });
+
+  test('should create the state table if it does not exist', async () => {
+    mockTable.exists.mockResolvedValue([false]);
+
+    await store.getLastSyncTime('owner/repo');
+    await store.getLastSyncTime('owner/repo');
+
+    expect(mockTable.create).toHaveBeenCalledTimes(1);
+    expect(mockTable.create.mock.calls[0][0].schema.map(field => field.name))
+      .toEqual(['repository', 'last_sync_time', 'updated_at']);
+  });
+
+  test('should read the last sync time with a query parameter', async () => {
+    mockBigQuery.query.mockResolvedValue([[{ last_sync_time: { value: '2023-06-14T12:00:00.000Z' } }]]);
+
+    const lastSyncTime = await store.getLastSyncTime('owner/repo');
+
+    expect(lastSyncTime).toEqual(new Date('2023-06-14T12:00:00Z'));
+    expect(mockBigQuery.query).toHaveBeenCalledWith({
+      query: expect.stringContaining('FROM `test-project.test_dataset.collector_state` WHERE repository = @repository'),
+      params: { repository: 'owner/repo' }
+    });
+  });
+
+  test('should return null when the repository has no row', async () => {
+    expect(await store.getLastSyncTime('owner/repo')).toBeNull();
+  });
+
+  test('should upsert the sync time with MERGE', async () => {
+    await store.setLastSyncTime('owner/repo', new Date('2023-06-15T12:00:00Z'));
+
+    const { query, params } = mockBigQuery.query.mock.calls[0][0];
+    expect(query).toContain('MERGE `test-project.test_dataset.collector_state` AS target');
+    expect(params).toEqual({ repository: 'owner/repo', lastSyncTime: '2023-06-15T12:00:00.000Z' });
+  });
+});
+
+describe('createStateStore', () => {
+  const bigqueryClient = { bigquery: {}, getProjectId: () => 'test-project' };
+
+  test('should return null when no state store is configured', () => {
+    expect(createStateStore({}, bigqueryClient)).toBeNull();
+  });
+
+  test('should create a JSON state store', () => {
+    const store = createStateStore({ stateStore: { type: 'json', filepath: './state.json' } }, null);
+
+    expect(store).toBeInstanceOf(JsonStateStore);
+    expect(store.filePath).toBe(path.resolve(process.cwd(), './state.json'));
+  });
+
+  test('should create a BigQuery state store', () => {
+    const store = createStateStore({
+      bigQueryDatasetId: 'test_dataset',
+      stateStore: { type: 'bigquery', tableName: 'sync_state' }
+    }, bigqueryClient);
+
+    expect(store).toBeInstanceOf(BigQueryStateStore);
+    expect(store.tableId).toBe('sync_state');
+  });
+
+  test('should require a BigQuery client for the BigQuery state store', () => {
+    expect(() => createStateStore({ stateStore: { type: 'bigquery' } }, null))
+      .toThrow('The bigquery state store requires a BigQuery client');
+  });
+});
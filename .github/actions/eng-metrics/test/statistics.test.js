@@ -0,0 +1,40 @@
+/**
+ * Tests for statistics module
+ */
+
+import { getQuantile, summarizeDurations, describeDurations, getHistogram } from '../src/statistics.js';
+
+describe('statistics', () => {
+  test('should calculate nearest-rank quantiles', () => {
+    const values = [1, 2, 3, 4, 5, 6, 7, 8, 9, 10];
+
+    expect(getQuantile(values, 0.5)).toBe(5);
+    expect(getQuantile(values, 0.9)).toBe(9);
+    expect(getQuantile(values, 0.99)).toBe(10);
+    expect(getQuantile([42], 0.5)).toBe(42);
+  });
+
+  test('should summarize unsorted durations', () => {
+    expect(summarizeDurations([300, 100, 200, 400], [0.5, 0.75, 0.9])).toEqual({ count: 4, quantiles: [200, 300, 400] });
+  });
+
+  test('should describe the spread of durations', () => {
+    expect(describeDurations([4, 2, 9, 4, 5, 4, 7, 5], [0.25, 0.9])).toEqual({
+      count: 8,
+      min: 2,
+      max: 9,
+      mean: 5,
+      median: 4,
+      standardDeviation: 2,
+      quantiles: [4, 9]
+    });
+  });
+
+  test('should count durations per bucket, including the upper bound', () => {
+    expect(getHistogram([0, 3600, 3601, 90000], [86400, 3600])).toEqual([
+      { lower: -Infinity, upper: 3600, count: 2 },
+      { lower: 3600, upper: 86400, count: 1 },
+      { lower: 86400, upper: Infinity, count: 1 }
+    ]);
+  });
+});
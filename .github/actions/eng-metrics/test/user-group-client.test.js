@@ -0,0 +1,28 @@
+/**
+ * Tests for user group helpers
+ */
+
+import { diffUserGroups, getGroupsByUsername, getUserGroupsOf, NO_USER_GROUP } from '../src/user-group-client.js';
+
+describe('user groups', () => {
+  test('should find mappings to insert and delete', () => {
+    const existing = [{ group: 'mdm', username: 'alice' }, { group: 'mdm', username: 'bob' }];
+    const updated = [{ group: 'mdm', username: 'alice' }, { group: 'software', username: 'bob' }];
+
+    expect(diffUserGroups(existing, updated)).toEqual({
+      toInsert: [{ group: 'software', username: 'bob' }],
+      toDelete: [{ group: 'mdm', username: 'bob' }]
+    });
+  });
+
+  test('should map usernames case-insensitively to their groups', () => {
+    const groupsByUsername = getGroupsByUsername([
+      { group: 'mdm', username: 'Alice' },
+      { group: 'mdm', username: 'alice' },
+      { group: 'software', username: 'alice' }
+    ]);
+
+    expect(getUserGroupsOf(groupsByUsername, 'ALICE')).toEqual(['mdm', 'software']);
+    expect(getUserGroupsOf(groupsByUsername, 'carol')).toEqual([NO_USER_GROUP]);
+  });
+});
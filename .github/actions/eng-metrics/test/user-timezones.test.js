@@ -0,0 +1,85 @@
+/**
+ * Tests for user timezones module
+ */
+
+import { jest } from '@jest/globals';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+// Mock the logger
+const mockLogger = {
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+};
+
+// Mock the markdown parser
+const mockMarkdownParser = {
+  parseProductGroupTimezones: jest.fn()
+};
+
+jest.unstable_mockModule('../src/logger.js', () => ({
+  default: mockLogger,
+  ...mockLogger
+}));
+
+jest.unstable_mockModule('../src/markdown-parser.js', () => ({
+  default: mockMarkdownParser,
+  ...mockMarkdownParser
+}));
+
+const { loadTimezoneMapping, loadUserTimezones } = await import('../src/user-timezones.js');
+
+const fixturesDir = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures');
+
+describe('UserTimezones', () => {
+  beforeEach(() => {
+    mockMarkdownParser.parseProductGroupTimezones.mockReturnValue({
+      testdev1: 'America/New_York',
+      testdev2: 'Europe/Berlin'
+    });
+  });
+
+  describe('loadTimezoneMapping', () => {
+    test('should load a JSON mapping file', () => {
+      expect(loadTimezoneMapping(path.join(fixturesDir, 'user-timezones.json'))).toEqual({
+        TestDev1: 'Asia/Tokyo',
+        testdev3: 'Australia/Sydney',
+        testdev4: 'Not/A_Timezone'
+      });
+    });
+
+    test('should throw for a missing file', () => {
+      expect(() => loadTimezoneMapping(path.join(fixturesDir, 'missing.json'))).toThrow('User timezones file not found');
+    });
+  });
+
+  describe('loadUserTimezones', () => {
+    test('should merge product groups and mapping file timezones, preferring the mapping file', () => {
+      const userTimezones = loadUserTimezones({
+        userGroupFilepath: 'product-groups.md',
+        userTimezonesFilepath: path.join(fixturesDir, 'user-timezones.json')
+      });
+
+      expect(userTimezones).toEqual({
+        testdev1: 'Asia/Tokyo',
+        testdev2: 'Europe/Berlin',
+        testdev3: 'Australia/Sydney'
+      });
+      expect(mockLogger.warn).toHaveBeenCalledWith('Ignoring invalid timezone for testdev4: Not/A_Timezone');
+    });
+
+    test('should only use the product groups file when no mapping file is configured', () => {
+      expect(loadUserTimezones({ userGroupFilepath: 'product-groups.md' })).toEqual({
+        testdev1: 'America/New_York',
+        testdev2: 'Europe/Berlin'
+      });
+    });
+
+    test('should return an empty map when no sources are configured', () => {
+      expect(loadUserTimezones({})).toEqual({});
+      expect(mockMarkdownParser.parseProductGroupTimezones).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,248 @@
+/**
+ * Tests for working calendar module
+ */
+
+import { jest } from '@jest/globals';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+// Mock the logger
+const mockLogger = {
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+};
+
+jest.unstable_mockModule('../src/logger.js', () => ({
+  default: mockLogger,
+  ...mockLogger
+}));
+
+const {
+  WorkingCalendar,
+  isValidTimezone,
+  parseIcsHolidays,
+  parseJsonHolidays,
+  loadHolidays,
+  createWorkingCalendar
+} = await import('../src/working-calendar.js');
+
+const fixturesDir = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures');
+
+describe('WorkingCalendar', () => {
+  describe('getWorkingSeconds with the default calendar', () => {
+    const calendar = new WorkingCalendar();
+
+    // Table-driven test cases; the default calendar only excludes Saturdays and Sundays (UTC)
+    const testCases = [
+      {
+        name: 'same day',
+        start: '2023-06-14T10:00:00Z', // Wednesday
+        end: '2023-06-14T12:30:00Z',
+        expected: 9000
+      },
+      {
+        name: 'Friday to Monday excludes the weekend',
+        start: '2023-05-19T14:00:00Z', // Friday
+        end: '2023-05-22T10:00:00Z', // Monday
+        expected: 72000
+      },
+      {
+        name: 'Saturday to Sunday of the same weekend',
+        start: '2023-05-20T10:00:00Z',
+        end: '2023-05-21T18:00:00Z',
+        expected: 0
+      },
+      {
+        name: 'Saturday to the following Monday starts counting on Monday',
+        start: '2023-05-20T10:00:00Z',
+        end: '2023-05-22T03:00:00Z',
+        expected: 10800
+      },
+      {
+        name: 'more than a week apart',
+        start: '2023-05-03T00:00:00Z', // Wednesday
+        end: '2023-05-15T00:00:00Z', // Monday 12 days later
+        expected: 8 * 24 * 3600
+      },
+      {
+        name: 'end before start',
+        start: '2023-06-14T12:00:00Z',
+        end: '2023-06-14T10:00:00Z',
+        expected: 0
+      }
+    ];
+
+    test.each(testCases)('$name', ({ start, end, expected }) => {
+      expect(calendar.getWorkingSeconds(new Date(start), new Date(end))).toBe(expected);
+    });
+  });
+
+  describe('getWorkingSeconds with business hours and holidays', () => {
+    const calendar = new WorkingCalendar({
+      businessHours: { start: '09:00', end: '17:00' },
+      holidays: ['2023-05-29']
+    });
+
+    test('should only count time within business hours', () => {
+      // Wednesday 16:00 to Thursday 10:00 = 1 hour + 1 hour
+      expect(calendar.getWorkingSeconds(new Date('2023-05-24T16:00:00Z'), new Date('2023-05-25T10:00:00Z'))).toBe(7200);
+    });
+
+    test('should not count time outside business hours', () => {
+      expect(calendar.getWorkingSeconds(new Date('2023-05-24T18:00:00Z'), new Date('2023-05-25T08:00:00Z'))).toBe(0);
+    });
+
+    test('should skip holidays', () => {
+      // Friday 16:00 to Tuesday 10:00 over a weekend and a Monday holiday = 1 hour + 1 hour
+      expect(calendar.getWorkingSeconds(new Date('2023-05-26T16:00:00Z'), new Date('2023-05-30T10:00:00Z'))).toBe(7200);
+    });
+  });
+
+  describe('custom weekend days', () => {
+    test('should exclude the configured weekend days', () => {
+      const calendar = new WorkingCalendar({ weekendDays: [5, 6] });
+
+      // Thursday 12:00 to Sunday 12:00 = Thursday afternoon + Sunday morning
+      expect(calendar.getWorkingSeconds(new Date('2023-05-25T12:00:00Z'), new Date('2023-05-28T12:00:00Z'))).toBe(86400);
+    });
+  });
+
+  describe('version', () => {
+    test('should use the configured version', () => {
+      expect(new WorkingCalendar({ version: 'us-2023' }).version).toBe('us-2023');
+    });
+
+    test('should derive a stable version from the settings', () => {
+      const first = new WorkingCalendar({ holidays: ['2023-12-25', '2023-07-04'] });
+      const second = new WorkingCalendar({ holidays: ['2023-07-04', '2023-12-25'] });
+      const third = new WorkingCalendar({ holidays: ['2023-07-04'] });
+
+      expect(first.version).toBe(second.version);
+      expect(first.version).not.toBe(third.version);
+    });
+  });
+
+  describe('withBusinessHours', () => {
+    test('should default to 09:00-17:00 when no business hours are configured', () => {
+      const calendar = new WorkingCalendar({ version: 'v1' });
+      const businessHours = calendar.withBusinessHours();
+
+      // Wednesday 08:00 to 18:00
+      expect(businessHours.getWorkingSeconds(new Date('2023-05-24T08:00:00Z'), new Date('2023-05-24T18:00:00Z'))).toBe(8 * 3600);
+      expect(businessHours.version).toBe('v1');
+      expect(calendar.withBusinessHours()).toBe(businessHours);
+    });
+
+    test('should keep configured business hours', () => {
+      const calendar = new WorkingCalendar({ businessHours: { start: '10:00', end: '16:00' } });
+
+      expect(calendar.withBusinessHours()).toBe(calendar);
+    });
+  });
+
+  describe('timezones', () => {
+    const calendar = new WorkingCalendar({ businessHours: { start: '09:00', end: '17:00' }, version: 'v1' });
+
+    test('should apply business hours in the local timezone', () => {
+      const newYork = calendar.forTimezone('America/New_York');
+
+      // 09:00 to 17:00 in New York (EDT, UTC-4) is 13:00 to 21:00 UTC
+      expect(newYork.getWorkingSeconds(new Date('2023-05-24T12:00:00Z'), new Date('2023-05-24T22:00:00Z'))).toBe(8 * 3600);
+      expect(calendar.getWorkingSeconds(new Date('2023-05-24T12:00:00Z'), new Date('2023-05-24T22:00:00Z'))).toBe(5 * 3600);
+    });
+
+    test('should use local weekdays', () => {
+      const tokyo = new WorkingCalendar().forTimezone('Asia/Tokyo');
+
+      // Friday 20:00 UTC is already Saturday in Tokyo
+      expect(tokyo.getWorkingSeconds(new Date('2023-05-19T14:00:00Z'), new Date('2023-05-19T20:00:00Z'))).toBe(3600);
+    });
+
+    test('should handle days shortened by a DST change', () => {
+      const berlin = new WorkingCalendar().forTimezone('Europe/Berlin');
+
+      // Sunday 2023-03-26 has 23 hours in Berlin; Monday is counted in full
+      expect(berlin.getWorkingSeconds(new Date('2023-03-25T23:00:00Z'), new Date('2023-03-27T22:00:00Z'))).toBe(24 * 3600);
+    });
+
+    test('should format local dates', () => {
+      expect(calendar.forTimezone('America/Los_Angeles').toLocalDate(new Date('2023-05-20T03:00:00Z'))).toBe('2023-05-19');
+      expect(calendar.toLocalDate(new Date('2023-05-20T03:00:00Z'))).toBe('2023-05-20');
+    });
+
+    test('should keep the calendar version and reuse localized calendars', () => {
+      const paris = calendar.forTimezone('Europe/Paris');
+
+      expect(paris.version).toBe('v1');
+      expect(paris.timeZone).toBe('Europe/Paris');
+      expect(calendar.forTimezone('Europe/Paris')).toBe(paris);
+      expect(calendar.forTimezone('UTC')).toBe(calendar);
+    });
+
+    test('should reject invalid timezones', () => {
+      expect(() => calendar.forTimezone('Mars/Olympus_Mons')).toThrow('Invalid timezone: Mars/Olympus_Mons');
+      expect(isValidTimezone('Europe/Berlin')).toBe(true);
+      expect(isValidTimezone('')).toBe(false);
+    });
+  });
+
+  test('should reject business hours that end before they start', () => {
+    expect(() => new WorkingCalendar({ businessHours: { start: '17:00', end: '09:00' } }))
+      .toThrow('Business hours must start before they end');
+  });
+
+  test('should reject malformed business hours', () => {
+    expect(() => new WorkingCalendar({ businessHours: { start: '9am', end: '17:00' } }))
+      .toThrow('Invalid time of day: 9am');
+  });
+});
+
+describe('holiday files', () => {
+  test('parseIcsHolidays should expand all-day events with an exclusive end date', () => {
+    const content = [
+      'BEGIN:VCALENDAR',
+      'BEGIN:VEVENT',
+      'DTSTART;VALUE=DATE:20231225',
+      'DTEND;VALUE=DATE:20231227',
+      'END:VEVENT',
+      'BEGIN:VEVENT',
+      'DTSTART:20240101T000000Z',
+      'END:VEVENT',
+      'END:VCALENDAR'
+    ].join('\r\n');
+
+    expect(parseIcsHolidays(content)).toEqual(['2023-12-25', '2023-12-26', '2024-01-01']);
+  });
+
+  test('parseJsonHolidays should accept dates and date objects', () => {
+    expect(parseJsonHolidays('["2023-07-04", {"date": "2023-11-23", "name": "Thanksgiving"}]'))
+      .toEqual(['2023-07-04', '2023-11-23']);
+  });
+
+  test('parseJsonHolidays should reject unexpected content', () => {
+    expect(() => parseJsonHolidays('{"dates": []}')).toThrow('Holiday JSON must be an array');
+  });
+
+  test('loadHolidays should read ICS files', () => {
+    expect(loadHolidays(path.join(fixturesDir, 'holidays.ics'))).toEqual(['2023-12-25', '2023-12-26', '2024-01-01']);
+  });
+
+  test('loadHolidays should read JSON files', () => {
+    expect(loadHolidays(path.join(fixturesDir, 'holidays.json'))).toEqual(['2023-07-04', '2023-11-23']);
+  });
+
+  test('loadHolidays should throw for a missing file', () => {
+    expect(() => loadHolidays(path.join(fixturesDir, 'missing.ics'))).toThrow('Holiday file not found');
+  });
+
+  test('createWorkingCalendar should combine inline and file holidays', () => {
+    const calendar = createWorkingCalendar({
+      holidays: ['2023-05-29'],
+      holidaysFilepath: path.join(fixturesDir, 'holidays.json')
+    });
+
+    expect([...calendar.holidays]).toEqual(['2023-05-29', '2023-07-04', '2023-11-23']);
+  });
+});